@@ -0,0 +1,114 @@
+/**
+ * @licence GNU GPL v3
+ * @author snater.com < wikimedia@snater.com >
+ */
+define( function() {
+'use strict';
+
+/**
+ * Wording and typography of the attribution tag line per output language, indexed by language code.
+ * The output language may differ from the language of the user interface. Each language features:
+ * - {string} name The language's name in the language itself.
+ * - {string[]} quotes Opening and closing quotation mark wrapped around the title.
+ * - {string} separator Text separating the parts of the tag line.
+ * - {Array} parts Layout of the tag line. The placeholders {{author}}, {{title}}, {{editor}},
+ *   {{licence}} and {{adaptation}} are replaced with the corresponding DOM. Parts whose
+ *   placeholders all resolve to nothing are omitted. A part may be a list of alternative
+ *   templates of which the first one whose placeholders all resolve is applied, the last one
+ *   serving as fallback.
+ * - {string} licence Wording of the licence reference. {{name}} is replaced with the licence name
+ *   (or the link to the licence). A licence's own output template (see Licence) takes precedence.
+ * - {string} adaptation Wording of the reference to the licence a modified work is licensed under
+ *   if that licence differs from the original work's licence.
+ * - {string} edited Editor note applied when the work has been modified without specifying any
+ *   details.
+ * - {string} modification Wording of the modification clause. {{modifications}} is replaced with
+ *   the list of modifications, {{editor}} with the editor's name (or the link to the editor).
+ *   If no editor is specified, the clause consists of the list of modifications only.
+ * - {Object} modifications Wording of the modification types (see
+ *   AttributionGenerator.MODIFICATION_TYPES) as well as of the generic "modified" applied when no
+ *   type is specified. {{work}} is replaced with what the work has been combined with.
+ * - {string} conjunction Text joining the last two modifications of the list.
+ * - {string} anonymous Author name applied when the author is unknown.
+ * - {string} untitled Title applied when the work has no title.
+ * - {Object} licences Localised licence names indexed by licence id.
+ * - {Object} ccTypes Localised Creative Commons licence types (e.g. "by-sa") used for generating
+ *   the full licence names.
+ * - {string[]} ccGenericPorts Designations of the unported licence versions 2.x, 3.0 and 4.0.
+ * @type {Object}
+ */
+return {
+	en: {
+		name: 'English',
+		quotes: ['“', '”'],
+		separator: ', ',
+		parts: [
+			['{{title}} by {{author}}', '{{author}}', '{{title}}'],
+			'{{editor}}',
+			'{{licence}}',
+			'{{adaptation}}'
+		],
+		licence: 'licensed under {{name}}',
+		adaptation: 'adaptation licensed under {{name}}',
+		edited: '(modified)',
+		modification: '{{modifications}} by {{editor}}',
+		modifications: {
+			modified: 'modified',
+			cropped: 'cropped',
+			colourAdjusted: 'colour-adjusted',
+			translated: 'translated',
+			retouched: 'retouched',
+			combined: 'combined with {{work}}'
+		},
+		conjunction: ' and ',
+		anonymous: 'anonymous',
+		untitled: 'Untitled',
+		licences: {},
+		ccTypes: {
+			'by': 'Attribution',
+			'by-sa': 'Attribution-ShareAlike',
+			'by-nc': 'Attribution-NonCommercial',
+			'by-nd': 'Attribution-NoDerivatives',
+			'by-nc-sa': 'Attribution-NonCommercial-ShareAlike',
+			'by-nc-nd': 'Attribution-NonCommercial-NoDerivatives'
+		},
+		ccGenericPorts: ['Generic', 'Unported', 'International']
+	},
+	de: {
+		name: 'Deutsch',
+		quotes: ['„', '“'],
+		separator: ', ',
+		parts: ['{{author}}', '{{title}}', '{{editor}}', '{{licence}}', '{{adaptation}}'],
+		licence: '{{name}}',
+		adaptation: 'Bearbeitung lizenziert unter {{name}}',
+		edited: '(bearbeitet)',
+		modification: '{{modifications}} von {{editor}}',
+		modifications: {
+			modified: 'bearbeitet',
+			cropped: 'zugeschnitten',
+			colourAdjusted: 'farblich angepasst',
+			translated: 'übersetzt',
+			retouched: 'retuschiert',
+			combined: 'kombiniert mit {{work}}'
+		},
+		conjunction: ' und ',
+		anonymous: 'anonym',
+		untitled: 'Ohne Titel',
+		licences: {
+			'PD': 'Gemeinfrei',
+			'FAL': 'Lizenz Freie Kunst 1.3',
+			'unknown': 'Unbekannt'
+		},
+		ccTypes: {
+			'by': 'Namensnennung',
+			'by-sa': 'Namensnennung – Weitergabe unter gleichen Bedingungen',
+			'by-nc': 'Namensnennung – Nicht kommerziell',
+			'by-nd': 'Namensnennung – Keine Bearbeitungen',
+			'by-nc-sa': 'Namensnennung – Nicht kommerziell – Weitergabe unter gleichen Bedingungen',
+			'by-nc-nd': 'Namensnennung – Nicht kommerziell – Keine Bearbeitungen'
+		},
+		ccGenericPorts: ['Generisch', 'Unported', 'International']
+	}
+};
+
+} );
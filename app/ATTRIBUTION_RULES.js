@@ -0,0 +1,124 @@
+/**
+ * @licence GNU GPL v3
+ * @author snater.com < wikimedia@snater.com >
+ */
+define( function() {
+'use strict';
+
+/**
+ * Attribution rules per licence group, interpreted by Licence.getAttributionRules(). The rules of
+ * the first entry whose group the licence is in apply, the entry without a group being the
+ * fallback. Each entry features an "elements" object specifying per attribution element ("author",
+ * "title", "url" for the link to the work, "editor" for indicating modifications and "licence")
+ * whether the element is legally "required", just "recommended" as good practice or to be
+ * "omitted". An entry may additionally feature a "note", the id of a message explaining
+ * requirements particular to the licence group.
+ * @type {Object[]}
+ */
+return [
+	{
+		group: 'pd',
+		elements: {
+			author: 'recommended',
+			title: 'recommended',
+			url: 'recommended',
+			editor: 'recommended',
+			licence: 'recommended'
+		}
+	},
+	{
+		group: 'cc0',
+		elements: {
+			author: 'recommended',
+			title: 'recommended',
+			url: 'recommended',
+			editor: 'recommended',
+			licence: 'recommended'
+		}
+	},
+	{
+		// 4.0 licences require the title only if supplied by the licensor:
+		group: 'cc4',
+		elements: {
+			author: 'required',
+			title: 'recommended',
+			url: 'required',
+			editor: 'required',
+			licence: 'required'
+		}
+	},
+	{
+		group: 'cc2de',
+		elements: {
+			author: 'required',
+			title: 'required',
+			url: 'required',
+			editor: 'required',
+			licence: 'required'
+		},
+		note: 'attribution-rules-note-cc2de'
+	},
+	{
+		// 1.0 licences do not require linking to the work nor crediting adaptations:
+		group: 'cc1',
+		elements: {
+			author: 'required',
+			title: 'required',
+			url: 'recommended',
+			editor: 'recommended',
+			licence: 'required'
+		}
+	},
+	{
+		group: 'gfdl',
+		elements: {
+			author: 'required',
+			title: 'required',
+			url: 'recommended',
+			editor: 'required',
+			licence: 'required'
+		}
+	},
+	{
+		group: 'fal',
+		elements: {
+			author: 'required',
+			title: 'recommended',
+			url: 'required',
+			editor: 'required',
+			licence: 'required'
+		}
+	},
+	{
+		// The attribution statement of the OGL does not feature the title of the work:
+		group: 'ogl',
+		elements: {
+			author: 'required',
+			title: 'omitted',
+			url: 'recommended',
+			editor: 'recommended',
+			licence: 'required'
+		}
+	},
+	{
+		group: 'odbl',
+		elements: {
+			author: 'required',
+			title: 'recommended',
+			url: 'recommended',
+			editor: 'required',
+			licence: 'required'
+		}
+	},
+	{
+		elements: {
+			author: 'required',
+			title: 'required',
+			url: 'required',
+			editor: 'required',
+			licence: 'required'
+		}
+	}
+];
+
+} );
@@ -39,10 +39,24 @@ $.extend( AjaxError.prototype, ApplicationError.prototype, {
 	getMessage: function() {
 		// (Re-implemented to access correct messages.)
 		return messages[this._code] || messages['*'];
+	},
+
+	/**
+	 * @see ApplicationError.isRetryable
+	 */
+	isRetryable: function() {
+		return $.inArray( this._code, AjaxError.TRANSIENT_CODES ) !== -1;
 	}
 
 } );
 
+/**
+ * Codes of errors caused by transient conditions, i.e. requests failing with one of these errors
+ * may succeed when being repeated. "*" is the code of failures no details are known about.
+ * @type {string[]}
+ */
+AjaxError.TRANSIENT_CODES = ['*', 'network-error', 'timeout', 'ratelimited', 'server-error'];
+
 return AjaxError;
 
 } );
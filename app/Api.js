@@ -6,19 +6,115 @@ define( ['jquery', 'app/ImageInfo', 'app/WikiAssetPage', 'dojo/_base/config', 'a
 	function( $, ImageInfo, WikiAssetPage, config, AjaxError ) {
 'use strict';
 
+/**
+ * Extended meta data fields evaluated when generating an asset.
+ * @type {string[]}
+ */
+var EXTMETADATA_FIELDS = [
+	'Artist',
+	'Attribution',
+	'AttributionRequired',
+	'Credit',
+	'LicenseShortName',
+	'LicenseUrl',
+	'ObjectName'
+];
+
+/**
+ * Minimum size (in pixels) of the larger dimension of an image for the image to be suggested when
+ * listing the images used on a Wikipedia page. Smaller images are most likely icons.
+ * @type {number}
+ */
+var MIN_IMAGE_SIZE = 100;
+
+/**
+ * Maximum number of titles that may be queried in a single API request.
+ * @type {number}
+ */
+var MAX_TITLES = 50;
+
+/**
+ * Names of the request options indexed by the keys of the corresponding settings in dojoConfig.js.
+ * @type {Object}
+ */
+var CONFIGURABLE_OPTIONS = {
+	apiTimeout: 'timeout',
+	apiRetries: 'retries',
+	apiRetryDelay: 'retryDelay',
+	apiMaxLag: 'maxLag'
+};
+
+/**
+ * Determines the code of the error a failed request is rejected with.
+ *
+ * @param {Object} jqXHR
+ * @param {string} textStatus
+ * @return {string}
+ */
+function getErrorCode( jqXHR, textStatus ) {
+	if( textStatus === 'timeout' ) {
+		return 'timeout';
+	} else if( jqXHR.status === 429 ) {
+		return 'ratelimited';
+	} else if( jqXHR.status >= 500 ) {
+		return 'server-error';
+	} else if( jqXHR.status >= 400 ) {
+		return 'api-error';
+	} else if( textStatus === 'parsererror' ) {
+		return 'response-unexpected';
+	} else if( jqXHR.status === 0 ) {
+		return 'network-error';
+	}
+	return '*';
+}
+
+/**
+ * Reduces extended meta data as returned by the API to the plain values.
+ *
+ * @param {Object} extMetadata
+ * @return {Object} Values indexed by field name
+ */
+function getPlainValues( extMetadata ) {
+	var values = {};
+
+	$.each( extMetadata, function( field, data ) {
+		values[field] = data.value;
+	} );
+
+	return values;
+}
+
 /**
  * Commons API Handler.
  * @constructor
  *
  * @param {string} defaultUrl
+ * @param {Object} [options] Request options, each defaulting to the corresponding setting in
+ *        dojoConfig.js:
+ *        - {number} timeout: Time (in milliseconds) after which a request is cancelled.
+ *          ("apiTimeout")
+ *        - {number} retries: Number of times a request failing for a transient reason is
+ *          repeated. ("apiRetries")
+ *        - {number} retryDelay: Delay (in milliseconds) before repeating a request, doubled with
+ *          every further attempt. ("apiRetryDelay")
+ *        - {number|null} maxLag: Value of the "maxlag" parameter (in seconds) making the API
+ *          reject requests while its servers are lagged. ("apiMaxLag")
  *
  * @throws {Error} if a required parameter is omitted.
  */
-var Api = function( defaultUrl ) {
+var Api = function( defaultUrl, options ) {
 	if( !defaultUrl ) {
 		throw new Error( 'A required parameter has been omitted' );
 	}
 	this._defaultUrl = defaultUrl;
+
+	options = options || {};
+	this._options = {};
+
+	for( var configKey in CONFIGURABLE_OPTIONS ) {
+		var name = CONFIGURABLE_OPTIONS[configKey];
+		this._options[name] = options[name] !== undefined ? options[name] : config.custom[configKey];
+	}
 };
 
 $.extend( Api.prototype, {
@@ -28,6 +124,11 @@ $.extend( Api.prototype, {
 	 */
 	_defaultUrl: null,
 
+	/**
+	 * @type {Object}
+	 */
+	_options: null,
+
 	/**
 	 * Returns the API's default URL.
 	 * @return {string}
@@ -51,7 +152,7 @@ $.extend( Api.prototype, {
 		var self = this,
 			deferred = $.Deferred();
 
-		this._getMetaData( prefixedFilename, wikiUrl )
+		this._getMetaData( prefixedFilename, wikiUrl, true )
 		.done( function( metaData ) {
 
 			self._getPageContent( prefixedFilename, wikiUrl )
@@ -60,7 +161,13 @@ $.extend( Api.prototype, {
 				self._getPageTemplates( prefixedFilename, wikiUrl )
 				.done( function( templates ) {
 					var assetPage = new WikiAssetPage(
-						prefixedFilename, metaData.mediatype, $dom, templates, self, wikiUrl
+						prefixedFilename,
+						metaData.mediatype,
+						$dom,
+						templates,
+						self,
+						wikiUrl,
+						metaData.extmetadata || {}
 					);
 
 					deferred.resolve( assetPage.getAsset() );
@@ -187,23 +294,35 @@ $.extend( Api.prototype, {
 	},
 
 	/**
-	 * Retrieves a file's meta data.
+	 * Retrieves a file's meta data. The extended meta data provided by the CommonsMetadata
+	 * extension may be retrieved along, featured as plain values indexed by field name in the
+	 * "extmetadata" property. Since the asset page is scraped when the extended meta data is not
+	 * available, the meta data is retrieved without the extended meta data if the request fails
+	 * for another reason than the network.
 	 *
 	 * @param {string} prefixedFilename
 	 * @param {string} [wikiUrl]
+	 * @param {boolean} [extMetadata] Whether to retrieve the extended meta data.
 	 * @return {Object} jQuery Promise:
 	 *         Resolved parameters:
 	 *         - {Object}
 	 *         Rejected parameters:
 	 *         - {AjaxError}
 	 */
-	_getMetaData: function( prefixedFilename, wikiUrl ) {
-		var deferred = $.Deferred();
+	_getMetaData: function( prefixedFilename, wikiUrl, extMetadata ) {
+		var self = this,
+			deferred = $.Deferred(),
+			params = {
+				iiprop: 'mediatype|url',
+				iilimit: 1
+			};
+
+		if( extMetadata ) {
+			params.iiprop += '|extmetadata';
+			params.iiextmetadatafilter = EXTMETADATA_FIELDS.join( '|' );
+		}
 
-		this._query( prefixedFilename, 'imageinfo', wikiUrl, {
-			iiprop: 'mediatype|url',
-			iilimit: 1
-		} )
+		this._query( prefixedFilename, 'imageinfo', wikiUrl, params )
 		.done( function( page, ajaxOptions ) {
 			if( !page.imageinfo ) {
 				deferred.resolve( 'unknown' );
@@ -215,6 +334,9 @@ $.extend( Api.prototype, {
 				if( metaData.mediatype ) {
 					metaData.mediatype = metaData.mediatype.toLowerCase();
 				}
+				if( extMetadata ) {
+					metaData.extmetadata = getPlainValues( metaData.extmetadata || {} );
+				}
 				deferred.resolve( metaData );
 				return;
 			}
@@ -222,7 +344,18 @@ $.extend( Api.prototype, {
 			deferred.reject( new AjaxError( 'mediatype-missing', ajaxOptions ) );
 		} )
 		.fail( function( error ) {
-			deferred.reject( error );
+			if( !extMetadata || error.getCode() === 'network-error' ) {
+				deferred.reject( error );
+				return;
+			}
+
+			self._getMetaData( prefixedFilename, wikiUrl )
+			.done( function( metaData ) {
+				deferred.resolve( metaData );
+			} )
+			.fail( function( error ) {
+				deferred.reject( error );
+			} );
 		} );
 
 		return deferred;
@@ -276,7 +409,9 @@ $.extend( Api.prototype, {
 	},
 
 	/**
-	 * Retrieves the titles of the images used on an specific Wikipedia page.
+	 * Retrieves the titles of the images used on an specific Wikipedia page. Images that are
+	 * used by the templates transcluded on the page (e.g. icons and flags in navigation boxes)
+	 * are omitted.
 	 *
 	 * @param {string} title
 	 * @param {string} [wikiUrl]
@@ -289,19 +424,37 @@ $.extend( Api.prototype, {
 	_getWikipediaPageImages: function( title, wikiUrl ) {
 		var deferred = $.Deferred();
 
-		var params = {
-			imlimit: 100,
-			titles: title,
-			format: 'json'
-		};
-
-		this._query( title, 'images', wikiUrl, params )
-		.done( function( page ) {
-			var imageTitles = [];
+		$.when(
+			this._queryContinued( {
+				prop: 'images',
+				titles: title,
+				imlimit: 'max'
+			}, wikiUrl ),
+			this._queryContinued( {
+				generator: 'templates',
+				titles: title,
+				gtllimit: 'max',
+				prop: 'images',
+				imlimit: 'max'
+			}, wikiUrl )
+		)
+		.done( function( pages, templatePages ) {
+			var templateImageTitles = [],
+				imageTitles = [];
+
+			$.each( templatePages, function( i, page ) {
+				$.each( page.images || [], function( j, image ) {
+					templateImageTitles.push( image.title );
+				} );
+			} );
 
-			for( var i = 0; i < page.images.length; i++ ) {
-				imageTitles.push( page.images[i].title );
-			}
+			$.each( pages, function( i, page ) {
+				$.each( page.images || [], function( j, image ) {
+					if( $.inArray( image.title, templateImageTitles ) === -1 ) {
+						imageTitles.push( image.title );
+					}
+				} );
+			} );
 
 			deferred.resolve( imageTitles );
 		} )
@@ -313,7 +466,9 @@ $.extend( Api.prototype, {
 	},
 
 	/**
-	 * Retrieves image info for a list of images used on a specific Wikipedia.
+	 * Retrieves image info for a list of images used on a specific Wikipedia. The image info is
+	 * requested in chunks of titles and returned in the order of the titles passed. Images too
+	 * small to be of interest are omitted.
 	 *
 	 * @param {string[]} imageTitles
 	 * @param {string} [wikiUrl]
@@ -324,30 +479,58 @@ $.extend( Api.prototype, {
 	 *         - {AjaxError}
 	 */
 	_getWikipediaImageInfos: function( imageTitles, wikiUrl ) {
-		var deferred = $.Deferred();
-
-		if( imageTitles.length === 0 ) {
-			deferred.resolve( [] );
-			return deferred.promise();
-		}
+		var self = this,
+			deferred = $.Deferred(),
+			imageinfos = {},
+			promises = [];
 
 		var params = {
-			iiprop: 'url',
+			iiprop: 'url|size|mediatype|extmetadata',
+			iiextmetadatafilter: 'LicenseShortName|LicenseUrl',
 			iilimit: 1,
 			iiurlwidth: 300,
 			iiurlheight: 300
 		};
 
-		this._query( imageTitles, 'imageinfo', wikiUrl, params )
-		.done( function( pages ) {
-			if( !$.isArray( pages ) ) {
-				pages = [pages];
-			}
+		/**
+		 * @param {Object|Object[]} pages
+		 */
+		function collectImageinfos( pages ) {
+			$.each( $.isArray( pages ) ? pages : [pages], function( index, page ) {
+				if( page.imageinfo ) {
+					imageinfos[page.title] = page.imageinfo[0];
+				}
+			} );
+		}
+
+		for( var i = 0; i < imageTitles.length; i += MAX_TITLES ) {
+			promises.push(
+				this._query( imageTitles.slice( i, i + MAX_TITLES ), 'imageinfo', wikiUrl, params )
+				.done( collectImageinfos )
+			);
+		}
 
+		$.when.apply( $, promises )
+		.done( function() {
 			var imageInfos = [];
 
-			$.each( pages, function( index, page ) {
-				imageInfos.push( ImageInfo.newFromMediaWikiImageInfoJson( page.imageinfo[0] ) );
+			$.each( imageTitles, function( index, title ) {
+				var imageinfo = imageinfos[title];
+
+				// Audio files do not feature any dimensions:
+				if(
+					!imageinfo
+					|| imageinfo.mediatype !== 'AUDIO'
+					&& Math.max( imageinfo.width || 0, imageinfo.height || 0 ) < MIN_IMAGE_SIZE
+				) {
+					return true;
+				}
+
+				imageInfos.push( ImageInfo.newFromMediaWikiImageInfoJson(
+					imageinfo,
+					title,
+					self._detectLicence( imageinfo.extmetadata )
+				) );
 			} );
 
 			deferred.resolve( imageInfos );
@@ -359,6 +542,166 @@ $.extend( Api.prototype, {
 		return deferred.promise();
 	},
 
+	/**
+	 * Detects a file's licence by the extended meta data returned by the "imageinfo" API.
+	 *
+	 * @param {Object} [extMetadata]
+	 * @return {Licence} The "unknown" licence if no licence could be detected.
+	 */
+	_detectLicence: function( extMetadata ) {
+		var licenceStore = config.custom.licenceStore,
+			shortName = extMetadata && extMetadata.LicenseShortName
+				&& extMetadata.LicenseShortName.value,
+			url = extMetadata && extMetadata.LicenseUrl && extMetadata.LicenseUrl.value;
+
+		return shortName && licenceStore.detectLicence(
+			shortName.replace( /^CC0\b/i, 'cc-zero' ).replace( /\s+/g, '-' )
+		)
+			|| licenceStore.detectLicenceByUrl( url )
+			|| licenceStore.getLicence( 'unknown' );
+	},
+
+	/**
+	 * Searches the file namespace for files matching a search query. Only images of a supported
+	 * media type that are available under a licence supported by the application are returned.
+	 * Since results are filtered, a page of results may contain less than the number of results
+	 * requested.
+	 *
+	 * @param {string} query
+	 * @param {number} [offset] Offset of the search results to retrieve.
+	 *        Default: 0
+	 * @param {number} [limit] Number of search results to evaluate.
+	 *        Default: 20
+	 * @param {string} [wikiUrl]
+	 * @return {Object} jQuery Promise
+	 *         Resolved parameters:
+	 *         - {ImageInfo[]}
+	 *         - {number|null} Offset of the next page of search results, "null" if there are no
+	 *           more results.
+	 *         Rejected parameters:
+	 *         - {AjaxError}
+	 */
+	search: function( query, offset, limit, wikiUrl ) {
+		var self = this,
+			deferred = $.Deferred();
+
+		this._request( {
+			action: 'query',
+			generator: 'search',
+			gsrsearch: query,
+			gsrnamespace: 6,
+			gsroffset: offset || 0,
+			gsrlimit: limit || 20,
+			prop: 'imageinfo',
+			iiprop: 'url|mediatype|extmetadata',
+			iiextmetadatafilter: 'LicenseShortName|LicenseUrl',
+			iiurlwidth: 300,
+			iiurlheight: 300
+		}, wikiUrl )
+		.done( function( response ) {
+			var pages = response.query && response.query.pages || {},
+				results = [];
+
+			$.each( pages, function( id, page ) {
+				var imageinfo = page.imageinfo && page.imageinfo[0],
+					mediaType = imageinfo && ( imageinfo.mediatype || '' ).toLowerCase();
+
+				if(
+					!imageinfo
+					|| $.inArray( mediaType, config.custom.supportedMediaTypes ) === -1
+				) {
+					return true;
+				}
+
+				var licence = self._detectLicence( imageinfo.extmetadata );
+
+				if( !licence.isInGroup( 'unsupported' ) && !licence.isInGroup( 'unknown' ) ) {
+					results.push( {
+						index: page.index,
+						imageInfo: ImageInfo.newFromMediaWikiImageInfoJson(
+							imageinfo,
+							page.title,
+							licence
+						)
+					} );
+				}
+			} );
+
+			results.sort( function( a, b ) {
+				return a.index - b.index;
+			} );
+
+			deferred.resolve(
+				$.map( results, function( result ) {
+					return result.imageInfo;
+				} ),
+				response['continue'] ? response['continue'].gsroffset : null
+			);
+		} )
+		.fail( function( error ) {
+			deferred.reject( error );
+		} );
+
+		return deferred.promise();
+	},
+
+	/**
+	 * Issues a query to the Commons API or a Wikipedia API following the continuations returned
+	 * until all results are retrieved. Properties of a page spread over multiple responses are
+	 * merged.
+	 *
+	 * @param {Object} params
+	 * @param {string} [wikiUrl]
+	 * @return {Object} jQuery Promise
+	 *         Resolved parameters:
+	 *         - {Object[]} Pages
+	 *         Rejected parameters:
+	 *         - {AjaxError}
+	 */
+	_queryContinued: function( params, wikiUrl ) {
+		var self = this,
+			deferred = $.Deferred(),
+			pages = {};
+
+		/**
+		 * @param {Object} continuation
+		 */
+		function query( continuation ) {
+			self._request( $.extend( { action: 'query' }, params, continuation ), wikiUrl )
+			.done( function( response ) {
+				$.each( response.query && response.query.pages || {}, function( id, page ) {
+					if( !pages[id] ) {
+						pages[id] = page;
+						return true;
+					}
+
+					$.each( page, function( key, value ) {
+						if( $.isArray( value ) && $.isArray( pages[id][key] ) ) {
+							pages[id][key] = pages[id][key].concat( value );
+						} else if( pages[id][key] === undefined ) {
+							pages[id][key] = value;
+						}
+					} );
+				} );
+
+				if( response['continue'] ) {
+					query( response['continue'] );
+				} else {
+					deferred.resolve( $.map( pages, function( page ) {
+						return page;
+					} ) );
+				}
+			} )
+			.fail( function( error ) {
+				deferred.reject( error );
+			} );
+		}
+
+		query( { 'continue': '' } );
+
+		return deferred.promise();
+	},
+
 	/**
 	 * Issues a call to the Commons API of a Wikipedia API querying for a specific property of a
 	 * file.
@@ -380,20 +723,11 @@ $.extend( Api.prototype, {
 		params = $.extend( {
 			action: 'query',
 			prop: property,
-			titles: $.isArray( title ) ? title.join( '|' ) : title,
-			format: 'json'
+			titles: $.isArray( title ) ? title.join( '|' ) : title
 		}, params );
 
-		var ajaxOptions = {
-			url: ( wikiUrl || this._defaultUrl ) + 'w/api.php',
-			crossDomain: true,
-			dataType: 'jsonp',
-			data: params,
-			timeout: 5000
-		};
-
-		$.ajax( ajaxOptions )
-		.done( function( response ) {
+		this._request( params, wikiUrl )
+		.done( function( response, ajaxOptions ) {
 			if( response.query === undefined || response.query.pages === undefined ) {
 				deferred.reject( new AjaxError( 'response-unexpected', ajaxOptions ) );
 				return;
@@ -425,12 +759,89 @@ $.extend( Api.prototype, {
 				deferred.reject( new AjaxError( 'response-corrupted', ajaxOptions ) );
 			}
 		} )
-		.fail( function() {
-			// Since there is no error handling for jsonp requests, the error is a timeout in any
-			// and it does not make any sense to analyze the jqXHR object.
-			deferred.reject( new AjaxError( '*', ajaxOptions ) );
+		.fail( function( error ) {
+			deferred.reject( error );
 		} );
 
+		return deferred.promise();
+	},
+
+	/**
+	 * Issues a CORS request to the Commons API or a Wikipedia API. Requests failing for a
+	 * transient reason (see AjaxError.TRANSIENT_CODES) are repeated with increasing delay. If the
+	 * API specifies when to retry (when being rate limited or lagged), that delay is applied.
+	 *
+	 * @param {Object} params API request parameters
+	 * @param {string} [wikiUrl]
+	 * @return {Object} jQuery Promise
+	 *         Resolved parameters:
+	 *         - {Object} Response
+	 *         - {Object} Options $.ajax() has been initiated with
+	 *         Rejected parameters:
+	 *         - {AjaxError}
+	 */
+	_request: function( params, wikiUrl ) {
+		var self = this,
+			deferred = $.Deferred(),
+			ajaxOptions = {
+				url: ( wikiUrl || this._defaultUrl ) + 'w/api.php',
+				crossDomain: true,
+				dataType: 'json',
+				data: $.extend( { format: 'json', origin: '*' }, params ),
+				timeout: this._options.timeout
+			};
+
+		if( this._options.maxLag !== null && this._options.maxLag !== undefined ) {
+			ajaxOptions.data.maxlag = this._options.maxLag;
+		}
+
+		/**
+		 * @param {number} attempt
+		 */
+		function request( attempt ) {
+			/**
+			 * @param {string} code
+			 * @param {Object} jqXHR
+			 */
+			function handleError( code, jqXHR ) {
+				if(
+					$.inArray( code, AjaxError.TRANSIENT_CODES ) === -1
+					|| attempt >= self._options.retries
+				) {
+					deferred.reject( new AjaxError( code, ajaxOptions ) );
+					return;
+				}
+
+				var retryAfter = parseInt( jqXHR.getResponseHeader( 'Retry-After' ), 10 ),
+					delay = retryAfter >= 0
+						? retryAfter * 1000
+						: self._options.retryDelay * Math.pow( 2, attempt );
+
+				window.setTimeout( function() {
+					request( attempt + 1 );
+				}, delay );
+			}
+
+			$.ajax( ajaxOptions )
+			.done( function( response, textStatus, jqXHR ) {
+				if( !response ) {
+					deferred.reject( new AjaxError( 'response-unexpected', ajaxOptions ) );
+				} else if( response.error ) {
+					handleError(
+						response.error.code === 'maxlag' ? 'ratelimited' : 'api-error',
+						jqXHR
+					);
+				} else {
+					deferred.resolve( response, ajaxOptions );
+				}
+			} )
+			.fail( function( jqXHR, textStatus ) {
+				handleError( getErrorCode( jqXHR, textStatus ), jqXHR );
+			} );
+		}
+
+		request( 0 );
+
 		return deferred.promise();
 	}
 
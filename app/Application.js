@@ -5,17 +5,33 @@
 define(
 	[
 		'jquery',
+		'app/AttributionHistory',
+		'app/BatchList',
 		'app/Navigation',
 		'app/FrontPage',
 		'app/Preview',
 		'app/Questionnaire',
-		'app/OptionContainer'
+		'app/OptionContainer',
+		'app/Session'
 	],
-	function( $, Navigation, FrontPage, Preview, Questionnaire, OptionContainer ) {
+	function(
+		$,
+		AttributionHistory,
+		BatchList,
+		Navigation,
+		FrontPage,
+		Preview,
+		Questionnaire,
+		OptionContainer,
+		Session
+	) {
 'use strict';
 
 /**
  * Application renderer
+ * The current questionnaire session is reflected in the location hash, allowing to share links to
+ * a particular attribution. Navigating through the browser history steps through the
+ * questionnaire's pages.
  * @constructor
  *
  * @param {jQuery} $node
@@ -33,6 +49,12 @@ var Application = function( $node, options ) {
 	this._options = $.extend( {
 		'imageSize': 500
 	}, ( options || {} ) );
+
+	var self = this;
+
+	$( window ).on( 'popstate', function() {
+		self._restoreLocation();
+	} );
 };
 
 $.extend( Application.prototype, {
@@ -72,36 +94,78 @@ $.extend( Application.prototype, {
 	_optionContainer: null,
 
 	/**
-	 * Starts the application.
+	 * @type {BatchList|null}
+	 */
+	_batchList: null,
+
+	/**
+	 * The session most recently reflected in the location.
+	 * @type {Session|null}
+	 */
+	_session: null,
+
+	/**
+	 * Starts the application. If no URL is specified, the session featured in the location hash
+	 * is restored.
 	 *
-	 * @param {string} [url]
+	 * @param {string} [url] May contain multiple line-separated URLs to start in batch mode.
 	 */
 	start: function( url ) {
-		var self = this;
+		var self = this,
+			session = url === undefined ? Session.parse( window.location.hash ) : null;
 
 		this._$node.empty();
 
+		this._session = session;
+		this._preview = null;
+		this._questionnaire = null;
+		this._optionContainer = null;
+		this._batchList = null;
+
+		if( !session ) {
+			this._setLocation( null, true );
+		}
+
 		this._navigation = new Navigation( this._$node );
 
+		$( this._navigation )
+		.on( 'localechange', function() {
+			self._relocalise();
+		} )
+		.on( 'restore', function( event, serializedSession ) {
+			self._setLocation( Session.parse( serializedSession ), true );
+			self.start();
+		} );
+
 		var $frontPage = $( '<div/>' );
-		this._frontPage = new FrontPage( $frontPage, url );
+		this._frontPage = new FrontPage( $frontPage, session ? session.getInput() : url );
 
 		$( this._frontPage )
 		.on( 'asset', function( event, asset ) {
-			self._renderApplicationPage( asset );
+			self._renderApplicationPage( asset, session );
+			// Any other input submitted subsequently does not refer to the session:
+			session = null;
+		} )
+		.on( 'assets', function( event, assets, failures ) {
+			self._renderBatchPage( assets, failures );
 		} );
 
 		this._$node
 		.append( this._navigation.create( false ) )
 		.append( $frontPage );
+
+		if( session ) {
+			this._frontPage.submit();
+		}
 	},
 
 	/**
 	 * Renders the application page.
 	 *
 	 * @param {Asset} asset
+	 * @param {Session|null} [session] Session to restore.
 	 */
-	_renderApplicationPage: function( asset ) {
+	_renderApplicationPage: function( asset, session ) {
 		var self = this;
 
 		var $preview = $( '<div/>' );
@@ -119,6 +183,7 @@ $.extend( Application.prototype, {
 
 		if( renderRawText ) {
 			this._optionContainer.push( 'rawText' );
+			this._optionContainer.push( 'markupCode' );
 		}
 
 		this._addEventHandlers( this._optionContainer );
@@ -130,9 +195,19 @@ $.extend( Application.prototype, {
 		.append( $questionnaire )
 		.append( $optionContainer );
 
-		this._questionnaire.start().done( function() {
+		var promise = session
+			? this._questionnaire.restore( session.getPath(), session.getAnswers() )
+			: this._questionnaire.start();
+
+		promise.done( function() {
 			self._optionContainer.render();
 
+			if( session ) {
+				self._applyOptions( session.getOptions() );
+			}
+
+			self._updateLocation();
+
 			// Evaluate initial state to reflect the default attribution:
 			self._preview.update(
 				self._questionnaire.getAttributionGenerator(),
@@ -146,6 +221,43 @@ $.extend( Application.prototype, {
 		} );
 	},
 
+	/**
+	 * Renders the page for attributing multiple assets at once. The questionnaire is answered once
+	 * for all assets, the list flagging assets whose licence requires different answers.
+	 *
+	 * @param {Asset[]} assets
+	 * @param {Object[]} failures
+	 */
+	_renderBatchPage: function( assets, failures ) {
+		var self = this;
+
+		var $questionnaire = $( '<div/>' );
+		this._questionnaire = new Questionnaire( $questionnaire, assets[0] );
+
+		var $batchList = $( '<div/>' );
+		this._batchList = new BatchList( $batchList, assets, failures );
+
+		$( this._questionnaire )
+		.on( 'update', function() {
+			self._batchList.update(
+				self._questionnaire.getQuestionnaireState(),
+				self._questionnaire.getPath()
+			);
+		} )
+		.on( 'back', function() {
+			self.start( self._batchList.getInputs().join( '\n' ) );
+		} );
+
+		this._$node
+		.empty()
+		.append( this._navigation.create() )
+		.append( $questionnaire )
+		.append( $batchList );
+
+		// Questions referring to a particular asset are asked per asset in the list:
+		this._questionnaire.start( '3' );
+	},
+
 	/**
 	 * Adds event handlers to the provided instance.
 	 *
@@ -155,6 +267,8 @@ $.extend( Application.prototype, {
 		var self = this;
 
 		$( instance ).on( 'update', function() {
+			self._updateLocation();
+
 			self._preview.update(
 				self._questionnaire.getAttributionGenerator(),
 				self._questionnaire.generateSupplement(),
@@ -165,10 +279,16 @@ $.extend( Application.prototype, {
 					self._optionContainer.setAttributionGenerator(
 						self._questionnaire.getAttributionGenerator()
 					);
+					self._addToHistory();
 
 				} else if ( instance instanceof OptionContainer ) {
 					self._optionContainer.getOption( 'htmlCode' )
 					.setImageHtml( $attributedImageFrame.clone() );
+
+					// Options like the output language affect the attribution itself:
+					self._optionContainer.setAttributionGenerator(
+						self._questionnaire.getAttributionGenerator()
+					);
 				}
 			} );
 		} );
@@ -183,6 +303,174 @@ $.extend( Application.prototype, {
 		}
 	},
 
+	/**
+	 * Adds the current attribution to the attribution history when the questionnaire has arrived
+	 * at a result page without any licence conflict.
+	 */
+	_addToHistory: function() {
+		var state = this._questionnaire.getQuestionnaireState(),
+			session = this._getSession();
+
+		if( !session || !/^result-/.test( state.getPageId() ) ) {
+			return;
+		}
+
+		var result = state.getResult(),
+			text = state.getAttributionGenerator().generate( true );
+
+		if( result.licenceConflict || !text ) {
+			return;
+		}
+
+		var licence = result.asset.getLicence();
+
+		new AttributionHistory().add( {
+			url: session.getInput(),
+			title: result.asset.getTitle(),
+			licence: licence.getId(),
+			licenceName: licence.getName(),
+			text: text,
+			html: $( '<div/>' )
+				.append( state.getAttributionGenerator( { format: 'html' } ).generate() )
+				.html(),
+			path: session.getPath(),
+			answers: session.getAnswers(),
+			session: session.toString()
+		} );
+	},
+
+	/**
+	 * Re-renders the content currently displayed after the language has been changed. On the
+	 * front page, the application is restarted while on the other pages the navigation and the
+	 * current questionnaire page are re-rendered, which triggers updating the preview and the
+	 * options.
+	 */
+	_relocalise: function() {
+		if( !this._questionnaire ) {
+			this.start();
+			return;
+		}
+
+		var state = this._questionnaire.getQuestionnaireState();
+
+		this._$node.children( '.navigation' ).replaceWith( this._navigation.create() );
+
+		this._questionnaire.restore(
+			this._questionnaire.getPath(),
+			state ? state.getAnswers() : {}
+		);
+	},
+
+	/**
+	 * Applies option values to the options rendered.
+	 *
+	 * @param {Object} values Option values indexed by option id.
+	 */
+	_applyOptions: function( values ) {
+		var self = this;
+
+		$.each( values, function( id, value ) {
+			var option = self._optionContainer.getOption( id );
+			if( option ) {
+				option.value( value );
+			}
+		} );
+	},
+
+	/**
+	 * Returns the session reflecting the current state of the application page or "null" if no
+	 * asset is being attributed.
+	 *
+	 * @return {Session|null}
+	 */
+	_getSession: function() {
+		if( !this._questionnaire || !this._optionContainer ) {
+			return null;
+		}
+
+		var self = this,
+			state = this._questionnaire.getQuestionnaireState(),
+			asset = state ? state.getAsset() : null,
+			options = {};
+
+		if( !asset ) {
+			return null;
+		}
+
+		$.each( Session.OPTIONS, function( id ) {
+			options[id] = self._optionContainer.getOption( id ).value();
+		} );
+
+		return new Session(
+			asset.getUrl() || asset.getFilename(),
+			this._questionnaire.getPath(),
+			state.getAnswers(),
+			options
+		);
+	},
+
+	/**
+	 * Reflects the current session in the location. A new browser history entry is created
+	 * whenever the questionnaire page changes.
+	 */
+	_updateLocation: function() {
+		var session = this._getSession();
+
+		if( !session ) {
+			return;
+		}
+
+		this._setLocation( session, !session.equals( this._session ) );
+		this._session = session;
+	},
+
+	/**
+	 * Sets the location hash.
+	 *
+	 * @param {Session|null} session If "null", the location hash is removed.
+	 * @param {boolean} [push] Whether to create a new browser history entry instead of replacing
+	 *        the current one.
+	 */
+	_setLocation: function( session, push ) {
+		var history = window.history,
+			url = window.location.href.replace( /#.*$/, '' );
+
+		if( !history || !history.pushState ) {
+			return;
+		}
+
+		if( session ) {
+			url += '#' + session.toString();
+		} else if( !window.location.hash ) {
+			return;
+		}
+
+		history[push ? 'pushState' : 'replaceState']( null, '', url );
+	},
+
+	/**
+	 * Restores the session featured in the location after navigating through the browser
+	 * history.
+	 */
+	_restoreLocation: function() {
+		var session = Session.parse( window.location.hash );
+
+		if( !session ) {
+			this.start();
+			return;
+		}
+
+		if( !this._session || this._session.getInput() !== session.getInput() ) {
+			this.start();
+			return;
+		}
+
+		this._session = session;
+
+		this._applyOptions( session.getOptions() );
+		this._questionnaire.restore( session.getPath(), session.getAnswers() );
+	},
+
 	/**
 	 * @return {number}
 	 */
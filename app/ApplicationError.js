@@ -27,6 +27,13 @@ $.extend( ApplicationError.prototype, {
 	 */
 	_code: null,
 
+	/**
+	 * @return {string}
+	 */
+	getCode: function() {
+		return this._code;
+	},
+
 	/**
 	 * Returns the error's localized message.
 	 *
@@ -34,6 +41,15 @@ $.extend( ApplicationError.prototype, {
 	 */
 	getMessage: function() {
 		return messages[this._code] || messages['*'];
+	},
+
+	/**
+	 * Returns whether repeating the action that failed might succeed.
+	 *
+	 * @return {boolean}
+	 */
+	isRetryable: function() {
+		return false;
 	}
 
 } );
@@ -36,6 +36,8 @@ var Asset = declare( null, {
 		this._api = api || null;
 
 		this._imageInfo = {};
+		this._sources = {};
+		this._candidateLicences = [];
 	},
 
 	/**
@@ -53,6 +55,13 @@ var Asset = declare( null, {
 	 */
 	_licence: null,
 
+	/**
+	 * All licences the asset is available under if the asset is multi-licensed. The reuser may
+	 * pick any of these licences.
+	 * @type {Licence[]}
+	 */
+	_candidateLicences: null,
+
 	/**
 	 * @type {string}
 	 */
@@ -83,6 +92,26 @@ var Asset = declare( null, {
 	 */
 	_imageInfo: null,
 
+	/**
+	 * Credit line (e.g. the asset's source) as specified by the asset's provider.
+	 * @type {string|null}
+	 */
+	_credit: null,
+
+	/**
+	 * Whether the asset's provider states that the asset requires an attribution. "null" if
+	 * unknown.
+	 * @type {boolean|null}
+	 */
+	_attributionRequired: null,
+
+	/**
+	 * Identifiers of the sources the asset's information has been gathered from, indexed by the
+	 * name of the information (e.g. "authors", "licence").
+	 * @type {Object}
+	 */
+	_sources: null,
+
 	/**
 	 * @return {string}
 	 */
@@ -111,6 +140,42 @@ var Asset = declare( null, {
 		return this._licence;
 	},
 
+	/**
+	 * @param {Licence[]} licences
+	 */
+	setCandidateLicences: function( licences ) {
+		this._candidateLicences = licences;
+	},
+
+	/**
+	 * @return {Licence[]}
+	 */
+	getCandidateLicences: function() {
+		return this._candidateLicences;
+	},
+
+	/**
+	 * Returns the least restrictive licence out of the candidate licences or the asset's licence
+	 * if there are no candidate licences. On equal restrictiveness, the candidate licence listed
+	 * first is preferred.
+	 *
+	 * @return {Licence|null}
+	 */
+	getRecommendedLicence: function() {
+		var recommended = null;
+
+		$.each( this._candidateLicences, function( i, licence ) {
+			if(
+				recommended === null
+				|| licence.getRestrictiveness() < recommended.getRestrictiveness()
+			) {
+				recommended = licence;
+			}
+		} );
+
+		return recommended || this._licence;
+	},
+
 	/**
 	 * @param {string} title
 	 *
@@ -186,6 +251,76 @@ var Asset = declare( null, {
 		return this._$attribution ? this._$attribution.clone() : null;
 	},
 
+	/**
+	 * @param {string|null} credit
+	 */
+	setCredit: function( credit ) {
+		this._credit = credit;
+	},
+
+	/**
+	 * @return {string|null}
+	 */
+	getCredit: function() {
+		return this._credit;
+	},
+
+	/**
+	 * @param {boolean|null} attributionRequired
+	 */
+	setAttributionRequired: function( attributionRequired ) {
+		this._attributionRequired = attributionRequired;
+	},
+
+	/**
+	 * @return {boolean|null}
+	 */
+	isAttributionRequired: function() {
+		return this._attributionRequired;
+	},
+
+	/**
+	 * Registers the source a specific piece of information has been gathered from.
+	 *
+	 * @param {string} name Name of the information, e.g. "authors"
+	 * @param {string} source Source identifier, e.g. "extmetadata"
+	 */
+	setSource: function( name, source ) {
+		this._sources[name] = source;
+	},
+
+	/**
+	 * Returns the identifier of the source a specific piece of information has been gathered from
+	 * or "null" if the source is unknown.
+	 *
+	 * @param {string} name
+	 * @return {string|null}
+	 */
+	getSource: function( name ) {
+		return this._sources[name] || null;
+	},
+
+	/**
+	 * @return {Object}
+	 */
+	getSources: function() {
+		return $.extend( {}, this._sources );
+	},
+
+	/**
+	 * Transfers the information not covered by the constructor parameters to another asset.
+	 *
+	 * @param {Asset} asset
+	 * @return {Asset}
+	 */
+	_transferSupplements: function( asset ) {
+		asset._credit = this._credit;
+		asset._attributionRequired = this._attributionRequired;
+		asset._sources = $.extend( {}, this._sources );
+		asset._candidateLicences = this._candidateLicences.slice();
+		return asset;
+	},
+
 	/**
 	 * Retrieves the asset's image information.
 	 *
@@ -253,7 +388,7 @@ Asset.extend( {
 	 * @return {Asset}
 	 */
 	clone: function() {
-		return new Asset(
+		return this._transferSupplements( new Asset(
 			this._filename,
 			this._mediaType,
 			this._licence,
@@ -262,7 +397,7 @@ Asset.extend( {
 			this._url,
 			this._$attribution,
 			this._api
-		);
+		) );
 	}
 } );
 
@@ -0,0 +1,183 @@
+/**
+ * @licence GNU GPL v3
+ * @author snater.com < wikimedia@snater.com >
+ */
+define( [
+	'jquery',
+	'dojo/_base/config',
+	'app/ApplicationError',
+	'app/Api',
+	'app/FlickrApi',
+	'app/InputHandler',
+	'app/NoApi',
+	'app/WebPageApi',
+	'app/WikiAsset'
+], function(
+	$,
+	config,
+	ApplicationError,
+	Api,
+	FlickrApi,
+	InputHandler,
+	NoApi,
+	WebPageApi,
+	WikiAsset
+) {
+'use strict';
+
+/**
+ * Resolves input (URLs) to Asset objects, choosing the API handler appropriate for the input.
+ * @constructor
+ */
+var AssetLoader = function() {};
+
+$.extend( AssetLoader.prototype, {
+	/**
+	 * Instantiates the API handler appropriate for a specific input. Flickr photos are retrieved
+	 * via the Flickr API only if an API key is configured. Other web pages than Wikimedia ones are
+	 * evaluated only if a proxy for retrieving web pages is configured.
+	 *
+	 * @param {string|jQuery.Event} input
+	 * @return {Api|FlickrApi|WebPageApi|NoApi}
+	 */
+	createApi: function( input ) {
+		if( FlickrApi.isFlickrUrl( input ) && config.custom.flickrApiKey ) {
+			return new FlickrApi();
+		} else if( !input.match( /wiki(m|p)edia\.org/ ) ) {
+			return config.custom.webPageProxy ? new WebPageApi() : new NoApi();
+		}
+		return new Api( '//commons.wikimedia.org/' );
+	},
+
+	/**
+	 * Retrieves the Asset object of a specific file and checks whether the asset is supported by
+	 * the application.
+	 *
+	 * @param {Api|FlickrApi|NoApi} api
+	 * @param {string} prefixedFilename
+	 * @param {string} [wikiUrl]
+	 * @return {Object} jQuery Promise
+	 *         Resolved parameters:
+	 *         - {Asset}
+	 *         Rejected parameters:
+	 *         - {ApplicationError}
+	 */
+	getAsset: function( api, prefixedFilename, wikiUrl ) {
+		var deferred = $.Deferred();
+
+		api.getAsset( prefixedFilename, wikiUrl )
+		.done( function( asset ) {
+			if( asset instanceof WikiAsset ) {
+				if( asset.getLicence().isInGroup( 'unsupported' ) ) {
+					deferred.reject( new ApplicationError( 'licence-unsupported' ) );
+					return;
+				} else if(
+					$.inArray( asset.getMediaType(), config.custom.supportedMediaTypes ) === -1
+				) {
+					deferred.reject( new ApplicationError( 'mediatype-unsupported' ) );
+					return;
+				}
+			}
+			deferred.resolve( asset );
+		} )
+		.fail( function( error ) {
+			deferred.reject( error );
+		} );
+
+		return deferred.promise();
+	},
+
+	/**
+	 * Resolves a single input to an Asset object. Wikipedia articles are rejected since they do
+	 * not refer to a particular asset.
+	 *
+	 * @param {string} input
+	 * @return {Object} jQuery Promise
+	 *         Resolved parameters:
+	 *         - {Asset}
+	 *         Rejected parameters:
+	 *         - {ApplicationError}
+	 */
+	fetchAsset: function( input ) {
+		var self = this,
+			deferred = $.Deferred(),
+			api = this.createApi( input );
+
+		new InputHandler( api ).getFilename( input )
+		.done( function( filenameOrImageInfos, wikiUrl ) {
+			if( typeof filenameOrImageInfos !== 'string' ) {
+				deferred.reject( new ApplicationError( 'batch-article-unsupported' ) );
+				return;
+			}
+
+			self.getAsset( api, filenameOrImageInfos, wikiUrl )
+			.done( function( asset ) {
+				deferred.resolve( asset );
+			} )
+			.fail( function( error ) {
+				deferred.reject( error );
+			} );
+		} )
+		.fail( function( error ) {
+			deferred.reject( error );
+		} );
+
+		return deferred.promise();
+	},
+
+	/**
+	 * Resolves a list of line-separated inputs to Asset objects one after another, ignoring empty
+	 * lines and duplicates.
+	 *
+	 * @param {string} input
+	 * @return {Object} jQuery Promise
+	 *         Resolved parameters:
+	 *         - {Asset[]}
+	 *         - {Object[]} Inputs that could not be processed, each featuring the properties
+	 *           "input" {string} and "error" {ApplicationError}
+	 */
+	fetchAssets: function( input ) {
+		var self = this,
+			deferred = $.Deferred(),
+			inputs = [],
+			assets = [],
+			failures = [];
+
+		$.each( input.split( '\n' ), function( i, line ) {
+			line = $.trim( line );
+			if( line !== '' && $.inArray( line, inputs ) === -1 ) {
+				inputs.push( line );
+			}
+		} );
+
+		/**
+		 * @param {number} index
+		 */
+		function fetch( index ) {
+			if( index === inputs.length ) {
+				deferred.resolve( assets, failures );
+				return;
+			}
+
+			self.fetchAsset( inputs[index] )
+			.done( function( asset ) {
+				assets.push( asset );
+			} )
+			.fail( function( error ) {
+				failures.push( { input: inputs[index], error: error } );
+			} )
+			.always( function() {
+				fetch( index + 1 );
+			} );
+		}
+
+		fetch( 0 );
+
+		return deferred.promise();
+	}
+
+} );
+
+return AssetLoader;
+
+} );
@@ -2,19 +2,37 @@
  * @licence GNU GPL v3
  * @author snater.com < wikimedia@snater.com >
  */
-define( ['jquery'], function( $ ) {
+define( [
+	'jquery',
+	'dojo/_base/config',
+	'app/ATTRIBUTION_LANGUAGES',
+	'app/locale',
+	'app/formatters/BBCode',
+	'app/formatters/LaTeX',
+	'app/formatters/Markdown',
+	'app/formatters/Wikitext'
+], function( $, config, ATTRIBUTION_LANGUAGES, locale, BBCode, LaTeX, Markdown, Wikitext ) {
 'use strict';
 
 /**
- * Generator for attribution texts.
+ * Generator for attribution texts. Attribution elements the rules of the asset's licence flag
+ * "omitted" are left out of the tag line (see Licence.getAttributionRules()).
  * @constructor
  *
  * @option {string|null} editor
  *         Editor of the asset.
  *         Default: null
  *
+ * @option {Object|null} modification
+ *         Structured statement of how the asset has been modified, featuring the properties
+ *         "types" {string[]} (see AttributionGenerator.MODIFICATION_TYPES), "combinedWith"
+ *         {string|null} (what the asset has been combined with), "editor" {string|null} (name
+ *         of the editor) and "url" {string|null} (link to the editor). Takes precedence over the
+ *         "editor" option.
+ *         Default: null
+ *
  * @option {string} format
- *         May either be "text" or "html".
+ *         May either be "text" or "html". For other markup languages, see format().
  *         Default: 'text'
  *
  * @option {boolean} licenceOnly
@@ -26,18 +44,54 @@ define( ['jquery'], function( $ ) {
  *         link, the plain licence name will be shown in any case.
  *         Default: true
  *
+ * @option {string} language
+ *         Code of the language the tag line is worded in (see app/ATTRIBUTION_LANGUAGES.js).
+ *         Default: AttributionGenerator.getDefaultLanguage()
+ *
+ * @option {boolean} fullLicenceName
+ *         Whether to show the full licence name in the output language, e.g. "Creative Commons
+ *         Namensnennung – Weitergabe unter gleichen Bedingungen 3.0 Unported", instead of the
+ *         short name, e.g. "CC BY-SA 3.0". Applies to Creative Commons licences only. In plain
+ *         text, the full name precedes the link to the licence.
+ *         Default: config.custom.fullLicenceName
+ *
+ * @option {Licence|null} adaptationLicence
+ *         Licence a modified version of the asset is licensed under if it differs from the
+ *         asset's licence. The tag line then credits the original under its licence and the
+ *         modified version under this licence.
+ *         Default: null
+ *
  * @param {Asset} asset
  * @param {Object} [options]
+ *
+ * @throws {Error} if the language is not supported.
  */
 var AttributionGenerator = function( asset, options ) {
 	this._asset = asset;
 
 	this._options = $.extend( {
 		editor: null,
+		modification: null,
 		format: 'text',
 		licenceOnly: false,
-		licenceLink: true
+		licenceLink: true,
+		language: AttributionGenerator.getDefaultLanguage(),
+		fullLicenceName: !!( config.custom && config.custom.fullLicenceName ),
+		adaptationLicence: null
 	}, options );
+
+	if( !ATTRIBUTION_LANGUAGES[this._options.language] ) {
+		throw new Error( 'Language ' + this._options.language + ' is not supported' );
+	}
+
+	if( this._options.modification ) {
+		this._options.modification = $.extend( {
+			types: [],
+			combinedWith: null,
+			editor: null,
+			url: null
+		}, this._options.modification );
+	}
 };
 
 $.extend( AttributionGenerator.prototype, {
@@ -84,7 +138,11 @@ $.extend( AttributionGenerator.prototype, {
 			mismatch = false;
 
 		$.each( this._options, function( k, v ) {
-			if( otherOptions[k] !== v ) {
+			// The modification statement is a plain object not shared among instances:
+			if( k === 'modification' && v && otherOptions[k] ) {
+				mismatch = JSON.stringify( v ) !== JSON.stringify( otherOptions[k] );
+				return !mismatch;
+			} else if( otherOptions[k] !== v ) {
 				mismatch = true;
 				return false;
 			}
@@ -102,57 +160,170 @@ $.extend( AttributionGenerator.prototype, {
 	 * @return {jQuery|null}
 	 */
 	generate: function( raw ) {
+		var $attribution = this._generate( raw ? 'text' : this._options.format );
+
+		if( !$attribution ) {
+			return null;
+		}
+
+		return raw ? $attribution.text() : $attribution;
+	},
+
+	/**
+	 * Generates the attribution tag line in a markup language. Returns "null" if the asset's
+	 * licence does not require a tag line.
+	 * @see AttributionGenerator.FORMATTERS
+	 *
+	 * @param {string} formatterId
+	 * @return {string|null}
+	 *
+	 * @throws {Error} if no formatter is registered for the specified id.
+	 */
+	format: function( formatterId ) {
+		var Formatter = AttributionGenerator.FORMATTERS[formatterId];
+
+		if( !Formatter ) {
+			throw new Error( 'No formatter registered for ' + formatterId );
+		}
+
+		var $attribution = this._generate( 'html' );
+
+		return $attribution ? new Formatter().format( $attribution ) : null;
+	},
+
+	/**
+	 * Generates the attribution tag line DOM. Returns "null" if the asset's licence does not
+	 * require a tag line.
+	 *
+	 * @param {string} format
+	 * @return {jQuery|null}
+	 */
+	_generate: function( format ) {
 		var licenceId = this._asset.getLicence().getId();
 
 		if( licenceId === 'PD' || licenceId === 'cc-zero' ) {
 			return null;
 		}
 
-		var format = raw ? 'text' : this._options.format,
+		var wording = ATTRIBUTION_LANGUAGES[this._options.language],
 			$attribution = $( '<div/>' ).addClass( 'attribution' ),
-			$licence = this._generateLicence( format, this._options.licenceLink );
-
-		if( !this._options.licenceOnly ) {
-			var $author = this._generateAuthor( format ),
-				$title = this._generateTitle( format ),
-				$editor = this._generateEditor();
+			$licence = this._generateLicence(
+				format,
+				this._options.licenceLink,
+				this._options.licenceOnly ? '{{name}}' : wording.licence
+			);
 
-			$attribution
-			.append( $author );
+		if( this._options.licenceOnly ) {
+			return $attribution.append( $licence );
+		}
 
-			if( format === 'text' && this._asset.getUrl() ) {
-				$attribution
+		var elements = this._asset.getLicence().getAttributionRules().elements,
+			linked = elements.url !== 'omitted',
+			$author = elements.author !== 'omitted' ? this._generateAuthor( format ) : $(),
+			nodes = {
+				author: $author,
+				title: this._generateTitle( format, linked, elements.title === 'omitted' ),
+				editor: elements.editor !== 'omitted' ? this._generateEditor( format ) : $(),
+				licence: elements.licence !== 'omitted' ? $licence : $(),
+				adaptation: this._generateAdaptation( format )
+			},
+			firstPart = true;
+
+		if( format === 'text' && linked && this._asset.getUrl() ) {
+			nodes.author = $( '<span/>' )
+				.append( typeof $author === 'string' ? document.createTextNode( $author ) : $author )
 				.append( document.createTextNode( ' ' ) )
 				.append( $( '<span/>' ).addClass( 'attribution-url' )
 					.append( document.createTextNode( '(' ) )
 					.append( document.createTextNode( this._asset.getUrl() ) )
 					.append( document.createTextNode( ')' ) )
-				);
-			}
+				)
+				.contents();
+		}
 
-			$attribution
-			.append( document.createTextNode( ', ' ) )
-			.append( $title );
+		for( var i = 0; i < wording.parts.length; i++ ) {
+			var $part = this._fillPart( wording.parts[i], nodes );
 
-			if( this._options.editor ) {
-				$attribution
-				.append( document.createTextNode( ', ' ) )
-				.append( $editor );
+			if( !$part ) {
+				continue;
 			}
 
-			$attribution.append( document.createTextNode( ', ' ) );
+			if( !firstPart ) {
+				$attribution.append( document.createTextNode( wording.separator ) );
+			}
+
+			$attribution.append( $part );
+			firstPart = false;
 		}
 
-		$attribution.append( $licence );
+		return $attribution;
+	},
 
-		return raw ? $attribution.text() : $attribution;
+	/**
+	 * Fills a part of the tag line layout. A part may be a list of alternative templates of which
+	 * the first template whose placeholders all resolve is applied, the last template serving as
+	 * fallback.
+	 *
+	 * @param {string|string[]} part
+	 * @param {Object} nodes DOM (jQuery, DOM node or plain text) indexed by placeholder name.
+	 * @return {jQuery|null}
+	 */
+	_fillPart: function( part, nodes ) {
+		var templates = $.isArray( part ) ? part : [part];
+
+		for( var i = 0; i < templates.length - 1; i++ ) {
+			var $part = this._fillTemplate( templates[i], nodes, true );
+			if( $part ) {
+				return $part;
+			}
+		}
+
+		return this._fillTemplate( templates[templates.length - 1], nodes );
+	},
+
+	/**
+	 * Replaces the placeholders of a template with DOM nodes. Returns "null" if none of the
+	 * placeholders resolves to any node.
+	 *
+	 * @param {string} template
+	 * @param {Object} nodes DOM (jQuery, DOM node or plain text) indexed by placeholder name.
+	 * @param {boolean} [complete] Whether to return "null" unless all placeholders resolve.
+	 * @return {jQuery|null}
+	 */
+	_fillTemplate: function( template, nodes, complete ) {
+		var segments = template.split( /\{\{(\w+)\}\}/ ),
+			domNodes = [],
+			resolved = false;
+
+		// Odd segments are placeholder names:
+		for( var i = 0; i < segments.length; i++ ) {
+			if( i % 2 === 0 ) {
+				if( segments[i] !== '' ) {
+					domNodes.push( document.createTextNode( segments[i] ) );
+				}
+				continue;
+			}
+
+			var $node = typeof nodes[segments[i]] === 'string'
+				? $( document.createTextNode( nodes[segments[i]] ) )
+				: $( nodes[segments[i]] );
+
+			if( $node.length ) {
+				domNodes = domNodes.concat( $node.get() );
+				resolved = true;
+			} else if( complete ) {
+				return null;
+			}
+		}
+
+		return resolved ? $( domNodes ) : null;
 	},
 
 	/**
 	 * Generates the author(s) DOM to be used in the tag line.
 	 *
 	 * @param {string} format
-	 * @return {jQuery}
+	 * @return {jQuery|string}
 	 */
 	_generateAuthor: function( format ) {
 		// Prefer attribution over author:
@@ -178,42 +349,128 @@ $.extend( AttributionGenerator.prototype, {
 	},
 
 	/**
-	 * Generates the licence DOM to be used in the tag line.
+	 * Generates the licence DOM to be used in the tag line. The licence name (or link) is embedded
+	 * into the licence's output template, e.g. to render the attribution statement prescribed by
+	 * the Open Government Licence. Licences without an output template of their own are embedded
+	 * into the wording of the output language.
 	 *
 	 * @param {string} format
 	 * @param {boolean} licenceLink
+	 * @param {string} wording Template the licence name is embedded into.
+	 * @param {Licence} [licence] Default: the asset's licence
 	 * @return {jQuery}
 	 */
-	_generateLicence: function( format, licenceLink ) {
-		var licence = this._asset.getLicence(),
-			$licence = $( '<span/>' ).addClass( 'attribution-licence' );
+	_generateLicence: function( format, licenceLink, wording, licence ) {
+		licence = licence || this._asset.getLicence();
+
+		var language = ATTRIBUTION_LANGUAGES[this._options.language],
+			fullName = this._getFullLicenceName( licence ),
+			showFullName = this._options.fullLicenceName && !!fullName,
+			name = showFullName
+				? fullName
+				: language.licences[licence.getId()] || licence.getName(),
+			$licence = $( '<span/>' ).addClass( 'attribution-licence' ),
+			$name;
 
 		if( !licenceLink || !licence.getUrl() ) {
-			return $licence.text( licence.getName() );
+			$name = document.createTextNode( name );
+		} else if( format === 'html' ) {
+			$name = $( '<a/>' ).attr( 'href', licence.getUrl() ).text( name );
+
+			if( fullName && !showFullName ) {
+				$name.attr( 'title', fullName );
+			}
+		} else if( showFullName ) {
+			$name = document.createTextNode( name + ' (' + licence.getUrl() + ')' );
+		} else {
+			$name = document.createTextNode( licence.getUrl() );
 		}
 
-		if( format === 'html' ) {
-			$licence.append(
-				$( '<a/>' ).attr( 'href', licence.getUrl() ).text( licence.getName() )
-			);
+		return $licence.append(
+			this._fillTemplate( licence.getOutputTemplate() || wording, { name: $name } )
+		);
+	},
+
+	/**
+	 * Generates the DOM referencing the licence of a modified version of the asset. If no licence
+	 * differing from the asset's licence is specified, an empty jQuery object is returned.
+	 *
+	 * @param {string} format
+	 * @return {jQuery}
+	 */
+	_generateAdaptation: function( format ) {
+		var licence = this._options.adaptationLicence;
+
+		if( !licence || licence === this._asset.getLicence() ) {
+			return $();
+		}
+
+		return $( '<span/>' ).addClass( 'attribution-adaptation' ).append(
+			this._generateLicence(
+				format,
+				this._options.licenceLink,
+				ATTRIBUTION_LANGUAGES[this._options.language].adaptation,
+				licence
+			).contents()
+		);
+	},
+
+	/**
+	 * Returns the full name of a Creative Commons licence in the output language, e.g.
+	 * "Creative Commons Namensnennung – Weitergabe unter gleichen Bedingungen 3.0 Unported".
+	 * Returns "null" for other licences.
+	 *
+	 * @param {Licence} licence
+	 * @return {string|null}
+	 */
+	_getFullLicenceName: function( licence ) {
+		var language = ATTRIBUTION_LANGUAGES[this._options.language],
+			matches = /^cc-(by(?:-nc)?(?:-sa|-nd)?)-(\d\.\d)(?:-([a-z]+))?$/.exec( licence.getId() );
+
+		if( !matches || !language.ccTypes[matches[1]] ) {
+			return null;
+		}
+
+		var version = matches[2],
+			port = matches[3];
+
+		if( !port ) {
+			port = language.ccGenericPorts[version === '4.0' ? 2 : version === '3.0' ? 1 : 0];
+		} else if( port.length === 2 ) {
+			port = port.toUpperCase();
 		} else {
-			$licence.text( licence.getUrl() );
+			port = port.charAt( 0 ).toUpperCase() + port.substr( 1 );
 		}
 
-		return $licence;
+		return 'Creative Commons ' + language.ccTypes[matches[1]] + ' ' + version + ' ' + port;
 	},
 
 	/**
-	 * Generates the asset title DOM to be used in the tag line.
+	 * Generates the asset title DOM to be used in the tag line. If the asset has no title or the
+	 * title is to be omitted, an empty jQuery object is returned, unless the HTML tag line needs to
+	 * link to the asset in which case the link is featured on its own.
 	 *
+	 * @param {string} format
+	 * @param {boolean} linked Whether to link the title to the asset.
+	 * @param {boolean} omitted Whether the title is to be omitted.
 	 * @return {jQuery}
 	 */
-	_generateTitle: function( format ) {
-		var title = '„' + this._asset.getTitle() + '“',
-		$title = $( '<span/>' ).addClass( 'attribution-title' );
+	_generateTitle: function( format, linked, omitted ) {
+		var quotes = ATTRIBUTION_LANGUAGES[this._options.language].quotes,
+			title = omitted ? '' : this._asset.getTitle(),
+			url = this._asset.getUrl(),
+			$title = $( '<span/>' ).addClass( 'attribution-title' );
+
+		if( title ) {
+			title = quotes[0] + title + quotes[1];
+		} else if( format === 'html' && linked && url ) {
+			title = url;
+		} else {
+			return $();
+		}
 
-		if( format === 'html' ) {
-			$title.append( $( '<a/>' ).attr( 'href', this._asset.getUrl() ).text( title ) );
+		if( format === 'html' && linked ) {
+			$title.append( $( '<a/>' ).attr( 'href', url ).text( title ) );
 		} else {
 			$title.text( title );
 		}
@@ -225,21 +482,103 @@ $.extend( AttributionGenerator.prototype, {
 	 * Generates the editor DOM to be use in the tag line. If no editor is specified, an empty
 	 * jQuery object will be returned.
 	 *
+	 * @param {string} format
 	 * @return {jQuery}
 	 */
-	_generateEditor: function() {
+	_generateEditor: function( format ) {
 		var editor = this._options.editor,
 			$editor = $();
 
-		if( editor ) {
+		if( this._options.modification ) {
+			$editor = $( '<span/>' ).addClass( 'attribution-editor' )
+				.append( this._generateModification( format ) );
+		} else if( editor ) {
 			$editor = $( '<span/>' ).addClass( 'attribution-editor' ).text( editor );
 		}
 
 		return $editor;
+	},
+
+	/**
+	 * Generates the modification clause, e.g. "cropped and retouched by Editor", from the
+	 * structured modification statement.
+	 *
+	 * @param {string} format
+	 * @return {jQuery}
+	 */
+	_generateModification: function( format ) {
+		var modification = this._options.modification,
+			wording = ATTRIBUTION_LANGUAGES[this._options.language],
+			modifications = $.map( modification.types, function( type ) {
+				return wording.modifications[type];
+			} ),
+			$editor = $();
+
+		if( modification.combinedWith ) {
+			modifications.push( wording.modifications.combined.replace( '{{work}}', function() {
+				return modification.combinedWith;
+			} ) );
+		}
+
+		if( !modifications.length ) {
+			modifications.push( wording.modifications.modified );
+		}
+
+		var list = modifications.pop();
+
+		if( modifications.length ) {
+			list = modifications.join( wording.separator ) + wording.conjunction + list;
+		}
+
+		if( modification.editor && modification.url && format === 'html' ) {
+			$editor = $( '<a/>' ).attr( 'href', modification.url ).text( modification.editor );
+		} else if( modification.editor && modification.url ) {
+			$editor = $( document.createTextNode(
+				modification.editor + ' (' + modification.url + ')'
+			) );
+		} else if( modification.editor ) {
+			$editor = $( document.createTextNode( modification.editor ) );
+		}
+
+		return this._fillTemplate(
+			modification.editor ? wording.modification : '{{modifications}}',
+			{ modifications: list, editor: $editor }
+		);
 	}
 
 } );
 
+/**
+ * Returns the code of the language attribution tag lines are worded in by default, which is the
+ * output language chosen by the user (config.custom.outputLanguage) or, if none has been chosen,
+ * the language of the user interface.
+ *
+ * @return {string}
+ */
+AttributionGenerator.getDefaultLanguage = function() {
+	var language = config.custom && config.custom.outputLanguage;
+	return ATTRIBUTION_LANGUAGES[language] ? language : locale.getLanguage();
+};
+
+/**
+ * Types of modifications a modification statement may feature (see the "modification" option).
+ * Each type needs to be worded in app/ATTRIBUTION_LANGUAGES.js.
+ * @type {string[]}
+ */
+AttributionGenerator.MODIFICATION_TYPES = ['cropped', 'colourAdjusted', 'translated', 'retouched'];
+
+/**
+ * Formatters converting the attribution to markup languages, indexed by formatter id.
+ * Additional formatters may be registered by adding a Formatter constructor.
+ * @type {Object}
+ */
+AttributionGenerator.FORMATTERS = {
+	markdown: Markdown,
+	wikitext: Wikitext,
+	bbcode: BBCode,
+	latex: LaTeX
+};
+
 return AttributionGenerator;
 
 } );
@@ -0,0 +1,209 @@
+/**
+ * @licence GNU GPL v3
+ * @author snater.com < wikimedia@snater.com >
+ */
+define( ['jquery'], function( $ ) {
+'use strict';
+
+/**
+ * Persistent history of the attributions generated, kept in the browser's local storage. An entry
+ * features the properties:
+ * - {number} id Unique identifier.
+ * - {number} timestamp Time the attribution has been generated at (in milliseconds).
+ * - {string} url URL of the asset.
+ * - {string} title Title of the asset.
+ * - {string} licence Id of the asset's licence.
+ * - {string} licenceName
+ * - {string} text Attribution as plain text.
+ * - {string} html Attribution as HTML.
+ * - {string[]} path Ids of the questionnaire pages visited.
+ * - {Object} answers Questionnaire answers indexed by page and answer id.
+ * - {string} session Serialized session (see Session.toString()) allowing to re-open the entry.
+ * @constructor
+ *
+ * @param {Object} [storage] Object implementing the Web Storage interface.
+ *        Default: window.localStorage
+ */
+var AttributionHistory = function( storage ) {
+	if( storage ) {
+		this._storage = storage;
+		return;
+	}
+
+	try {
+		this._storage = window.localStorage || null;
+	} catch( e ) {
+		// Local storage is not available (e.g. disabled by the user), the history stays empty.
+		this._storage = null;
+	}
+};
+
+$.extend( AttributionHistory.prototype, {
+	/**
+	 * @type {Object|null}
+	 */
+	_storage: null,
+
+	/**
+	 * Returns all entries, the latest entry first.
+	 *
+	 * @return {Object[]}
+	 */
+	getEntries: function() {
+		var entries = null;
+
+		if( !this._storage ) {
+			return [];
+		}
+
+		try {
+			entries = JSON.parse( this._storage.getItem( AttributionHistory.STORAGE_KEY ) );
+		} catch( e ) {
+			// Corrupted storage entry, treat the history as empty.
+		}
+
+		return $.isArray( entries ) ? entries : [];
+	},
+
+	/**
+	 * Returns a specific entry or "null" if there is no entry with the specified id.
+	 *
+	 * @param {number} id
+	 * @return {Object|null}
+	 */
+	getEntry: function( id ) {
+		var entries = this.getEntries();
+
+		for( var i = 0; i < entries.length; i++ ) {
+			if( entries[i].id === id ) {
+				return entries[i];
+			}
+		}
+
+		return null;
+	},
+
+	/**
+	 * Adds an entry to the history. An existing entry referring to the same session is replaced.
+	 * If the history exceeds AttributionHistory.LIMIT entries, the oldest entries are dropped.
+	 *
+	 * @param {Object} entry Entry without "id" and "timestamp".
+	 * @return {Object} The entry added.
+	 */
+	add: function( entry ) {
+		var timestamp = new Date().getTime(),
+			entries = $.grep( this.getEntries(), function( existingEntry ) {
+				return existingEntry.session !== entry.session;
+			} );
+
+		entry = $.extend( {}, entry, {
+			id: entries.length && entries[0].id >= timestamp ? entries[0].id + 1 : timestamp,
+			timestamp: timestamp
+		} );
+
+		entries.unshift( entry );
+
+		this._save( entries.slice( 0, AttributionHistory.LIMIT ) );
+
+		return entry;
+	},
+
+	/**
+	 * Removes an entry from the history.
+	 *
+	 * @param {number} id
+	 */
+	remove: function( id ) {
+		this._save( $.grep( this.getEntries(), function( entry ) {
+			return entry.id !== id;
+		} ) );
+	},
+
+	/**
+	 * Returns the entries whose URL, title, licence or attribution text contains a search string.
+	 * The search is case-insensitive.
+	 *
+	 * @param {string} query
+	 * @return {Object[]}
+	 */
+	search: function( query ) {
+		query = $.trim( query || '' ).toLowerCase();
+
+		if( query === '' ) {
+			return this.getEntries();
+		}
+
+		return $.grep( this.getEntries(), function( entry ) {
+			return [entry.url, entry.title, entry.licenceName, entry.text]
+				.join( '\n' ).toLowerCase().indexOf( query ) !== -1;
+		} );
+	},
+
+	/**
+	 * Exports the history as JSON.
+	 *
+	 * @return {string}
+	 */
+	toJson: function() {
+		return JSON.stringify( this.getEntries(), null, '\t' );
+	},
+
+	/**
+	 * Exports the history as CSV (RFC 4180) featuring one entry per row.
+	 *
+	 * @return {string}
+	 */
+	toCsv: function() {
+		var rows = [['date', 'url', 'title', 'licence', 'text', 'html']];
+
+		$.each( this.getEntries(), function( i, entry ) {
+			rows.push( [
+				new Date( entry.timestamp ).toISOString(),
+				entry.url,
+				entry.title,
+				entry.licenceName,
+				entry.text,
+				entry.html
+			] );
+		} );
+
+		return $.map( rows, function( row ) {
+			return $.map( row, function( value ) {
+				return '"' + String( value === undefined || value === null ? '' : value )
+					.replace( /"/g, '""' ) + '"';
+			} ).join( ',' );
+		} ).join( '\r\n' );
+	},
+
+	/**
+	 * @param {Object[]} entries
+	 */
+	_save: function( entries ) {
+		if( !this._storage ) {
+			return;
+		}
+
+		try {
+			this._storage.setItem( AttributionHistory.STORAGE_KEY, JSON.stringify( entries ) );
+		} catch( e ) {
+			// Storage quota exceeded, the history is not updated.
+		}
+	}
+
+} );
+
+/**
+ * Key of the local storage entry the history is stored in.
+ * @type {string}
+ */
+AttributionHistory.STORAGE_KEY = 'history';
+
+/**
+ * Maximum number of entries kept in the history.
+ * @type {number}
+ */
+AttributionHistory.LIMIT = 500;
+
+return AttributionHistory;
+
+} );
@@ -0,0 +1,404 @@
+/**
+ * @licence GNU GPL v3
+ * @author snater.com < wikimedia@snater.com >
+ */
+define( [
+	'jquery',
+	'app/QuestionnaireState',
+	'dojo/_base/config',
+	'dojo/i18n!./nls/BatchList'
+], function( $, QuestionnaireState, config, messages ) {
+'use strict';
+
+/**
+ * Questionnaire pages whose answers refer to a particular asset and, therefore, must not be
+ * applied to other assets.
+ * @type {string[]}
+ */
+var ASSET_SPECIFIC_PAGES = [
+	'choose-licence', '2', '9', '10', '11', 'form-author', 'form-title', 'form-url'
+];
+
+/**
+ * Renderer for a list of assets attributed at once. The answers given in the questionnaire are
+ * shared among all assets while information that could not be gathered for a particular asset
+ * (author, title, URL, licence) may be specified per asset. The questionnaire flow is evaluated
+ * per asset, so assets whose licence requires answers not given are flagged.
+ * @constructor
+ *
+ * @param {jQuery} $node
+ * @param {Asset[]} assets
+ * @param {Object[]} [failures] Inputs that could not be resolved to an asset, each featuring the
+ *        properties "input" {string} and "error" {ApplicationError}.
+ *
+ * @throws {Error} if a required parameter is not defined.
+ */
+var BatchList = function( $node, assets, failures ) {
+	if( !$node || !$.isArray( assets ) ) {
+		throw new Error( 'Required parameters are not properly defined' );
+	}
+
+	this._$node = $node.addClass( 'batchlist' );
+	this._entries = [];
+
+	for( var i = 0; i < assets.length; i++ ) {
+		this._entries.push( {
+			asset: assets[i],
+			answers: {},
+			$node: null
+		} );
+	}
+
+	this._render( failures || [] );
+};
+
+$.extend( BatchList.prototype, {
+	/**
+	 * @type {jQuery}
+	 */
+	_$node: null,
+
+	/**
+	 * The list's entries, each featuring the properties "asset" {Asset}, "answers" {Object} (the
+	 * asset specific answers indexed by page) and "$node" {jQuery}.
+	 * @type {Object[]}
+	 */
+	_entries: null,
+
+	/**
+	 * State of the questionnaire whose answers are shared among all assets.
+	 * @type {QuestionnaireState|null}
+	 */
+	_sharedState: null,
+
+	/**
+	 * Ids of the pages the shared questionnaire has been navigated along.
+	 * @type {string[]}
+	 */
+	_sharedPath: null,
+
+	/**
+	 * Renders the list.
+	 *
+	 * @param {Object[]} failures
+	 */
+	_render: function( failures ) {
+		var $entries = $( '<ol/>' ).addClass( 'batchlist-entries' );
+
+		this._$node.empty().append( $( '<h2/>' ).text( messages['attributions'] ) );
+
+		if( failures.length ) {
+			var $failures = $( '<ul/>' ).addClass( 'batchlist-failures error' );
+
+			for( var i = 0; i < failures.length; i++ ) {
+				$failures.append( $( '<li/>' ).text(
+					failures[i].input + ': ' + failures[i].error.getMessage()
+				) );
+			}
+
+			this._$node
+			.append( $( '<p/>' ).text( messages['inputs not processed'] ) )
+			.append( $failures );
+		}
+
+		for( var j = 0; j < this._entries.length; j++ ) {
+			this._entries[j].$node = this._createEntryNode( this._entries[j] );
+			$entries.append( this._entries[j].$node );
+		}
+
+		this._$node
+		.append( $entries )
+		.append(
+			$( '<label/>' )
+			.attr( 'for', 'batchlist-text' )
+			.text( messages['all attributions as plain text'] )
+		)
+		.append(
+			$( '<textarea rows="6" cols="40"/>' )
+			.attr( 'id', 'batchlist-text' )
+			.prop( 'readonly', true )
+		);
+
+		this.update( this._sharedState, this._sharedPath );
+	},
+
+	/**
+	 * Creates the DOM of a single entry including input elements for the information that could
+	 * not be gathered for the entry's asset.
+	 *
+	 * @param {Object} entry
+	 * @return {jQuery}
+	 */
+	_createEntryNode: function( entry ) {
+		var self = this,
+			asset = entry.asset,
+			$inputs = $( '<div/>' ).addClass( 'batchlist-entry-inputs' );
+
+		/**
+		 * @param {string} page
+		 * @param {string} label
+		 */
+		function addTextInput( page, label ) {
+			$inputs.append(
+				$( '<input type="text"/>' )
+				.addClass( 'batchlist-entry-input-' + page )
+				.attr( 'placeholder', label )
+				.on( 'keyup change', function() {
+					entry.answers[page] = $.trim( $( this ).val() );
+					self._updateEntry( entry );
+					self._updateText();
+				} )
+			);
+		}
+
+		if( !asset.getLicence() ) {
+			$inputs.append( this._createLicenceSelect( entry ) );
+		} else if( asset.getCandidateLicences().length > 1 ) {
+			$inputs.append( this._createCandidateLicenceSelect( entry ) );
+		}
+		if( !asset.getAuthors().length ) {
+			addTextInput( 'form-author', messages['author'] );
+		}
+		if( !asset.getTitle() ) {
+			addTextInput( 'form-title', messages['title'] );
+		}
+		if( !asset.getUrl() ) {
+			addTextInput( 'form-url', messages['url'] );
+		}
+
+		return $( '<li/>' ).addClass( 'batchlist-entry' )
+			.append( $( '<div/>' ).addClass( 'batchlist-entry-filename' )
+				.text( asset.getFilename() ) )
+			.append( $inputs )
+			.append( $( '<div/>' ).addClass( 'batchlist-entry-attribution' ) );
+	},
+
+	/**
+	 * Creates a drop-down list for selecting the licence of an entry's asset the licence could not
+	 * be detected for.
+	 *
+	 * @param {Object} entry
+	 * @return {jQuery}
+	 */
+	_createLicenceSelect: function( entry ) {
+		var self = this,
+			licences = config.custom.licenceStore.getLicences(),
+			$select = $( '<select/>' ).addClass( 'batchlist-entry-input-licence' )
+				.append( $( '<option/>' ).attr( 'value', '' ).text( messages['choose licence'] ) );
+
+		for( var i = 0; i < licences.length; i++ ) {
+			var licence = licences[i];
+
+			if(
+				licence.isAbstract()
+				|| licence.isInGroup( 'unsupported' )
+				|| licence.isInGroup( 'unknown' )
+			) {
+				continue;
+			}
+
+			$select.append(
+				$( '<option/>' ).attr( 'value', licence.getId() ).text( licence.getName() )
+			);
+		}
+
+		return $select.on( 'change', function() {
+			entry.answers['2'] = $select.val();
+			self._updateEntry( entry );
+			self._updateText();
+		} );
+	},
+
+	/**
+	 * Creates a drop-down list for choosing among the licences a multi-licensed asset is available
+	 * under. The recommended licence is preselected.
+	 *
+	 * @param {Object} entry
+	 * @return {jQuery}
+	 */
+	_createCandidateLicenceSelect: function( entry ) {
+		var self = this,
+			recommended = entry.asset.getRecommendedLicence(),
+			$select = $( '<select/>' ).addClass( 'batchlist-entry-input-licence' );
+
+		$.each( entry.asset.getCandidateLicences(), function( i, licence ) {
+			$select.append(
+				$( '<option/>' ).attr( 'value', licence.getId() ).text( licence.getName() )
+			);
+		} );
+
+		entry.answers['choose-licence'] = recommended.getId();
+
+		return $select.val( recommended.getId() ).on( 'change', function() {
+			entry.answers['choose-licence'] = $select.val();
+			self._updateEntry( entry );
+			self._updateText();
+		} );
+	},
+
+	/**
+	 * Updates all attributions according to a questionnaire state whose answers shall be applied
+	 * to all assets.
+	 *
+	 * @param {QuestionnaireState|null} sharedState
+	 * @param {string[]} [sharedPath] Ids of the pages the shared questionnaire has been navigated
+	 *        along.
+	 */
+	update: function( sharedState, sharedPath ) {
+		this._sharedState = sharedState;
+		this._sharedPath = sharedPath || [];
+
+		for( var i = 0; i < this._entries.length; i++ ) {
+			this._updateEntry( this._entries[i] );
+		}
+
+		this._updateText();
+	},
+
+	/**
+	 * Creates the questionnaire state of a specific entry by combining the shared answers with the
+	 * entry's asset specific answers.
+	 *
+	 * @param {Object} entry
+	 * @return {QuestionnaireState}
+	 */
+	_createState: function( entry ) {
+		var state = new QuestionnaireState( 'batch', entry.asset, this._sharedState || undefined );
+
+		for( var i = 0; i < ASSET_SPECIFIC_PAGES.length; i++ ) {
+			state.deleteAnswers( ASSET_SPECIFIC_PAGES[i] );
+		}
+
+		$.each( entry.answers, function( page, value ) {
+			if( value ) {
+				state.setValue( page, 1, value );
+			}
+		} );
+
+		return state;
+	},
+
+	/**
+	 * Checks whether evaluating the questionnaire flow for a specific entry leads to pages the
+	 * shared questionnaire has not been navigated to, e.g. to the question about commercial use
+	 * when the shared questionnaire is answered for an asset that may be used commercially.
+	 *
+	 * @param {QuestionnaireState} state
+	 * @return {boolean}
+	 */
+	_requiresOtherAnswers: function( state ) {
+		var self = this,
+			flow = state.getFlow(),
+			requiresOtherAnswers = false;
+
+		if( !this._sharedState ) {
+			return false;
+		}
+
+		$.each( this._sharedState.getAnswers(), function( pageId, answers ) {
+			if( $.inArray( pageId, ASSET_SPECIFIC_PAGES ) !== -1 ) {
+				return;
+			}
+
+			$.each( answers, function( answerId ) {
+				var target = flow.getTarget( pageId, answerId, state );
+
+				if(
+					target !== null
+					&& target !== flow.getTarget( pageId, answerId, self._sharedState )
+					&& $.inArray( target, self._sharedPath ) === -1
+					&& !flow.getPage( target ).final
+				) {
+					requiresOtherAnswers = true;
+				}
+			} );
+		} );
+
+		return requiresOtherAnswers;
+	},
+
+	/**
+	 * Returns the notice to display instead of the attribution of an entry the shared answers
+	 * cannot be applied to or "null" if the attribution may be generated.
+	 *
+	 * @param {QuestionnaireState} state
+	 * @return {string|null}
+	 */
+	_getNotice: function( state ) {
+		if( this._requiresOtherAnswers( state ) ) {
+			return messages['different questions'];
+		}
+
+		var result = state.getResult(),
+			adaptationLicence = result.adaptationLicence
+				? config.custom.licenceStore.getLicence( result.adaptationLicence )
+				: null;
+
+		// The licence chosen for the adaptation is shared, so check it against each licence:
+		if(
+			result.licenceConflict
+			|| adaptationLicence
+			&& !result.asset.getLicence().permitsAdaptationUnder( adaptationLicence )
+		) {
+			return messages['licence conflict'];
+		}
+
+		return null;
+	},
+
+	/**
+	 * Regenerates the attribution of a specific entry.
+	 *
+	 * @param {Object} entry
+	 */
+	_updateEntry: function( entry ) {
+		var state = this._createState( entry ),
+			notice = this._getNotice( state ),
+			$attribution = notice === null ? state.getAttributionGenerator().generate() : null;
+
+		entry.$node.find( '.batchlist-entry-attribution' ).empty().append(
+			$attribution
+				|| document.createTextNode( notice || messages['no attribution required'] )
+		);
+	},
+
+	/**
+	 * Updates the plain text containing all attributions.
+	 */
+	_updateText: function() {
+		var lines = [];
+
+		for( var i = 0; i < this._entries.length; i++ ) {
+			var entry = this._entries[i],
+				state = this._createState( entry ),
+				notice = this._getNotice( state ),
+				text = notice === null ? state.getAttributionGenerator().generate( true ) : null;
+
+			lines.push( entry.asset.getFilename() + ': '
+				+ ( text || notice || messages['no attribution required'] ) );
+		}
+
+		this._$node.find( '#batchlist-text' ).val( lines.join( '\n' ) );
+	},
+
+	/**
+	 * Returns the inputs the list's assets may be retrieved with.
+	 *
+	 * @return {string[]}
+	 */
+	getInputs: function() {
+		var inputs = [];
+
+		for( var i = 0; i < this._entries.length; i++ ) {
+			var asset = this._entries[i].asset;
+			inputs.push( asset.getUrl() || asset.getFilename() );
+		}
+
+		return inputs;
+	}
+
+} );
+
+return BatchList;
+
+} );
@@ -0,0 +1,249 @@
+/**
+ * @licence GNU GPL v3
+ * @author snater.com < wikimedia@snater.com >
+ */
+define( [
+	'jquery',
+	'dojo/_base/config',
+	'dojo/i18n!./nls/CombinationPage',
+	'app/ApplicationError',
+	'app/AssetLoader',
+	'app/LicenceCompatibility'
+], function( $, config, messages, ApplicationError, AssetLoader, LicenceCompatibility ) {
+'use strict';
+
+/**
+ * Renderer of the tool checking whether and under which licences several works may be combined
+ * into a single work, e.g. a collage.
+ * @constructor
+ *
+ * @param {jQuery} $node
+ * @param {AssetLoader} [assetLoader]
+ *        Default: new AssetLoader()
+ * @param {LicenceCompatibility} [compatibility]
+ *        Default: new LicenceCompatibility()
+ *
+ * @throws {Error} if a required parameter is not defined.
+ */
+var CombinationPage = function( $node, assetLoader, compatibility ) {
+	if( !$node ) {
+		throw new Error( 'Required parameter(s) not defined' );
+	}
+
+	this._$node = $node.addClass( 'combinationpage' );
+	this._assetLoader = assetLoader || new AssetLoader();
+	this._compatibility = compatibility || new LicenceCompatibility();
+
+	this._render();
+};
+
+$.extend( CombinationPage.prototype, {
+	/**
+	 * @type {jQuery}
+	 */
+	_$node: null,
+
+	/**
+	 * @type {AssetLoader}
+	 */
+	_assetLoader: null,
+
+	/**
+	 * @type {LicenceCompatibility}
+	 */
+	_compatibility: null,
+
+	/**
+	 * @type {jQuery|null}
+	 */
+	_$input: null,
+
+	/**
+	 * @type {jQuery|null}
+	 */
+	_$result: null,
+
+	/**
+	 * Renders the page.
+	 */
+	_render: function() {
+		var self = this;
+
+		this._$input = $( '<textarea/>' )
+			.addClass( 'combinationpage-input' )
+			.attr( 'rows', 5 )
+			.attr( 'placeholder', messages['input placeholder'] );
+
+		this._$result = $( '<div/>' ).addClass( 'combinationpage-result' );
+
+		this._$node
+		.empty()
+		.append( $( '<h1/>' ).text( messages['combine works'] ) )
+		.append( $( '<p/>' ).text( messages['combine works-description'] ) )
+		.append( this._$input )
+		.append( $( '<div/>' ).addClass( 'combinationpage-toolbar' )
+			.append( $( '<a/>' ).addClass( 'button combinationpage-submit' )
+				.text( messages['check'] )
+				.on( 'click', function() {
+					self._submit();
+				} )
+			)
+		)
+		.append( this._$result );
+	},
+
+	/**
+	 * Retrieves the assets referred to by the input and renders the result of combining them.
+	 */
+	_submit: function() {
+		var self = this;
+
+		if( $.trim( this._$input.val() ) === '' ) {
+			this._renderError( new ApplicationError( 'input-invalid' ) );
+			return;
+		}
+
+		this._$input.addClass( 'loading' );
+
+		this._assetLoader.fetchAssets( this._$input.val() )
+		.done( function( assets, failures ) {
+			if( !assets.length ) {
+				self._renderError(
+					failures.length ? failures[0].error : new ApplicationError( 'input-invalid' )
+				);
+				return;
+			}
+			self._renderResult( assets, failures );
+		} )
+		.always( function() {
+			self._$input.removeClass( 'loading' );
+		} );
+	},
+
+	/**
+	 * Renders an error instead of a result.
+	 *
+	 * @param {ApplicationError} error
+	 */
+	_renderError: function( error ) {
+		this._$result.empty().append(
+			$( '<p/>' ).addClass( 'combinationpage-error error' ).text( error.getMessage() )
+		);
+	},
+
+	/**
+	 * Renders the licences the assets may be combined under along with the reasoning.
+	 *
+	 * @param {Asset[]} assets
+	 * @param {Object[]} failures Inputs that could not be processed, each featuring the properties
+	 *        "input" {string} and "error" {ApplicationError}
+	 */
+	_renderResult: function( assets, failures ) {
+		var licences = $.map( assets, function( asset ) {
+				return asset.getRecommendedLicence()
+					|| config.custom.licenceStore.getLicence( 'unknown' );
+			} ),
+			combination = this._compatibility.combine( licences ),
+			$works = $( '<ul/>' ).addClass( 'combinationpage-works' );
+
+		this._$result.empty();
+
+		if( failures.length ) {
+			var $failures = $( '<ul/>' ).addClass( 'combinationpage-failures' );
+
+			$.each( failures, function( i, failure ) {
+				$failures.append( $( '<li/>' ).addClass( 'error' )
+					.text( failure.input + ': ' + failure.error.getMessage() ) );
+			} );
+
+			this._$result.append( $failures );
+		}
+
+		for( var i = 0; i < assets.length; i++ ) {
+			$works.append( this._createWorkNode( assets[i], combination.reasons[i] ) );
+		}
+
+		this._$result
+		.append( $( '<h2/>' ).text( messages['works'] ) )
+		.append( $works )
+		.append( $( '<h2/>' ).text( messages['combined work'] ) )
+		.append( this._createVerdictNode( combination ) )
+		.append( $( '<p/>' ).addClass( 'combinationpage-note' ).text( messages['collection note'] ) );
+	},
+
+	/**
+	 * Creates the DOM of a single work listing the reasons its licence imposes on the combination.
+	 *
+	 * @param {Asset} asset
+	 * @param {Object} reasons Object featuring the properties "licence" {Licence} and "reasons"
+	 *        {string[]}
+	 * @return {jQuery}
+	 */
+	_createWorkNode: function( asset, reasons ) {
+		var $reasons = $( '<ul/>' ).addClass( 'combinationpage-reasons' );
+
+		$.each( reasons.reasons, function( i, reason ) {
+			$reasons.append( $( '<li/>' ).text( messages['reason-' + reason] ) );
+		} );
+
+		return $( '<li/>' ).addClass( 'combinationpage-work' )
+			.append( $( '<a/>' ).addClass( 'combinationpage-work-title' )
+				.attr( 'href', asset.getUrl() )
+				.text( asset.getTitle() || asset.getUrl() )
+			)
+			.append( document.createTextNode( ' – ' ) )
+			.append( this._createLicenceNode( reasons.licence ) )
+			.append( $reasons );
+	},
+
+	/**
+	 * Creates the DOM of the licences the combination may be released under.
+	 *
+	 * @param {Object} combination (see LicenceCompatibility.combine())
+	 * @return {jQuery}
+	 */
+	_createVerdictNode: function( combination ) {
+		var self = this,
+			$verdict = $( '<div/>' ).addClass( 'combinationpage-verdict' );
+
+		if( !combination.licences.length ) {
+			return $verdict.append( $( '<p/>' ).addClass( 'error' )
+				.text( messages['no licence'] ) );
+		}
+
+		var $licences = $( '<ul/>' ).addClass( 'combinationpage-licences' );
+
+		$.each( combination.licences, function( i, licence ) {
+			$licences.append( $( '<li/>' ).append( self._createLicenceNode( licence ) ) );
+		} );
+
+		$verdict
+		.append( $( '<p/>' ).text( messages['licences'] ) )
+		.append( $licences );
+
+		if( combination.ownTerms ) {
+			$verdict.append( $( '<p/>' ).text( messages['own terms'] ) );
+		}
+
+		return $verdict;
+	},
+
+	/**
+	 * @param {Licence} licence
+	 * @return {jQuery}
+	 */
+	_createLicenceNode: function( licence ) {
+		var $licence = $( '<span/>' ).addClass( 'combinationpage-licence' );
+
+		return licence.getUrl()
+			? $licence.append(
+				$( '<a/>' ).attr( 'href', licence.getUrl() ).text( licence.getName() )
+			)
+			: $licence.text( licence.getName() );
+	}
+
+} );
+
+return CombinationPage;
+
+} );
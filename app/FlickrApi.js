@@ -0,0 +1,360 @@
+/**
+ * @licence GNU GPL v3
+ * @author snater.com < wikimedia@snater.com >
+ */
+define( [
+	'jquery',
+	'dojo/_base/config',
+	'app/AjaxError',
+	'app/ApplicationError',
+	'app/Asset',
+	'app/Author',
+	'app/ImageInfo'
+], function( $, config, AjaxError, ApplicationError, Asset, Author, ImageInfo ) {
+'use strict';
+
+/**
+ * Alphabet of the base58 encoded photo ids used in "flic.kr" short links.
+ * @type {string}
+ */
+var BASE58_ALPHABET = '123456789abcdefghijkmnopqrstuvwxyzABCDEFGHJKLMNPQRSTUVWXYZ';
+
+/**
+ * Flickr API handler.
+ * @constructor
+ *
+ * @param {string} [apiUrl]
+ *        Default: config.custom.flickrApiUrl
+ * @param {string} [apiKey]
+ *        Default: config.custom.flickrApiKey
+ *
+ * @throws {Error} if no API URL is specified.
+ */
+var FlickrApi = function( apiUrl, apiKey ) {
+	this._apiUrl = apiUrl || config.custom.flickrApiUrl;
+	this._apiKey = apiKey || config.custom.flickrApiKey || null;
+
+	if( !this._apiUrl ) {
+		throw new Error( 'No Flickr API URL specified' );
+	}
+
+	this._sizes = {};
+};
+
+$.extend( FlickrApi.prototype, {
+	/**
+	 * @type {string}
+	 */
+	_apiUrl: null,
+
+	/**
+	 * @type {string|null}
+	 */
+	_apiKey: null,
+
+	/**
+	 * Sizes retrieved per photo id.
+	 * @type {Object}
+	 */
+	_sizes: null,
+
+	/**
+	 * @return {string}
+	 */
+	getDefaultUrl: function() {
+		return '//www.flickr.com/';
+	},
+
+	/**
+	 * Generates an Asset object for a Flickr photo page URL. Photos not available under a
+	 * licence supported by the application are rejected.
+	 *
+	 * @param {string} url
+	 * @return {Object} jQuery Promise
+	 *         Resolved parameters:
+	 *         - {Asset}
+	 *         Rejected parameters:
+	 *         - {ApplicationError}
+	 */
+	getAsset: function( url ) {
+		var self = this,
+			deferred = $.Deferred(),
+			photoId = FlickrApi.getPhotoId( url );
+
+		if( !photoId ) {
+			deferred.reject( new ApplicationError( 'url-invalid' ) );
+			return deferred.promise();
+		}
+
+		this._request( 'flickr.photos.getInfo', { 'photo_id': photoId } )
+		.done( function( response ) {
+			var photo = response.photo,
+				licenceId = FlickrApi.LICENCES[photo.license],
+				licence = licenceId ? config.custom.licenceStore.getLicence( licenceId ) : null;
+
+			if( photo.media && photo.media !== 'photo' ) {
+				deferred.reject( new ApplicationError( 'mediatype-unsupported' ) );
+				return;
+			} else if( !licence ) {
+				deferred.reject( new ApplicationError( 'licence-unsupported' ) );
+				return;
+			}
+
+			var photoUrl = self._getPhotoPageUrl( photo ),
+				asset = new Asset(
+					photoUrl,
+					'bitmap',
+					licence,
+					photo.title && photo.title._content || '',
+					[self._getAuthor( photo.owner )],
+					photoUrl,
+					null,
+					self
+				);
+
+			$.each( ['licence', 'title', 'authors'], function( i, name ) {
+				asset.setSource( name, 'flickr' );
+			} );
+
+			deferred.resolve( asset );
+		} )
+		.fail( function( error ) {
+			deferred.reject( error );
+		} );
+
+		return deferred.promise();
+	},
+
+	/**
+	 * Retrieves image information for a photo according to a specific image size. The thumbnail
+	 * is the smallest size covering the requested size while the URL refers to the largest size
+	 * available.
+	 *
+	 * @param {string} url Flickr photo page URL
+	 * @param {number} size
+	 * @return {Object} jQuery Promise
+	 *         Resolved parameters:
+	 *         - {ImageInfo}
+	 *         Rejected parameters:
+	 *         - {ApplicationError}
+	 */
+	getImageInfo: function( url, size ) {
+		var deferred = $.Deferred();
+
+		this._getSizes( FlickrApi.getPhotoId( url ) )
+		.done( function( sizes ) {
+			var largest = sizes[sizes.length - 1],
+				thumbnail = largest;
+
+			for( var i = 0; i < sizes.length; i++ ) {
+				if( Math.max( sizes[i].width, sizes[i].height ) >= size ) {
+					thumbnail = sizes[i];
+					break;
+				}
+			}
+
+			deferred.resolve( new ImageInfo( largest.source, url, {
+				url: thumbnail.source,
+				width: parseInt( thumbnail.width, 10 ),
+				height: parseInt( thumbnail.height, 10 )
+			} ) );
+		} )
+		.fail( function( error ) {
+			deferred.reject( error );
+		} );
+
+		return deferred.promise();
+	},
+
+	/**
+	 * Retrieves the image sizes of a photo ordered from small to large.
+	 *
+	 * @param {string|null} photoId
+	 * @return {Object} jQuery Promise
+	 *         Resolved parameters:
+	 *         - {Object[]}
+	 *         Rejected parameters:
+	 *         - {ApplicationError}
+	 */
+	_getSizes: function( photoId ) {
+		var self = this,
+			deferred = $.Deferred();
+
+		if( !photoId ) {
+			return deferred.reject( new ApplicationError( 'url-invalid' ) ).promise();
+		} else if( this._sizes[photoId] ) {
+			return deferred.resolve( this._sizes[photoId] ).promise();
+		}
+
+		this._request( 'flickr.photos.getSizes', { 'photo_id': photoId } )
+		.done( function( response, ajaxOptions ) {
+			var sizes = $.grep( response.sizes && response.sizes.size || [], function( size ) {
+				return !size.media || size.media === 'photo';
+			} );
+
+			if( !sizes.length ) {
+				deferred.reject( new AjaxError( 'imageinfo-missing', ajaxOptions ) );
+				return;
+			}
+
+			sizes.sort( function( a, b ) {
+				return a.width * a.height - b.width * b.height;
+			} );
+
+			self._sizes[photoId] = sizes;
+			deferred.resolve( sizes );
+		} )
+		.fail( function( error ) {
+			deferred.reject( error );
+		} );
+
+		return deferred.promise();
+	},
+
+	/**
+	 * Returns the URL of a photo's page.
+	 *
+	 * @param {Object} photo
+	 * @return {string}
+	 */
+	_getPhotoPageUrl: function( photo ) {
+		var urls = photo.urls && photo.urls.url || [];
+
+		for( var i = 0; i < urls.length; i++ ) {
+			if( urls[i].type === 'photopage' ) {
+				return urls[i]._content;
+			}
+		}
+
+		return 'https://www.flickr.com/photos/' + ( photo.owner['path_alias'] || photo.owner.nsid )
+			+ '/' + photo.id + '/';
+	},
+
+	/**
+	 * Generates an Author object from a photo owner linking to the owner's profile.
+	 *
+	 * @param {Object} owner
+	 * @return {Author}
+	 */
+	_getAuthor: function( owner ) {
+		var profileUrl = 'https://www.flickr.com/people/'
+			+ ( owner['path_alias'] || owner.nsid ) + '/';
+
+		return new Author(
+			$( '<a/>' ).attr( 'href', profileUrl ).text( owner.realname || owner.username )
+		);
+	},
+
+	/**
+	 * Issues a call to the Flickr API.
+	 *
+	 * @param {string} method
+	 * @param {Object} params
+	 * @return {Object} jQuery Promise
+	 *         Resolved parameters:
+	 *         - {Object} Response
+	 *         - {Object} Options of the AJAX request
+	 *         Rejected parameters:
+	 *         - {AjaxError}
+	 */
+	_request: function( method, params ) {
+		var deferred = $.Deferred(),
+			ajaxOptions = {
+				url: this._apiUrl,
+				dataType: 'json',
+				data: $.extend( {
+					method: method,
+					'api_key': this._apiKey,
+					format: 'json',
+					nojsoncallback: 1
+				}, params ),
+				timeout: 5000
+			};
+
+		$.ajax( ajaxOptions )
+		.done( function( response ) {
+			if( !response || response.stat !== 'ok' ) {
+				// Error code 1 is returned for photos not found or not accessible:
+				deferred.reject( new AjaxError(
+					response && response.code === 1 ? 'page-missing' : 'response-unexpected',
+					ajaxOptions
+				) );
+				return;
+			}
+			deferred.resolve( response, ajaxOptions );
+		} )
+		.fail( function() {
+			deferred.reject( new AjaxError( '*', ajaxOptions ) );
+		} );
+
+		return deferred.promise();
+	}
+
+} );
+
+/**
+ * Licence ids as used in "app/LICENCES.js" indexed by Flickr's numeric licence ids. Photos licensed
+ * under any other licence (e.g. "All Rights Reserved", id 0) are not supported. That includes the
+ * Flickr Commons flag "No known copyright restrictions" (id 7) which is no public domain
+ * dedication.
+ * @type {Object}
+ */
+FlickrApi.LICENCES = {
+	'1': 'cc-by-nc-sa-2.0',
+	'2': 'cc-by-nc-2.0',
+	'3': 'cc-by-nc-nd-2.0',
+	'4': 'cc-by-2.0',
+	'5': 'cc-by-sa-2.0',
+	'6': 'cc-by-nd-2.0',
+	'8': 'PD',
+	'9': 'cc-zero',
+	'10': 'PD',
+	'11': 'cc-by-4.0',
+	'12': 'cc-by-sa-4.0',
+	'13': 'cc-by-nd-4.0',
+	'14': 'cc-by-nc-4.0',
+	'15': 'cc-by-nc-sa-4.0',
+	'16': 'cc-by-nc-nd-4.0'
+};
+
+/**
+ * Checks whether a URL refers to Flickr.
+ *
+ * @param {string} url
+ * @return {boolean}
+ */
+FlickrApi.isFlickrUrl = function( url ) {
+	return /(^|\/\/|\.)(flickr\.com\/photos\/|flic\.kr\/p\/)/i.test( url );
+};
+
+/**
+ * Extracts the photo id from a Flickr photo page URL or a "flic.kr" short link.
+ *
+ * @param {string} url
+ * @return {string|null}
+ */
+FlickrApi.getPhotoId = function( url ) {
+	var matches = /flickr\.com\/photos\/[^\/]+\/(\d+)/i.exec( url );
+
+	if( matches ) {
+		return matches[1];
+	}
+
+	matches = /flic\.kr\/p\/([1-9a-zA-HJ-NP-Z]+)/.exec( url );
+
+	if( !matches ) {
+		return null;
+	}
+
+	var id = 0;
+
+	for( var i = 0; i < matches[1].length; i++ ) {
+		id = id * 58 + BASE58_ALPHABET.indexOf( matches[1].charAt( i ) );
+	}
+
+	return String( id );
+};
+
+return FlickrApi;
+
+} );
@@ -0,0 +1,69 @@
+/**
+ * @licence GNU GPL v3
+ * @author snater.com < wikimedia@snater.com >
+ */
+define( ['jquery'], function( $ ) {
+'use strict';
+
+/**
+ * Converts an attribution DOM (as generated by AttributionGenerator in "html" format) to a
+ * particular markup language. Text is escaped and links are converted to the markup language's
+ * link syntax while any other DOM structure is discarded.
+ * @constructor
+ * @abstract
+ */
+var Formatter = function() {};
+
+$.extend( Formatter.prototype, {
+	/**
+	 * Converts a DOM structure to markup.
+	 *
+	 * @param {jQuery} $node
+	 * @return {string}
+	 */
+	format: function( $node ) {
+		var self = this,
+			markup = '';
+
+		$node.contents().each( function() {
+			if( this.nodeType === 3 ) {
+				markup += self.escape( this.nodeValue );
+			} else if( this.nodeType === 1 ) {
+				var $child = $( this ),
+					url = this.nodeName.toLowerCase() === 'a' ? $child.attr( 'href' ) : null;
+
+				markup += url
+					? self.link( $child.text(), url )
+					: self.format( $child );
+			}
+		} );
+
+		return markup;
+	},
+
+	/**
+	 * Escapes plain text for being used in the markup.
+	 *
+	 * @param {string} text
+	 * @return {string}
+	 */
+	escape: function( text ) {
+		throw new Error( 'Abstract function "escape" is not implemented' );
+	},
+
+	/**
+	 * Generates the markup of a link.
+	 *
+	 * @param {string} text Plain link text that still needs to be escaped.
+	 * @param {string} url
+	 * @return {string}
+	 */
+	link: function( text, url ) {
+		throw new Error( 'Abstract function "link" is not implemented' );
+	}
+
+} );
+
+return Formatter;
+
+} );
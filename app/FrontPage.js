@@ -4,24 +4,24 @@
  */
 define( [
 	'jquery',
-	'dojo/_base/config',
 	'dojo/i18n!./nls/FrontPage',
 	'templates/registry',
 	'app/ApplicationError',
 	'app/Api',
+	'app/AssetLoader',
 	'app/InputHandler',
-	'app/NoApi',
-	'app/WikiAsset'
+	'app/LocalFileApi',
+	'app/WebPageApi'
 ], function(
 	$,
-	config,
 	messages,
 	templateRegistry,
 	ApplicationError,
 	Api,
+	AssetLoader,
 	InputHandler,
-	NoApi,
-	WikiAsset
+	LocalFileApi,
+	WebPageApi
 ) {
 'use strict';
 
@@ -31,6 +31,8 @@ define( [
  *
  * @param {jQuery} $node
  * @param {string} url
+ *        May contain multiple line-separated URLs which will initialize the front page in batch
+ *        mode.
  *
  * @throws {Error} if a required parameter is not defined.
  *
@@ -39,6 +41,14 @@ define( [
  *        object.
  *        (1) {jQuery.Event}
  *        (2) {Asset}
+ *
+ * @event assets
+ *        Triggered when processing the batch mode input has resulted in instantiating at least one
+ *        Asset object.
+ *        (1) {jQuery.Event}
+ *        (2) {Asset[]}
+ *        (3) {Object[]} Inputs that could not be processed, each featuring the properties "input"
+ *            {string} and "error" {ApplicationError}
  */
 var FrontPage = function( $node, url ) {
 	if( !$node ) {
@@ -46,6 +56,7 @@ var FrontPage = function( $node, url ) {
 	}
 
 	this._$node = $node.addClass( 'frontpage' );
+	this._assetLoader = new AssetLoader();
 
 	document.title = messages['attribution generator'];
 
@@ -63,11 +74,28 @@ $.extend( FrontPage.prototype, {
 	 */
 	_inputHandler: null,
 
+	/**
+	 * @type {AssetLoader}
+	 */
+	_assetLoader: null,
+
 	/**
 	 * @type {string|null}
 	 */
 	_initialPaddingTop: null,
 
+	/**
+	 * Whether the front page accepts a list of inputs instead of a single input.
+	 * @type {boolean}
+	 */
+	_batchMode: false,
+
+	/**
+	 * Whether the input is a query to search Wikimedia Commons for instead of a web address.
+	 * @type {boolean}
+	 */
+	_searchMode: false,
+
 	/**
 	 * Renders the front page.
 	 *
@@ -76,43 +104,111 @@ $.extend( FrontPage.prototype, {
 	_render: function( url ) {
 		var self = this;
 
-		var $input = $( '<input type="text"/>' )
-			.attr( 'placeholder', messages['input placeholder'] )
-			.on( 'keypress', function( event ) {
-				if( event.keyCode === 13 ) {
-					event.preventDefault();
-					self._submit();
-				}
-			} );
-
-		if( url ) {
-			$input.val( url );
-		}
-
 		this._$node
 		.append( $( '<h1/>' ).text( messages['attribution generator'] ) )
-		.append( $( '<div/>' ).addClass( 'frontpage-container-input' ).append( $input ) )
-		.append( $( '<button/>' ).text( messages['generate attribution'] ) );
+		.append( $( '<div/>' ).addClass( 'frontpage-container-input' ) )
+		.append( $( '<button/>' ).text( messages['generate attribution'] ) )
+		.append(
+			$( '<a/>' ).addClass( 'button frontpage-toggle-batchmode' )
+			.on( 'click', function() {
+				self._setBatchMode( !self._batchMode );
+			} )
+		)
+		.append(
+			$( '<a/>' ).addClass( 'button frontpage-toggle-searchmode' )
+			.on( 'click', function() {
+				self._setSearchMode( !self._searchMode );
+			} )
+		);
+
+		this._setBatchMode( !!url && url.indexOf( '\n' ) !== -1, url );
 
 		this._renderHelp( this._$node.find( '.frontpage-container-input' ) );
 
-		this._$node.find( 'input' )
+		this._$node.find( 'button' )
+		.on( 'click', function() {
+			self.submit();
+		} );
+	},
+
+	/**
+	 * Switches between accepting a web address and accepting a search query. Search mode is not
+	 * available in batch mode.
+	 *
+	 * @param {boolean} searchMode
+	 */
+	_setSearchMode: function( searchMode ) {
+		this._searchMode = searchMode;
+		this._setBatchMode( false );
+	},
+
+	/**
+	 * Switches between accepting a single input and accepting a list of inputs. Switching to batch
+	 * mode leaves search mode.
+	 *
+	 * @param {boolean} batchMode
+	 * @param {string} [value] Overwrites the value of the current input element.
+	 */
+	_setBatchMode: function( batchMode, value ) {
+		var self = this,
+			$currentInput = this._$node.find( '.frontpage-input' ),
+			$input;
+
+		if( value === undefined ) {
+			value = $currentInput.val() || '';
+		}
+
+		if( batchMode ) {
+			this._searchMode = false;
+
+			$input = $( '<textarea rows="8"/>' )
+				.attr( 'placeholder', messages['batch input placeholder'] );
+		} else {
+			$input = $( '<input type="text"/>' )
+				.attr(
+					'placeholder',
+					messages[this._searchMode ? 'search placeholder' : 'input placeholder']
+				)
+				.on( 'keypress', function( event ) {
+					if( event.keyCode === 13 ) {
+						event.preventDefault();
+						self.submit();
+					}
+				} );
+
+			value = $.trim( value.split( '\n' )[0] );
+		}
+
+		$input
+		.addClass( 'frontpage-input' )
+		.val( value )
 		.on( 'dragenter dragover', false )
 		.on( 'drop', function( event ) {
 			event.preventDefault();
-			self._evaluateInput( event );
+			self._evaluateDrop( event );
 		} );
 
-		this._$node.find( 'button' )
-		.on( 'click', function() {
-			self._submit();
-		} );
+		if( $currentInput.length ) {
+			$currentInput.replaceWith( $input );
+		} else {
+			this._$node.find( '.frontpage-container-input' ).prepend( $input );
+		}
+
+		this._batchMode = batchMode;
+
+		this._$node.find( '.frontpage-toggle-batchmode' )
+			.text( messages[batchMode ? 'single mode' : 'batch mode'] );
+
+		this._$node.find( '.frontpage-toggle-searchmode' )
+			.text( messages[this._searchMode ? 'url mode' : 'search mode'] );
 	},
 
 	/**
 	 * Submits the input.
 	 */
-	_submit: function() {
+	submit: function() {
+		var $input = this._$node.find( '.frontpage-input' );
+
 		this._initialPaddingTop = this._initialPaddingTop || this._$node.css( 'paddingTop' );
 
 		this._$node.stop().animate( {
@@ -124,8 +220,15 @@ $.extend( FrontPage.prototype, {
 			.slideUp( 'fast' );
 
 		this._$node.find( '.frontpage-suggestions' ).remove();
-		this._$node.find( 'input' ).addClass( 'loading' );
-		this._evaluateInput( this._$node.find( 'input' ).val() );
+		$input.addClass( 'loading' );
+
+		if( this._batchMode ) {
+			this._evaluateBatchInput( $input.val() );
+		} else if( this._searchMode ) {
+			this._search( $.trim( $input.val() ) );
+		} else {
+			this._evaluateInput( $input.val() );
+		}
 	},
 
 	/**
@@ -182,11 +285,7 @@ $.extend( FrontPage.prototype, {
 		var self = this,
 			deferred = $.Deferred();
 
-		if( !input.match( /wiki(m|p)edia\.org/ ) ) {
-			this._api = new NoApi();
-		} else {
-			this._api = new Api( '//commons.wikimedia.org/' );
-		}
+		this._api = this._assetLoader.createApi( input );
 		this._inputHandler = new InputHandler( this._api );
 
 		this._inputHandler.getFilename( input )
@@ -199,15 +298,134 @@ $.extend( FrontPage.prototype, {
 			}
 		} )
 		.fail( function( error ) {
-			self._displayError( error );
+			self._displayError( error, function() {
+				self._evaluateInput( input );
+			} );
 		} )
 		.always( function() {
-			self._$node.find( 'input' ).removeClass( 'loading' );
+			self._$node.find( '.frontpage-input' ).removeClass( 'loading' );
 		} );
 
 		return deferred;
 	},
 
+	/**
+	 * Searches Wikimedia Commons for files matching a query and renders the results as suggestions
+	 * that may be paged through.
+	 *
+	 * @param {string} query
+	 * @param {number} [offset]
+	 *        Default: 0
+	 */
+	_search: function( query, offset ) {
+		var self = this;
+
+		offset = offset || 0;
+
+		this._api = new Api( '//commons.wikimedia.org/' );
+
+		this._api.search( query, offset, FrontPage.SEARCH_LIMIT )
+		.done( function( imageInfos, nextOffset ) {
+			if( !imageInfos.length && offset === 0 && nextOffset === null ) {
+				self._displayError( new ApplicationError( 'search-no-results' ) );
+				return;
+			}
+
+			/**
+			 * @param {number} pageOffset
+			 * @return {Function}
+			 */
+			function getPager( pageOffset ) {
+				return function() {
+					self._$node.find( '.frontpage-input' ).addClass( 'loading' );
+					self._search( query, pageOffset );
+				};
+			}
+
+			var previousOffset = Math.max( offset - FrontPage.SEARCH_LIMIT, 0 );
+
+			self._renderSuggestions( imageInfos, {
+				previous: offset > 0 ? getPager( previousOffset ) : null,
+				next: nextOffset !== null ? getPager( nextOffset ) : null
+			} );
+		} )
+		.fail( function( error ) {
+			self._displayError( error, function() {
+				self._search( query, offset );
+			} );
+		} )
+		.always( function() {
+			self._$node.find( '.frontpage-input' ).removeClass( 'loading' );
+		} );
+	},
+
+	/**
+	 * Evaluates a drop event. A local image file dropped is attributed directly while a URL
+	 * dropped is evaluated like a URL typed in (or, in batch mode, added to the list of inputs).
+	 *
+	 * @param {jQuery.Event} event
+	 */
+	_evaluateDrop: function( event ) {
+		var self = this,
+			file = InputHandler.getDroppedFile( event );
+
+		this._$node.find( '.frontpage-input' ).addClass( 'loading' );
+
+		if( file ) {
+			this._api = new LocalFileApi( file );
+			this._processFilename( file.name );
+			return;
+		}
+
+		InputHandler.getDroppedUrl( event )
+		.done( function( url ) {
+			var $input = self._$node.find( '.frontpage-input' );
+
+			if( self._batchMode ) {
+				$input.val( $.trim( $input.val() + '\n' + url ) ).removeClass( 'loading' );
+				return;
+			}
+
+			$input.val( url );
+			self._evaluateInput( url );
+		} )
+		.fail( function( error ) {
+			self._$node.find( '.frontpage-input' ).removeClass( 'loading' );
+			self._displayError( error );
+		} );
+	},
+
+	/**
+	 * Evaluates a list of line-separated inputs one after another.
+	 *
+	 * @param {string} input
+	 * @return {Object} jQuery Promise
+	 *         Resolved parameters:
+	 *         - {Asset[]}
+	 *         - {Object[]} Inputs that could not be processed
+	 *
+	 * @triggers assets
+	 */
+	_evaluateBatchInput: function( input ) {
+		var self = this;
+
+		return this._assetLoader.fetchAssets( input )
+		.done( function( assets, failures ) {
+			self._$node.find( '.frontpage-input' ).removeClass( 'loading' );
+
+			if( assets.length ) {
+				$( self ).trigger( 'assets', [assets, failures] );
+			} else {
+				self._displayError(
+					failures.length ? failures[0].error : new ApplicationError( 'input-invalid' ),
+					function() {
+						self._evaluateBatchInput( input );
+					}
+				);
+			}
+		} );
+	},
+
 	/**
 	 * Processes a filename and updates the page rendering accordingly.
 	 *
@@ -219,39 +437,48 @@ $.extend( FrontPage.prototype, {
 	_processFilename: function( prefixedFilename, wikiUrl ) {
 		var self = this;
 
-		self._api.getAsset( prefixedFilename, wikiUrl )
+		this._assetLoader.getAsset( this._api, prefixedFilename, wikiUrl )
 		.done( function( asset ) {
-			if( asset instanceof WikiAsset ) {
-				if( asset.getLicence().isInGroup( 'unsupported' ) ) {
-					self._displayError( new ApplicationError( 'licence-unsupported' ) );
-					return;
-				} else if(
-					$.inArray( asset.getMediaType(), config.custom.supportedMediaTypes ) === -1
-				) {
-					self._displayError( new ApplicationError( 'mediatype-unsupported' ) );
-					return;
-				}
-			}
 			$( self ).trigger( 'asset', [asset] );
 		} )
 		.fail( function( error ) {
-			self._displayError( error );
+			self._displayError( error, function() {
+				self._processFilename( prefixedFilename, wikiUrl );
+			} );
 		} )
 		.always( function() {
-			self._$node.find( 'input' ).removeClass( 'loading' );
+			self._$node.find( '.frontpage-input' ).removeClass( 'loading' );
 		} );
 	},
 
 	/**
-	 * Displays an error on the front-page.
+	 * Displays an error on the front-page. If repeating the action that failed might succeed, a
+	 * button for retrying is offered.
 	 *
 	 * @param {ApplicationError} error
+	 * @param {Function} [retry] Callback repeating the action that failed.
 	 */
-	_displayError: function( error ) {
-		var $error = this._$node.find( '.error' );
+	_displayError: function( error, retry ) {
+		var self = this,
+			$error = this._$node.find( '.error' );
 
 		$error.stop().slideUp( 'fast', function() {
-			$error.text( error.getMessage() ).slideDown( 'fast' );
+			$error.text( error.getMessage() );
+
+			if( retry && error.isRetryable() ) {
+				$error
+				.append( document.createTextNode( ' ' ) )
+				.append( $( '<a/>' ).addClass( 'button frontpage-retry' )
+					.text( messages['retry'] )
+					.on( 'click', function() {
+						$error.stop().slideUp( 'fast' );
+						self._$node.find( '.frontpage-input' ).addClass( 'loading' );
+						retry();
+					} )
+				);
+			}
+
+			$error.slideDown( 'fast' );
 		} );
 	},
 
@@ -259,8 +486,10 @@ $.extend( FrontPage.prototype, {
 	 * Renders a list of suggestions for a list of file info objects.
 	 *
 	 * @param {ImageInfo[]} imageInfos
+	 * @param {Object} [paging] Callbacks for paging through the suggestions, featuring the
+	 *        properties "previous" {Function|null} and "next" {Function|null}.
 	 */
-	_renderSuggestions: function( imageInfos ) {
+	_renderSuggestions: function( imageInfos, paging ) {
 		var self = this,
 			$suggestions = this._$node.find( '.frontpage-suggestions' );
 
@@ -275,15 +504,30 @@ $.extend( FrontPage.prototype, {
 		 */
 		function attachEventHandler( $li, imageInfo ) {
 			$li.on( 'click', function() {
-				self._evaluateInput( imageInfo.getDescriptionUrl() );
+				self._evaluateSuggestion( imageInfo );
 			} );
 		}
 
 		var $ul = $( '<ul/>' );
 		for( var i = 0; i < imageInfos.length; i++ ) {
-			var $li = $( '<li/>' ).append(
-				$( '<img/>' ).attr( 'border', '0' ).attr( 'src', imageInfos[i].getThumbnail().url )
-			);
+			var thumbnail = imageInfos[i].getThumbnail(),
+				$li = $( '<li/>' );
+
+			if( thumbnail && thumbnail.url ) {
+				$li.append( $( '<img/>' ).attr( 'border', '0' ).attr( 'src', thumbnail.url ) );
+			} else {
+				// Audio files do not feature a thumbnail:
+				$li.append(
+					$( '<span/>' ).addClass( 'frontpage-suggestion-nothumbnail' ).text(
+						( imageInfos[i].getPrefixedFilename() || imageInfos[i].getUrl() )
+							.replace( /^[^:\/]+:(?!\/)/, '' )
+					)
+				);
+			}
+
+			if( imageInfos[i].getLicence() ) {
+				$li.append( this._renderLicenceBadge( imageInfos[i].getLicence() ) );
+			}
 
 			attachEventHandler( $li, imageInfos[i] );
 
@@ -292,13 +536,69 @@ $.extend( FrontPage.prototype, {
 
 		$suggestions.empty().append( $ul );
 
+		if( paging && ( paging.previous || paging.next ) ) {
+			var $paging = $( '<div/>' ).addClass( 'frontpage-paging' ).appendTo( $suggestions );
+
+			$.each( ['previous', 'next'], function( i, direction ) {
+				if( paging[direction] ) {
+					$( '<a/>' ).addClass( 'button frontpage-paging-' + direction )
+						.text( messages[direction] )
+						.on( 'click', paging[direction] )
+						.appendTo( $paging );
+				}
+			} );
+		}
+
 		this._$node.stop().animate( {
 			paddingTop: '30pt'
 		} );
+	},
+
+	/**
+	 * Renders a badge indicating whether a suggested image may be attributed using the application.
+	 *
+	 * @param {Licence} licence
+	 * @return {jQuery}
+	 */
+	_renderLicenceBadge: function( licence ) {
+		var $badge = $( '<span/>' ).addClass( 'frontpage-licence' );
+
+		if( licence.isInGroup( 'unsupported' ) || licence.isInGroup( 'unknown' ) ) {
+			return $badge
+				.addClass( 'frontpage-licence-unsupported' )
+				.text( messages['licence unsupported'] );
+		}
+
+		return $badge.text( licence.getName() );
+	},
+
+	/**
+	 * Evaluates a suggestion picked by the user. An image on an arbitrary web page is processed
+	 * directly since the web page has been evaluated already. The same applies to search results
+	 * which are known to be files on Wikimedia Commons.
+	 *
+	 * @param {ImageInfo} imageInfo
+	 */
+	_evaluateSuggestion: function( imageInfo ) {
+		if( this._api instanceof WebPageApi ) {
+			this._$node.find( '.frontpage-input' ).addClass( 'loading' );
+			this._processFilename( imageInfo.getUrl() );
+		} else if( this._searchMode && imageInfo.getPrefixedFilename() ) {
+			this._$node.find( '.frontpage-input' ).addClass( 'loading' );
+			this._processFilename( imageInfo.getPrefixedFilename() );
+		} else {
+			this._evaluateInput( imageInfo.getDescriptionUrl() );
+		}
 	}
 
 } );
 
+/**
+ * Number of search results requested per page when searching Wikimedia Commons.
+ * @type {number}
+ */
+FrontPage.SEARCH_LIMIT = 20;
+
 return FrontPage;
 
 } );
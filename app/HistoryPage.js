@@ -0,0 +1,178 @@
+/**
+ * @licence GNU GPL v3
+ * @author snater.com < wikimedia@snater.com >
+ */
+define( [
+	'jquery',
+	'app/AttributionHistory',
+	'dojo/i18n!./nls/HistoryPage'
+], function( $, AttributionHistory, messages ) {
+'use strict';
+
+/**
+ * Renderer for the history of attributions generated, allowing to search, re-open, delete and
+ * export the entries.
+ * @constructor
+ *
+ * @event restore
+ *        Triggered when the user chooses to re-open an entry.
+ *        (1) {jQuery.Event}
+ *        (2) {string} Serialized session of the entry (see Session.toString()).
+ *
+ * @param {jQuery} $node
+ * @param {AttributionHistory} [history]
+ *        Default: AttributionHistory using the local storage
+ *
+ * @throws {Error} if a required parameter is not defined.
+ */
+var HistoryPage = function( $node, history ) {
+	if( !$node ) {
+		throw new Error( 'Required parameter(s) not defined' );
+	}
+
+	this._$node = $node.addClass( 'historypage' );
+	this._history = history || new AttributionHistory();
+
+	this._render();
+};
+
+$.extend( HistoryPage.prototype, {
+	/**
+	 * @type {jQuery}
+	 */
+	_$node: null,
+
+	/**
+	 * @type {AttributionHistory}
+	 */
+	_history: null,
+
+	/**
+	 * @type {jQuery|null}
+	 */
+	_$search: null,
+
+	/**
+	 * @type {jQuery|null}
+	 */
+	_$entries: null,
+
+	/**
+	 * Renders the page.
+	 */
+	_render: function() {
+		var self = this;
+
+		this._$search = $( '<input type="text"/>' )
+			.addClass( 'historypage-search' )
+			.attr( 'placeholder', messages['search'] )
+			.on( 'keyup change', function() {
+				self._renderEntries();
+			} );
+
+		this._$entries = $( '<ul/>' ).addClass( 'historypage-entries' );
+
+		this._$node
+		.empty()
+		.append( $( '<h1/>' ).text( messages['history'] ) )
+		.append( $( '<p/>' ).text( messages['history-description'] ) )
+		.append( $( '<div/>' ).addClass( 'historypage-toolbar' )
+			.append( this._$search )
+			.append( this._createExportButton( 'csv' ) )
+			.append( this._createExportButton( 'json' ) )
+		)
+		.append( this._$entries );
+
+		this._renderEntries();
+	},
+
+	/**
+	 * Renders the entries matching the current search query.
+	 */
+	_renderEntries: function() {
+		var entries = this._history.search( this._$search.val() );
+
+		this._$entries.empty();
+
+		if( !entries.length ) {
+			this._$entries.append(
+				$( '<li/>' ).addClass( 'historypage-empty' ).text( messages['no entries'] )
+			);
+			return;
+		}
+
+		for( var i = 0; i < entries.length; i++ ) {
+			this._$entries.append( this._createEntryNode( entries[i] ) );
+		}
+	},
+
+	/**
+	 * Creates the DOM of a single entry.
+	 *
+	 * @param {Object} entry
+	 * @return {jQuery}
+	 */
+	_createEntryNode: function( entry ) {
+		var self = this;
+
+		return $( '<li/>' ).addClass( 'historypage-entry' )
+			.append( $( '<div/>' ).addClass( 'historypage-entry-date' )
+				.text( new Date( entry.timestamp ).toLocaleString() ) )
+			.append( $( '<div/>' ).addClass( 'historypage-entry-text' ).text( entry.text ) )
+			.append( $( '<div/>' ).addClass( 'historypage-entry-actions' )
+				.append( $( '<a/>' ).addClass( 'button historypage-entry-restore' )
+					.text( messages['re-open'] )
+					.on( 'click', function() {
+						$( self ).trigger( 'restore', [entry.session] );
+					} )
+				)
+				.append( $( '<a/>' ).addClass( 'button historypage-entry-remove' )
+					.text( messages['delete'] )
+					.on( 'click', function() {
+						self._history.remove( entry.id );
+						self._renderEntries();
+					} )
+				)
+			);
+	},
+
+	/**
+	 * Creates a button exporting the whole history.
+	 *
+	 * @param {string} type "csv"|"json"
+	 * @return {jQuery}
+	 */
+	_createExportButton: function( type ) {
+		var self = this;
+
+		return $( '<a/>' ).addClass( 'button historypage-export' )
+			.text( messages['export-' + type] )
+			.on( 'click', function() {
+				self._download(
+					type === 'csv' ? self._history.toCsv() : self._history.toJson(),
+					'attributions.' + type,
+					type === 'csv' ? 'text/csv' : 'application/json'
+				);
+			} );
+	},
+
+	/**
+	 * Offers content for download.
+	 *
+	 * @param {string} content
+	 * @param {string} filename
+	 * @param {string} mimeType
+	 */
+	_download: function( content, filename, mimeType ) {
+		var url = 'data:' + mimeType + ';charset=utf-8,' + encodeURIComponent( content ),
+			$link = $( '<a/>' ).attr( 'href', url ).attr( 'download', filename );
+
+		$link.appendTo( document.body )[0].click();
+		$link.remove();
+	}
+
+} );
+
+return HistoryPage;
+
+} );
@@ -12,14 +12,18 @@ define( ['jquery'], function( $ ) {
  * @param {string} url
  * @param {string} descriptionUrl
  * @param {Object} [thumbnail]
+ * @param {string} [prefixedFilename] The file's MediaWiki page title, if known.
+ * @param {Licence} [licence] The file's licence, if known.
  */
-var ImageInfo = function( url, descriptionUrl, thumbnail ) {
+var ImageInfo = function( url, descriptionUrl, thumbnail, prefixedFilename, licence ) {
 	if( !url || !descriptionUrl ) {
 		throw new Error( 'Required parameters are not specified correctly' );
 	}
 	this._url = url;
 	this._descriptionUrl = descriptionUrl;
 	this._thumbnail = thumbnail || null;
+	this._prefixedFilename = prefixedFilename || null;
+	this._licence = licence || null;
 };
 
 $.extend( ImageInfo.prototype, {
@@ -38,6 +42,16 @@ $.extend( ImageInfo.prototype, {
 	 */
 	_thumbnail: null,
 
+	/**
+	 * @type {string|null}
+	 */
+	_prefixedFilename: null,
+
+	/**
+	 * @type {Licence|null}
+	 */
+	_licence: null,
+
 	/**
 	 * @return {string}
 	 */
@@ -57,6 +71,20 @@ $.extend( ImageInfo.prototype, {
 	 */
 	getThumbnail: function() {
 		return this._thumbnail;
+	},
+
+	/**
+	 * @return {string|null}
+	 */
+	getPrefixedFilename: function() {
+		return this._prefixedFilename;
+	},
+
+	/**
+	 * @return {Licence|null}
+	 */
+	getLicence: function() {
+		return this._licence;
 	}
 } );
 
@@ -65,9 +93,11 @@ $.extend( ImageInfo.prototype, {
  * API.
  *
  * @param {Object} imageinfo
+ * @param {string} [prefixedFilename]
+ * @param {Licence} [licence]
  * @return {ImageInfo}
  */
-ImageInfo.newFromMediaWikiImageInfoJson = function( imageinfo ) {
+ImageInfo.newFromMediaWikiImageInfoJson = function( imageinfo, prefixedFilename, licence ) {
 	return new ImageInfo(
 		imageinfo.url,
 		imageinfo.descriptionurl,
@@ -75,7 +105,9 @@ ImageInfo.newFromMediaWikiImageInfoJson = function( imageinfo ) {
 			url: imageinfo.thumburl || null,
 			width: imageinfo.thumbwidth || null,
 			height: imageinfo.thumbheight || null
-		}
+		},
+		prefixedFilename,
+		licence
 	);
 };
 
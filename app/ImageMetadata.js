@@ -0,0 +1,479 @@
+/**
+ * @licence GNU GPL v3
+ * @author snater.com < wikimedia@snater.com >
+ */
+/* global escape */
+define( ['jquery'], function( $ ) {
+'use strict';
+
+/**
+ * XML namespaces of the XMP properties evaluated.
+ * @type {Object}
+ */
+var NS = {
+	rdf: 'http://www.w3.org/1999/02/22-rdf-syntax-ns#',
+	dc: 'http://purl.org/dc/elements/1.1/',
+	cc: 'http://creativecommons.org/ns#',
+	xmpRights: 'http://ns.adobe.com/xap/1.0/rights/',
+	photoshop: 'http://ns.adobe.com/photoshop/1.0/'
+};
+
+/**
+ * EXIF (TIFF IFD0) tags evaluated, indexed by tag number.
+ * @type {Object}
+ */
+var EXIF_TAGS = {
+	0x013B: 'artist',
+	0x8298: 'copyright'
+};
+
+/**
+ * IPTC IIM datasets of the application record evaluated, indexed by dataset number.
+ * @type {Object}
+ */
+var IPTC_DATASETS = {
+	5: 'objectName',
+	80: 'byline',
+	110: 'credit',
+	116: 'copyrightNotice'
+};
+
+/**
+ * Decodes a byte range to a string, assuming UTF-8 and falling back to ISO 8859-1.
+ *
+ * @param {Uint8Array} bytes
+ * @param {number} start
+ * @param {number} end
+ * @return {string}
+ */
+function decodeText( bytes, start, end ) {
+	var binary = '';
+
+	for( var i = start; i < end && i < bytes.length; i++ ) {
+		binary += String.fromCharCode( bytes[i] );
+	}
+
+	try {
+		return decodeURIComponent( escape( binary ) );
+	} catch( e ) {
+		return binary;
+	}
+}
+
+/**
+ * Checks whether a byte sequence starts with a specific ASCII string.
+ *
+ * @param {Uint8Array} bytes
+ * @param {number} offset
+ * @param {string} string
+ * @return {boolean}
+ */
+function startsWith( bytes, offset, string ) {
+	for( var i = 0; i < string.length; i++ ) {
+		if( bytes[offset + i] !== string.charCodeAt( i ) ) {
+			return false;
+		}
+	}
+	return true;
+}
+
+/**
+ * Trims a metadata value, cutting it off at the first NUL character.
+ *
+ * @param {string} value
+ * @return {string}
+ */
+function cleanValue( value ) {
+	return $.trim( value.split( '\u0000' )[0] );
+}
+
+/**
+ * Licensing and authorship information embedded into an image file as XMP, IPTC IIM or EXIF
+ * metadata. EXIF and IPTC are read from JPEG files only while XMP is read from any file featuring
+ * an uncompressed XMP packet.
+ * @constructor
+ *
+ * @param {ArrayBuffer} buffer The image file's content.
+ */
+var ImageMetadata = function( buffer ) {
+	this._exif = {};
+	this._iptc = {};
+	this._xmp = {};
+
+	this._parse( new Uint8Array( buffer ) );
+};
+
+$.extend( ImageMetadata.prototype, {
+	/**
+	 * EXIF values indexed by the names specified in EXIF_TAGS.
+	 * @type {Object}
+	 */
+	_exif: null,
+
+	/**
+	 * IPTC values indexed by the names specified in IPTC_DATASETS. Repeatable datasets are
+	 * collected in arrays.
+	 * @type {Object}
+	 */
+	_iptc: null,
+
+	/**
+	 * Lists of XMP values indexed by "<namespace prefix>:<property name>".
+	 * @type {Object}
+	 */
+	_xmp: null,
+
+	/**
+	 * Returns the names of the authors, preferring the attribution name specified by ccREL over
+	 * the creators.
+	 *
+	 * @return {string[]}
+	 */
+	getAuthors: function() {
+		var candidates = [
+			this._xmp['cc:attributionName'],
+			this._xmp['dc:creator'],
+			this._iptc.byline,
+			this._exif.artist ? [this._exif.artist] : null
+		];
+
+		for( var i = 0; i < candidates.length; i++ ) {
+			if( candidates[i] && candidates[i].length ) {
+				return candidates[i];
+			}
+		}
+
+		return [];
+	},
+
+	/**
+	 * @return {string|null}
+	 */
+	getTitle: function() {
+		return this._getFirst( this._xmp['dc:title'] ) || this._iptc.objectName || null;
+	},
+
+	/**
+	 * Returns the URL of the licence. Since the XMP web statement is commonly used to specify the
+	 * licence URL when the licence is not specified explicitly, a web statement referring to a
+	 * Creative Commons licence is interpreted as licence URL.
+	 *
+	 * @return {string|null}
+	 */
+	getLicenceUrl: function() {
+		var licenceUrl = this._getFirst( this._xmp['cc:license'] ),
+			webStatement = this._getFirst( this._xmp['xmpRights:WebStatement'] );
+
+		if( licenceUrl ) {
+			return licenceUrl;
+		}
+
+		return webStatement && ImageMetadata.isCreativeCommonsUrl( webStatement )
+			? webStatement
+			: null;
+	},
+
+	/**
+	 * Returns the URL of the work's web page.
+	 *
+	 * @return {string|null}
+	 */
+	getUrl: function() {
+		var url = this._getFirst( this._xmp['cc:attributionURL'] ),
+			webStatement = this._getFirst( this._xmp['xmpRights:WebStatement'] );
+
+		if( url ) {
+			return url;
+		}
+
+		return webStatement && !ImageMetadata.isCreativeCommonsUrl( webStatement )
+			? webStatement
+			: null;
+	},
+
+	/**
+	 * @return {string|null}
+	 */
+	getCopyright: function() {
+		return this._getFirst( this._xmp['dc:rights'] )
+			|| this._iptc.copyrightNotice
+			|| this._exif.copyright
+			|| null;
+	},
+
+	/**
+	 * @return {string|null}
+	 */
+	getCredit: function() {
+		return this._iptc.credit || this._getFirst( this._xmp['photoshop:Credit'] ) || null;
+	},
+
+	/**
+	 * @param {string[]|undefined} values
+	 * @return {string|null}
+	 */
+	_getFirst: function( values ) {
+		return values && values.length ? values[0] : null;
+	},
+
+	/**
+	 * @param {Uint8Array} bytes
+	 */
+	_parse: function( bytes ) {
+		if( bytes[0] === 0xFF && bytes[1] === 0xD8 ) {
+			this._parseJpeg( bytes );
+		}
+
+		if( $.isEmptyObject( this._xmp ) ) {
+			this._parseXmpPacket( bytes );
+		}
+	},
+
+	/**
+	 * Walks the JPEG segments up to the image data.
+	 *
+	 * @param {Uint8Array} bytes
+	 */
+	_parseJpeg: function( bytes ) {
+		var offset = 2;
+
+		while( offset + 4 <= bytes.length && bytes[offset] === 0xFF ) {
+			var marker = bytes[offset + 1],
+				start = offset + 4,
+				end = offset + 2 + ( bytes[offset + 2] << 8 | bytes[offset + 3] );
+
+			// Start of scan, end of image:
+			if( marker === 0xDA || marker === 0xD9 ) {
+				break;
+			}
+
+			if( marker === 0xE1 && startsWith( bytes, start, 'Exif\u0000\u0000' ) ) {
+				this._parseExif( bytes, start + 6, end );
+			} else if( marker === 0xE1 && startsWith( bytes, start, ImageMetadata.XMP_HEADER ) ) {
+				this._parseXmp( decodeText( bytes, start + ImageMetadata.XMP_HEADER.length, end ) );
+			} else if( marker === 0xED && startsWith( bytes, start, 'Photoshop 3.0\u0000' ) ) {
+				this._parsePhotoshopResources( bytes, start + 14, end );
+			}
+
+			offset = end;
+		}
+	},
+
+	/**
+	 * Parses the first IFD of the TIFF structure embedded into the EXIF segment.
+	 *
+	 * @param {Uint8Array} bytes
+	 * @param {number} tiff Offset of the TIFF header.
+	 * @param {number} end
+	 */
+	_parseExif: function( bytes, tiff, end ) {
+		var littleEndian = startsWith( bytes, tiff, 'II' );
+
+		/**
+		 * @param {number} offset
+		 * @param {number} length
+		 * @return {number}
+		 */
+		function read( offset, length ) {
+			var value = 0;
+			for( var i = 0; i < length; i++ ) {
+				value = value * 256 + bytes[offset + ( littleEndian ? length - 1 - i : i )];
+			}
+			return value;
+		}
+
+		var ifd = tiff + read( tiff + 4, 4 ),
+			count = ifd + 2 <= end ? read( ifd, 2 ) : 0;
+
+		for( var i = 0; i < count; i++ ) {
+			var entry = ifd + 2 + i * 12,
+				name = EXIF_TAGS[read( entry, 2 )];
+
+			// Only ASCII values are of interest:
+			if( entry + 12 > end || !name || read( entry + 2, 2 ) !== 2 ) {
+				continue;
+			}
+
+			var length = read( entry + 4, 4 ),
+				valueOffset = length <= 4 ? entry + 8 : tiff + read( entry + 8, 4 ),
+				value = cleanValue( decodeText( bytes, valueOffset, Math.min( valueOffset + length, end ) ) );
+
+			if( value !== '' ) {
+				this._exif[name] = value;
+			}
+		}
+	},
+
+	/**
+	 * Parses the Photoshop image resources looking for the IPTC IIM resource.
+	 *
+	 * @param {Uint8Array} bytes
+	 * @param {number} offset
+	 * @param {number} end
+	 */
+	_parsePhotoshopResources: function( bytes, offset, end ) {
+		while( offset + 12 <= end && startsWith( bytes, offset, '8BIM' ) ) {
+			var id = bytes[offset + 4] << 8 | bytes[offset + 5],
+				nameLength = bytes[offset + 6],
+				// The Pascal string naming the resource is padded to an even length:
+				sizeOffset = offset + 6 + nameLength + 1 + ( ( nameLength + 1 ) % 2 ),
+				size = ( bytes[sizeOffset] << 24 >>> 0 ) + ( bytes[sizeOffset + 1] << 16 )
+					+ ( bytes[sizeOffset + 2] << 8 ) + bytes[sizeOffset + 3],
+				dataOffset = sizeOffset + 4;
+
+			if( id === 0x0404 ) {
+				this._parseIptc( bytes, dataOffset, Math.min( dataOffset + size, end ) );
+			}
+
+			offset = dataOffset + size + size % 2;
+		}
+	},
+
+	/**
+	 * Parses IPTC IIM datasets.
+	 *
+	 * @param {Uint8Array} bytes
+	 * @param {number} offset
+	 * @param {number} end
+	 */
+	_parseIptc: function( bytes, offset, end ) {
+		while( offset + 5 <= end && bytes[offset] === 0x1C ) {
+			var record = bytes[offset + 1],
+				name = IPTC_DATASETS[bytes[offset + 2]],
+				size = bytes[offset + 3] << 8 | bytes[offset + 4],
+				start = offset + 5;
+
+			if( record === 2 && name ) {
+				var value = cleanValue( decodeText( bytes, start, Math.min( start + size, end ) ) );
+
+				if( value !== '' && name === 'byline' ) {
+					this._iptc.byline = ( this._iptc.byline || [] ).concat( [value] );
+				} else if( value !== '' ) {
+					this._iptc[name] = value;
+				}
+			}
+
+			offset = start + size;
+		}
+	},
+
+	/**
+	 * Looks for an XMP packet anywhere in the file.
+	 *
+	 * @param {Uint8Array} bytes
+	 */
+	_parseXmpPacket: function( bytes ) {
+		var binary = '',
+			chunkSize = 8192;
+
+		for( var i = 0; i < bytes.length; i += chunkSize ) {
+			binary += String.fromCharCode.apply(
+				null,
+				Array.prototype.slice.call( bytes.subarray( i, i + chunkSize ) )
+			);
+		}
+
+		var start = binary.indexOf( '<x:xmpmeta' ),
+			end = binary.indexOf( '</x:xmpmeta>', start );
+
+		if( start !== -1 && end !== -1 ) {
+			this._parseXmp( decodeText( bytes, start, end + '</x:xmpmeta>'.length ) );
+		}
+	},
+
+	/**
+	 * Extracts the properties of interest from an XMP packet.
+	 *
+	 * @param {string} xml
+	 */
+	_parseXmp: function( xml ) {
+		var self = this,
+			doc;
+
+		try {
+			doc = $.parseXML( xml.replace( /^[^<]+/, '' ).replace( /[^>]+$/, '' ) );
+		} catch( e ) {
+			return;
+		}
+
+		var properties = [
+			['cc', 'license'],
+			['cc', 'attributionName'],
+			['cc', 'attributionURL'],
+			['dc', 'creator'],
+			['dc', 'title'],
+			['dc', 'rights'],
+			['xmpRights', 'WebStatement'],
+			['photoshop', 'Credit']
+		];
+
+		$.each( properties, function( i, property ) {
+			var values = self._getXmpValues( doc, NS[property[0]], property[1] );
+			if( values.length ) {
+				self._xmp[property[0] + ':' + property[1]] = values;
+			}
+		} );
+	},
+
+	/**
+	 * Returns the values of an XMP property which may be specified as an attribute of the
+	 * rdf:Description node or as an element featuring a simple value, a resource or an array of
+	 * values.
+	 *
+	 * @param {Document} doc
+	 * @param {string} namespace
+	 * @param {string} localName
+	 * @return {string[]}
+	 */
+	_getXmpValues: function( doc, namespace, localName ) {
+		var values = [],
+			descriptions = doc.getElementsByTagNameNS( NS.rdf, 'Description' ),
+			elements = doc.getElementsByTagNameNS( namespace, localName ),
+			i;
+
+		for( i = 0; i < descriptions.length; i++ ) {
+			if( descriptions[i].hasAttributeNS( namespace, localName ) ) {
+				values.push( descriptions[i].getAttributeNS( namespace, localName ) );
+			}
+		}
+
+		for( i = 0; i < elements.length; i++ ) {
+			var items = elements[i].getElementsByTagNameNS( NS.rdf, 'li' );
+
+			if( items.length ) {
+				for( var j = 0; j < items.length; j++ ) {
+					values.push( items[j].textContent );
+				}
+			} else if( elements[i].hasAttributeNS( NS.rdf, 'resource' ) ) {
+				values.push( elements[i].getAttributeNS( NS.rdf, 'resource' ) );
+			} else {
+				values.push( elements[i].textContent );
+			}
+		}
+
+		return $.grep( $.map( values, $.trim ), function( value ) {
+			return value !== '';
+		} );
+	}
+
+} );
+
+/**
+ * Identifier of the JPEG APP1 segment featuring an XMP packet.
+ * @type {string}
+ */
+ImageMetadata.XMP_HEADER = 'http://ns.adobe.com/xap/1.0/\u0000';
+
+/**
+ * Checks whether a URL refers to a Creative Commons licence or public domain tool.
+ *
+ * @param {string} url
+ * @return {boolean}
+ */
+ImageMetadata.isCreativeCommonsUrl = function( url ) {
+	return /^(https?:)?\/\/(www\.)?creativecommons\.org\/(licenses|publicdomain)\//i.test( url );
+};
+
+return ImageMetadata;
+
+} );
@@ -2,7 +2,8 @@
  * @licence GNU GPL v3
  * @author snater.com < wikimedia@snater.com >
  */
-define( ['jquery', 'app/ApplicationError'], function( $, ApplicationError ) {
+define( ['jquery', 'app/ApplicationError', 'app/WebPageApi'],
+	function( $, ApplicationError, WebPageApi ) {
 'use strict';
 
 /**
@@ -31,7 +32,7 @@ $.extend( InputHandler.prototype, {
 	 * does not refer to an asset itself, the promise will contain ImageInfo objects for all images
 	 * on that Wikipedia page instead of an asset filename.
 	 * If no Wikimedia URL is detected, the resolved promise's parameter is the original input
-	 * string.
+	 * string. For a local file dropped, the promise is resolved with the file's name.
 	 *
 	 * @param {string|jQuery.Event} input May be a Commons URL or a drop event.
 	 * @return {Object} jQuery Promise
@@ -45,8 +46,10 @@ $.extend( InputHandler.prototype, {
 		var self = this,
 			deferred = $.Deferred();
 
-		if( input instanceof $.Event ) {
-			this._getUrlFromEvent( input )
+		if( input instanceof $.Event && InputHandler.getDroppedFile( input ) ) {
+			deferred.resolve( InputHandler.getDroppedFile( input ).name );
+		} else if( input instanceof $.Event ) {
+			InputHandler.getDroppedUrl( input )
 			.done( function( url ) {
 				self._evaluate( url )
 				.done( function( prefixedFilenameOrImageInfos, wikiUrl ) {
@@ -68,46 +71,13 @@ $.extend( InputHandler.prototype, {
 		return deferred.promise();
 	},
 
-	/**
-	 * Extracts the URL from a drop event.
-	 *
-	 * @param {jQuery.Event} event
-	 * @return {Object} jQuery Promise
-	 *         Resolved parameters:
-	 *         - {string} File URL
-	 *         Rejected parameters:
-	 *         - {ApplicationError}
-	 */
-	_getUrlFromEvent: function( event ) {
-		var deferred = $.Deferred();
-
-		if( event.type !== 'drop' || !event.dataTransfer ) {
-			deferred.reject( new ApplicationError( 'event-unsupported' ) );
-			return deferred.promise();
-		}
-
-		if(
-			event.dataTransfer.items !== undefined
-			&& event.dataTransfer.items[0] !== undefined
-			&& event.dataTransfer.items[0].getAsString !== undefined
-		) {
-			event.dataTransfer.items[0].getAsString( function( url ) {
-				deferred.resolve( url );
-			} );
-		} else {
-			var img = event.dataTransfer.getData( 'text/html' );
-			deferred.resolve( $( '<div/>' ).html( img ).find( 'img' ).attr( 'src' ) );
-		}
-
-		return deferred.promise();
-	},
-
 	/**
 	 * Evaluates an URL an extracts the filename (MediaWiki title) from it, if the URL refers to a
 	 * specific file. If the URL corresponds to a Wikipedia page, file info objects for the images
 	 * used on the page are returned in the promise object.
 	 * If no Wikimedia URL is detected, the resolved promise's parameter is the original input
-	 * string.
+	 * string unless the API handler is able to evaluate web pages, in which case ImageInfo objects
+	 * for the images on the web page may be returned.
 	 *
 	 * @param url
 	 * @return {Object} jQuery Promise
@@ -129,6 +99,8 @@ $.extend( InputHandler.prototype, {
 		} else if( url.indexOf( '.wikimedia.org/' ) !== -1 ) {
 			var urlInfo = this._splitUrl( url );
 			deferred.resolve( urlInfo.title, urlInfo.wikiUrl );
+		} else if( this._api instanceof WebPageApi ) {
+			return this._api.getWebPageImageInfo( url );
 		} else {
 			deferred.resolve( url );
 		}
@@ -253,6 +225,67 @@ $.extend( InputHandler.prototype, {
 	}
 } );
 
+/**
+ * Returns the DataTransfer object of a drop event or "null" if the event is no drop event.
+ *
+ * @param {jQuery.Event} event
+ * @return {DataTransfer|null}
+ */
+function getDataTransfer( event ) {
+	if( event.type !== 'drop' ) {
+		return null;
+	}
+	return event.dataTransfer || event.originalEvent && event.originalEvent.dataTransfer || null;
+}
+
+/**
+ * Returns the local file dropped or "null" if no file has been dropped.
+ *
+ * @param {jQuery.Event} event
+ * @return {File|null}
+ */
+InputHandler.getDroppedFile = function( event ) {
+	var dataTransfer = getDataTransfer( event );
+	return dataTransfer && dataTransfer.files && dataTransfer.files.length
+		? dataTransfer.files[0]
+		: null;
+};
+
+/**
+ * Extracts the URL from a drop event.
+ *
+ * @param {jQuery.Event} event
+ * @return {Object} jQuery Promise
+ *         Resolved parameters:
+ *         - {string} File URL
+ *         Rejected parameters:
+ *         - {ApplicationError}
+ */
+InputHandler.getDroppedUrl = function( event ) {
+	var deferred = $.Deferred(),
+		dataTransfer = getDataTransfer( event );
+
+	if( !dataTransfer ) {
+		deferred.reject( new ApplicationError( 'event-unsupported' ) );
+		return deferred.promise();
+	}
+
+	if(
+		dataTransfer.items !== undefined
+		&& dataTransfer.items[0] !== undefined
+		&& dataTransfer.items[0].getAsString !== undefined
+	) {
+		dataTransfer.items[0].getAsString( function( url ) {
+			deferred.resolve( url );
+		} );
+	} else {
+		var img = dataTransfer.getData( 'text/html' );
+		deferred.resolve( $( '<div/>' ).html( img ).find( 'img' ).attr( 'src' ) );
+	}
+
+	return deferred.promise();
+};
+
 return InputHandler;
 
 } );
@@ -2,9 +2,57 @@
  * @licence GNU GPL v3
  * @author snater.com < wikimedia@snater.com >
  */
-define( ['app/Licence'], function( Licence ) {
+define( ['jquery', 'app/Licence'], function( $, Licence ) {
 'use strict';
 
+/**
+ * Jurisdictions supported for the ported licence versions, indexed by version. The German ports are
+ * specified explicitly.
+ * @type {Object}
+ */
+var JURISDICTIONS = {
+	'2.0': ['at', 'au', 'be', 'br', 'ca', 'cl', 'es', 'fr', 'hr', 'it', 'jp', 'kr', 'nl', 'pl', 'tw',
+		'uk', 'za'],
+	'2.1': ['au', 'es', 'jp'],
+	'2.5': ['ar', 'au', 'bg', 'br', 'ca', 'ch', 'cn', 'co', 'dk', 'es', 'hr', 'hu', 'il', 'in', 'it',
+		'mk', 'mt', 'mx', 'my', 'nl', 'pe', 'pl', 'pt', 'scotland', 'se', 'si', 'tw', 'za'],
+	'3.0': ['at', 'au', 'br', 'ch', 'cl', 'cn', 'cr', 'cz', 'ec', 'ee', 'es', 'fr', 'gr', 'gt', 'hk',
+		'hr', 'ie', 'igo', 'it', 'lu', 'nl', 'no', 'nz', 'ph', 'pl', 'pr', 'pt', 'ro', 'rs', 'sg',
+		'th', 'tw', 'ug', 'us', 've', 'vn', 'za']
+};
+
+/**
+ * Generates the licences of all supported jurisdiction ports of a licence type.
+ *
+ * @param {string} type Licence type as used in the licence URL, e.g. "by-sa".
+ * @param {string[]} groups Groups the licences belong to in addition to "cc" and the version group.
+ * @return {Licence[]}
+ */
+function createPorts( type, groups ) {
+	var licences = [];
+
+	$.each( JURISDICTIONS, function( version, jurisdictions ) {
+		var versionGroup = version === '3.0' ? 'cc3' : 'cc2';
+
+		$.each( jurisdictions, function( i, jurisdiction ) {
+			licences.push( new Licence(
+				'cc-' + type + '-' + version + '-' + jurisdiction,
+				['cc', versionGroup].concat( groups ),
+				'CC ' + type.toUpperCase() + ' ' + version + ' ' + jurisdiction.toUpperCase(),
+				new RegExp(
+					'^CC-' + type + '(-|\\/)' + version.replace( '.', '\\.' ) + '(-|\\/)'
+						+ jurisdiction + '\\b',
+					'i'
+				),
+				'http://creativecommons.org/licenses/' + type + '/' + version + '/' + jurisdiction
+					+ '/legalcode/'
+			) );
+		} );
+	} );
+
+	return licences;
+}
+
 /**
  * Array of licences. The licence will be detected by order: If an asset features multiple licences,
  * only the first one featured in this list will be detected.
@@ -15,19 +63,76 @@ return [
 
 	new Licence( 'cc-zero', ['cc', 'cc0'], 'CC0 1.0', /^(cc-zero|Bild-CC-0)/i, 'http://creativecommons.org/publicdomain/zero/1.0/legalcode/' ),
 
+	new Licence( 'cc-by-1.0', ['cc', 'cc1', 'ccby'], 'CC BY 1.0', /^CC-BY-1.0(([^\-]+.+|-migrated)*)?$/i, 'http://creativecommons.org/licenses/by/1.0/legalcode/' ),
 	new Licence( 'cc-by-2.0-de', ['cc', 'cc2', 'cc2de', 'ccby'], 'CC BY 2.0 DE', /^CC-BY(-|\/)2.0(-|\/)DE/i, 'http://creativecommons.org/licenses/by/2.0/de/legalcode/' ),
+	new Licence( 'cc-by-2.0', ['cc', 'cc2', 'ccby'], 'CC BY 2.0', /^CC-BY-2.0(([^\-]+.+|-migrated)*)?$/i, 'http://creativecommons.org/licenses/by/2.0/legalcode/' ),
+	new Licence( 'cc-by-2.5', ['cc', 'cc2', 'ccby'], 'CC BY 2.5', /^CC-BY-2.5(([^\-]+.+|-migrated)*)?$/i, 'http://creativecommons.org/licenses/by/2.5/legalcode/' ),
 	new Licence( 'cc-by-3.0-de', ['cc', 'cc3', 'ccby'], 'CC BY 3.0 DE', /^CC-BY(-|\/)3.0(-|\/)DE/i, 'http://creativecommons.org/licenses/by/3.0/de/legalcode/' ),
 	new Licence( 'cc-by-3.0', ['cc', 'cc3', 'ccby'], 'CC BY 3.0', /^CC-BY-3.0(([^\-]+.+|-migrated)*)?$/i, 'http://creativecommons.org/licenses/by/3.0/legalcode/' ),
 	new Licence( 'cc-by-4.0', ['cc', 'cc4', 'ccby'], 'CC BY 4.0', /^CC-BY-4.0(([^\-]+.+|-migrated)*)?$/i, 'http://creativecommons.org/licenses/by/4.0/legalcode/' ),
 
-	new Licence( 'cc-by-sa-2.0-de', ['cc', 'cc2', 'cc2de'], 'CC BY-SA 2.0 DE', /^(Bild-)?CC-BY-SA(-|\/)2.0(-|\/)DE/i, 'http://creativecommons.org/licenses/by-sa/2.0/de/legalcode/' ),
-	new Licence( 'cc-by-sa-3.0-de', ['cc', 'cc3'], 'CC BY-SA 3.0 DE', /^(Bild-)?CC-BY-SA(-|\/)3.0(-|\/)DE/i, 'http://creativecommons.org/licenses/by-sa/3.0/de/legalcode/' ),
-	new Licence( 'cc-by-sa-3.0', ['cc', 'cc3'], 'CC BY-SA 3.0', /^(Bild-)?CC-BY-SA(-|\/)3.0(([^\-]+.+|-migrated)*)?$/i, 'http://creativecommons.org/licenses/by-sa/3.0/legalcode/' ),
-	new Licence( 'cc-by-sa-4.0', ['cc', 'cc4'], 'CC BY-SA 4.0', /^(Bild-)?CC-BY-SA(-|\/)4.0(([^\-]+.+|-migrated)*)?$/i, 'http://creativecommons.org/licenses/by-sa/4.0/legalcode/' ),
+	new Licence( 'cc-by-sa-1.0', ['cc', 'cc1', 'sa'], 'CC BY-SA 1.0', /^(Bild-)?CC-BY-SA(-|\/)1.0(([^\-]+.+|-migrated)*)?$/i, 'http://creativecommons.org/licenses/by-sa/1.0/legalcode/' ),
+	new Licence( 'cc-by-sa-2.0-de', ['cc', 'cc2', 'cc2de', 'sa'], 'CC BY-SA 2.0 DE', /^(Bild-)?CC-BY-SA(-|\/)2.0(-|\/)DE/i, 'http://creativecommons.org/licenses/by-sa/2.0/de/legalcode/' ),
+	new Licence( 'cc-by-sa-2.0', ['cc', 'cc2', 'sa'], 'CC BY-SA 2.0', /^(Bild-)?CC-BY-SA(-|\/)2.0(([^\-]+.+|-migrated)*)?$/i, 'http://creativecommons.org/licenses/by-sa/2.0/legalcode/' ),
+	new Licence( 'cc-by-sa-2.5', ['cc', 'cc2', 'sa'], 'CC BY-SA 2.5', /^(Bild-)?CC-BY-SA(-|\/)2.5(([^\-]+.+|-migrated)*)?$/i, 'http://creativecommons.org/licenses/by-sa/2.5/legalcode/' ),
+	new Licence( 'cc-by-sa-3.0-de', ['cc', 'cc3', 'sa'], 'CC BY-SA 3.0 DE', /^(Bild-)?CC-BY-SA(-|\/)3.0(-|\/)DE/i, 'http://creativecommons.org/licenses/by-sa/3.0/de/legalcode/' ),
+	new Licence( 'cc-by-sa-3.0', ['cc', 'cc3', 'sa'], 'CC BY-SA 3.0', /^(Bild-)?CC-BY-SA(-|\/)3.0(([^\-]+.+|-migrated)*)?$/i, 'http://creativecommons.org/licenses/by-sa/3.0/legalcode/' ),
+	new Licence( 'cc-by-sa-4.0', ['cc', 'cc4', 'sa'], 'CC BY-SA 4.0', /^(Bild-)?CC-BY-SA(-|\/)4.0(([^\-]+.+|-migrated)*)?$/i, 'http://creativecommons.org/licenses/by-sa/4.0/legalcode/' ),
+
+	new Licence( 'cc-by-nc-1.0', ['cc', 'cc1', 'nc'], 'CC BY-NC 1.0', /^CC-BY-NC-1.0(([^\-]+.+|-migrated)*)?$/i, 'http://creativecommons.org/licenses/by-nc/1.0/legalcode/' ),
+	new Licence( 'cc-by-nc-2.0-de', ['cc', 'cc2', 'cc2de', 'nc'], 'CC BY-NC 2.0 DE', /^CC-BY-NC(-|\/)2.0(-|\/)DE/i, 'http://creativecommons.org/licenses/by-nc/2.0/de/legalcode/' ),
+	new Licence( 'cc-by-nc-2.0', ['cc', 'cc2', 'nc'], 'CC BY-NC 2.0', /^CC-BY-NC-2.0(([^\-]+.+|-migrated)*)?$/i, 'http://creativecommons.org/licenses/by-nc/2.0/legalcode/' ),
+	new Licence( 'cc-by-nc-2.5', ['cc', 'cc2', 'nc'], 'CC BY-NC 2.5', /^CC-BY-NC-2.5(([^\-]+.+|-migrated)*)?$/i, 'http://creativecommons.org/licenses/by-nc/2.5/legalcode/' ),
+	new Licence( 'cc-by-nc-3.0-de', ['cc', 'cc3', 'nc'], 'CC BY-NC 3.0 DE', /^CC-BY-NC(-|\/)3.0(-|\/)DE/i, 'http://creativecommons.org/licenses/by-nc/3.0/de/legalcode/' ),
+	new Licence( 'cc-by-nc-3.0', ['cc', 'cc3', 'nc'], 'CC BY-NC 3.0', /^CC-BY-NC-3.0(([^\-]+.+|-migrated)*)?$/i, 'http://creativecommons.org/licenses/by-nc/3.0/legalcode/' ),
+	new Licence( 'cc-by-nc-4.0', ['cc', 'cc4', 'nc'], 'CC BY-NC 4.0', /^CC-BY-NC-4.0(([^\-]+.+|-migrated)*)?$/i, 'http://creativecommons.org/licenses/by-nc/4.0/legalcode/' ),
+
+	new Licence( 'cc-by-nd-1.0', ['cc', 'cc1', 'nd'], 'CC BY-ND 1.0', /^CC-BY-ND-1.0(([^\-]+.+|-migrated)*)?$/i, 'http://creativecommons.org/licenses/by-nd/1.0/legalcode/' ),
+	new Licence( 'cc-by-nd-2.0-de', ['cc', 'cc2', 'cc2de', 'nd'], 'CC BY-ND 2.0 DE', /^CC-BY-ND(-|\/)2.0(-|\/)DE/i, 'http://creativecommons.org/licenses/by-nd/2.0/de/legalcode/' ),
+	new Licence( 'cc-by-nd-2.0', ['cc', 'cc2', 'nd'], 'CC BY-ND 2.0', /^CC-BY-ND-2.0(([^\-]+.+|-migrated)*)?$/i, 'http://creativecommons.org/licenses/by-nd/2.0/legalcode/' ),
+	new Licence( 'cc-by-nd-2.5', ['cc', 'cc2', 'nd'], 'CC BY-ND 2.5', /^CC-BY-ND-2.5(([^\-]+.+|-migrated)*)?$/i, 'http://creativecommons.org/licenses/by-nd/2.5/legalcode/' ),
+	new Licence( 'cc-by-nd-3.0-de', ['cc', 'cc3', 'nd'], 'CC BY-ND 3.0 DE', /^CC-BY-ND(-|\/)3.0(-|\/)DE/i, 'http://creativecommons.org/licenses/by-nd/3.0/de/legalcode/' ),
+	new Licence( 'cc-by-nd-3.0', ['cc', 'cc3', 'nd'], 'CC BY-ND 3.0', /^CC-BY-ND-3.0(([^\-]+.+|-migrated)*)?$/i, 'http://creativecommons.org/licenses/by-nd/3.0/legalcode/' ),
+	new Licence( 'cc-by-nd-4.0', ['cc', 'cc4', 'nd'], 'CC BY-ND 4.0', /^CC-BY-ND-4.0(([^\-]+.+|-migrated)*)?$/i, 'http://creativecommons.org/licenses/by-nd/4.0/legalcode/' ),
+
+	new Licence( 'cc-by-nc-sa-1.0', ['cc', 'cc1', 'nc', 'sa'], 'CC BY-NC-SA 1.0', /^CC-BY-NC-SA-1.0(([^\-]+.+|-migrated)*)?$/i, 'http://creativecommons.org/licenses/by-nc-sa/1.0/legalcode/' ),
+	new Licence( 'cc-by-nc-sa-2.0-de', ['cc', 'cc2', 'cc2de', 'nc', 'sa'], 'CC BY-NC-SA 2.0 DE', /^CC-BY-NC-SA(-|\/)2.0(-|\/)DE/i, 'http://creativecommons.org/licenses/by-nc-sa/2.0/de/legalcode/' ),
+	new Licence( 'cc-by-nc-sa-2.0', ['cc', 'cc2', 'nc', 'sa'], 'CC BY-NC-SA 2.0', /^CC-BY-NC-SA-2.0(([^\-]+.+|-migrated)*)?$/i, 'http://creativecommons.org/licenses/by-nc-sa/2.0/legalcode/' ),
+	new Licence( 'cc-by-nc-sa-2.5', ['cc', 'cc2', 'nc', 'sa'], 'CC BY-NC-SA 2.5', /^CC-BY-NC-SA-2.5(([^\-]+.+|-migrated)*)?$/i, 'http://creativecommons.org/licenses/by-nc-sa/2.5/legalcode/' ),
+	new Licence( 'cc-by-nc-sa-3.0-de', ['cc', 'cc3', 'nc', 'sa'], 'CC BY-NC-SA 3.0 DE', /^CC-BY-NC-SA(-|\/)3.0(-|\/)DE/i, 'http://creativecommons.org/licenses/by-nc-sa/3.0/de/legalcode/' ),
+	new Licence( 'cc-by-nc-sa-3.0', ['cc', 'cc3', 'nc', 'sa'], 'CC BY-NC-SA 3.0', /^CC-BY-NC-SA-3.0(([^\-]+.+|-migrated)*)?$/i, 'http://creativecommons.org/licenses/by-nc-sa/3.0/legalcode/' ),
+	new Licence( 'cc-by-nc-sa-4.0', ['cc', 'cc4', 'nc', 'sa'], 'CC BY-NC-SA 4.0', /^CC-BY-NC-SA-4.0(([^\-]+.+|-migrated)*)?$/i, 'http://creativecommons.org/licenses/by-nc-sa/4.0/legalcode/' ),
+
+	new Licence( 'cc-by-nc-nd-1.0', ['cc', 'cc1', 'nc', 'nd'], 'CC BY-NC-ND 1.0', /^CC-BY-(NC-ND|ND-NC)-1.0(([^\-]+.+|-migrated)*)?$/i, 'http://creativecommons.org/licenses/by-nd-nc/1.0/legalcode/' ),
+	new Licence( 'cc-by-nc-nd-2.0-de', ['cc', 'cc2', 'cc2de', 'nc', 'nd'], 'CC BY-NC-ND 2.0 DE', /^CC-BY-NC-ND(-|\/)2.0(-|\/)DE/i, 'http://creativecommons.org/licenses/by-nc-nd/2.0/de/legalcode/' ),
+	new Licence( 'cc-by-nc-nd-2.0', ['cc', 'cc2', 'nc', 'nd'], 'CC BY-NC-ND 2.0', /^CC-BY-NC-ND-2.0(([^\-]+.+|-migrated)*)?$/i, 'http://creativecommons.org/licenses/by-nc-nd/2.0/legalcode/' ),
+	new Licence( 'cc-by-nc-nd-2.5', ['cc', 'cc2', 'nc', 'nd'], 'CC BY-NC-ND 2.5', /^CC-BY-NC-ND-2.5(([^\-]+.+|-migrated)*)?$/i, 'http://creativecommons.org/licenses/by-nc-nd/2.5/legalcode/' ),
+	new Licence( 'cc-by-nc-nd-3.0-de', ['cc', 'cc3', 'nc', 'nd'], 'CC BY-NC-ND 3.0 DE', /^CC-BY-NC-ND(-|\/)3.0(-|\/)DE/i, 'http://creativecommons.org/licenses/by-nc-nd/3.0/de/legalcode/' ),
+	new Licence( 'cc-by-nc-nd-3.0', ['cc', 'cc3', 'nc', 'nd'], 'CC BY-NC-ND 3.0', /^CC-BY-NC-ND-3.0(([^\-]+.+|-migrated)*)?$/i, 'http://creativecommons.org/licenses/by-nc-nd/3.0/legalcode/' ),
+	new Licence( 'cc-by-nc-nd-4.0', ['cc', 'cc4', 'nc', 'nd'], 'CC BY-NC-ND 4.0', /^CC-BY-NC-ND-4.0(([^\-]+.+|-migrated)*)?$/i, 'http://creativecommons.org/licenses/by-nc-nd/4.0/legalcode/' )
+].concat(
+	createPorts( 'by', ['ccby'] ),
+	createPorts( 'by-sa', ['sa'] ),
+	createPorts( 'by-nc', ['nc'] ),
+	createPorts( 'by-nd', ['nd'] ),
+	createPorts( 'by-nc-sa', ['nc', 'sa'] ),
+	createPorts( 'by-nc-nd', ['nc', 'nd'] ),
+	[
+		new Licence( 'GFDL-1.3', ['gfdl'], 'GFDL 1.3', /^GFDL-1\.3/i, 'http://www.gnu.org/licenses/fdl-1.3.html' ),
+		new Licence( 'GFDL', ['gfdl'], 'GFDL 1.2', /^GFDL(?!-1\.3)\b/i, 'http://www.gnu.org/licenses/old-licenses/fdl-1.2.html' ),
+
+		new Licence( 'FAL', ['fal'], 'Free Art License 1.3', /^(FAL|LAL|Free Art License|Licence Art Libre)\b/i, 'http://artlibre.org/licence/lal/en/' ),
+
+		new Licence( 'OGL3', ['ogl'], 'Open Government Licence v3.0', /^OGL[- ]?(v)?3/i, 'http://www.nationalarchives.gov.uk/doc/open-government-licence/version/3/', { outputTemplate: 'Contains public sector information licensed under the {{name}}' } ),
+		new Licence( 'OGL2', ['ogl'], 'Open Government Licence v2.0', /^OGL[- ]?(v)?2/i, 'http://www.nationalarchives.gov.uk/doc/open-government-licence/version/2/', { outputTemplate: 'Contains public sector information licensed under the {{name}}' } ),
+		new Licence( 'OGL', ['ogl'], 'Open Government Licence v1.0', /^OGL(?![- ]?v?[23])\b/i, 'http://www.nationalarchives.gov.uk/doc/open-government-licence/version/1/', { outputTemplate: 'Contains public sector information licensed under the {{name}}' } ),
+
+		new Licence( 'ODbL', ['odbl'], 'ODbL 1.0', /^ODbL\b/i, 'http://opendatacommons.org/licenses/odbl/1.0/' ),
 
-	new Licence( 'cc', ['unsupported'], 'CC', /CC-BY/i ),
+		new Licence( 'cc', ['unsupported'], 'CC', /CC-BY/i ),
 
-	new Licence( 'unknown', ['unknown'], 'Unknown', '', '' )
-];
+		new Licence( 'unknown', ['unknown'], 'Unknown', '', '' )
+	]
+);
 
 } );
@@ -2,10 +2,22 @@
  * @licence GNU GPL v3
  * @author snater.com < wikimedia@snater.com >
  */
-define( ['jquery', 'dojo/_base/config', 'app/ApplicationError'],
-	function( $, config, ApplicationError ) {
+define( ['jquery', 'dojo/_base/config', 'app/ApplicationError', 'app/ATTRIBUTION_RULES'],
+	function( $, config, ApplicationError, ATTRIBUTION_RULES ) {
 'use strict';
 
+/**
+ * Returns the version of a Creative Commons licence, e.g. 3 for "cc-by-sa-3.0-de", or "null" for
+ * other licences.
+ *
+ * @param {Licence} licence
+ * @return {number|null}
+ */
+function getCcVersion( licence ) {
+	var matches = /^cc-by(?:-[a-z]+)*-(\d\.\d)/.exec( licence.getId() );
+	return matches ? parseFloat( matches[1] ) : null;
+}
+
 /**
  * Represents a licence.
  * @constructor
@@ -30,8 +42,13 @@ define( ['jquery', 'dojo/_base/config', 'app/ApplicationError'],
  *        The url to the licence.
  * @param {Object} [options]
  *        Default options overwrites:
- *        - {string} outputTemplate: Text template specifying the actual text output of the licence
- *          information. {{name}} is replaced with the licence name
+ *        - {string|null} outputTemplate: Text template specifying the actual text output of the
+ *          licence information. {{name}} is replaced with the licence name (or the link to the
+ *          licence). If "null", the wording of the attribution's output language is applied.
+ *          Default: null
+ *        - {Object|null} attributionRules: Attribution rules overwriting the rules of the
+ *          licence's groups (see ATTRIBUTION_RULES).
+ *          Default: null
  *
  * @throws {Error} if no proper parameters are specified.
  * @throws {Error} when trying to instantiate an "abstract" licence with an additional regExp.
@@ -73,7 +90,7 @@ var Licence = function( id, groups, name, regExp, url, options ) {
 
 	this._url = url || null;
 
-	$.extend( this._options, ( options || {} ) );
+	this._options = $.extend( {}, this._options, ( options || {} ) );
 };
 
 $.extend( Licence.prototype, {
@@ -93,7 +110,8 @@ $.extend( Licence.prototype, {
 	 * @type {Object}
 	 */
 	_options: {
-		'outputTemplate': 'released under {{name}}'
+		'outputTemplate': null,
+		'attributionRules': null
 	},
 
 	/**
@@ -128,6 +146,18 @@ $.extend( Licence.prototype, {
 		return this._regExp.test( string );
 	},
 
+	/**
+	 * Checks whether a URL refers to the licence. Protocol, "www." prefix, trailing slashes as well
+	 * as legal code and deed suffixes are ignored when comparing URLs.
+	 *
+	 * @param {string} url
+	 * @return {boolean}
+	 */
+	matchUrl: function( url ) {
+		var normalizedUrl = Licence.normalizeUrl( url );
+		return !!normalizedUrl && Licence.normalizeUrl( this._url ) === normalizedUrl;
+	},
+
 	/**
 	 * @return {string}
 	 */
@@ -171,6 +201,104 @@ $.extend( Licence.prototype, {
 		return this._url;
 	},
 
+	/**
+	 * @return {string|null}
+	 */
+	getOutputTemplate: function() {
+		return this._options.outputTemplate;
+	},
+
+	/**
+	 * Returns the attribution rules applying to the licence, indicating per attribution element
+	 * ("author", "title", "url", "editor" and "licence") whether the element is "required",
+	 * "recommended" or to be "omitted" (see ATTRIBUTION_RULES).
+	 *
+	 * @return {Object} Object featuring the properties "elements" {Object} and "note"
+	 *         {string|null}
+	 */
+	getAttributionRules: function() {
+		var rules = this._options.attributionRules;
+
+		for( var i = 0; !rules && i < ATTRIBUTION_RULES.length; i++ ) {
+			if( !ATTRIBUTION_RULES[i].group || this.isInGroup( ATTRIBUTION_RULES[i].group ) ) {
+				rules = ATTRIBUTION_RULES[i];
+			}
+		}
+
+		return {
+			elements: $.extend( {}, rules.elements ),
+			note: rules.note || null
+		};
+	},
+
+	/**
+	 * Checks whether an adaptation of a work licensed under this licence may be licensed under
+	 * another licence. Adaptations of works under a ShareAlike licence (or a comparable copyleft
+	 * licence) need to be licensed under the same or a compatible licence while adaptations of
+	 * works under a plain attribution licence may be licensed under any licence requiring
+	 * attribution, including licence terms of one's own.
+	 *
+	 * @param {Licence|null} licence The adaptation's licence, "null" for one's own licence terms.
+	 * @return {boolean}
+	 */
+	permitsAdaptationUnder: function( licence ) {
+		if( this.isInGroup( 'pd' ) || this.isInGroup( 'cc0' ) ) {
+			return true;
+		} else if(
+			this.isInGroup( 'nd' )
+			|| this.isInGroup( 'unsupported' )
+			|| this.isInGroup( 'unknown' )
+		) {
+			return false;
+		} else if( !licence ) {
+			return this.isInGroup( 'ccby' ) || this.isInGroup( 'ogl' );
+		} else if( $.grep( ['pd', 'cc0', 'unsupported', 'unknown'], function( groupId ) {
+			return licence.isInGroup( groupId );
+		} ).length ) {
+			// Attribution may not be waived for adaptations:
+			return false;
+		}
+
+		if( this.isInGroup( 'gfdl' ) || this.isInGroup( 'odbl' ) ) {
+			return licence.isInGroup( this.isInGroup( 'gfdl' ) ? 'gfdl' : 'odbl' );
+		} else if( this.isInGroup( 'fal' ) ) {
+			return licence.isInGroup( 'fal' ) || licence.getId() === 'cc-by-sa-4.0';
+		} else if( this.isInGroup( 'sa' ) ) {
+			var version = getCcVersion( this ),
+				otherVersion = getCcVersion( licence );
+
+			if( this.isInGroup( 'cc4' ) && !this.isInGroup( 'nc' ) && licence.isInGroup( 'fal' ) ) {
+				return true;
+			}
+
+			// Version 1.0 licences do not allow applying later versions:
+			return licence.isInGroup( 'sa' )
+				&& licence.isInGroup( 'nc' ) === this.isInGroup( 'nc' )
+				&& otherVersion !== null
+				&& ( version === 1 ? otherVersion === version : otherVersion >= version );
+		} else if( this.isInGroup( 'nc' ) ) {
+			return licence.isInGroup( 'nc' );
+		}
+
+		return true;
+	},
+
+	/**
+	 * Returns a score reflecting how restrictive the licence's terms are for reusers. The higher
+	 * the score the more restrictive the licence.
+	 *
+	 * @return {number}
+	 */
+	getRestrictiveness: function() {
+		var restrictiveness = 0;
+
+		for( var i = 0; i < this._groups.length; i++ ) {
+			restrictiveness += Licence.RESTRICTIVENESS[this._groups[i]] || 0;
+		}
+
+		return restrictiveness;
+	},
+
 	/**
 	 * Retrieves the licence text of a specific licence.
 	 *
@@ -201,6 +329,42 @@ $.extend( Licence.prototype, {
 
 } );
 
+/**
+ * Restrictiveness of the licence groups. Groups not listed do not add any restrictions.
+ * @type {Object}
+ */
+Licence.RESTRICTIVENESS = {
+	sa: 1,
+	fal: 1,
+	odbl: 1,
+	nc: 2,
+	nd: 2,
+	gfdl: 3,
+	unsupported: 9,
+	unknown: 9
+};
+
+/**
+ * Strips protocol, "www." prefix, trailing slashes as well as legal code and deed suffixes from a
+ * licence URL to allow comparing URLs, e.g. "https://creativecommons.org/licenses/by/4.0/deed.de"
+ * is normalized to "creativecommons.org/licenses/by/4.0".
+ *
+ * @param {string|null} url
+ * @return {string|null}
+ */
+Licence.normalizeUrl = function( url ) {
+	if( !url ) {
+		return null;
+	}
+
+	return $.trim( url )
+		.replace( /^(https?:)?\/\//i, '' )
+		.replace( /^www\./i, '' )
+		.replace( /[?#].*$/, '' )
+		.replace( /\/+(legalcode(\.[-a-z_]+)?|deed(\.[-a-z_]+)?|rdf)?\/*$/i, '' )
+		.toLowerCase() || null;
+};
+
 /**
  * Instantiates a Licence object from an abstract Licence using a specified text string.
  *
@@ -0,0 +1,152 @@
+/**
+ * @licence GNU GPL v3
+ * @author snater.com < wikimedia@snater.com >
+ */
+define( ['jquery', 'dojo/_base/config'], function( $, config ) {
+'use strict';
+
+/**
+ * Groups of the licences an adaptation may be released under in addition to the licences of the
+ * works adapted. Earlier versions and ported variants of licences are not offered on their own.
+ * @type {string[]}
+ */
+var OUTPUT_GROUPS = ['cc4', 'fal'];
+
+/**
+ * Model of how licences relate to each other, answering under which licences an adaptation of
+ * one or more works may be released.
+ * @constructor
+ *
+ * @param {LicenceStore} [licenceStore]
+ *        Default: config.custom.licenceStore
+ */
+var LicenceCompatibility = function( licenceStore ) {
+	this._licenceStore = licenceStore || config.custom.licenceStore;
+};
+
+$.extend( LicenceCompatibility.prototype, {
+	/**
+	 * @type {LicenceStore}
+	 */
+	_licenceStore: null,
+
+	/**
+	 * Checks whether a work licensed under a specific licence may be adapted and the adaptation
+	 * be released under another licence.
+	 *
+	 * @param {Licence} licence
+	 * @param {Licence|null} adaptationLicence "null" for licence terms of one's own.
+	 * @return {boolean}
+	 */
+	permitsAdaptation: function( licence, adaptationLicence ) {
+		return licence.permitsAdaptationUnder( adaptationLicence );
+	},
+
+	/**
+	 * Returns the reasons determining under which licences an adaptation of a work licensed
+	 * under a specific licence may be released. Possible reasons are:
+	 * - "free": The work may be adapted without any restrictions.
+	 * - "unknown": The licence's terms are not known to the application.
+	 * - "nd": The licence does not permit adaptations.
+	 * - "nc": Adaptations need to be restricted to non-commercial use as well.
+	 * - "sa": Adaptations need to be released under the same licence, a later version of it or a
+	 *   licence declared compatible.
+	 * - "copyleft": Adaptations need to be released under the same licence (or, for the Free Art
+	 *   License, under CC BY-SA 4.0).
+	 * - "attribution": Adaptations may be released under any licence requiring attribution.
+	 *
+	 * @param {Licence} licence
+	 * @return {string[]}
+	 */
+	getReasons: function( licence ) {
+		if( licence.isInGroup( 'pd' ) || licence.isInGroup( 'cc0' ) ) {
+			return ['free'];
+		} else if( licence.isInGroup( 'unsupported' ) || licence.isInGroup( 'unknown' ) ) {
+			return ['unknown'];
+		} else if( licence.isInGroup( 'nd' ) ) {
+			return ['nd'];
+		}
+
+		var reasons = [];
+
+		if( licence.isInGroup( 'nc' ) ) {
+			reasons.push( 'nc' );
+		}
+
+		if( licence.isInGroup( 'sa' ) ) {
+			reasons.push( 'sa' );
+		} else if( $.grep( ['gfdl', 'odbl', 'fal'], function( groupId ) {
+			return licence.isInGroup( groupId );
+		} ).length ) {
+			reasons.push( 'copyleft' );
+		}
+
+		return reasons.length ? reasons : ['attribution'];
+	},
+
+	/**
+	 * Returns the licences an adaptation combining works licensed under specific licences may be
+	 * released under. Candidates are the licences of the works themselves as well as the
+	 * licences of the groups listed in OUTPUT_GROUPS.
+	 *
+	 * @param {Licence[]} licences
+	 * @return {Licence[]}
+	 */
+	getAdaptationLicences: function( licences ) {
+		var self = this,
+			candidates = [],
+			adaptationLicences = [];
+
+		$.each( licences.concat( this._licenceStore.getLicences() ), function( i, licence ) {
+			var isCandidate = i < licences.length || $.grep( OUTPUT_GROUPS, function( groupId ) {
+				return licence.isInGroup( groupId );
+			} ).length;
+
+			if( isCandidate && $.inArray( licence, candidates ) === -1 ) {
+				candidates.push( licence );
+			}
+		} );
+
+		$.each( candidates, function( i, candidate ) {
+			for( var j = 0; j < licences.length; j++ ) {
+				if( !self.permitsAdaptation( licences[j], candidate ) ) {
+					return;
+				}
+			}
+			adaptationLicences.push( candidate );
+		} );
+
+		return adaptationLicences;
+	},
+
+	/**
+	 * Evaluates the combination of works licensed under specific licences into a single
+	 * adaptation, e.g. a collage.
+	 *
+	 * @param {Licence[]} licences
+	 * @return {Object}
+	 *         - {Licence[]} licences: Licences the adaptation may be released under.
+	 *         - {boolean} ownTerms: Whether the adaptation may be released under licence terms
+	 *           of one's own.
+	 *         - {Object[]} reasons: Reasons per licence, each featuring the properties "licence"
+	 *           {Licence} and "reasons" {string[]} (see getReasons()).
+	 */
+	combine: function( licences ) {
+		var self = this;
+
+		return {
+			licences: this.getAdaptationLicences( licences ),
+			ownTerms: $.grep( licences, function( licence ) {
+				return !self.permitsAdaptation( licence, null );
+			} ).length === 0,
+			reasons: $.map( licences, function( licence ) {
+				return { licence: licence, reasons: self.getReasons( licence ) };
+			} )
+		};
+	}
+
+} );
+
+return LicenceCompatibility;
+
+} );
@@ -67,46 +67,72 @@ $.extend( LicenceStore.prototype, {
 
 	/**
 	 * Returns a licence by trying to match on one string or on one string our of a list of strings.
+	 * If multiple licences match, the first one according to the order the licences are stored is
+	 * returned.
 	 *
 	 * @param {string|string[]} strings
 	 * @return {Licence|null}
 	 */
 	detectLicence: function( strings ) {
+		var detectedLicences = this.detectLicences( strings );
+		return detectedLicences.length ? detectedLicences[0] : null;
+	},
+
+	/**
+	 * Returns all licences matching one string or one string out of a list of strings in the order
+	 * the licences are stored. Licences of the group "unsupported" are returned only if no other
+	 * licence is detected.
+	 *
+	 * @param {string|string[]} strings
+	 * @return {Licence[]}
+	 */
+	detectLicences: function( strings ) {
 		if( typeof strings === 'string' ) {
 			strings = [strings];
 		}
 
 		var detectedLicences = [],
-			i,
-			j;
-
-		for( i = 0; i < strings.length; i++ ) {
-			var string = strings[i];
+			unsupportedLicences = [];
 
-			for( j = 0; j < this._licences.length; j++ ) {
-				var licence = this._licences[j];
+		for( var i = 0; i < this._licences.length; i++ ) {
+			var licence = this._licences[i];
 
-				if( licence.match( string ) ) {
+			for( var j = 0; j < strings.length; j++ ) {
+				if( licence.match( strings[j] ) ) {
 					if( licence.isAbstract() ) {
-						licence = Licence.newFromAbstract( licence, string );
+						licence = Licence.newFromAbstract( licence, strings[j] );
+					}
+
+					if( licence.isInGroup( 'unsupported' ) ) {
+						unsupportedLicences.push( licence );
+					} else {
+						detectedLicences.push( licence );
 					}
-					detectedLicences.push( licence );
+
+					break;
 				}
 			}
 		}
 
-		if( detectedLicences.length === 0 ) {
+		return detectedLicences.length ? detectedLicences : unsupportedLicences;
+	},
+
+	/**
+	 * Returns the licence referred to by a licence URL, e.g.
+	 * "https://creativecommons.org/licenses/by-sa/4.0/deed.de". http/https, trailing slashes as well
+	 * as deed and legal code variants of the URL are considered equal.
+	 *
+	 * @param {string|null} url
+	 * @return {Licence|null}
+	 */
+	detectLicenceByUrl: function( url ) {
+		if( !url ) {
 			return null;
-		} else if( detectedLicences.length === 1 ) {
-			return detectedLicences[0];
 		}
 
-		// Return the first licence according to the order the licences are stored:
-		for( i = 0; i < this._licences.length; i++ ) {
-			for( j = 0; j < detectedLicences.length; j++ ) {
-				if( this._licences[i] === detectedLicences[j] ) {
-					return this._licences[i];
-				}
+		for( var i = 0; i < this._licences.length; i++ ) {
+			if( this._licences[i].matchUrl( url ) ) {
+				return this._licences[i];
 			}
 		}
 
@@ -0,0 +1,154 @@
+/**
+ * @licence GNU GPL v3
+ * @author snater.com < wikimedia@snater.com >
+ */
+define( [
+	'jquery',
+	'dojo/_base/config',
+	'app/ApplicationError',
+	'app/Asset',
+	'app/Author',
+	'app/ImageMetadata',
+	'app/NoApi'
+], function( $, config, ApplicationError, Asset, Author, ImageMetadata, NoApi ) {
+'use strict';
+
+/**
+ * Handler for an image file selected from the user's local file system. Author, title, URL and
+ * licence are prefilled from the metadata embedded into the file.
+ * @constructor
+ *
+ * @param {File} file
+ *
+ * @throws {Error} if no file is specified.
+ */
+function LocalFileApi( file ) {
+	if( !file ) {
+		throw new Error( 'Required parameters are not properly defined' );
+	}
+
+	NoApi.apply( this, arguments );
+
+	this._file = file;
+}
+
+$.extend( LocalFileApi.prototype, NoApi.prototype, {
+	constructor: LocalFileApi,
+
+	/**
+	 * @type {File}
+	 */
+	_file: null,
+
+	/**
+	 * URL the file's content may be accessed by within the current browser session.
+	 * @type {string|null}
+	 */
+	_objectUrl: null,
+
+	/**
+	 * Generates an Asset object from the file. The filename is ignored since the file has been
+	 * specified on instantiation.
+	 *
+	 * @return {Object} jQuery Promise
+	 *         Resolved parameters:
+	 *         - {Asset}
+	 *         Rejected parameters:
+	 *         - {ApplicationError}
+	 */
+	getAsset: function() {
+		var self = this,
+			deferred = $.Deferred(),
+			mediaType = this._getMediaType();
+
+		if( !mediaType ) {
+			deferred.reject( new ApplicationError( 'file-unsupported' ) );
+			return deferred.promise();
+		}
+
+		this._read()
+		.done( function( buffer ) {
+			var metadata = new ImageMetadata( buffer ),
+				authors = $.map( metadata.getAuthors(), function( name ) {
+					return new Author( $( document.createTextNode( name ) ) );
+				} ),
+				asset = new Asset(
+					self._file.name,
+					mediaType,
+					config.custom.licenceStore.detectLicenceByUrl( metadata.getLicenceUrl() ),
+					metadata.getTitle(),
+					authors,
+					metadata.getUrl(),
+					null,
+					self
+				);
+
+			asset.setCredit( metadata.getCredit() );
+
+			deferred.resolve( asset );
+		} )
+		.fail( function( error ) {
+			deferred.reject( error );
+		} );
+
+		return deferred.promise();
+	},
+
+	/**
+	 * Retrieves image information for the file. The filename is ignored.
+	 * @see NoApi.getImageInfo
+	 */
+	getImageInfo: function() {
+		if( !this._objectUrl ) {
+			this._objectUrl = window.URL.createObjectURL( this._file );
+		}
+
+		return NoApi.prototype.getImageInfo.call( this, this._objectUrl );
+	},
+
+	/**
+	 * Returns the media type of the file or "null" if the file is not an image.
+	 *
+	 * @return {string|null}
+	 */
+	_getMediaType: function() {
+		var type = this._file.type || '';
+
+		if( type === 'image/svg+xml' ) {
+			return 'drawing';
+		}
+
+		return type.indexOf( 'image/' ) === 0 ? 'bitmap' : null;
+	},
+
+	/**
+	 * Reads the file's content.
+	 *
+	 * @return {Object} jQuery Promise
+	 *         Resolved parameters:
+	 *         - {ArrayBuffer}
+	 *         Rejected parameters:
+	 *         - {ApplicationError}
+	 */
+	_read: function() {
+		var deferred = $.Deferred(),
+			reader = new FileReader();
+
+		reader.onload = function() {
+			deferred.resolve( reader.result );
+		};
+
+		reader.onerror = function() {
+			deferred.reject( new ApplicationError( 'file-unreadable' ) );
+		};
+
+		reader.readAsArrayBuffer( this._file );
+
+		return deferred.promise();
+	}
+
+} );
+
+return LocalFileApi;
+
+} );
@@ -7,14 +7,36 @@ define( [
 	'dojo/i18n!./nls/Navigation',
 	'templates/registry',
 	'app/AjaxError',
+	'app/CombinationPage',
+	'app/HistoryPage',
+	'app/locale',
 	'dojo/_base/config'
-], function( $, messages, templateRegistry, AjaxError, config ) {
+], function(
+	$,
+	messages,
+	templateRegistry,
+	AjaxError,
+	CombinationPage,
+	HistoryPage,
+	locale,
+	config
+) {
 'use strict';
 
 /**
  * Main navigation renderer creating and managing the main menu and its referred content.
  * @constructor
  *
+ * @event localechange
+ *        Triggered after the language has been changed via the language switcher. Content
+ *        already rendered should be re-rendered.
+ *        (1) {jQuery.Event}
+ *
+ * @event restore
+ *        Triggered when an entry of the attribution history is to be re-opened.
+ *        (1) {jQuery.Event}
+ *        (2) {string} Serialized session to restore (see Session.toString()).
+ *
  * @param {jQuery} $node
  *
  * @throws {Error} if a required parameter is not defined.
@@ -32,6 +54,11 @@ $.extend( Navigation.prototype, {
 	 */
 	_$node: null,
 
+	/**
+	 * @type {CombinationPage|null}
+	 */
+	_combinationPage: null,
+
 	/**
 	 * Renders the global navigation bar.
 	 *
@@ -45,11 +72,14 @@ $.extend( Navigation.prototype, {
 			+ '<li class="button navigation-button-home">' + messages['Start'] + '</li>'
 			+ '<li class="button navigation-button-about">' + messages['About'] + '</li>'
 			+ '<li class="button navigation-button-feedback">' + messages['Feedback'] + '</li>'
+			+ '<li class="button navigation-button-history">' + messages['History'] + '</li>'
+			+ '<li class="button navigation-button-combine">' + messages['Combine works'] + '</li>'
 			+ '</ul>' );
 
 		$navigation.children( '.navigation-button-home' )
 		.on( 'click', function() {
-			location.reload();
+			// Drop any session information to actually return to the front page:
+			location.href = location.href.replace( /#.*$/, '' );
 		} );
 
 		if( !showStartButton && showStartButton !== undefined ) {
@@ -66,11 +96,66 @@ $.extend( Navigation.prototype, {
 			self._showOverlay( 'feedback' );
 		} );
 
+		$navigation.children( '.navigation-button-history' )
+		.on( 'click', function() {
+			self._showOverlay( 'history' );
+		} );
+
+		$navigation.children( '.navigation-button-combine' )
+		.on( 'click', function() {
+			self._showOverlay( 'combine' );
+		} );
+
+		$navigation.append( this._createLanguageSwitcher() );
+
 		return $navigation;
 	},
 
 	/**
-	 * Shows the global overlay filling its content with a specific content page.
+	 * Creates the language switcher changing the locale at runtime.
+	 *
+	 * @return {jQuery}
+	 */
+	_createLanguageSwitcher: function() {
+		var self = this,
+			$select = $( '<select/>' );
+
+		$.each( locale.LANGUAGES, function( languageCode, name ) {
+			$select.append( $( '<option/>' ).attr( 'value', languageCode ).text( name ) );
+		} );
+
+		$select
+		.val( locale.getLanguage() )
+		.on( 'change', function() {
+			locale.setLanguage( $select.val() ).done( function() {
+				self._reloadOverlay();
+				$( self ).trigger( 'localechange' );
+			} );
+		} );
+
+		return $( '<li/>' ).addClass( 'navigation-language' ).append( $select );
+	},
+
+	/**
+	 * Reloads the content page currently shown in the global overlay.
+	 */
+	_reloadOverlay: function() {
+		var $overlay = this._$node.find( '.navigation-overlay' ),
+			$page = $overlay.find( '.page' ),
+			match = /(?:^|\s)page-(\S+)/.exec( $page.attr( 'class' ) || '' );
+
+		if( !match || !$overlay.is( ':visible' ) ) {
+			$overlay.remove();
+			return;
+		}
+
+		$page.remove();
+		this._showOverlay( match[1] );
+	},
+
+	/**
+	 * Shows the global overlay filling its content with a specific content page. The "history"
+	 * and "combine" pages are not loaded from a template but rendered by their page renderers.
 	 *
 	 * @param {string} page
 	 */
@@ -94,13 +179,25 @@ $.extend( Navigation.prototype, {
 			$overlay.find( '.navigation-overlay-icon-close' ).on( 'click', function() {
 				self._hideOverlay();
 			} );
-		} else if( $overlay.find( '.page-' + page ).length === 1 ) {
+		} else if( page !== 'history' && $overlay.find( '.page-' + page ).length === 1 ) {
 			$overlay.stop().slideDown( 'fast' );
 			return;
 		}
 
 		$overlay.slideUp( 'fast' );
 
+		if( page === 'history' || page === 'combine' ) {
+			var $page = page === 'history'
+				? this._createHistoryPage()
+				: this._createCombinationPage();
+
+			$overlay.promise().done( function() {
+				$overlay.find( '.navigation-overlay-content' ).empty().append( $page );
+				$overlay.slideDown( 'fast' );
+			} );
+			return;
+		}
+
 		var ajaxOptions = {
 			url: templateRegistry.getDir( 'content' ) + page + '.html',
 			dataType: 'html'
@@ -134,6 +231,37 @@ $.extend( Navigation.prototype, {
 		} );
 	},
 
+	/**
+	 * Creates the page listing the attribution history.
+	 *
+	 * @return {jQuery}
+	 *
+	 * @triggers restore
+	 */
+	_createHistoryPage: function() {
+		var self = this,
+			$content = $( '<div class="page page-history" />' ),
+			historyPage = new HistoryPage( $content );
+
+		$( historyPage ).on( 'restore', function( event, session ) {
+			self._hideOverlay();
+			$( self ).trigger( 'restore', [session] );
+		} );
+
+		return $content;
+	},
+
+	/**
+	 * Creates the page checking the combination of several works.
+	 *
+	 * @return {jQuery}
+	 */
+	_createCombinationPage: function() {
+		var $content = $( '<div class="page page-combine" />' );
+		this._combinationPage = new CombinationPage( $content );
+		return $content;
+	},
+
 	/**
 	 * Hides the global overlay.
 	 */
@@ -5,10 +5,22 @@
 define( [
 	'jquery',
 	'app/options/OriginalFileLink',
+	'app/options/FullLicenceName',
 	'app/options/HtmlCode',
 	'app/options/ImageSize',
+	'app/options/MarkupCode',
+	'app/options/OutputLanguage',
 	'app/options/RawText'
-], function( $, OriginalFileLink, HtmlCode, ImageSize, RawText ) {
+], function(
+	$,
+	OriginalFileLink,
+	FullLicenceName,
+	HtmlCode,
+	ImageSize,
+	MarkupCode,
+	OutputLanguage,
+	RawText
+) {
 'use strict';
 
 /**
@@ -27,14 +39,19 @@ var OptionContainer = function( $node, asset, defaultOptions ) {
 	this._$node = $node;
 	this._defaultOptions = defaultOptions || [
 		'imageSize',
-		'originalFileLink'
+		'originalFileLink',
+		'outputLanguage',
+		'fullLicenceName'
 	];
 	this._currentOptions = this._defaultOptions;
 
 	this._options = [
 		{ id: 'imageSize', instance: new ImageSize( asset ) },
 		{ id: 'originalFileLink', instance: new OriginalFileLink( asset ) },
+		{ id: 'outputLanguage', instance: new OutputLanguage( asset ) },
+		{ id: 'fullLicenceName', instance: new FullLicenceName( asset ) },
 		{ id: 'rawText', instance: new RawText( asset ) },
+		{ id: 'markupCode', instance: new MarkupCode( asset ) },
 		{ id: 'htmlCode', instance: new HtmlCode( asset ) }
 	];
 
@@ -69,6 +86,11 @@ $.extend( OptionContainer.prototype, {
 	 */
 	_currentOptions: null,
 
+	/**
+	 * @type {AttributionGenerator|null}
+	 */
+	_attributionGenerator: null,
+
 	/**
 	 * Attaches default event handlers to an Option instance.
 	 *
@@ -207,9 +229,18 @@ $.extend( OptionContainer.prototype, {
 	},
 
 	/**
+	 * Applies an AttributionGenerator to the options. Nothing is done if the AttributionGenerator
+	 * equals the one already applied.
+	 *
 	 * @param {AttributionGenerator} attributionGenerator
 	 */
 	setAttributionGenerator: function( attributionGenerator ) {
+		if( attributionGenerator.equals( this._attributionGenerator ) ) {
+			return;
+		}
+
+		this._attributionGenerator = attributionGenerator;
+
 		for( var i = 0; i < this._options.length; i++ ) {
 			this._options[i].instance.setAttributionGenerator( attributionGenerator );
 		}
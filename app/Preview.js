@@ -2,7 +2,7 @@
  * @licence GNU GPL v3
  * @author snater.com < wikimedia@snater.com >
  */
-define( ['jquery'], function( $ ) {
+define( ['jquery', 'dojo/i18n!./nls/Preview'], function( $, messages ) {
 'use strict';
 
 /**
@@ -65,11 +65,15 @@ $.extend( Preview.prototype, {
 			} else {
 				self._$node.find( '.attributed-image-frame' ).remove();
 
-				$attributedImageFrame = self._attributedImageHtml( imageInfo )
+				$attributedImageFrame = self._attributedImageHtml( imageInfo, imageSize )
 					.appendTo( self._$node );
 			}
 
-			$attributedImageFrame.append( attributionGenerator.generate() );
+			$attributedImageFrame
+			.append( attributionGenerator.generate() )
+			.append( self._createSourcesNode() );
+
+			self._adjustSpacer( $attributedImageFrame );
 
 			supplementPromise.done( function( $content ) {
 				var $supplement = self._$node.find( '.preview-supplement' );
@@ -97,23 +101,74 @@ $.extend( Preview.prototype, {
 			deferred.resolve( $attributedImageFrame );
 		} )
 		.fail( function( error ) {
-			self._$node.empty().append(
-				$( '<div/>' )
+			var $error = $( '<div/>' )
 				.addClass( 'preview-error error' )
-				.text( error.getMessage() )
-			);
+				.text( error.getMessage() );
+
+			if( error.isRetryable() ) {
+				$error
+				.append( document.createTextNode( ' ' ) )
+				.append( $( '<a/>' ).addClass( 'button preview-retry' )
+					.text( messages['retry'] )
+					.on( 'click', function() {
+						$error.remove();
+						self.update( attributionGenerator, supplementPromise, imageSize )
+						.done( function( $attributedImageFrame ) {
+							deferred.resolve( $attributedImageFrame );
+						} );
+					} )
+				);
+			}
+
+			// The attributed image is removed along with the rest of the preview:
+			self._currentImageSize = null;
+			self._$node.empty().append( $error );
 		} );
 
 		return deferred.promise();
 	},
 
 	/**
-	 * Returns the DOM of the attributed image without the attribution.
+	 * Creates a note on where the asset's information has been gathered from.
+	 *
+	 * @return {jQuery|null}
+	 */
+	_createSourcesNode: function() {
+		var sources = this._asset.getSources(),
+			$list = $( '<ul/>' );
+
+		$.each( ['authors', 'title', 'licence', 'credit'], function( i, name ) {
+			if( sources[name] ) {
+				$list.append( $( '<li/>' ).text(
+					messages[name] + ': ' + messages['source-' + sources[name]]
+				) );
+			}
+		} );
+
+		if( $list.children().length === 0 ) {
+			return null;
+		}
+
+		return $( '<div/>' ).addClass( 'preview-sources' )
+			.append( $( '<span/>' ).text( messages['information sources'] ) )
+			.append( $list );
+	},
+
+	/**
+	 * Returns the DOM of the attributed image without the attribution. Videos are rendered as a
+	 * video player showing the poster frame, audio files as an audio player.
 	 *
 	 * @param {ImageInfo} imageInfo
+	 * @param {number} imageSize
 	 * @return {jQuery}
 	 */
-	_attributedImageHtml: function( imageInfo ) {
+	_attributedImageHtml: function( imageInfo, imageSize ) {
+		var mediaType = this._asset.getMediaType();
+
+		if( mediaType === 'video' || mediaType === 'audio' ) {
+			return this._attributedMediaHtml( imageInfo, imageSize );
+		}
+
 		var html = ''
 			+ '<div class="attributed-image-frame"><div class="attributed-image">'
 			+ '<a href="' + imageInfo.getDescriptionUrl() + '">'
@@ -127,13 +182,56 @@ $.extend( Preview.prototype, {
 		$attributedImageFrame.width( imageInfo.getThumbnail().width );
 
 		$attributedImageFrame.find( 'img' ).on( 'load', function() {
-			self._$node.find( '.preview-spacer' ).css(
-				'marginBottom',
-				-1 * parseInt( $attributedImageFrame.height() / 2, 10 )
-			);
+			self._adjustSpacer( $attributedImageFrame );
 		} );
 
 		return $attributedImageFrame;
+	},
+
+	/**
+	 * Returns the DOM of an attributed video or audio file without the attribution. The media file
+	 * is not loaded before the user starts playing it.
+	 *
+	 * @param {ImageInfo} imageInfo
+	 * @param {number} imageSize
+	 * @return {jQuery}
+	 */
+	_attributedMediaHtml: function( imageInfo, imageSize ) {
+		var thumbnail = imageInfo.getThumbnail(),
+			$media;
+
+		if( this._asset.getMediaType() === 'video' ) {
+			$media = $( '<video controls preload="none"/>' );
+
+			if( thumbnail && thumbnail.url ) {
+				$media
+				.attr( 'poster', thumbnail.url )
+				.attr( 'width', thumbnail.width )
+				.attr( 'height', thumbnail.height );
+
+				imageSize = thumbnail.width || imageSize;
+			}
+		} else {
+			$media = $( '<audio controls preload="none"/>' );
+		}
+
+		$media.attr( 'src', imageInfo.getUrl() );
+
+		return $( '<div/>' ).addClass( 'attributed-image-frame' )
+			.width( imageSize )
+			.append( $( '<div/>' ).addClass( 'attributed-image' ).append( $media ) );
+	},
+
+	/**
+	 * Adjusts the spacer to vertically center the attributed image.
+	 *
+	 * @param {jQuery} $attributedImageFrame
+	 */
+	_adjustSpacer: function( $attributedImageFrame ) {
+		this._$node.find( '.preview-spacer' ).css(
+			'marginBottom',
+			-1 * parseInt( $attributedImageFrame.height() / 2, 10 )
+		);
 	}
 
 } );
@@ -0,0 +1,348 @@
+/**
+ * @licence GNU GPL v3
+ * @author snater.com < wikimedia@snater.com >
+ */
+define( function() {
+'use strict';
+
+/**
+ * Definition of the questionnaire flow interpreted by QuestionnaireFlow. The page names/numbers are
+ * based on the questionnaire "Webtool für Creative Commons-Lizenzen". Each page is rendered from
+ * the template featuring the page's id. Within the templates, the DOM nodes of an answer are
+ * referenced by the class "a<answer id>".
+ *
+ * Conditions may be composed of:
+ * - { licence: {string[]} } Licence id of the asset is one of the specified ids.
+ * - { licenceGroup: {string} } Licence of the asset is in the specified group.
+ * - { missing: {string} } The asset is missing information ("licence", "authors", "title" or
+ *   "url").
+ * - { requires: {string} } The asset's licence legally requires the specified attribution element
+ *   ("author", "title", "url", "editor" or "licence"; see Licence.getAttributionRules()). Every
+ *   element is considered required if the asset has no licence.
+ * - { multipleLicences: true } The asset is available under multiple licences to choose from.
+ * - { adaptableUnderOwnTerms: true } The asset's licence permits licensing modified versions
+ *   under one's own licence terms (see Licence.permitsAdaptationUnder()).
+ * - { answer: [{string} page id, {number} answer id] } The specific answer has been given.
+ * - { not: {Object} }, { all: {Object[]} }, { any: {Object[]} }
+ *
+ * Targets (of the start definition as well as of an answer's "goTo") are either a page id or a
+ * list of cases ({ condition: {Object}, page: {string|null} }) of which the first case without a
+ * condition or with a condition applying is picked. The page "null" exits the questionnaire.
+ *
+ * @type {Object}
+ */
+return {
+	/**
+	 * Determines the page to start the questionnaire with.
+	 * @type {Object[]}
+	 */
+	start: [
+		{ condition: { licence: ['PD', 'cc-zero'] }, page: null },
+		{ condition: { multipleLicences: true }, page: 'choose-licence' },
+		{ condition: { any: [{ licence: ['CC'] }, { missing: 'licence' }] }, page: '2' },
+		{ condition: { missing: 'authors' }, page: '9' },
+		{
+			condition: { all: [{ requires: 'title' }, { missing: 'title' }] },
+			page: '10'
+		},
+		{ condition: { missing: 'url' }, page: '11' },
+		{ page: '3' }
+	],
+
+	/**
+	 * Questionnaire pages indexed by page id. Answers may feature the following properties:
+	 * - goTo {string|Object[]} Target of the answer.
+	 * - data {string} Name of the data attribute of the answer's DOM node whose value is logged as
+	 *   the answer's value.
+	 * - input {boolean} Whether the answer is given by filling an input box. Its value is submitted
+	 *   by clicking a link or by pressing the enter key.
+	 * - empty {number} Answer to log instead of an input answer when the input box is empty.
+	 * - clears {number} Id of the input answer to clear when selecting the answer.
+	 * - toggle {boolean} Whether the answer is checked and unchecked by clicking it without
+	 *   leaving the page.
+	 * - disabled {Object} Condition the answer is disabled on.
+	 * Pages without answers need to be flagged "final".
+	 * @type {Object}
+	 */
+	pages: {
+		'choose-licence': {
+			answers: {
+				1: {
+					data: 'licenceId',
+					goTo: [
+						{ condition: { licence: ['PD', 'cc-zero'] }, page: null },
+						{ condition: { missing: 'authors' }, page: '9' },
+						{
+							condition: { all: [{ requires: 'title' }, { missing: 'title' }] },
+							page: '10'
+						},
+						{ condition: { missing: 'url' }, page: '11' },
+						{ page: '3' }
+					]
+				}
+			}
+		},
+		'2': {
+			answers: {
+				1: {
+					data: 'licenceId',
+					goTo: [
+						{ condition: { missing: 'authors' }, page: 'form-author' },
+						{ condition: { missing: 'title' }, page: 'form-title' },
+						{ condition: { missing: 'url' }, page: 'form-url' },
+						{ page: '3' }
+					]
+				},
+				9: { goTo: 'result-note-cc0' },
+				10: { goTo: '15' }
+			}
+		},
+		'form-author': {
+			answers: {
+				1: {
+					input: true,
+					empty: 2,
+					goTo: [
+						{ condition: { missing: 'title' }, page: 'form-title' },
+						{ condition: { missing: 'url' }, page: 'form-url' },
+						{ page: '3' }
+					]
+				},
+				2: {
+					clears: 1,
+					goTo: [
+						{ condition: { missing: 'title' }, page: 'form-title' },
+						{ condition: { missing: 'url' }, page: 'form-url' },
+						{ page: '3' }
+					]
+				}
+			}
+		},
+		'form-title': {
+			answers: {
+				1: {
+					input: true,
+					empty: 2,
+					goTo: [{ condition: { missing: 'url' }, page: 'form-url' }, { page: '3' }]
+				},
+				2: {
+					clears: 1,
+					goTo: [{ condition: { missing: 'url' }, page: 'form-url' }, { page: '3' }]
+				}
+			}
+		},
+		'form-url': {
+			answers: {
+				1: { input: true, empty: 2, goTo: '3' },
+				2: { clears: 1, goTo: '3' }
+			}
+		},
+		'3': {
+			answers: {
+				1: {
+					goTo: [
+						{ condition: { licenceGroup: 'nc' }, page: '3a' },
+						{ condition: { licenceGroup: 'cc' }, page: '7' },
+						{ page: '12a' }
+					]
+				},
+				2: {
+					goTo: [
+						{ condition: { licenceGroup: 'nc' }, page: '3a' },
+						{ condition: { licenceGroup: 'cc' }, page: '7' },
+						{ page: '8' }
+					]
+				},
+				3: {
+					goTo: [
+						{ condition: { licenceGroup: 'cc2de' }, page: '7' },
+						{ page: 'result-note-privateUse' }
+					]
+				},
+				4: { goTo: '5', disabled: { answer: ['5', 1] } },
+				5: { goTo: '6' }
+			}
+		},
+		'3a': {
+			answers: {
+				1: { goTo: 'result-nc' },
+				2: { goTo: '7' }
+			}
+		},
+		'5': {
+			answers: {
+				1: { goTo: '3' },
+				2: { goTo: '5a' }
+			}
+		},
+		'5a': {
+			final: true
+		},
+		'6': {
+			final: true
+		},
+		'7': {
+			answers: {
+				1: { goTo: [{ condition: { answer: ['3', 2] }, page: '8' }, { page: '12a' }] },
+				2: { goTo: [{ condition: { answer: ['3', 2] }, page: '8' }, { page: '12a' }] }
+			}
+		},
+		'8': {
+			answers: {
+				1: { goTo: '12a' },
+				2: { goTo: '12a' }
+			}
+		},
+		'9': {
+			answers: {
+				1: {
+					input: true,
+					empty: 2,
+					goTo: [
+						{
+							condition: { all: [{ requires: 'title' }, { missing: 'title' }] },
+							page: '10'
+						},
+						{ condition: { missing: 'url' }, page: '11' },
+						{ page: '3' }
+					]
+				},
+				2: {
+					clears: 1,
+					goTo: [
+						{
+							condition: { all: [{ requires: 'title' }, { missing: 'title' }] },
+							page: '10'
+						},
+						{ condition: { missing: 'url' }, page: '11' },
+						{ page: '3' }
+					]
+				}
+			}
+		},
+		'10': {
+			answers: {
+				1: {
+					input: true,
+					empty: 2,
+					goTo: [{ condition: { missing: 'url' }, page: '11' }, { page: '3' }]
+				},
+				2: {
+					clears: 1,
+					goTo: [{ condition: { missing: 'url' }, page: '11' }, { page: '3' }]
+				}
+			}
+		},
+		'11': {
+			answers: {
+				1: { input: true, empty: 2, goTo: '3' },
+				2: { clears: 1, goTo: '3' }
+			}
+		},
+		'12a': {
+			answers: {
+				1: { goTo: 'result-success' },
+				2: { goTo: [{ condition: { licenceGroup: 'nd' }, page: 'result-nd' }, { page: '12b' }] }
+			}
+		},
+		'12b': {
+			answers: {
+				1: { goTo: '13' },
+				2: { goTo: '12c' },
+				3: {
+					goTo: [
+						{ condition: { adaptableUnderOwnTerms: true }, page: '13' },
+						{ page: 'result-adaptation' }
+					]
+				}
+			}
+		},
+		'12c': {
+			answers: {
+				1: { data: 'licenceId', goTo: '13' }
+			}
+		},
+		'13': {
+			answers: {
+				1: { input: true, goTo: 'result-success' },
+				2: { input: true, goTo: 'result-success' },
+				3: { toggle: true },
+				4: { toggle: true },
+				5: { toggle: true },
+				6: { toggle: true },
+				7: { input: true, goTo: 'result-success' }
+			}
+		},
+		'15': {
+			final: true
+		},
+		'result-adaptation': {
+			final: true
+		},
+		'result-nc': {
+			final: true
+		},
+		'result-nd': {
+			final: true
+		},
+		'result-note-cc0': {
+			final: true
+		},
+		'result-note-privateUse': {
+			final: true
+		},
+		'result-success': {
+			final: true
+		}
+	},
+
+	/**
+	 * Mapping of answers to the attributes of the questionnaire result. Each attribute is defined
+	 * by a list of cases of which the first case applying determines the attribute's value. A case
+	 * either references an answer ({ answer: [{string} page id, {number} answer id] }) whose value
+	 * is picked if the answer has been given, or features a literal "value" picked if the case's
+	 * (optional) "condition" applies. If no case applies, the attribute's value is "false".
+	 * @type {Object}
+	 */
+	result: {
+		adaptationLicence: [{ answer: ['12c', 1] }],
+		attributionAlthoughExceptionalUse: [{ answer: ['5', 1] }],
+		author: [{ answer: ['form-author', 1] }, { answer: ['9', 1] }],
+		collectionUse: [{ answer: ['7', 1] }],
+		colourAdjusted: [{ answer: ['13', 4] }],
+		combinedWith: [{ answer: ['13', 7] }],
+		cropped: [{ answer: ['13', 3] }],
+		edited: [{ answer: ['12a', 2] }],
+		editor: [{ answer: ['13', 1] }],
+		editorUrl: [{ answer: ['13', 2] }],
+		format: [
+			{ condition: { answer: ['3', 1] }, value: 'html' },
+			{ value: 'text' }
+		],
+		fullLicence: [{ answer: ['8', 1] }],
+		licence: [{ answer: ['2', 1] }, { answer: ['choose-licence', 1] }],
+		licenceConflict: [
+			{ condition: { all: [{ licenceGroup: 'nc' }, { answer: ['3a', 1] }] }, value: 'nc' },
+			{ condition: { all: [{ licenceGroup: 'nd' }, { answer: ['12a', 2] }] }, value: 'nd' },
+			{
+				condition: {
+					all: [{ not: { adaptableUnderOwnTerms: true } }, { answer: ['12b', 3] }]
+				},
+				value: 'adaptation'
+			}
+		],
+		retouched: [{ answer: ['13', 6] }],
+		title: [{ answer: ['form-title', 1] }, { answer: ['10', 1] }],
+		translated: [{ answer: ['13', 5] }],
+		url: [{ answer: ['form-url', 1] }, { answer: ['11', 1] }],
+		useCase: [
+			{ condition: { answer: ['3', 1] }, value: 'online' },
+			{ condition: { answer: ['3', 2] }, value: 'print' },
+			{ condition: { answer: ['3', 3] }, value: 'private' },
+			{ condition: { answer: ['3', 4] }, value: 'exceptional' },
+			{ condition: { answer: ['3', 5] }, value: 'other' }
+		]
+	}
+};
+
+} );
@@ -5,8 +5,6 @@
 /* global alert */
 define( [
 	'jquery',
-	'app/AttributionGenerator',
-	'app/Author',
 	'app/QuestionnairePage',
 	'app/QuestionnaireState',
 	'dojo/Deferred',
@@ -16,8 +14,6 @@ define( [
 	'app/AjaxError'
 ], function(
 	$,
-	AttributionGenerator,
-	Author,
 	QuestionnairePage,
 	QuestionnaireState,
 	Deferred,
@@ -92,32 +88,25 @@ $.extend( Questionnaire.prototype, {
 	/**
 	 * Starts the questionnaire.
 	 *
+	 * @param {string} [startPage] Page to start the questionnaire with instead of determining the
+	 *        start page by evaluating the asset.
 	 * @return {Object} jQuery Promise
 	 *         No resolved parameters.
 	 *         Rejected parameters:
 	 *         - {AjaxError}
 	 */
-	start: function() {
+	start: function( startPage ) {
 		this._navigationCache = [];
 
 		var self = this,
 			deferred = $.Deferred(),
-			licenceId = this._asset.getLicence() ? this._asset.getLicence().getId() : null,
-			page = '3';
+			state = new QuestionnaireState( 'init', this._asset ),
+			page = startPage || state.getFlow().getStartPage( this._asset );
 
-		if( licenceId === 'PD' || licenceId === 'cc-zero' ) {
-			this._questionnaireState = new QuestionnaireState( 'init', this._asset );
+		if( page === null ) {
+			this._questionnaireState = state;
 			this._exit();
 			return deferred.resolve().promise();
-		} else if( licenceId === 'CC' || !licenceId ) {
-			page = '2';
-		} else if( !this._asset.getAuthors().length ) {
-			page = '9';
-		} else if(
-			!this._asset.getLicence().isInGroup( 'cc4' ) && !this._asset.getTitle().length ) {
-			page = '10';
-		} else if( !this._asset.getUrl().length ) {
-			page = '11';
 		}
 
 		this._goTo( page )
@@ -132,6 +121,102 @@ $.extend( Questionnaire.prototype, {
 		return deferred.promise();
 	},
 
+	/**
+	 * Restores a questionnaire session by rebuilding the navigation path and rendering the last
+	 * page of the path. If the path is empty, the questionnaire is started regularly.
+	 *
+	 * @param {string[]} path Ids of the pages visited.
+	 * @param {Object} answers Answers indexed by page and answer id.
+	 * @return {Object} jQuery Promise
+	 *         No resolved parameters.
+	 *         Rejected parameters:
+	 *         - {AjaxError}
+	 */
+	restore: function( path, answers ) {
+		if( !path.length ) {
+			return this.start();
+		}
+
+		var self = this,
+			deferred = $.Deferred(),
+			back = this._navigationCache !== null && path.length < this.getPath().length;
+
+		this._navigationCache = [new QuestionnaireState( 'init', this._asset )];
+
+		for( var i = 0; i < path.length - 1; i++ ) {
+			this._navigationCache.push( this._createPathState( path, answers, i ) );
+		}
+
+		this._questionnaireState = new QuestionnaireState( path[path.length - 1], this._asset );
+
+		// The current state features all answers, including answers given on pages that have been
+		// navigated back from:
+		$.each( answers, function( page, pageAnswers ) {
+			$.each( pageAnswers, function( answerId, value ) {
+				self._questionnaireState.setValue( page, answerId, value );
+			} );
+		} );
+
+		this._animateToPage( path[path.length - 1], back )
+		.done( function( questionnairePage ) {
+			questionnairePage.applyState( self._questionnaireState );
+			deferred.resolve();
+			$( self ).trigger( 'update' );
+		} )
+		.fail( function( error ) {
+			deferred.reject( error );
+		} );
+
+		return deferred.promise();
+	},
+
+	/**
+	 * Creates the state of a specific position in a navigation path featuring the answers given on
+	 * the pages up to that position.
+	 *
+	 * @param {string[]} path
+	 * @param {Object} answers
+	 * @param {number} index
+	 * @return {QuestionnaireState}
+	 */
+	_createPathState: function( path, answers, index ) {
+		var state = new QuestionnaireState( path[index], this._asset );
+
+		/**
+		 * @param {string} page
+		 */
+		function applyAnswers( page ) {
+			$.each( answers[page] || {}, function( answerId, value ) {
+				state.setValue( page, answerId, value );
+			} );
+		}
+
+		for( var i = 0; i <= index; i++ ) {
+			applyAnswers( path[i] );
+		}
+
+		return state;
+	},
+
+	/**
+	 * Returns the ids of the pages visited, the last one being the page currently displayed.
+	 *
+	 * @return {string[]}
+	 */
+	getPath: function() {
+		if( !this._navigationCache || !this._navigationCache.length ) {
+			return [];
+		}
+
+		var path = $.map( this._navigationCache.slice( 1 ), function( state ) {
+			return state.getPageId();
+		} );
+
+		path.push( this._questionnaireState.getPageId() );
+
+		return path;
+	},
+
 	/**
 	 * Default page movement.
 	 *
@@ -312,7 +397,11 @@ $.extend( Questionnaire.prototype, {
 
 		$( questionnairePage )
 		.on( 'goto', function( event, toPage ) {
-			self._goTo( toPage );
+			if( toPage === null ) {
+				self._exit();
+			} else {
+				self._goTo( toPage );
+			}
 		} )
 		.on( 'update', function( event, state ) {
 			self._questionnaireState = state;
@@ -369,42 +458,21 @@ $.extend( Questionnaire.prototype, {
 		this._$node.remove();
 	},
 
+	/**
+	 * @return {QuestionnaireState|null}
+	 */
+	getQuestionnaireState: function() {
+		return this._questionnaireState;
+	},
+
 	/**
 	 * Returns the, as to the questionnaire, currently appropriate AttributionGenerator object.
 	 *
+	 * @param {Object} [options] AttributionGenerator option overwrites
 	 * @return {AttributionGenerator}
 	 */
 	getAttributionGenerator: function( options ) {
-		var result = this._questionnaireState.getResult(),
-			editor = null;
-
-		if( result.edited ) {
-			editor = messages['(edited)'];
-		}
-		if( result.edited && result.editor ) {
-			editor = result.editor;
-		}
-
-		options = $.extend( {
-			editor: editor,
-			licenceOnly: options ? options.licenceOnly : false,
-			licenceLink: !result.fullLicence && result.asset.getLicence().getId() !== 'unknown',
-			format: result.format
-		}, options );
-
-		var asset = result.asset;
-
-		if( !asset.getAuthors().length ) {
-			asset.setAuthors(
-				[new Author( $( document.createTextNode( messages['author-undefined'] ) ) )]
-			);
-		}
-
-		if( asset.getTitle() === '' ) {
-			asset.setTitle( messages['file-untitled'] );
-		}
-
-		var attributionGenerator = new AttributionGenerator( asset, options );
+		var attributionGenerator = this._questionnaireState.getAttributionGenerator( options );
 
 		// Return cached attribution generator for allowing external objects to check whether a
 		// change actually has occurred.
@@ -543,7 +611,13 @@ $.extend( Questionnaire.prototype, {
 
 		var $supplement = $( '<h2/>' ).text( messages['notes and advice'] );
 
-		if( result.useCase === 'private' ) {
+		if( result.licenceConflict ) {
+			// The licence does not permit the intended use, so there is no point in advising on
+			// how to attribute properly:
+			result.collectionUse = false;
+			result.fullLicence = false;
+			pages.push( 'result-' + result.licenceConflict );
+		} else if( result.useCase === 'private' ) {
 			pages.push( 'result-note-privateUse' );
 		} else if( licence.isInGroup( 'cc0' ) ) {
 			pages.push( 'result-note-cc0' );
@@ -552,11 +626,34 @@ $.extend( Questionnaire.prototype, {
 		} else {
 			pages.push( 'result-note-' + result.format );
 
-			if( licence.isInGroup( 'cc2' ) ) {
+			$supplement = $supplement.add( this._createAttributionRulesNode( licence ) );
+
+			// Audio and video may be attributed by spoken or on-screen credits:
+			if( $.inArray( result.asset.getMediaType(), ['audio', 'video'] ) !== -1 ) {
+				pages.push( 'result-note-' + result.asset.getMediaType() );
+			}
+
+			if( licence.isInGroup( 'cc1' ) || licence.isInGroup( 'cc2' ) ) {
 				pages.push( 'result-restrictions-cc2' );
+			} else if( licence.isInGroup( 'gfdl' ) ) {
+				pages.push( 'result-note-gfdl' );
+			} else if( licence.isInGroup( 'fal' ) ) {
+				pages.push( 'result-note-fal' );
+			} else if( licence.isInGroup( 'ogl' ) ) {
+				pages.push( 'result-note-ogl' );
+			} else if( licence.isInGroup( 'odbl' ) ) {
+				pages.push( 'result-note-odbl' );
 			} else {
 				pages.push( 'result-restrictions' );
 			}
+
+			if( licence.isInGroup( 'nc' ) ) {
+				pages.push( 'result-restrictions-nc' );
+			}
+
+			if( licence.isInGroup( 'nd' ) ) {
+				pages.push( 'result-restrictions-nd' );
+			}
 		}
 
 		if( result.collectionUse ) {
@@ -582,7 +679,21 @@ $.extend( Questionnaire.prototype, {
 					deferred.resolve( $supplement.add( $nodes ) );
 				} )
 				.fail( function( error ) {
-					deferred.reject( error );
+					var url = result.asset.getLicence().getUrl();
+
+					if( !url ) {
+						deferred.reject( error );
+						return;
+					}
+
+					// The legal code of jurisdiction ports, for example, is not shipped with the
+					// application:
+					$nodes.filter( '.page-result-note-fullLicence' ).append(
+						$( '<p/>' ).addClass( 'licence-text-link' )
+						.text( messages['licence text link'] + ' ' )
+						.append( $( '<a/>' ).attr( 'href', url ).text( url ) )
+					);
+					deferred.resolve( $supplement.add( $nodes ) );
 				} );
 			} else {
 				deferred.resolve( $supplement.add( $nodes ) );
@@ -592,6 +703,37 @@ $.extend( Questionnaire.prototype, {
 		} );
 
 		return deferred.promise();
+	},
+
+	/**
+	 * Generates the DOM listing which attribution elements are legally required by a licence and
+	 * which are just good practice.
+	 *
+	 * @param {Licence} licence
+	 * @return {jQuery}
+	 */
+	_createAttributionRulesNode: function( licence ) {
+		var rules = licence.getAttributionRules(),
+			$list = $( '<ul/>' ),
+			$node = $( '<div/>' ).addClass( 'attribution-rules' )
+				.append( $( '<h3/>' ).text( messages['attribution-rules'] ) )
+				.append( $list );
+
+		$.each( ['author', 'title', 'url', 'editor', 'licence'], function( i, element ) {
+			var level = rules.elements[element];
+
+			$list.append( $( '<li/>' ).addClass( 'attribution-rules-' + level ).text(
+				messages['attribution-element-' + element] + ': '
+					+ messages['attribution-level-' + level]
+			) );
+		} );
+
+		if( rules.note ) {
+			$node.append( $( '<p/>' ).addClass( 'attribution-rules-note' )
+				.text( messages[rules.note] ) );
+		}
+
+		return $node;
 	}
 
 } );
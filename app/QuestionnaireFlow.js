@@ -0,0 +1,314 @@
+/**
+ * @licence GNU GPL v3
+ * @author snater.com < wikimedia@snater.com >
+ */
+define( ['jquery'], function( $ ) {
+'use strict';
+
+/**
+ * Interprets a declarative questionnaire flow definition (see app/QUESTIONNAIRE.js) by resolving
+ * the pages to navigate to, whether answers are disabled and the questionnaire's result.
+ * @constructor
+ *
+ * @param {Object} definition
+ *
+ * @throws {Error} if the definition is not properly specified.
+ */
+var QuestionnaireFlow = function( definition ) {
+	if( !definition || !$.isArray( definition.start ) || !$.isPlainObject( definition.pages ) ) {
+		throw new Error( 'No proper flow definition specified' );
+	}
+
+	this._definition = definition;
+};
+
+$.extend( QuestionnaireFlow.prototype, {
+	/**
+	 * @type {Object}
+	 */
+	_definition: null,
+
+	/**
+	 * Returns the definition of a specific page or "null" if the page is not defined.
+	 *
+	 * @param {string} pageId
+	 * @return {Object|null}
+	 */
+	getPage: function( pageId ) {
+		return this._definition.pages[pageId] || null;
+	},
+
+	/**
+	 * Returns the definition of a specific answer or "null" if the answer is not defined.
+	 *
+	 * @param {string} pageId
+	 * @param {number|string} answerId
+	 * @return {Object|null}
+	 */
+	getAnswer: function( pageId, answerId ) {
+		var page = this.getPage( pageId );
+		return page && page.answers && page.answers[answerId] || null;
+	},
+
+	/**
+	 * Returns the id of the page to start the questionnaire with. "null" is returned if the
+	 * questionnaire does not need to be started at all.
+	 *
+	 * @param {Asset} asset
+	 * @return {string|null}
+	 */
+	getStartPage: function( asset ) {
+		return this._resolveTarget( this._definition.start, asset, null );
+	},
+
+	/**
+	 * Returns the id of the page to navigate to when selecting a specific answer. "null" is
+	 * returned when the answer exits the questionnaire.
+	 *
+	 * @param {string} pageId
+	 * @param {number|string} answerId
+	 * @param {QuestionnaireState} state
+	 * @return {string|null}
+	 *
+	 * @throws {Error} if the answer is not defined.
+	 */
+	getTarget: function( pageId, answerId, state ) {
+		var answer = this.getAnswer( pageId, answerId );
+
+		if( !answer ) {
+			throw new Error( 'Answer ' + answerId + ' on page ' + pageId + ' is not defined' );
+		}
+
+		return this._resolveTarget( answer.goTo, state.getResult().asset, state );
+	},
+
+	/**
+	 * Checks whether a specific answer is disabled.
+	 *
+	 * @param {string} pageId
+	 * @param {number|string} answerId
+	 * @param {QuestionnaireState} state
+	 * @return {boolean}
+	 */
+	isDisabled: function( pageId, answerId, state ) {
+		var answer = this.getAnswer( pageId, answerId );
+
+		if( !answer || !answer.disabled ) {
+			return false;
+		}
+
+		return this._evaluate( answer.disabled, state.getResult().asset, state );
+	},
+
+	/**
+	 * Maps the answers given in a questionnaire state to the result attributes defined in the
+	 * flow definition.
+	 *
+	 * @param {QuestionnaireState} state
+	 * @param {Asset} [asset] Asset to evaluate conditions on. Default: the state's original asset
+	 * @return {Object}
+	 */
+	getResult: function( state, asset ) {
+		var self = this,
+			result = {};
+
+		asset = asset || state.getAsset();
+
+		$.each( this._definition.result || {}, function( name, cases ) {
+			result[name] = false;
+
+			for( var i = 0; i < cases.length; i++ ) {
+				if( cases[i].answer ) {
+					var value = state.getAnswer( cases[i].answer[0], cases[i].answer[1] );
+					if( value ) {
+						result[name] = value;
+						break;
+					}
+				} else if(
+					!cases[i].condition
+					|| self._evaluate( cases[i].condition, asset, state )
+				) {
+					result[name] = cases[i].value;
+					break;
+				}
+			}
+		} );
+
+		return result;
+	},
+
+	/**
+	 * Resolves a target to a page id.
+	 *
+	 * @param {string|null|Object[]} target
+	 * @param {Asset} asset
+	 * @param {QuestionnaireState|null} state
+	 * @return {string|null}
+	 */
+	_resolveTarget: function( target, asset, state ) {
+		if( !$.isArray( target ) ) {
+			return target === undefined ? null : target;
+		}
+
+		for( var i = 0; i < target.length; i++ ) {
+			if( !target[i].condition || this._evaluate( target[i].condition, asset, state ) ) {
+				return target[i].page;
+			}
+		}
+
+		return null;
+	},
+
+	/**
+	 * Evaluates a condition.
+	 *
+	 * @param {Object} condition
+	 * @param {Asset} asset
+	 * @param {QuestionnaireState|null} state
+	 * @return {boolean}
+	 *
+	 * @throws {Error} if the condition cannot be interpreted.
+	 */
+	_evaluate: function( condition, asset, state ) {
+		var self = this,
+			licence = asset.getLicence();
+
+		if( condition.not ) {
+			return !this._evaluate( condition.not, asset, state );
+		} else if( condition.all ) {
+			return $.grep( condition.all, function( subCondition ) {
+				return !self._evaluate( subCondition, asset, state );
+			} ).length === 0;
+		} else if( condition.any ) {
+			return $.grep( condition.any, function( subCondition ) {
+				return self._evaluate( subCondition, asset, state );
+			} ).length > 0;
+		} else if( condition.licence ) {
+			return !!licence && $.inArray( licence.getId(), condition.licence ) !== -1;
+		} else if( condition.licenceGroup ) {
+			return !!licence && licence.isInGroup( condition.licenceGroup );
+		} else if( condition.missing ) {
+			return this._isMissing( asset, condition.missing );
+		} else if( condition.requires ) {
+			// Without a licence, the most restrictive rules are assumed:
+			return !licence
+				|| licence.getAttributionRules().elements[condition.requires] === 'required';
+		} else if( condition.multipleLicences ) {
+			return asset.getCandidateLicences().length > 1;
+		} else if( condition.adaptableUnderOwnTerms ) {
+			return !!licence && licence.permitsAdaptationUnder( null );
+		} else if( condition.answer ) {
+			return !!state && !!state.getAnswer( condition.answer[0], condition.answer[1] );
+		}
+
+		throw new Error( 'Unable to interpret condition ' + JSON.stringify( condition ) );
+	},
+
+	/**
+	 * Checks whether a specific piece of information is missing on an asset.
+	 *
+	 * @param {Asset} asset
+	 * @param {string} information "licence"|"authors"|"title"|"url"
+	 * @return {boolean}
+	 */
+	_isMissing: function( asset, information ) {
+		if( information === 'licence' ) {
+			return !asset.getLicence();
+		} else if( information === 'authors' ) {
+			return !asset.getAuthors().length;
+		} else if( information === 'title' ) {
+			return !asset.getTitle();
+		} else if( information === 'url' ) {
+			return !asset.getUrl();
+		}
+
+		throw new Error( 'Unable to check for missing ' + information );
+	},
+
+	/**
+	 * Validates the flow definition by checking for pages that cannot be reached from the start,
+	 * pages the user cannot leave although not being flagged final ("dead ends") and targets not
+	 * referring to defined pages.
+	 *
+	 * @return {Object[]} List of problems each featuring the properties "type" {string}
+	 *         ("unreachable"|"dead-end"|"undefined"), "page" {string} and - for "undefined"
+	 *         targets - "source" {string} (the page featuring the target or "start").
+	 */
+	validate: function() {
+		var self = this,
+			problems = [],
+			reached = {},
+			queue = [];
+
+		/**
+		 * @param {string|null|Object[]} target
+		 * @param {string} source
+		 */
+		function follow( target, source ) {
+			var pageIds = $.isArray( target )
+				? $.map( target, function( targetCase ) {
+					return targetCase.page;
+				} )
+				: [target];
+
+			for( var i = 0; i < pageIds.length; i++ ) {
+				var pageId = pageIds[i];
+
+				if( pageId === null || pageId === undefined || reached[pageId] ) {
+					continue;
+				}
+
+				if( !self.getPage( pageId ) ) {
+					problems.push( { type: 'undefined', page: pageId, source: source } );
+					reached[pageId] = true;
+					continue;
+				}
+
+				reached[pageId] = true;
+				queue.push( pageId );
+			}
+		}
+
+		/**
+		 * @param {string} pageId
+		 * @param {Object} page
+		 * @return {boolean}
+		 */
+		function followAnswers( pageId, page ) {
+			var leavable = false;
+
+			$.each( page.answers || {}, function( answerId, answer ) {
+				if( answer.goTo !== undefined ) {
+					leavable = true;
+					follow( answer.goTo, pageId );
+				}
+			} );
+
+			return leavable;
+		}
+
+		follow( this._definition.start, 'start' );
+
+		while( queue.length ) {
+			var pageId = queue.shift(),
+				page = this.getPage( pageId );
+
+			if( !followAnswers( pageId, page ) && !page.final ) {
+				problems.push( { type: 'dead-end', page: pageId } );
+			}
+		}
+
+		$.each( this._definition.pages, function( pageId ) {
+			if( !reached[pageId] ) {
+				problems.push( { type: 'unreachable', page: pageId } );
+			}
+		} );
+
+		return problems;
+	}
+
+} );
+
+return QuestionnaireFlow;
+
+} );
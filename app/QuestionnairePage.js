@@ -2,13 +2,13 @@
  * @licence GNU GPL v3
  * @author snater.com < wikimedia@snater.com >
  */
-define( ['jquery'], function( $ ) {
+define( ['jquery', 'dojo/i18n!app/nls/Questionnaire', 'app/LicenceCompatibility'],
+	function( $, messages, LicenceCompatibility ) {
 'use strict';
 
 /**
- * Represents a questionnaire page with all logic handling.
- * The page names/numbers and the corresponding logic are based on the questionnaire "Webtool für
- * Creative Commons-Lizenzen".
+ * Represents a questionnaire page with all logic handling. The logic is applied according to the
+ * page's definition in the questionnaire state's flow.
  * @constructor
  *
  * @param {string} pageId
@@ -79,6 +79,8 @@ $.extend( QuestionnairePage.prototype, {
 	 * @return {jQuery}
 	 */
 	_applyFunctionality: function( $page ) {
+		$page = this._applyLicenceCandidates( $page );
+		$page = this._applyAdaptationLicences( $page );
 		$page = this._applyGenerics( $page );
 		$page = this._applyLogic( $page );
 		return $page;
@@ -91,9 +93,83 @@ $.extend( QuestionnairePage.prototype, {
 	 */
 	applyState: function( state ) {
 		this._applyValuesToInputElements( state );
+		this._applyValuesToToggles( state );
 		this._update();
 	},
 
+	/**
+	 * Fills a list of licence candidates featured on the page with the licences the asset is
+	 * available under. The least restrictive licence is highlighted as recommendation.
+	 *
+	 * @param {jQuery} $page
+	 * @return {jQuery}
+	 */
+	_applyLicenceCandidates: function( $page ) {
+		var $candidates = $page.find( 'ul.licence-candidates' ),
+			recommended = this._asset.getRecommendedLicence();
+
+		if( !$candidates.length ) {
+			return $page;
+		}
+
+		$.each( this._asset.getCandidateLicences(), function( i, licence ) {
+			var $answer = $( '<li/>' )
+				.addClass( 'a1' )
+				.attr( 'data-licence-id', licence.getId() )
+				.text( licence.getName() );
+
+			if( licence === recommended ) {
+				$answer
+				.addClass( 'recommended' )
+				.append( $( '<span/>' )
+					.addClass( 'licence-candidates-recommended' )
+					.text( messages['licence-recommended'] )
+				);
+			}
+
+			$candidates.append( $answer );
+		} );
+
+		return $page;
+	},
+
+	/**
+	 * Fills a list of licences featured on the page with the licences a modified version of the
+	 * asset may be licensed under instead of the asset's licence.
+	 *
+	 * @param {jQuery} $page
+	 * @return {jQuery}
+	 */
+	_applyAdaptationLicences: function( $page ) {
+		var $licences = $page.find( 'ul.adaptation-licences' ),
+			licence = this._questionnaireState.getResult().asset.getLicence();
+
+		if( !$licences.length ) {
+			return $page;
+		}
+
+		var adaptationLicences = new LicenceCompatibility().getAdaptationLicences( [licence] );
+
+		$.each( adaptationLicences, function( i, adaptationLicence ) {
+			if( adaptationLicence !== licence ) {
+				$licences.append(
+					$( '<li/>' )
+					.addClass( 'a1' )
+					.attr( 'data-licence-id', adaptationLicence.getId() )
+					.text( adaptationLicence.getName() )
+				);
+			}
+		} );
+
+		if( !$licences.children().length ) {
+			$licences.replaceWith(
+				$( '<p/>' ).addClass( 'error' ).text( messages['adaptation-licences-none'] )
+			);
+		}
+
+		return $page;
+	},
+
 	/**
 	 * Applies generic HTML and functionality to a page's DOM.
 	 *
@@ -150,7 +226,25 @@ $.extend( QuestionnairePage.prototype, {
 	},
 
 	/**
-	 * Applies logic of a specific page to a node.
+	 * Checks the toggled answers that have been logged.
+	 *
+	 * @param {QuestionnaireState} state
+	 */
+	_applyValuesToToggles: function( state ) {
+		var self = this,
+			pageId = state.getPageId(),
+			page = state.getFlow().getPage( pageId );
+
+		$.each( page && page.answers || {}, function( answerId, answer ) {
+			if( answer.toggle ) {
+				self.$page.find( '.a' + answerId )
+					.toggleClass( 'checked', !!state.getAnswer( pageId, answerId ) );
+			}
+		} );
+	},
+
+	/**
+	 * Applies the logic defined for the page in the questionnaire flow to a node.
 	 *
 	 * @param {jQuery} $page
 	 * @return {jQuery}
@@ -158,159 +252,115 @@ $.extend( QuestionnairePage.prototype, {
 	_applyLogic: function( $page ) {
 		var self = this,
 			p = $page.data( 'questionnaire-page' ),
-			goTo,
-			$input;
+			flow = this._questionnaireState.getFlow(),
+			page = flow.getPage( p );
 
-		var evaluateInput = function( $input, p ) {
-			var value = $.trim( $input.val() );
+		if( !page || !page.answers ) {
+			return $page;
+		}
 
-			if( value !== '' ) {
-				self._log( p, 1, value );
+		$.each( page.answers, function( answerId, answer ) {
+			if( flow.isDisabled( p, answerId, self._questionnaireState ) ) {
+				$page = self._applyDisabled( $page, answerId );
+			} else if( answer.input ) {
+				$page = self._applyInput( $page, p, answerId );
+			} else if( answer.toggle ) {
+				$page = self._applyToggle( $page, p, answerId );
+			} else if( answer.clears ) {
+				$page.find( '.a' + answerId ).not( 'input' ).on( 'click', function() {
+					var $input = $page.find( 'input.a' + answer.clears ).val( '' );
+					self._evaluateInput( $input, p, answer.clears );
+					self._goTo( flow.getTarget( p, answerId, self._questionnaireState ) );
+				} );
 			} else {
-				self._removeFromLog( p, 1 );
-				self._log( p, 2 );
-			}
-		};
-
-		if( p === '2' ) {
-			goTo = '3';
-			if( !this._asset.getAuthors().length ) {
-				goTo = 'form-author';
-			} else if( !this._asset.getTitle() ) {
-				goTo = 'form-title';
-			} else if( !this._asset.getUrl() ) {
-				goTo = 'form-url';
+				$page = self._applyLogAndGoTo( $page, p, answerId );
 			}
+		} );
 
-			$page.find( '.a1' ).on( 'click', function() {
-				self._log( p, 1, $( this ).data( 'licenceId' ) );
-				self._goTo( goTo );
-			} );
+		return $page;
+	},
 
-			$page = this._applyLogAndGoTo( $page, p, 9, 'result-note-cc0' );
-			$page = this._applyLogAndGoTo( $page, p, 10, '15' );
+	/**
+	 * Applies functionality to an answer given by filling an input box.
+	 *
+	 * @param {jQuery} $page
+	 * @param {string} p
+	 * @param {number|string} answerId
+	 * @return {jQuery}
+	 */
+	_applyInput: function( $page, p, answerId ) {
+		var self = this,
+			flow = this._questionnaireState.getFlow(),
+			$input = $page.find( 'input.a' + answerId );
 
-		} else if( p === 'form-author' || p === 'form-title' || p === 'form-url' ) {
-			goTo = '3';
+		function submit() {
+			self._evaluateInput( $input, p, answerId );
+			self._goTo( flow.getTarget( p, answerId, self._questionnaireState ) );
+		}
 
-			var title = this._asset.getTitle();
-			if( p === 'form-author' && !title ) {
-				goTo = 'form-title';
-			} else if( p !== 'form-url' && ( !this._asset.getUrl() || this._asset.getUrl() === '' ) ) {
-				goTo = 'form-url';
+		$input
+		.on( 'keyup', function() {
+			self._evaluateInput( $input, p, answerId );
+		} )
+		.on( 'keypress', function( event ) {
+			if( event.keyCode === 13 ) {
+				event.preventDefault();
+				submit();
 			}
+		} );
 
-			$input = $page.find( 'input.a1' );
-
-			$input
-			.on( 'keyup', function() {
-				evaluateInput( $input, p );
-			} )
-			.on( 'keypress', function( event ) {
-				if( event.keyCode === 13 ) {
-					event.preventDefault();
-					evaluateInput( $input, p );
-					self._goTo( goTo );
-				}
-			} );
-
-			$page.find( 'a.a1' ).on( 'click', function() {
-				evaluateInput( $input, p );
-				self._goTo( goTo );
-			} );
+		$page.find( 'a.a' + answerId ).on( 'click', submit );
 
-			$page.find( 'li.a2' ).on( 'click', function() {
-				$input.val( '' );
-				evaluateInput( $input, p );
-				self._goTo( goTo );
-			} );
+		return $page;
+	},
 
-		} else if( p === '3' ) {
-			$page = this._applyLogAndGoTo( $page, p, 1, '7' );
-			$page = this._applyLogAndGoTo( $page, p, 2, '7' );
+	/**
+	 * Applies functionality to an answer that is checked and unchecked by clicking it.
+	 *
+	 * @param {jQuery} $page
+	 * @param {string} p
+	 * @param {number|string} answerId
+	 * @return {jQuery}
+	 */
+	_applyToggle: function( $page, p, answerId ) {
+		var self = this;
 
-			$page.find( '.a3' ).on( 'click', function() {
-				self._log( p, 3 );
-				if( self._questionnaireState.getResult().asset.getLicence().isInGroup( 'cc2de' ) ) {
-					self._goTo( '7' );
-				} else {
-					self._goTo( 'result-note-privateUse' );
-				}
-			} );
+		$page.find( '.a' + answerId ).on( 'click', function() {
+			var checked = !self._questionnaireState.getAnswer( p, answerId );
 
-			if( this._questionnaireState.getResult().attributionAlthoughExceptionalUse ) {
-				$page = this._applyDisabled( $page, 4 );
+			if( checked ) {
+				self._log( p, answerId );
 			} else {
-				$page = this._applyLogAndGoTo( $page, p, 4, '5' );
+				self._removeFromLog( p, answerId );
+				self._update();
 			}
 
-			$page = this._applyLogAndGoTo( $page, p, 5, '6' );
-		} else if( p === '5') {
-			$page = this._applyLogAndGoTo( $page, p, 1, '3' );
-			$page = this._applyLogAndGoTo( $page, p, 2, '5a' );
-		} else if( p === '7' ) {
-			goTo = this._questionnaireState.getResult().useCase === 'print' ? '8' : '12a';
-			$page = this._applyLogAndGoTo( $page, p, 1, goTo );
-			$page = this._applyLogAndGoTo( $page, p, 2, goTo );
-		} else if( p === '8' ) {
-			$page = this._applyLogAndGoTo( $page, p, 1, '12a' );
-			$page = this._applyLogAndGoTo( $page, p, 2, '12a' );
-		} else if( p === '9' ) {
-
-			$input = $page.find( 'input.a1' );
-
-			$input
-			.on( 'keyup', function() {
-					evaluateInput( $input, p );
-			} )
-			.on( 'keypress', function( event ) {
-				if( event.keyCode === 13 ) {
-					event.preventDefault();
-					evaluateInput( $input, p );
-					self._goTo( '3' );
-				}
-			} );
-
-			$page.find( 'a.a1' ).on( 'click', function() {
-				evaluateInput( $input, p );
-				self._goTo( '3' );
-			} );
-
-			$page.find( '.a2' ).on( 'click', function() {
-				$input.val( '' );
-				evaluateInput( $input, p );
-				self._goTo( '3' );
-			} );
-
-		} else if( p === '12a' ) {
-			$page = this._applyLogAndGoTo( $page, p, 1, 'result-success' );
-			$page = this._applyLogAndGoTo( $page, p, 2, '12b' );
-		} else if( p === '12b' ) {
-			$page = this._applyLogAndGoTo( $page, p, 1, '13' );
-			$page = this._applyLogAndGoTo( $page, p, 2, '12c' );
-		} else if( p === '13' ) {
-
-			$input = $page.find( 'input.a1' );
+			$( this ).toggleClass( 'checked', checked );
+		} );
 
-			$input
-			.on( 'keyup', function() {
-				evaluateInput( $input, p );
-			} )
-			.on( 'keypress', function( event ) {
-				if( event.keyCode === 13 ) {
-					event.preventDefault();
-					evaluateInput( $input, p );
-					self._goTo( 'result-success' );
-				}
-			} );
+		return $page;
+	},
 
-			$page.find( 'a.a1' ).on( 'click', function() {
-				evaluateInput( $input, p );
-				self._goTo( 'result-success' );
-			} );
+	/**
+	 * Logs the value of an input box. If the input box is empty, the answer defined to be given
+	 * instead is logged.
+	 *
+	 * @param {jQuery} $input
+	 * @param {string} p
+	 * @param {number|string} answerId
+	 */
+	_evaluateInput: function( $input, p, answerId ) {
+		var value = $.trim( $input.val() ),
+			answer = this._questionnaireState.getFlow().getAnswer( p, answerId );
+
+		if( value !== '' ) {
+			this._log( p, answerId, value );
+		} else {
+			this._removeFromLog( p, answerId );
+			if( answer.empty ) {
+				this._log( p, answer.empty );
+			}
 		}
-
-		return $page;
 	},
 
 	/**
@@ -338,19 +388,27 @@ $.extend( QuestionnairePage.prototype, {
 	},
 
 	/**
-	 * Short-cut that logs an answer and triggers going to some page.
+	 * Short-cut that logs an answer and triggers going to the page the answer targets. If the
+	 * answer is defined to log a data attribute, the data attribute's value of the DOM node
+	 * clicked is logged.
 	 *
 	 * @param {jQuery} $page
 	 * @param {string} currentPage
 	 * @param {number|string} answer
-	 * @param {string|Function} toPage
+	 * @return {jQuery}
 	 */
-	_applyLogAndGoTo: function( $page, currentPage, answer, toPage ) {
-		var self = this;
+	_applyLogAndGoTo: function( $page, currentPage, answer ) {
+		var self = this,
+			flow = this._questionnaireState.getFlow(),
+			definition = flow.getAnswer( currentPage, answer );
 
 		$page.find( '.a' + answer ).on( 'click', function() {
-			self._log( currentPage, answer );
-			self._goTo( toPage );
+			self._log(
+				currentPage,
+				answer,
+				definition.data ? $( this ).data( definition.data ) : undefined
+			);
+			self._goTo( flow.getTarget( currentPage, answer, self._questionnaireState ) );
 		} );
 
 		return $page;
@@ -360,7 +418,8 @@ $.extend( QuestionnairePage.prototype, {
 	 * Disables an answer.
 	 *
 	 * @param {jQuery} $page
-	 * @param {number} answer
+	 * @param {number|string} answer
+	 * @return {jQuery}
 	 */
 	_applyDisabled: function( $page, answer ) {
 		$page.find( '.a' + answer )
@@ -3,29 +3,53 @@
  * @author snater.com < wikimedia@snater.com >
  */
 define(
-	['jquery', 'app/Author', 'dojo/_base/config'],
-	function( $, Author, config ) {
+	[
+		'jquery',
+		'app/ATTRIBUTION_LANGUAGES',
+		'app/AttributionGenerator',
+		'app/Author',
+		'app/QuestionnaireFlow',
+		'app/QUESTIONNAIRE',
+		'dojo/_base/config'
+	],
+	function(
+		$,
+		ATTRIBUTION_LANGUAGES,
+		AttributionGenerator,
+		Author,
+		QuestionnaireFlow,
+		QUESTIONNAIRE,
+		config
+	) {
 'use strict';
 
 /**
- * Represents a questionnaire's logic.
- * The page names/numbers and the corresponding logic are based on the questionnaire "Webtool für
- * Creative Commons-Lizenzen".
+ * Flow used by questionnaire states not being specified a particular flow.
+ * @type {QuestionnaireFlow}
+ */
+var defaultFlow = new QuestionnaireFlow( QUESTIONNAIRE );
+
+/**
+ * Represents the state of a questionnaire, that is the answers given. The answers are interpreted
+ * according to a questionnaire flow.
  * @constructor
  *
  * @param {string} pageId
  * @param {Asset} asset
  * @param {QuestionnaireState} [previousState]
+ * @param {QuestionnaireFlow} [flow] Defaults to the previous state's flow or, if no previous state
+ *        is specified, to the flow defined in app/QUESTIONNAIRE.js.
  *
  * @throws {Error} on incorrect parameters.
  */
-var QuestionnaireState = function( pageId, asset, previousState ) {
+var QuestionnaireState = function( pageId, asset, previousState, flow ) {
 	if( typeof pageId !== 'string' || asset === undefined ) {
 		throw new Error( 'Improperly specified parameters' );
 	}
 
 	this._pageId = pageId;
 	this._asset = asset;
+	this._flow = flow || ( previousState ? previousState._flow : defaultFlow );
 
 	// Copy all previous state info to be able to consider all answers when generating a result:
 	this._answers = previousState ? $.extend( {}, previousState._answers ) : {};
@@ -50,13 +74,18 @@ $.extend( QuestionnaireState.prototype, {
 	 */
 	_answers: null,
 
+	/**
+	 * @type {QuestionnaireFlow}
+	 */
+	_flow: null,
+
 	/**
 	 * Clones the state.
 	 *
 	 * @return {QuestionnaireState}
 	 */
 	clone: function() {
-		var clone = new QuestionnaireState( this._pageId, this._asset );
+		var clone = new QuestionnaireState( this._pageId, this._asset, undefined, this._flow );
 		clone._answers = $.extend( {}, this._answers );
 		return clone;
 	},
@@ -96,6 +125,31 @@ $.extend( QuestionnaireState.prototype, {
 		return this._pageId;
 	},
 
+	/**
+	 * Returns the original asset, not considering any answers.
+	 *
+	 * @return {Asset}
+	 */
+	getAsset: function() {
+		return this._asset;
+	},
+
+	/**
+	 * @return {QuestionnaireFlow}
+	 */
+	getFlow: function() {
+		return this._flow;
+	},
+
+	/**
+	 * Returns a copy of all answers indexed by page and answer id.
+	 *
+	 * @return {Object}
+	 */
+	getAnswers: function() {
+		return $.extend( true, {}, this._answers );
+	},
+
 	/**
 	 * Sets a specific value for an answer.
 	 *
@@ -128,7 +182,17 @@ $.extend( QuestionnaireState.prototype, {
 	},
 
 	/**
-	 * Deletes all boolean (page progressive) answers of a particular page.
+	 * Deletes all answers of a particular page.
+	 *
+	 * @param {string} page
+	 */
+	deleteAnswers: function( page ) {
+		delete this._answers[page];
+	},
+
+	/**
+	 * Deletes all boolean (page progressive) answers of a particular page. Toggled answers are
+	 * kept.
 	 *
 	 * @param {string} page
 	 */
@@ -140,7 +204,9 @@ $.extend( QuestionnaireState.prototype, {
 		}
 
 		$.each( this._answers[page], function( answerId, value ) {
-			if( typeof value === 'boolean' ) {
+			var answer = self._flow.getAnswer( page, answerId );
+
+			if( typeof value === 'boolean' && !( answer && answer.toggle ) ) {
 				delete self._answers[page][answerId];
 			}
 		} );
@@ -148,63 +214,121 @@ $.extend( QuestionnaireState.prototype, {
 
 	/**
 	 * Returns a result object containing processable attributes of the evaluated current answer
-	 * set.
+	 * set. The attributes are mapped according to the questionnaire flow's result definition
+	 * whereas the asset specific attributes "licence", "author", "title" and "url" are merged into
+	 * the "asset" attribute. Conditions of the result definition are evaluated on that asset.
 	 *
 	 * @return {Object}
 	 */
 	getResult: function() {
-		var useCase = false;
-
-		if( this._getAnswer( '3', 1 ) ) {
-			useCase = 'online';
-		} else if( this._getAnswer( '3', 2 ) ) {
-			useCase = 'print';
-		} else if( this._getAnswer( '3', 3 ) ) {
-			useCase = 'private';
-		} else if( this._getAnswer( '3', 4 ) ) {
-			useCase = 'exceptional';
-		} else if( this._getAnswer( '3', 5 ) ) {
-			useCase = 'other';
-		}
+		var asset = this._createAsset( this._flow.getResult( this ) ),
+			result = this._flow.getResult( this, asset );
 
-		// Generate new asset that will consider all answers:
-		var asset = this._asset.clone();
+		delete result.licence;
+		delete result.author;
+		delete result.title;
+		delete result.url;
+
+		result.asset = asset;
 
-		var licenceId = this._getAnswer( '2', 1 );
+		return result;
+	},
+
+	/**
+	 * Generates a new asset considering the asset specific result attributes.
+	 *
+	 * @param {Object} result
+	 * @return {Asset}
+	 */
+	_createAsset: function( result ) {
+		var asset = this._asset.clone();
 
-		if( licenceId ) {
-			asset.setLicence( config.custom.licenceStore.detectLicence( licenceId ) );
+		if( result.licence ) {
+			asset.setLicence( config.custom.licenceStore.detectLicence( result.licence ) );
 		}
 
 		if( !asset.getLicence() ) {
 			asset.setLicence( config.custom.licenceStore.getLicence( 'unknown' ) );
 		}
 
-		var customAuthor = this._getAnswer( 'form-author', 1 ),
-			customTitle = this._getAnswer( 'form-title', 1 ),
-			customUrl = this._getAnswer( 'form-url', 1 );
+		if( result.author ) {
+			asset.setAuthors( [new Author( $( document.createTextNode( result.author ) ) )] );
+		}
 
-		if( customAuthor ) {
-			asset.setAuthors( [new Author( $( document.createTextNode( customAuthor ) ) )] );
+		if( result.title ) {
+			asset.setTitle( result.title );
 		}
 
-		if( customTitle ) {
-			asset.setTitle( customTitle );
+		if( result.url ) {
+			asset.setUrl( result.url );
 		}
 
-		if( customUrl ) {
-			asset.setUrl( customUrl );
+		return asset;
+	},
+
+	/**
+	 * Generates an AttributionGenerator object reflecting the current set of answers.
+	 *
+	 * @param {Object} [options] AttributionGenerator option overwrites
+	 * @return {AttributionGenerator}
+	 */
+	getAttributionGenerator: function( options ) {
+		var result = this.getResult(),
+			language = options && options.language || AttributionGenerator.getDefaultLanguage(),
+			wording = ATTRIBUTION_LANGUAGES[language],
+			modification = this._getModification( result );
+
+		options = $.extend( {
+			editor: result.edited && !modification ? wording.edited : null,
+			modification: modification,
+			licenceOnly: options ? options.licenceOnly : false,
+			licenceLink: !result.fullLicence && result.asset.getLicence().getId() !== 'unknown',
+			format: result.format,
+			language: language,
+			adaptationLicence: result.adaptationLicence
+				? config.custom.licenceStore.getLicence( result.adaptationLicence )
+				: null
+		}, options );
+
+		var asset = result.asset;
+
+		if( !asset.getAuthors().length ) {
+			asset.setAuthors( [new Author( $( document.createTextNode( wording.anonymous ) ) )] );
+		}
+
+		// Titles not legally required are omitted instead of applying a placeholder:
+		if(
+			asset.getTitle() === ''
+			&& asset.getLicence().getAttributionRules().elements.title === 'required'
+		) {
+			asset.setTitle( wording.untitled );
+		}
+
+		return new AttributionGenerator( asset, options );
+	},
+
+	/**
+	 * Generates the structured modification statement (see AttributionGenerator's "modification"
+	 * option) from a result. Returns "null" if the asset has not been modified or no details about
+	 * the modification have been specified.
+	 *
+	 * @param {Object} result
+	 * @return {Object|null}
+	 */
+	_getModification: function( result ) {
+		var types = $.grep( AttributionGenerator.MODIFICATION_TYPES, function( type ) {
+			return !!result[type];
+		} );
+
+		if( !result.edited || !types.length && !result.editor && !result.combinedWith ) {
+			return null;
 		}
 
 		return {
-			asset: asset,
-			attributionAlthoughExceptionalUse: this._getAnswer( '5', 1 ),
-			collectionUse: this._getAnswer( '7', 1 ),
-			edited: this._getAnswer( '12a', 2 ),
-			editor: this._getAnswer( '13', 1 ),
-			format: this._getAnswer( '3', 1 ) ? 'html' : 'text',
-			fullLicence: this._getAnswer( '8', 1 ),
-			useCase: useCase
+			types: types,
+			combinedWith: result.combinedWith || null,
+			editor: result.editor || null,
+			url: result.editorUrl || null
 		};
 	},
 
@@ -212,10 +336,10 @@ $.extend( QuestionnaireState.prototype, {
 	 * Returns a logged answer or "false" if the specific answer has not yet been given.
 	 *
 	 * @param {string} page
-	 * @param {number} answerId
+	 * @param {number|string} answerId
 	 * @return {string|boolean}
 	 */
-	_getAnswer: function( page, answerId ) {
+	getAnswer: function( page, answerId ) {
 		var pageAnswers = this._answers[page];
 		return pageAnswers && pageAnswers[answerId] ? pageAnswers[answerId] : false;
 	}
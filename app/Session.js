@@ -0,0 +1,203 @@
+/**
+ * @licence GNU GPL v3
+ * @author snater.com < wikimedia@snater.com >
+ */
+define( ['jquery'], function( $ ) {
+'use strict';
+
+/**
+ * Serializable snapshot of a questionnaire session allowing to restore the session from a link.
+ * @constructor
+ *
+ * @param {string} input Input the asset may be retrieved with (e.g. the asset's URL).
+ * @param {string[]} [path] Ids of the questionnaire pages visited, the last one being the page
+ *        currently displayed.
+ * @param {Object} [answers] Answers given in the questionnaire indexed by page and answer id.
+ * @param {Object} [options] Option values indexed by option id.
+ *
+ * @throws {Error} if a required parameter is not defined.
+ */
+var Session = function( input, path, answers, options ) {
+	if( typeof input !== 'string' || input === '' ) {
+		throw new Error( 'Required parameters are not properly defined' );
+	}
+
+	this._input = input;
+	this._path = path || [];
+	this._answers = answers || {};
+	this._options = options || {};
+};
+
+$.extend( Session.prototype, {
+	/**
+	 * @type {string}
+	 */
+	_input: null,
+
+	/**
+	 * @type {string[]}
+	 */
+	_path: null,
+
+	/**
+	 * @type {Object}
+	 */
+	_answers: null,
+
+	/**
+	 * @type {Object}
+	 */
+	_options: null,
+
+	/**
+	 * @return {string}
+	 */
+	getInput: function() {
+		return this._input;
+	},
+
+	/**
+	 * @return {string[]}
+	 */
+	getPath: function() {
+		return this._path;
+	},
+
+	/**
+	 * @return {Object}
+	 */
+	getAnswers: function() {
+		return this._answers;
+	},
+
+	/**
+	 * @return {Object}
+	 */
+	getOptions: function() {
+		return this._options;
+	},
+
+	/**
+	 * Checks whether the session refers to the same asset and the same questionnaire progress as
+	 * another session. Options are not considered.
+	 *
+	 * @param {Session|null} session
+	 * @return {boolean}
+	 */
+	equals: function( session ) {
+		return session instanceof Session
+			&& this._input === session.getInput()
+			&& this._path.join( ',' ) === session.getPath().join( ',' );
+	},
+
+	/**
+	 * Serializes the session to a string that may be used as location hash or query string.
+	 *
+	 * @return {string}
+	 */
+	toString: function() {
+		var params = { url: this._input };
+
+		if( this._path.length ) {
+			params.path = this._path.join( ',' );
+		}
+
+		if( !$.isEmptyObject( this._answers ) ) {
+			params.answers = JSON.stringify( this._answers );
+		}
+
+		$.each( this._options, function( id, value ) {
+			if( value !== undefined && value !== null ) {
+				params[id] = typeof value === 'boolean' ? ( value ? 1 : 0 ) : value;
+			}
+		} );
+
+		return $.param( params );
+	}
+
+} );
+
+/**
+ * Ids of the options (and their types) that are stored in a session.
+ * @type {Object}
+ */
+Session.OPTIONS = {
+	imageSize: 'number',
+	htmlCode: 'boolean',
+	outputLanguage: 'string',
+	fullLicenceName: 'boolean'
+};
+
+/**
+ * Restores a session from a string generated by Session.toString(). A leading "#" or "?" is
+ * ignored. Returns "null" if the string does not contain a valid session.
+ *
+ * @param {string} string
+ * @return {Session|null}
+ */
+Session.parse = function( string ) {
+	var params = {},
+		options = {},
+		answers = {};
+
+	if( !string ) {
+		return null;
+	}
+
+	$.each( string.replace( /^[#?]/, '' ).split( '&' ), function( i, pair ) {
+		var parts = pair.split( '=' );
+
+		if( parts.length === 2 ) {
+			try {
+				params[decodeURIComponent( parts[0] )]
+					= decodeURIComponent( parts[1].replace( /\+/g, ' ' ) );
+			} catch( e ) {
+				// Ignore malformed parameters.
+			}
+		}
+	} );
+
+	if( !params.url ) {
+		return null;
+	}
+
+	if( params.answers ) {
+		try {
+			answers = JSON.parse( params.answers );
+		} catch( e ) {
+			return null;
+		}
+
+		if( !$.isPlainObject( answers ) ) {
+			return null;
+		}
+	}
+
+	$.each( Session.OPTIONS, function( id, type ) {
+		if( params[id] === undefined ) {
+			return true;
+		}
+
+		if( type === 'number' ) {
+			var value = parseInt( params[id], 10 );
+			if( !isNaN( value ) ) {
+				options[id] = value;
+			}
+		} else if( type === 'boolean' ) {
+			options[id] = params[id] === '1';
+		} else if( type === 'string' ) {
+			options[id] = params[id];
+		}
+	} );
+
+	return new Session(
+		params.url,
+		params.path ? params.path.split( ',' ) : [],
+		answers,
+		options
+	);
+};
+
+return Session;
+
+} );
@@ -0,0 +1,476 @@
+/**
+ * @licence GNU GPL v3
+ * @author snater.com < wikimedia@snater.com >
+ */
+define( ['jquery', 'dojo/_base/config', 'app/Asset', 'app/Author'],
+	function( $, config, Asset, Author ) {
+'use strict';
+
+/**
+ * Selectors of the nodes featuring the licence, ordered by reliability.
+ * @type {string[]}
+ */
+var LICENCE_SELECTORS = [
+	'[rel~="license"]',
+	'[rel~="cc:license"]',
+	'[property~="cc:license"]',
+	'[property~="dct:license"]',
+	'[property~="license"]',
+	'[itemprop="license"]'
+];
+
+/**
+ * Selectors of the nodes featuring the author name, ordered by reliability.
+ * @type {string[]}
+ */
+var AUTHOR_SELECTORS = [
+	'[property~="cc:attributionName"]',
+	'[property~="dct:creator"]',
+	'[property~="dc:creator"]',
+	'[itemprop="author"]',
+	'[itemprop="creator"]',
+	'a[rel~="author"]'
+];
+
+/**
+ * Selectors of the nodes featuring the title, ordered by reliability.
+ * @type {string[]}
+ */
+var TITLE_SELECTORS = [
+	'[property~="dct:title"]',
+	'[property~="dc:title"]'
+];
+
+/**
+ * Resolves a URL relative to a base URL.
+ *
+ * @param {string} url
+ * @param {string} baseUrl
+ * @return {string}
+ */
+function resolveUrl( url, baseUrl ) {
+	var origin = baseUrl.match( /^([a-z][a-z0-9+.\-]*:)?\/\/[^\/?#]*/i );
+
+	url = $.trim( url );
+
+	if( /^[a-z][a-z0-9+.\-]*:/i.test( url ) || !origin ) {
+		return url;
+	} else if( url.indexOf( '//' ) === 0 ) {
+		return ( origin[1] || 'http:' ) + url;
+	} else if( url.charAt( 0 ) === '/' ) {
+		return origin[0] + url;
+	} else if( url.charAt( 0 ) === '#' || url.charAt( 0 ) === '?' ) {
+		return baseUrl.replace( url.charAt( 0 ) === '#' ? /#.*$/ : /[?#].*$/, '' ) + url;
+	}
+
+	var path = baseUrl.substr( origin[0].length ).replace( /[?#].*$/, '' ).replace( /[^\/]*$/, '' );
+
+	return origin[0] + ( path || '/' ) + url;
+}
+
+/**
+ * Represents an arbitrary web page, evaluating the licensing information embedded into the page
+ * via ccREL RDFa, "rel=license" links, Dublin Core meta tags and schema.org microdata or JSON-LD.
+ * @constructor
+ *
+ * @param {string} url
+ * @param {string} html
+ *
+ * @throws {Error} if a required parameter is not specified.
+ */
+var WebPage = function( url, html ) {
+	if( !url || typeof html !== 'string' ) {
+		throw new Error( 'Required parameters are not properly defined' );
+	}
+
+	this._url = url;
+
+	// Parsing into a separate document neither executes scripts nor loads images:
+	this._$document = $( new DOMParser().parseFromString( html, 'text/html' ) );
+
+	var baseHref = this._$document.find( 'base[href]' ).attr( 'href' );
+	this._baseUrl = baseHref ? resolveUrl( baseHref, url ) : url;
+};
+
+$.extend( WebPage.prototype, {
+	/**
+	 * @type {string}
+	 */
+	_url: null,
+
+	/**
+	 * URL relative URLs on the page are resolved against.
+	 * @type {string}
+	 */
+	_baseUrl: null,
+
+	/**
+	 * @type {jQuery}
+	 */
+	_$document: null,
+
+	/**
+	 * @type {Object[]|null}
+	 */
+	_jsonLd: null,
+
+	/**
+	 * @return {string}
+	 */
+	getUrl: function() {
+		return this._url;
+	},
+
+	/**
+	 * Returns the absolute URLs of the images featured on the page. The image advertised by Open
+	 * Graph meta data is listed first.
+	 *
+	 * @return {string[]}
+	 */
+	getImageUrls: function() {
+		var self = this,
+			urls = [];
+
+		this._$document.find( 'meta[property="og:image"]' ).add( this._$document.find( 'img' ) )
+		.each( function() {
+			var src = $( this ).attr( 'content' ) || $( this ).attr( 'src' );
+
+			if( !src || /^data:/i.test( src ) ) {
+				return;
+			}
+
+			src = resolveUrl( src, self._baseUrl );
+
+			if( $.inArray( src, urls ) === -1 ) {
+				urls.push( src );
+			}
+		} );
+
+		return urls;
+	},
+
+	/**
+	 * Returns an Asset object for a specific image on the page. Licensing information referring to
+	 * the image in particular (JSON-LD describing the image or markers annotated on the image's
+	 * surrounding nodes) is preferred over information referring to the whole page.
+	 *
+	 * @param {string} imageUrl
+	 * @param {NoApi} api
+	 * @return {Asset}
+	 */
+	getAsset: function( imageUrl, api ) {
+		var self = this,
+			$scope = this._getScope( imageUrl ),
+			matchesImage = function( object ) {
+				var url = object.contentUrl || object.url;
+				return typeof url === 'string' && resolveUrl( url, self._baseUrl ) === imageUrl;
+			},
+			imageJsonLd = $.grep( this._getJsonLd(), matchesImage ),
+			pageJsonLd = $.grep( this._getJsonLd(), matchesImage, true ),
+			licence = this._detectLicence( $scope, imageJsonLd, pageJsonLd ),
+			title = this._getTitle( $scope, imageJsonLd, pageJsonLd ),
+			authors = this._getAuthors( $scope, imageJsonLd, pageJsonLd ),
+			asset = new Asset(
+				imageUrl,
+				/\.svg([?#]|$)/i.test( imageUrl ) ? 'drawing' : 'bitmap',
+				licence,
+				title,
+				authors,
+				this._url,
+				null,
+				api
+			);
+
+		if( licence ) {
+			asset.setSource( 'licence', 'webpage' );
+		}
+
+		if( title ) {
+			asset.setSource( 'title', 'webpage' );
+		}
+
+		if( authors.length ) {
+			asset.setSource( 'authors', 'webpage' );
+		}
+
+		return asset;
+	},
+
+	/**
+	 * Returns the innermost node surrounding an image that features licensing information, or the
+	 * whole document if the image itself is not annotated.
+	 *
+	 * @param {string} imageUrl
+	 * @return {jQuery}
+	 */
+	_getScope: function( imageUrl ) {
+		var self = this,
+			selector = LICENCE_SELECTORS.join( ',' ),
+			$img = this._$document.find( 'img' ).filter( function() {
+				var src = $( this ).attr( 'src' );
+				return src && resolveUrl( src, self._baseUrl ) === imageUrl;
+			} ).first(),
+			$scope = $img.parent();
+
+		while( $scope.length && !$scope.is( 'body, html' ) ) {
+			if( $scope.find( selector ).length ) {
+				return $scope;
+			}
+			$scope = $scope.parent();
+		}
+
+		return this._$document;
+	},
+
+	/**
+	 * Returns the schema.org JSON-LD objects embedded into the page.
+	 *
+	 * @return {Object[]}
+	 */
+	_getJsonLd: function() {
+		var self = this;
+
+		if( this._jsonLd ) {
+			return this._jsonLd;
+		}
+
+		this._jsonLd = [];
+
+		this._$document.find( 'script[type="application/ld+json"]' ).each( function() {
+			var data;
+
+			try {
+				data = JSON.parse( $( this ).text() );
+			} catch( e ) {
+				return;
+			}
+
+			data = data && data['@graph'] ? data['@graph'] : data;
+
+			data = $.isArray( data ) ? data : [data];
+
+			self._jsonLd = self._jsonLd.concat( $.grep( data, function( object ) {
+				return $.isPlainObject( object );
+			} ) );
+		} );
+
+		return this._jsonLd;
+	},
+
+	/**
+	 * Detects the licence evaluating the licence markers in the order of their reliability.
+	 *
+	 * @param {jQuery} $scope
+	 * @param {Object[]} imageJsonLd JSON-LD objects describing the image.
+	 * @param {Object[]} pageJsonLd Other JSON-LD objects embedded into the page.
+	 * @return {Licence|null}
+	 */
+	_detectLicence: function( $scope, imageJsonLd, pageJsonLd ) {
+		var licenceStore = config.custom.licenceStore,
+			values = this._getJsonLdValues( imageJsonLd, ['license'] )
+				.concat( this._getValues( $scope, LICENCE_SELECTORS ) )
+				.concat( this._getMetaValues( ['dcterms.license', 'dc.rights', 'dcterms.rights'] ) )
+				.concat( this._getJsonLdValues( pageJsonLd, ['license'] ) );
+
+		for( var i = 0; i < values.length; i++ ) {
+			var licence = /^(https?:)?\/\//i.test( values[i] )
+				? licenceStore.detectLicenceByUrl( resolveUrl( values[i], this._baseUrl ) )
+				: licenceStore.detectLicence(
+					values[i].replace( /^CC0\b/i, 'cc-zero' ).replace( /\s+/g, '-' )
+				);
+
+			if( licence && !licence.isInGroup( 'unsupported' ) ) {
+				return licence;
+			}
+		}
+
+		return null;
+	},
+
+	/**
+	 * Returns the authors, linking an author's name to the attribution URL if specified via
+	 * ccREL.
+	 *
+	 * @param {jQuery} $scope
+	 * @param {Object[]} imageJsonLd JSON-LD objects describing the image.
+	 * @param {Object[]} pageJsonLd Other JSON-LD objects embedded into the page.
+	 * @return {Author[]}
+	 */
+	_getAuthors: function( $scope, imageJsonLd, pageJsonLd ) {
+		var names = this._getJsonLdValues( imageJsonLd, ['creator', 'author'] ),
+			attributionUrl = null;
+
+		if( !names.length ) {
+			names = this._getValues( $scope, AUTHOR_SELECTORS, true );
+			attributionUrl = $scope.find( '[rel~="cc:attributionURL"]' ).first().attr( 'href' );
+		}
+
+		if( attributionUrl ) {
+			attributionUrl = resolveUrl( attributionUrl, this._baseUrl );
+
+			// Foreign pages must not inject links of other schemes, e.g. "javascript:":
+			if( !/^https?:\/\//i.test( attributionUrl ) ) {
+				attributionUrl = null;
+			}
+		}
+
+		if( !names.length ) {
+			names = this._getJsonLdValues( pageJsonLd, ['creator', 'author'] );
+		}
+
+		if( !names.length ) {
+			names = this._getMetaValues( ['dc.creator', 'dcterms.creator', 'author'] );
+			names = names.slice( 0, 1 );
+		}
+
+		return $.map( names, function( name, i ) {
+			if( !attributionUrl || i > 0 ) {
+				return new Author( $( document.createTextNode( name ) ) );
+			}
+
+			return new Author(
+				$( '<a/>' ).attr( 'href', attributionUrl ).text( name )
+			);
+		} );
+	},
+
+	/**
+	 * Returns the title of the asset, falling back to the title of the page.
+	 *
+	 * @param {jQuery} $scope
+	 * @param {Object[]} imageJsonLd JSON-LD objects describing the image.
+	 * @param {Object[]} pageJsonLd Other JSON-LD objects embedded into the page.
+	 * @return {string|null}
+	 */
+	_getTitle: function( $scope, imageJsonLd, pageJsonLd ) {
+		var titles = this._getJsonLdValues( imageJsonLd, ['name', 'headline'] )
+			.concat( this._getValues( $scope, TITLE_SELECTORS ) )
+			.concat( this._getJsonLdValues( pageJsonLd, ['name', 'headline'] ) )
+			.concat( this._getMetaValues( ['dc.title', 'dcterms.title', 'og:title'] ) )
+			.concat( [$.trim( this._$document.find( 'title' ).first().text() )] );
+
+		for( var i = 0; i < titles.length; i++ ) {
+			if( titles[i] ) {
+				return titles[i];
+			}
+		}
+
+		return null;
+	},
+
+	/**
+	 * Returns the values of the nodes matching any of the specified selectors, ordered by
+	 * selector. A node's value is, in the order of precedence, its "content", "resource" or
+	 * "href" attribute or its text.
+	 *
+	 * @param {jQuery} $scope
+	 * @param {string[]} selectors
+	 * @param {boolean} [preferText] Whether to prefer a node's text over its "href" attribute.
+	 * @return {string[]}
+	 */
+	_getValues: function( $scope, selectors, preferText ) {
+		var values = [];
+
+		$.each( selectors, function( i, selector ) {
+			$scope.find( selector ).each( function() {
+				var $node = $( this ),
+					$name = $node.find( '[itemprop="name"]' ),
+					text = $.trim( ( $name.length ? $name.first() : $node ).text() ),
+					value = $node.attr( 'content' ) || $node.attr( 'resource' );
+
+				if( !value ) {
+					value = preferText
+						? text || $node.attr( 'href' )
+						: $node.attr( 'href' ) || text;
+				}
+
+				value = $.trim( value || '' );
+
+				if( value && $.inArray( value, values ) === -1 ) {
+					values.push( value );
+				}
+			} );
+		} );
+
+		return values;
+	},
+
+	/**
+	 * Returns the contents of the meta tags with a specific name or property, the names being
+	 * matched case-insensitively.
+	 *
+	 * @param {string[]} names
+	 * @return {string[]}
+	 */
+	_getMetaValues: function( names ) {
+		var values = [],
+			$meta = this._$document.find( 'meta[content]' );
+
+		$.each( names, function( i, name ) {
+			$meta.each( function() {
+				var $node = $( this ),
+					nodeName = $node.attr( 'name' ) || $node.attr( 'property' ) || '',
+					content = $.trim( $node.attr( 'content' ) );
+
+				if( nodeName.toLowerCase() === name && content ) {
+					values.push( content );
+				}
+			} );
+		} );
+
+		return values;
+	},
+
+	/**
+	 * Returns the values of JSON-LD objects, evaluating the first property featured by each
+	 * object out of a list of properties.
+	 *
+	 * @param {Object[]} objects
+	 * @param {string[]} properties
+	 * @return {string[]}
+	 */
+	_getJsonLdValues: function( objects, properties ) {
+		var values = [];
+
+		for( var i = 0; i < objects.length; i++ ) {
+			for( var j = 0; j < properties.length; j++ ) {
+				if( objects[i][properties[j]] !== undefined ) {
+					values = values.concat( this._getJsonLdStrings( objects[i][properties[j]] ) );
+					break;
+				}
+			}
+		}
+
+		return values;
+	},
+
+	/**
+	 * Flattens a JSON-LD value, which may be a string, an object featuring a name or URL or a
+	 * list of these, to a list of strings.
+	 *
+	 * @param {*} value
+	 * @return {string[]}
+	 */
+	_getJsonLdStrings: function( value ) {
+		var self = this;
+
+		if( typeof value === 'string' ) {
+			return $.trim( value ) ? [$.trim( value )] : [];
+		} else if( $.isArray( value ) ) {
+			var strings = [];
+			$.each( value, function( i, item ) {
+				strings = strings.concat( self._getJsonLdStrings( item ) );
+			} );
+			return strings;
+		} else if( $.isPlainObject( value ) ) {
+			return this._getJsonLdStrings( value.name || value['@id'] || value.url );
+		}
+
+		return [];
+	}
+
+} );
+
+return WebPage;
+
+} );
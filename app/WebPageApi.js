@@ -0,0 +1,173 @@
+/**
+ * @licence GNU GPL v3
+ * @author snater.com < wikimedia@snater.com >
+ */
+define( [
+	'jquery',
+	'dojo/_base/config',
+	'app/ImageInfo',
+	'app/NoApi',
+	'app/WebPage'
+], function( $, config, ImageInfo, NoApi, WebPage ) {
+'use strict';
+
+/**
+ * Handler for URLs of arbitrary web pages. Since browsers do not allow accessing foreign pages
+ * directly, the pages are fetched via a proxy endpoint. The licensing information embedded into
+ * a page is applied to the images featured on that page. URLs referring to an image directly are
+ * handled like NoApi does.
+ * @constructor
+ *
+ * @param {string} [proxyUrl]
+ *        URL of the proxy endpoint, "{{url}}" being replaced with the URL-encoded page URL.
+ *        Default: config.custom.webPageProxy
+ *
+ * @throws {Error} if no proxy URL is specified.
+ */
+var WebPageApi = function( proxyUrl ) {
+	NoApi.apply( this, arguments );
+
+	this._proxyUrl = proxyUrl || config.custom.webPageProxy;
+
+	if( !this._proxyUrl ) {
+		throw new Error( 'No web page proxy specified' );
+	}
+
+	this._pages = [];
+};
+
+$.extend( WebPageApi.prototype, NoApi.prototype, {
+	constructor: WebPageApi,
+
+	/**
+	 * @type {string}
+	 */
+	_proxyUrl: null,
+
+	/**
+	 * Web pages retrieved by this API instance.
+	 * @type {WebPage[]}
+	 */
+	_pages: null,
+
+	/**
+	 * Generates an Asset object for a specific image URL. If the image has been found on a web
+	 * page retrieved before, the licensing information of the web page is applied.
+	 * @see NoApi.getAsset
+	 */
+	getAsset: function( filename ) {
+		var self = this,
+			page = this._getPageByImageUrl( filename );
+
+		if( !page ) {
+			return NoApi.prototype.getAsset.call( this, filename );
+		}
+
+		var deferred = $.Deferred();
+
+		this.getImageInfo( filename )
+		.done( function() {
+			deferred.resolve( page.getAsset( filename, self ) );
+		} )
+		.fail( function( error ) {
+			deferred.reject( error );
+		} );
+
+		return deferred.promise();
+	},
+
+	/**
+	 * Retrieves the images featured on a web page. If the URL refers to an image directly, if the
+	 * page features a single image only or if the page cannot be retrieved, the promise is
+	 * resolved with a single image URL instead of ImageInfo objects.
+	 *
+	 * @param {string} url
+	 * @return {Object} jQuery Promise
+	 *         Resolved parameters:
+	 *         - {string|ImageInfo[]}
+	 */
+	getWebPageImageInfo: function( url ) {
+		var deferred = $.Deferred();
+
+		if( WebPageApi.IMAGE_URL.test( url ) ) {
+			return deferred.resolve( url ).promise();
+		}
+
+		this._fetchPage( url )
+		.done( function( page ) {
+			var imageUrls = page.getImageUrls();
+
+			if( imageUrls.length === 0 ) {
+				deferred.resolve( url );
+			} else if( imageUrls.length === 1 ) {
+				deferred.resolve( imageUrls[0] );
+			} else {
+				deferred.resolve( $.map( imageUrls, function( imageUrl ) {
+					return new ImageInfo( imageUrl, url, { url: imageUrl } );
+				} ) );
+			}
+		} )
+		.fail( function() {
+			deferred.resolve( url );
+		} );
+
+		return deferred.promise();
+	},
+
+	/**
+	 * Retrieves a web page via the proxy.
+	 *
+	 * @param {string} url
+	 * @return {Object} jQuery Promise
+	 *         Resolved parameters:
+	 *         - {WebPage}
+	 *         Rejected parameters:
+	 *         - {jqXHR}
+	 */
+	_fetchPage: function( url ) {
+		var self = this,
+			deferred = $.Deferred();
+
+		$.ajax( {
+			url: this._proxyUrl.replace( '{{url}}', encodeURIComponent( url ) ),
+			dataType: 'text',
+			timeout: 10000
+		} )
+		.done( function( html ) {
+			var page = new WebPage( url, html );
+			self._pages.unshift( page );
+			deferred.resolve( page );
+		} )
+		.fail( function( jqXHR ) {
+			deferred.reject( jqXHR );
+		} );
+
+		return deferred.promise();
+	},
+
+	/**
+	 * Returns the web page retrieved most recently featuring a specific image.
+	 *
+	 * @param {string} imageUrl
+	 * @return {WebPage|null}
+	 */
+	_getPageByImageUrl: function( imageUrl ) {
+		for( var i = 0; i < this._pages.length; i++ ) {
+			if( $.inArray( imageUrl, this._pages[i].getImageUrls() ) !== -1 ) {
+				return this._pages[i];
+			}
+		}
+		return null;
+	}
+
+} );
+
+/**
+ * Regular expression detecting URLs referring to an image file directly.
+ * @type {RegExp}
+ */
+WebPageApi.IMAGE_URL = /\.(jpe?g|png|gif|svg|webp|tiff?|bmp)([?#]|$)/i;
+
+return WebPageApi;
+
+} );
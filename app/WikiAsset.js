@@ -85,7 +85,7 @@ WikiAsset.extend( {
 	 * @return {WikiAsset}
 	 */
 	clone: function() {
-		return new WikiAsset(
+		return this._transferSupplements( new WikiAsset(
 			this._filename,
 			this._mediaType,
 			this._licence,
@@ -95,7 +95,7 @@ WikiAsset.extend( {
 			this._$attribution,
 			this._api,
 			this._wikiUrl
-		);
+		) );
 	}
 } );
 
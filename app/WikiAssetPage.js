@@ -17,6 +17,8 @@ define(
  * @param {string[]} templates
  * @param {Api} api
  * @param {string} [wikiUrl]
+ * @param {Object} [extMetadata] Plain extended meta data values indexed by field name. Extended
+ *        meta data is preferred over information scraped from the page content.
  *
  * @throws {Error} if a required parameter is not specified.
  */
@@ -26,7 +28,8 @@ var WikiAssetPage = function(
 	$dom,
 	templates,
 	api,
-	wikiUrl
+	wikiUrl,
+	extMetadata
 ) {
 	if( !prefixedFilename || !mediaType || !$dom || !templates || !api ) {
 		throw new Error( 'Unable to instantiate object' );
@@ -37,6 +40,7 @@ var WikiAssetPage = function(
 	this._templates = templates;
 	this._api = api;
 	this._wikiUrl = wikiUrl || api.getDefaultUrl();
+	this._extMetadata = extMetadata || {};
 };
 
 $.extend( WikiAssetPage.prototype, {
@@ -74,50 +78,226 @@ $.extend( WikiAssetPage.prototype, {
 	 */
 	_api: null,
 
+	/**
+	 * The file's extended meta data.
+	 * @type {Object}
+	 */
+	_extMetadata: null,
+
 	/**
 	 * @type {WikiAsset}
 	 */
 	_asset: null,
 
 	/**
-	 * Returns the asset represented by the page.
+	 * Returns the asset represented by the page. The source each piece of information has been
+	 * gathered from is registered on the asset.
 	 *
 	 * @return {WikiAsset}
 	 */
 	getAsset: function() {
-		if( !this._asset ) {
-			this._asset = new WikiAsset(
-				this._prefixedFilename,
-				this._mediaType,
-				config.custom.licenceStore.detectLicence( this._templates ),
-				this._prefixedFilename
-					.replace( /^[^:]+:/ , '' )
-					.replace( /\.[^.]+$/ , '' )
-					.replace( /_/g, ' '),
-				this._scrapeAuthors(),
-				null,
-				this._scrapeAttribution(),
-				this._api,
-				this._wikiUrl
-			);
+		if( this._asset ) {
+			return this._asset;
+		}
+
+		var sources = {},
+			licences = this._detectLicences(),
+			licence = licences.length ? licences[0] : null,
+			title = this._getExtMetadataText( 'ObjectName' ),
+			authors = this._getExtMetadataAuthors(),
+			$attribution = this._getExtMetadataNodes( 'Attribution' ),
+			attributionRequired = this._getExtMetadataText( 'AttributionRequired' );
+
+		if( licence ) {
+			sources.licence = this._getLicenceSource( licence );
+		}
+
+		if( title ) {
+			sources.title = 'extmetadata';
+		} else {
+			title = this._prefixedFilename
+				.replace( /^[^:]+:/ , '' )
+				.replace( /\.[^.]+$/ , '' )
+				.replace( /_/g, ' ');
+			sources.title = 'filename';
+		}
+
+		if( authors.length ) {
+			sources.authors = 'extmetadata';
+		} else {
+			authors = this._scrapeAuthors();
+			if( authors.length ) {
+				sources.authors = 'scraping';
+			}
 		}
+
+		if( $attribution ) {
+			sources.attribution = 'extmetadata';
+		} else {
+			$attribution = this._scrapeAttribution();
+			if( $attribution ) {
+				sources.attribution = 'scraping';
+			}
+		}
+
+		this._asset = new WikiAsset(
+			this._prefixedFilename,
+			this._mediaType,
+			licence,
+			title,
+			authors,
+			null,
+			$attribution,
+			this._api,
+			this._wikiUrl
+		);
+
+		this._asset.setCandidateLicences( licences );
+		this._asset.setCredit( this._getExtMetadataText( 'Credit' ) );
+
+		if( attributionRequired ) {
+			this._asset.setAttributionRequired( attributionRequired !== 'false' );
+		}
+
+		if( this._asset.getCredit() ) {
+			sources.credit = 'extmetadata';
+		}
+
+		var asset = this._asset;
+		$.each( sources, function( name, source ) {
+			asset.setSource( name, source );
+		} );
+
 		return this._asset;
 	},
 
+	/**
+	 * Detects the licences evaluating the extended meta data's licence information as well as the
+	 * templates used on the page. Since the licence store's order of licences determines which
+	 * licence is preferred, all licence identifiers are evaluated at once.
+	 *
+	 * @return {Licence[]} Detected licences, the preferred licence being the first one
+	 */
+	_detectLicences: function() {
+		var licenceStore = config.custom.licenceStore,
+			shortName = this._getExtMetadataLicenceName(),
+			strings = shortName ? [shortName].concat( this._templates ) : this._templates,
+			licences = licenceStore.detectLicences( strings );
+
+		if( licences.length ) {
+			return licences;
+		}
+
+		var licence = licenceStore.detectLicenceByUrl( this._getExtMetadataText( 'LicenseUrl' ) );
+
+		return licence ? [licence] : [];
+	},
+
+	/**
+	 * Returns the identifier of the source a licence has been detected on.
+	 *
+	 * @param {Licence} licence
+	 * @return {string}
+	 */
+	_getLicenceSource: function( licence ) {
+		var shortName = this._getExtMetadataLicenceName();
+
+		for( var i = 0; i < this._templates.length; i++ ) {
+			if( licence.match( this._templates[i] ) ) {
+				return shortName && licence.match( shortName ) ? 'extmetadata' : 'templates';
+			}
+		}
+
+		return 'extmetadata';
+	},
+
+	/**
+	 * Converts the licence short name featured in the extended meta data (e.g. "CC BY-SA 3.0 de")
+	 * to a string that may be matched against the licence definitions which are based on
+	 * template names (e.g. "CC-BY-SA-3.0-de").
+	 *
+	 * @return {string|null}
+	 */
+	_getExtMetadataLicenceName: function() {
+		var shortName = this._getExtMetadataText( 'LicenseShortName' );
+
+		if( !shortName ) {
+			return null;
+		}
+
+		return shortName.replace( /^CC0\b/i, 'cc-zero' ).replace( /\s+/g, '-' );
+	},
+
+	/**
+	 * Returns the plain text of a specific extended meta data field or "null" if the field is not
+	 * set.
+	 *
+	 * @param {string} field
+	 * @return {string|null}
+	 */
+	_getExtMetadataText: function( field ) {
+		var value = this._extMetadata[field];
+
+		if( value === undefined || value === null ) {
+			return null;
+		}
+
+		return $.trim( $( '<div/>' ).html( String( value ) ).text() ) || null;
+	},
+
+	/**
+	 * Returns the sanitized DOM nodes of a specific extended meta data field or "null" if the
+	 * field is not set.
+	 *
+	 * @param {string} field
+	 * @return {jQuery|null}
+	 */
+	_getExtMetadataNodes: function( field ) {
+		if( !this._getExtMetadataText( field ) ) {
+			return null;
+		}
+
+		var $nodes = $( '<div/>' ).html( String( this._extMetadata[field] ) ).contents();
+
+		return this._trimNodeList( this._sanitizeUrls( $nodes ) );
+	},
+
+	/**
+	 * Extracts the author(s) from the extended meta data.
+	 *
+	 * @return {Author[]}
+	 */
+	_getExtMetadataAuthors: function() {
+		if( !this._getExtMetadataText( 'Artist' ) ) {
+			return [];
+		}
+
+		return this._createAuthors( $( '<div/>' ).html( String( this._extMetadata.Artist ) ).contents() );
+	},
+
 	/**
 	 * Extracts the author(s) from the DOM.
 	 *
 	 * @return {Author[]}
 	 */
 	_scrapeAuthors: function() {
-		var $td = this._$dom.find( '#fileinfotpl_aut' ).next(),
-			authors = [];
+		var $td = this._$dom.find( '#fileinfotpl_aut' ).next();
 
 		if( $td.length === 0 ) {
-			return authors;
+			return [];
 		}
 
-		var $author = this._sanitizeUrls( $td.contents() );
+		return this._createAuthors( $td.contents() );
+	},
+
+	/**
+	 * Creates the Author objects from a list of nodes describing the author(s).
+	 *
+	 * @param {jQuery} $nodes
+	 * @return {Author[]}
+	 */
+	_createAuthors: function( $nodes ) {
+		var $author = this._sanitizeUrls( $nodes );
 
 		// Remove useless wrapping nodes:
 		if( $author.length === 1 ) {
@@ -0,0 +1,43 @@
+/**
+ * @licence GNU GPL v3
+ * @author snater.com < wikimedia@snater.com >
+ */
+define( ['jquery', 'app/Formatter'], function( $, Formatter ) {
+'use strict';
+
+function BBCode() {
+	Formatter.apply( this, arguments );
+}
+
+$.extend( BBCode.prototype, Formatter.prototype, {
+	constructor: BBCode,
+
+	/**
+	 * Since there is no common way of escaping in BBCode, text featuring square brackets is
+	 * wrapped in "noparse" tags.
+	 * @see Formatter.escape
+	 */
+	escape: function( text ) {
+		if( !/[\[\]]/.test( text ) ) {
+			return text;
+		}
+
+		return '[noparse]' + text + '[/noparse]';
+	},
+
+	/**
+	 * @see Formatter.link
+	 */
+	link: function( text, url ) {
+		url = url.replace( /[ \[\]"]/g, function( character ) {
+			return encodeURIComponent( character );
+		} );
+
+		return '[url=' + url + ']' + this.escape( text ) + '[/url]';
+	}
+
+} );
+
+return BBCode;
+
+} );
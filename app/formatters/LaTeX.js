@@ -0,0 +1,63 @@
+/**
+ * @licence GNU GPL v3
+ * @author snater.com < wikimedia@snater.com >
+ */
+define( ['jquery', 'app/Formatter'], function( $, Formatter ) {
+'use strict';
+
+/**
+ * Links are generated using the "hyperref" package's "\href" command.
+ */
+function LaTeX() {
+	Formatter.apply( this, arguments );
+}
+
+$.extend( LaTeX.prototype, Formatter.prototype, {
+	constructor: LaTeX,
+
+	/**
+	 * Replacements of LaTeX special characters.
+	 * @type {Object}
+	 */
+	_replacements: {
+		'\\': '\\textbackslash{}',
+		'{': '\\{',
+		'}': '\\}',
+		'$': '\\$',
+		'&': '\\&',
+		'#': '\\#',
+		'^': '\\textasciicircum{}',
+		'_': '\\_',
+		'%': '\\%',
+		'~': '\\textasciitilde{}'
+	},
+
+	/**
+	 * @see Formatter.escape
+	 */
+	escape: function( text ) {
+		var replacements = this._replacements;
+
+		return text.replace( /[\\{}$&#^_%~]/g, function( character ) {
+			return replacements[character];
+		} );
+	},
+
+	/**
+	 * @see Formatter.link
+	 */
+	link: function( text, url ) {
+		url = url
+			.replace( /[ {}\\^~]/g, function( character ) {
+				return encodeURIComponent( character );
+			} )
+			.replace( /[#%]/g, '\\$&' );
+
+		return '\\href{' + url + '}{' + this.escape( text ) + '}';
+	}
+
+} );
+
+return LaTeX;
+
+} );
@@ -0,0 +1,37 @@
+/**
+ * @licence GNU GPL v3
+ * @author snater.com < wikimedia@snater.com >
+ */
+define( ['jquery', 'app/Formatter'], function( $, Formatter ) {
+'use strict';
+
+function Markdown() {
+	Formatter.apply( this, arguments );
+}
+
+$.extend( Markdown.prototype, Formatter.prototype, {
+	constructor: Markdown,
+
+	/**
+	 * @see Formatter.escape
+	 */
+	escape: function( text ) {
+		return text.replace( /[\\`*_{}\[\]()<>#!|~]/g, '\\$&' );
+	},
+
+	/**
+	 * @see Formatter.link
+	 */
+	link: function( text, url ) {
+		url = url.replace( /[ ()<>]/g, function( character ) {
+			return encodeURIComponent( character ).replace( '(', '%28' ).replace( ')', '%29' );
+		} );
+
+		return '[' + this.escape( text ) + '](' + url + ')';
+	}
+
+} );
+
+return Markdown;
+
+} );
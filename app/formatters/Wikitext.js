@@ -0,0 +1,60 @@
+/**
+ * @licence GNU GPL v3
+ * @author snater.com < wikimedia@snater.com >
+ */
+define( ['jquery', 'app/Formatter'], function( $, Formatter ) {
+'use strict';
+
+function Wikitext() {
+	Formatter.apply( this, arguments );
+}
+
+$.extend( Wikitext.prototype, Formatter.prototype, {
+	constructor: Wikitext,
+
+	/**
+	 * Characters that may start wiki markup, replaced by their HTML entities.
+	 * @type {Object}
+	 */
+	_entities: {
+		'&': '&amp;',
+		'<': '&lt;',
+		'>': '&gt;',
+		'[': '&#91;',
+		']': '&#93;',
+		'{': '&#123;',
+		'}': '&#125;',
+		'|': '&#124;',
+		'\'': '&#39;',
+		'~': '&#126;',
+		'=': '&#61;',
+		'_': '&#95;'
+	},
+
+	/**
+	 * @see Formatter.escape
+	 */
+	escape: function( text ) {
+		var entities = this._entities;
+
+		return text.replace( /[&<>\[\]{}|'~=_]/g, function( character ) {
+			return entities[character];
+		} );
+	},
+
+	/**
+	 * @see Formatter.link
+	 */
+	link: function( text, url ) {
+		url = url.replace( /[ \[\]<>"]/g, function( character ) {
+			return encodeURIComponent( character );
+		} );
+
+		return '[' + url + ' ' + this.escape( text ) + ']';
+	}
+
+} );
+
+return Wikitext;
+
+} );
@@ -0,0 +1,154 @@
+/**
+ * @licence GNU GPL v3
+ * @author snater.com < wikimedia@snater.com >
+ */
+define(
+	['jquery', 'require', 'dojo/i18n', 'dojo/_base/kernel', 'dojo/_base/config'],
+	function( $, require, i18n, kernel, config ) {
+'use strict';
+
+/**
+ * Key of the local storage entry the chosen locale is remembered in. (dojoConfig.js picks up
+ * the entry when loading the application.)
+ * @type {string}
+ */
+var STORAGE_KEY = 'locale';
+
+/**
+ * Languages the application is translated into, indexed by language code, featuring the
+ * language's name in the language itself.
+ * @type {Object}
+ */
+var LANGUAGES = {
+	'en': 'English',
+	'de': 'Deutsch'
+};
+
+/**
+ * Code of the language the root message bundles and templates are written in.
+ * @type {string}
+ */
+var DEFAULT_LANGUAGE = 'en';
+
+/**
+ * Ids of the message bundles that are re-localised when changing the locale at runtime.
+ * @type {string[]}
+ */
+var BUNDLES = [
+	'app/nls/AjaxError',
+	'app/nls/ApplicationError',
+	'app/nls/BatchList',
+	'app/nls/CombinationPage',
+	'app/nls/FrontPage',
+	'app/nls/HistoryPage',
+	'app/nls/Navigation',
+	'app/nls/Preview',
+	'app/nls/Questionnaire',
+	'app/options/nls/FullLicenceName',
+	'app/options/nls/HtmlCode',
+	'app/options/nls/ImageSize',
+	'app/options/nls/MarkupCode',
+	'app/options/nls/OriginalFileLink',
+	'app/options/nls/OutputLanguage',
+	'app/options/nls/RawText'
+];
+
+/**
+ * Requires a list of modules.
+ *
+ * @param {string[]} ids
+ * @return {Object} jQuery Promise
+ *         Resolved parameters:
+ *         - {*[]} Module values in the order of the ids.
+ */
+function requireAll( ids ) {
+	var deferred = $.Deferred();
+
+	require( ids, function() {
+		deferred.resolve( Array.prototype.slice.call( arguments ) );
+	} );
+
+	return deferred.promise();
+}
+
+/**
+ * Updates the messages of a bundle in place. The "dojo/i18n" plugin hands out objects
+ * delegating to the bundle cached for the locale the application has been loaded with, so
+ * updating the cached bundle updates the messages of all modules.
+ *
+ * @param {string} id
+ * @param {Object} rootBundle Bundle definition featuring the root messages.
+ * @param {Object} [localeBundle]
+ */
+function updateBundle( id, rootBundle, localeBundle ) {
+	var messages = i18n.cache[id + '/' + kernel.locale];
+
+	if( messages ) {
+		$.extend( messages, rootBundle.root, localeBundle || {} );
+	}
+}
+
+return {
+	LANGUAGES: LANGUAGES,
+
+	/**
+	 * Returns the code of the language currently used. If the current locale is not supported,
+	 * the default language's code is returned.
+	 *
+	 * @return {string}
+	 */
+	getLanguage: function() {
+		var languageCode = ( config.locale || '' ).split( '-' )[0];
+		return LANGUAGES[languageCode] ? languageCode : DEFAULT_LANGUAGE;
+	},
+
+	/**
+	 * Changes the locale at runtime and remembers the choice. The message bundles are updated
+	 * in place; templates pick up the locale when being loaded via the template registry.
+	 * Content already rendered needs to be re-rendered by the caller.
+	 *
+	 * @param {string} languageCode
+	 * @return {Object} jQuery Promise
+	 *         No resolved parameters.
+	 *
+	 * @throws {Error} if the language is not supported.
+	 */
+	setLanguage: function( languageCode ) {
+		if( !LANGUAGES[languageCode] ) {
+			throw new Error( 'Language ' + languageCode + ' is not supported' );
+		}
+
+		var deferred = $.Deferred(),
+			localeIds = [];
+
+		try {
+			window.localStorage.setItem( STORAGE_KEY, languageCode );
+		} catch( e ) {
+			// Local storage is not available, the choice applies to the current visit only.
+		}
+
+		config.locale = languageCode;
+
+		$.each( BUNDLES, function( i, id ) {
+			localeIds.push( id.replace( /\/nls\//, '/nls/' + languageCode + '/' ) );
+		} );
+
+		requireAll( BUNDLES ).done( function( rootBundles ) {
+			// The default language's messages are the root messages:
+			var localeBundles = languageCode === DEFAULT_LANGUAGE
+				? $.Deferred().resolve( [] ).promise()
+				: requireAll( localeIds );
+
+			localeBundles.done( function( bundles ) {
+				$.each( BUNDLES, function( i, id ) {
+					updateBundle( id, rootBundles[i], bundles[i] );
+				} );
+				deferred.resolve();
+			} );
+		} );
+
+		return deferred.promise();
+	}
+};
+
+} );
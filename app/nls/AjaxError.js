@@ -1,10 +1,15 @@
 define( {
 	root: {
 		'*': 'Could not gather the required information.',
+		'api-error': 'The server rejected the request.',
 		'contentpage-missing': 'Could not retrieve the requested page. Please try accessing the page again.',
+		'network-error': 'The server could not be reached. Please check your internet connection.',
 		'page-invalid': 'The input could not be resolved–it appears to be invalid.',
 		'page-missing': 'Could not locate the requested resource.',
-		'questionnaire-page-missing': 'Content is missing, the questionnaire could not be loaded completely.'
+		'questionnaire-page-missing': 'Content is missing, the questionnaire could not be loaded completely.',
+		'ratelimited': 'The server is busy at the moment. Please try again shortly.',
+		'server-error': 'The server encountered an error.',
+		'timeout': 'The server took too long to respond.'
 	},
 	'de': true
 } );
@@ -1,8 +1,12 @@
 define( {
 	root: {
 		'*': 'An unexpected error occurred.',
+		'batch-article-unsupported': 'Articles cannot be processed when attributing multiple files at once. Please specify the images directly.',
+		'file-unreadable': 'The file could not be read.',
+		'file-unsupported': 'The file is not an image.',
 		'mediatype-unsupported': 'The file\'s media type is currently not supported by the application.',
 		'licence-unsupported': 'Unfortunately, the detected licence is not supported by the application.',
+		'search-no-results': 'No images available under a supported licence have been found.',
 		'url-invalid': 'The application is unable to parse the given web address.'
 	},
 	'de': true
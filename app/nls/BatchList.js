@@ -0,0 +1,15 @@
+define( {
+	root: {
+		'attributions': 'Attributions',
+		'inputs not processed': 'The following inputs could not be processed:',
+		'author': 'Author',
+		'title': 'Title',
+		'url': 'Web address of the rights holder',
+		'choose licence': '– Choose licence –',
+		'no attribution required': 'No attribution required.',
+		'different questions': 'The licence of this file requires answering different questions. Please create the attribution of this file separately.',
+		'licence conflict': 'The licence of this file does not permit the intended use.',
+		'all attributions as plain text': 'All attributions as plain text:'
+	},
+	'de': true
+} );
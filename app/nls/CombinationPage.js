@@ -0,0 +1,22 @@
+define( {
+	root: {
+		'combine works': 'Combine works',
+		'combine works-description': 'Check whether several works may be combined into a new work, e.g. a collage, and which licences the new work may be released under. Enter the web addresses of the works, one per line.',
+		'input placeholder': 'Web addresses of the works (one per line)',
+		'check': 'Check',
+		'works': 'Works',
+		'combined work': 'Combined work',
+		'reason-free': 'Free of copyright restrictions: may be adapted without any restrictions.',
+		'reason-unknown': 'The licence terms are unknown: whether the work may be adapted cannot be determined.',
+		'reason-nd': 'No derivatives: the work must not be adapted.',
+		'reason-nc': 'Non-commercial: the new work must be restricted to non-commercial use as well.',
+		'reason-sa': 'Share alike: the new work must be released under the same licence, a later version of it or a licence declared compatible.',
+		'reason-copyleft': 'Copyleft: the new work must be released under the same licence.',
+		'reason-attribution': 'Attribution: the new work may be released under any licence as long as the work is attributed.',
+		'licences': 'The new work may be released under the following licences:',
+		'own terms': 'Alternatively, the new work may be released under licence terms of your own.',
+		'no licence': 'The works may not be combined into a new work since their licences are incompatible.',
+		'collection note': 'These restrictions apply when the works are merged into a new work. If the works remain separate and independent within a collection, each of them may keep its own licence, requiring an attribution per work.'
+	},
+	'de': true
+} );
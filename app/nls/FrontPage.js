@@ -2,7 +2,17 @@ define( {
 	root: {
 		'attribution generator': 'Attribution Generator',
 		'input placeholder': 'Web address of an image used in Wikipedia or of a Wikipedia article',
-		'generate attribution': 'Generate attribution'
+		'generate attribution': 'Generate attribution',
+		'batch mode': 'Attribute multiple files at once',
+		'single mode': 'Attribute a single file',
+		'batch input placeholder': 'One web address or file name of an image per line',
+		'search mode': 'Search Wikimedia Commons for images',
+		'url mode': 'Specify the web address of an image',
+		'search placeholder': 'Search term',
+		'previous': 'Previous',
+		'next': 'Next',
+		'licence unsupported': 'Licence not supported',
+		'retry': 'Try again'
 	},
 	'de': true
 } );
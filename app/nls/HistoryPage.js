@@ -0,0 +1,13 @@
+define( {
+	root: {
+		'history': 'History',
+		'history-description': 'The attributions you have generated are stored in your browser. They are not transmitted to any server.',
+		'search': 'Search',
+		'no entries': 'No attributions found.',
+		're-open': 'Re-open',
+		'delete': 'Delete',
+		'export-csv': 'Export as CSV',
+		'export-json': 'Export as JSON'
+	},
+	'de': true
+} );
@@ -2,7 +2,9 @@ define( {
 	root: {
 		'Start': 'Start',
 		'About': 'About',
-		'Feedback': 'Feedback'
+		'Feedback': 'Feedback',
+		'History': 'History',
+		'Combine works': 'Combine works'
 	},
 	'de': true
 } );
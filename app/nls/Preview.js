@@ -0,0 +1,17 @@
+define( {
+	root: {
+		'information sources': 'Sources of information',
+		'authors': 'Author',
+		'title': 'Title',
+		'licence': 'Licence',
+		'credit': 'Credit',
+		'source-extmetadata': 'file meta data',
+		'source-scraping': 'file description page',
+		'source-templates': 'licence templates',
+		'source-filename': 'file name',
+		'source-webpage': 'web page markup',
+		'source-flickr': 'Flickr',
+		'retry': 'Try again'
+	},
+	'de': true
+} );
@@ -1,9 +1,19 @@
 define( {
 	root: {
-		'(edited)': '(edited)',
 		'notes and advice': 'Notes and advice',
-		'author-undefined': 'anonymous',
-		'file-untitled': 'No Title'
+		'licence-recommended': '(recommended)',
+		'adaptation-licences-none': 'The licence of the work does not permit licensing a modified version under another Creative Commons licence.',
+		'licence text link': 'The licence text is available at:',
+		'attribution-rules': 'Elements of the attribution',
+		'attribution-element-author': 'Author',
+		'attribution-element-title': 'Title of the work',
+		'attribution-element-url': 'Link to the work',
+		'attribution-element-editor': 'Indication of modifications',
+		'attribution-element-licence': 'Licence name and link',
+		'attribution-level-required': 'legally required',
+		'attribution-level-recommended': 'good practice',
+		'attribution-level-omitted': 'to be omitted',
+		'attribution-rules-note-cc2de': 'Unlike other Creative Commons licences, the German 2.0 licences require attribution for private use as well.'
 	},
 	'de': true
 } );
@@ -1,7 +1,12 @@
 define( {
 	'*': 'Benötigte Informationen konnten nicht zusammengetragen werden.',
+	'api-error': 'Der Server hat die Anfrage abgelehnt.',
 	'contentpage-missing': 'Die Seite konnte nicht geladen werden. Bitte versuchen Sie, die Seite erneut zu laden.',
+	'network-error': 'Der Server ist nicht erreichbar. Bitte prüfen Sie Ihre Internetverbindung.',
 	'page-invalid': 'Ihre Eingabe konnte nicht evaluiert werden – bitte prüfen Sie Ihre Eingabe.',
 	'page-missing': 'Die angefragte Ressource konnte nicht gefunden werden.',
-	'questionnaire-page-missing': 'Inhalt fehlt, der Fragebogen konnte nicht komplett geladen werden.'
+	'questionnaire-page-missing': 'Inhalt fehlt, der Fragebogen konnte nicht komplett geladen werden.',
+	'ratelimited': 'Der Server ist momentan ausgelastet. Bitte versuchen Sie es in Kürze erneut.',
+	'server-error': 'Auf dem Server ist ein Fehler aufgetreten.',
+	'timeout': 'Der Server hat nicht rechtzeitig geantwortet.'
 } );
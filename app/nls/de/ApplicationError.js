@@ -1,6 +1,10 @@
 define( {
 	'*': 'Ein unvorhergesehener Fehler ist aufgetreten.',
+	'batch-article-unsupported': 'Beim gleichzeitigen Erzeugen mehrerer Lizenzverweise können keine Artikel verarbeitet werden. Bitte geben Sie die Bilder direkt an.',
+	'file-unreadable': 'Die Datei konnte nicht gelesen werden.',
+	'file-unsupported': 'Die Datei ist kein Bild.',
 	'mediatype-unsupported': 'Der Medientyp der angegebenen Datei wird von dieser Applikation momentan leider nicht unterstützt.',
 	'licence-unsupported': 'Leider wird die ermittelte Lizenz des Bildes von dieser Anwendung nicht unterstützt.',
+	'search-no-results': 'Es wurden keine Bilder unter einer unterstützten Lizenz gefunden.',
 	'url-invalid': 'Die angegebene Internetadresse konnte nicht verarbeitet werden.'
 } );
@@ -0,0 +1,12 @@
+define( {
+	'attributions': 'Lizenzverweise',
+	'inputs not processed': 'Folgende Eingaben konnten nicht verarbeitet werden:',
+	'author': 'Urheber',
+	'title': 'Titel',
+	'url': 'Internetadresse des Rechteinhabers',
+	'choose licence': '– Lizenz auswählen –',
+	'no attribution required': 'Kein Lizenzverweis erforderlich.',
+	'different questions': 'Die Lizenz dieser Datei erfordert die Beantwortung anderer Fragen. Bitte erstellen Sie den Lizenzverweis für diese Datei separat.',
+	'licence conflict': 'Die Lizenz dieser Datei erlaubt die beabsichtigte Nutzung nicht.',
+	'all attributions as plain text': 'Alle Lizenzverweise ohne Formatierung:'
+} );
@@ -0,0 +1,19 @@
+define( {
+	'combine works': 'Werke kombinieren',
+	'combine works-description': 'Prüfen Sie, ob mehrere Werke zu einem neuen Werk, z.B. einer Collage, kombiniert werden dürfen und unter welchen Lizenzen das neue Werk veröffentlicht werden darf. Geben Sie die Webadressen der Werke ein, eine pro Zeile.',
+	'input placeholder': 'Webadressen der Werke (eine pro Zeile)',
+	'check': 'Prüfen',
+	'works': 'Werke',
+	'combined work': 'Kombiniertes Werk',
+	'reason-free': 'Frei von urheberrechtlichen Beschränkungen: darf ohne Einschränkungen bearbeitet werden.',
+	'reason-unknown': 'Die Lizenzbedingungen sind unbekannt: ob das Werk bearbeitet werden darf, kann nicht bestimmt werden.',
+	'reason-nd': 'Keine Bearbeitung: das Werk darf nicht bearbeitet werden.',
+	'reason-nc': 'Nicht kommerziell: auch das neue Werk muss auf nicht-kommerzielle Nutzung beschränkt werden.',
+	'reason-sa': 'Weitergabe unter gleichen Bedingungen: das neue Werk muss unter derselben Lizenz, einer späteren Version davon oder einer als kompatibel erklärten Lizenz veröffentlicht werden.',
+	'reason-copyleft': 'Copyleft: das neue Werk muss unter derselben Lizenz veröffentlicht werden.',
+	'reason-attribution': 'Namensnennung: das neue Werk darf unter jeder Lizenz veröffentlicht werden, solange das Werk genannt wird.',
+	'licences': 'Das neue Werk darf unter den folgenden Lizenzen veröffentlicht werden:',
+	'own terms': 'Alternativ darf das neue Werk unter eigenen Lizenzbedingungen veröffentlicht werden.',
+	'no licence': 'Die Werke dürfen nicht zu einem neuen Werk kombiniert werden, da ihre Lizenzen nicht miteinander vereinbar sind.',
+	'collection note': 'Diese Einschränkungen gelten, wenn die Werke zu einem neuen Werk verschmolzen werden. Bleiben die Werke innerhalb einer Sammlung eigenständig, darf jedes seine eigene Lizenz behalten, wobei jedes Werk einzeln genannt werden muss.'
+} );
@@ -1,5 +1,15 @@
 define( {
 	'attribution generator': 'Lizenzverweisgenerator',
 	'input placeholder': 'Internetadresse eines in Wikipedia verwendeten Bildes oder eines Wikipedia-Artikels',
-	'generate attribution': 'Lizenzverweis erzeugen'
+	'generate attribution': 'Lizenzverweis erzeugen',
+	'batch mode': 'Lizenzverweise für mehrere Dateien gleichzeitig erzeugen',
+	'single mode': 'Lizenzverweis für eine einzelne Datei erzeugen',
+	'batch input placeholder': 'Eine Internetadresse oder ein Dateiname eines Bildes pro Zeile',
+	'search mode': 'Bilder auf Wikimedia Commons suchen',
+	'url mode': 'Internetadresse eines Bildes angeben',
+	'search placeholder': 'Suchbegriff',
+	'previous': 'Zurück',
+	'next': 'Weiter',
+	'licence unsupported': 'Lizenz nicht unterstützt',
+	'retry': 'Erneut versuchen'
 } );
@@ -0,0 +1,10 @@
+define( {
+	'history': 'Verlauf',
+	'history-description': 'Die von Ihnen erstellten Lizenzhinweise werden in Ihrem Browser gespeichert. Sie werden an keinen Server übermittelt.',
+	'search': 'Suchen',
+	'no entries': 'Keine Lizenzhinweise gefunden.',
+	're-open': 'Wieder öffnen',
+	'delete': 'Löschen',
+	'export-csv': 'Als CSV exportieren',
+	'export-json': 'Als JSON exportieren'
+} );
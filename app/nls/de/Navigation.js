@@ -1,5 +1,7 @@
 define( {
 	'Start': 'Start',
 	'About': 'Über',
-	'Feedback': 'Rückmeldung'
+	'Feedback': 'Rückmeldung',
+	'History': 'Verlauf',
+	'Combine works': 'Werke kombinieren'
 } );
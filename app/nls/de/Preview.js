@@ -0,0 +1,14 @@
+define( {
+	'information sources': 'Herkunft der Angaben',
+	'authors': 'Urheber',
+	'title': 'Titel',
+	'licence': 'Lizenz',
+	'credit': 'Quelle',
+	'source-extmetadata': 'Metadaten der Datei',
+	'source-scraping': 'Dateibeschreibungsseite',
+	'source-templates': 'Lizenzvorlagen',
+	'source-filename': 'Dateiname',
+	'source-webpage': 'Auszeichnungen der Webseite',
+	'source-flickr': 'Flickr',
+	'retry': 'Erneut versuchen'
+} );
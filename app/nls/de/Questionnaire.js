@@ -1,6 +1,16 @@
 define( {
-	'(edited)': '(bearbeitet)',
 	'notes and advice': 'Anmerkungen und Hinweise',
-	'author-undefined': 'anonym',
-	'file-untitled': 'Ohne Titel'
+	'licence-recommended': '(empfohlen)',
+	'adaptation-licences-none': 'Die Lizenz des Werkes erlaubt nicht, eine veränderte Fassung unter einer anderen Creative-Commons-Lizenz zu lizenzieren.',
+	'licence text link': 'Der Lizenztext ist abrufbar unter:',
+	'attribution-rules': 'Bestandteile der Lizenzangabe',
+	'attribution-element-author': 'Urheber',
+	'attribution-element-title': 'Titel des Werkes',
+	'attribution-element-url': 'Link zum Werk',
+	'attribution-element-editor': 'Hinweis auf Veränderungen',
+	'attribution-element-licence': 'Lizenzname und Link',
+	'attribution-level-required': 'rechtlich erforderlich',
+	'attribution-level-recommended': 'gute Praxis',
+	'attribution-level-omitted': 'entfällt',
+	'attribution-rules-note-cc2de': 'Anders als andere Creative-Commons-Lizenzen verlangen die deutschen 2.0-Lizenzen die Namensnennung auch bei privater Nutzung.'
 } );
@@ -0,0 +1,79 @@
+/**
+ * @licence GNU GPL v3
+ * @author snater.com < wikimedia@snater.com >
+ */
+define(
+	['jquery', 'dojo/_base/config', 'app/Option', 'dojo/i18n!./nls/FullLicenceName'],
+	function( $, config, Option, messages ) {
+'use strict';
+
+/**
+ * Option allowing to show the full licence name in the attribution's language, e.g. "Creative
+ * Commons Namensnennung – Weitergabe unter gleichen Bedingungen 3.0 Unported", instead of the
+ * short name. The choice is applied to config.custom.fullLicenceName.
+ * @constructor
+ */
+function FullLicenceName() {
+	Option.apply( this, arguments );
+}
+
+$.extend( FullLicenceName.prototype, Option.prototype, {
+	constructor: FullLicenceName,
+
+	/**
+	 * This option's input element.
+	 * @type {jQuery}
+	 */
+	_$checkbox: null,
+
+	/**
+	 * @see Option.render
+	 */
+	render: function() {
+		var self = this,
+			$container = $( '<span/>' ).addClass( 'option button' );
+
+		this._$checkbox = $( '<input type="checkbox"/>' )
+			.attr( 'id', 'option-fullLicenceName-input' )
+			.prop( 'checked', !!config.custom.fullLicenceName );
+
+		this._$checkbox
+		.on( 'change', function() {
+			config.custom.fullLicenceName = self._$checkbox.prop( 'checked' );
+			$( self ).trigger( 'update' );
+		} );
+
+		$container
+		.append( this._$checkbox )
+		.append(
+			$( '<label/>' )
+			.attr( 'for', 'option-fullLicenceName-input' )
+			.text( messages['full licence name'] )
+		);
+
+		return $container;
+	},
+
+	/**
+	 * @see Option.value
+	 *
+	 * @param {boolean} [value]
+	 * @return {boolean|undefined}
+	 */
+	value: function( value ) {
+		if( value === undefined ) {
+			return !!config.custom.fullLicenceName;
+		}
+
+		config.custom.fullLicenceName = !!value;
+
+		if( this._$checkbox ) {
+			this._$checkbox.prop( 'checked', config.custom.fullLicenceName );
+		}
+	}
+
+} );
+
+return FullLicenceName;
+
+} );
@@ -5,6 +5,15 @@
 define( ['jquery', 'app/Option', 'dojo/i18n!./nls/HtmlCode'], function( $, Option, messages ) {
 'use strict';
 
+/**
+ * schema.org types of the media types not being images.
+ * @type {Object}
+ */
+var JSONLD_TYPES = {
+	audio: 'AudioObject',
+	video: 'VideoObject'
+};
+
 function HtmlCode() {
 	Option.apply( this, arguments );
 }
@@ -17,6 +26,19 @@ $.extend( HtmlCode.prototype, Option.prototype, {
 	 */
 	_$imageHtml: null,
 
+	/**
+	 * Whether to convert the styles to inline styles in the HTML code output.
+	 * @type {boolean}
+	 */
+	_useInlineStyles: true,
+
+	/**
+	 * Whether to add machine-readable licensing metadata (ccREL RDFa and schema.org JSON-LD) to
+	 * the HTML code output.
+	 * @type {boolean}
+	 */
+	_useMetadata: true,
+
 	/**
 	 * @see Option.render
 	 */
@@ -66,6 +88,10 @@ $.extend( HtmlCode.prototype, Option.prototype, {
 
 		$html.children().first().append( $attribution );
 
+		if( this._useMetadata ) {
+			$html = this._addMetadata( $html );
+		}
+
 		if( useInlineStyles ) {
 			$html = this._convertToInlineStyles( $html );
 		}
@@ -80,9 +106,7 @@ $.extend( HtmlCode.prototype, Option.prototype, {
 		if( !this._$underlay ) {
 			return;
 		}
-		this._$underlay.find( 'textarea' ).val( this._generateHtmlCode(
-			this._$underlay.find( '#option-htmlCode-styles' ).prop( 'checked' )
-		) );
+		this._$underlay.find( 'textarea' ).val( this._generateHtmlCode( this._useInlineStyles ) );
 	},
 
 	/**
@@ -95,14 +119,26 @@ $.extend( HtmlCode.prototype, Option.prototype, {
 
 		var $textArea = $( '<textarea rows="6" cols="40"/>' )
 			.prop( 'readonly', true )
-			.val( self._generateHtmlCode( true ) );
+			.val( self._generateHtmlCode( this._useInlineStyles ) );
 
 		var $useInlineStyles = $( '<input/>' )
 			.attr( 'id', 'option-htmlCode-styles' )
 			.attr( 'type', 'checkbox' )
-			.prop( 'checked', true );
+			.prop( 'checked', this._useInlineStyles );
 
 		$useInlineStyles.on( 'click', function() {
+			self._useInlineStyles = $useInlineStyles.prop( 'checked' );
+			self._updateHtmlCode();
+			self._triggerUpdate();
+		} );
+
+		var $useMetadata = $( '<input/>' )
+			.attr( 'id', 'option-htmlCode-metadata' )
+			.attr( 'type', 'checkbox' )
+			.prop( 'checked', this._useMetadata );
+
+		$useMetadata.on( 'click', function() {
+			self._useMetadata = $useMetadata.prop( 'checked' );
 			self._updateHtmlCode();
 		} );
 
@@ -112,14 +148,33 @@ $.extend( HtmlCode.prototype, Option.prototype, {
 				$( '<label/>' )
 				.attr( 'for', 'option-htmlCode-styles' )
 				.text( messages['use inline styles'] )
+			)
+			.add( $useMetadata )
+			.add(
+				$( '<label/>' )
+				.attr( 'for', 'option-htmlCode-metadata' )
+				.text( messages['add licensing metadata'] )
 			);
 	},
 
 	/**
+	 * Sets/Gets whether inline styles are used in the HTML code output.
 	 * @see Option.value
+	 *
+	 * @param {boolean} [value]
+	 * @return {boolean|undefined}
 	 */
-	value: function() {
-		return undefined;
+	value: function( value ) {
+		if( value === undefined ) {
+			return this._useInlineStyles;
+		}
+
+		this._useInlineStyles = !!value;
+
+		if( this._$underlay ) {
+			this._$underlay.find( '#option-htmlCode-styles' ).prop( 'checked', this._useInlineStyles );
+			this._updateHtmlCode();
+		}
 	},
 
 	/**
@@ -132,6 +187,118 @@ $.extend( HtmlCode.prototype, Option.prototype, {
 		this._updateHtmlCode();
 	},
 
+	/**
+	 * Annotates the attributed image DOM with ccREL RDFa and appends a schema.org JSON-LD block
+	 * describing the image's licensing.
+	 *
+	 * @param {jQuery} $node
+	 * @return {jQuery}
+	 */
+	_addMetadata: function( $node ) {
+		var asset = this._attributionGenerator.getAsset(),
+			licence = asset.getLicence(),
+			$author = $node.find( '.attribution-author' ),
+			$title = $node.find( '.attribution-title' ),
+			$licenceLink = $node.find( '.attribution-licence a' );
+
+		$node
+		.attr( 'xmlns:cc', 'http://creativecommons.org/ns#' )
+		.attr( 'xmlns:dct', 'http://purl.org/dc/terms/' );
+
+		if( asset.getUrl() ) {
+			$node.attr( 'about', asset.getUrl() );
+		}
+
+		if( $author.length ) {
+			$author.attr( 'property', 'cc:attributionName' );
+			$author.children( 'a' ).first().attr( 'rel', 'cc:attributionURL' );
+		} else if( asset.getAttribution() ) {
+			// The asset's attribution is featured in place of the authors without a wrapper:
+			$node.find( '.attribution' ).prepend(
+				$( '<span/>' )
+				.attr( 'property', 'cc:attributionName' )
+				.attr( 'content', $.trim( asset.getAttribution().text() ) )
+			);
+		}
+
+		if( asset.getTitle() ) {
+			$title.attr( 'property', 'dct:title' ).attr( 'content', asset.getTitle() );
+		}
+
+		$title.find( 'a' ).attr( 'rel', 'dct:source' );
+
+		$licenceLink.attr( 'rel', 'license' );
+
+		if( !$licenceLink.length && licence && licence.getUrl() ) {
+			$node.append( $( '<link/>' ).attr( 'rel', 'license' ).attr( 'href', licence.getUrl() ) );
+		}
+
+		$node.append(
+			$( '<script/>' )
+			.attr( 'type', 'application/ld+json' )
+			.text( JSON.stringify( this._generateJsonLd( $node ) ).replace( /</g, '\\u003c' ) )
+		);
+
+		return $node;
+	},
+
+	/**
+	 * Generates the schema.org object (ImageObject, VideoObject or AudioObject) describing the
+	 * attributed file.
+	 *
+	 * @param {jQuery} $node
+	 * @return {Object}
+	 */
+	_generateJsonLd: function( $node ) {
+		var asset = this._attributionGenerator.getAsset(),
+			licence = asset.getLicence(),
+			authors = asset.getAuthors(),
+			$media = $node.find( 'img, video, audio' ).first(),
+			jsonLd = {
+				'@context': 'https://schema.org',
+				'@type': JSONLD_TYPES[asset.getMediaType()] || 'ImageObject',
+				contentUrl: $media.attr( 'src' )
+			};
+
+		if( $media.attr( 'poster' ) ) {
+			jsonLd.thumbnailUrl = $media.attr( 'poster' );
+		}
+
+		if( asset.getTitle() ) {
+			jsonLd.name = asset.getTitle();
+		}
+
+		if( licence && licence.getUrl() ) {
+			jsonLd.license = licence.getUrl();
+		}
+
+		if( authors.length ) {
+			jsonLd.creator = $.map( authors, function( author ) {
+				var $html = author.getHtml(),
+					url = $html.filter( 'a' ).add( $html.find( 'a' ) ).first().attr( 'href' ),
+					creator = { '@type': 'Person', name: author.getText() };
+
+				if( url ) {
+					creator.url = url;
+				}
+
+				return creator;
+			} );
+		}
+
+		var creditText = this._attributionGenerator.generate( true );
+
+		if( creditText ) {
+			jsonLd.creditText = creditText;
+		}
+
+		if( asset.getUrl() ) {
+			jsonLd.acquireLicensePage = asset.getUrl();
+		}
+
+		return jsonLd;
+	},
+
 	/**
 	 * Converts the styles applied via css classes to inline styles.
 	 *
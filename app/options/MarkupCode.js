@@ -0,0 +1,133 @@
+/**
+ * @licence GNU GPL v3
+ * @author snater.com < wikimedia@snater.com >
+ */
+define(
+	['jquery', 'app/Option', 'app/AttributionGenerator', 'dojo/i18n!./nls/MarkupCode'],
+	function( $, Option, AttributionGenerator, messages ) {
+'use strict';
+
+function MarkupCode() {
+	Option.apply( this, arguments );
+}
+
+$.extend( MarkupCode.prototype, Option.prototype, {
+	constructor: MarkupCode,
+
+	/**
+	 * Id of the formatter currently selected.
+	 * @type {string}
+	 */
+	_formatterId: 'markdown',
+
+	/**
+	 * @see Option.render
+	 */
+	render: function() {
+		var self = this;
+
+		if( !this._attributionGenerator ) {
+			return $();
+		}
+
+		this._destroyUnderlay();
+
+		var $a = $( '<a/>' ).addClass( 'option button' ).text( messages['markup code'] );
+
+		$a
+		.on( 'mousedown', function() {
+			$a.addClass( 'active' );
+		} )
+		.on( 'click', function( event ) {
+			if( !self._$underlay ) {
+				self._createUnderlay( self._createUnderlayContent(), $( event.target ) );
+			}
+
+			self.toggleUnderlay();
+
+			if( !self._$underlay.is( ':visible' ) ) {
+				$a.removeClass( 'active' );
+			}
+		} );
+
+		return $a;
+	},
+
+	/**
+	 * Updates the outputted markup code.
+	 */
+	_updateMarkupCode: function() {
+		if( !this._$underlay ) {
+			return;
+		}
+		this._$underlay.find( 'textarea' )
+			.val( this._attributionGenerator.format( this._formatterId ) );
+	},
+
+	/**
+	 * Creates the option's underlay content.
+	 *
+	 * @return {jQuery}
+	 */
+	_createUnderlayContent: function() {
+		var self = this;
+
+		var $textArea = $( '<textarea rows="6" cols="40"/>' )
+			.prop( 'readonly', true )
+			.val( this._attributionGenerator.format( this._formatterId ) );
+
+		var $select = $( '<select/>' ).attr( 'id', 'option-markupCode-format' );
+
+		$.each( AttributionGenerator.FORMATTERS, function( formatterId ) {
+			$select.append(
+				$( '<option/>' )
+				.attr( 'value', formatterId )
+				.text( messages[formatterId] || formatterId )
+			);
+		} );
+
+		$select
+		.val( this._formatterId )
+		.on( 'change', function() {
+			self._formatterId = $select.val();
+			self._updateMarkupCode();
+			self._triggerUpdate();
+		} );
+
+		return $textArea.add(
+			$( '<label/>' )
+			.addClass( 'option-underlay-select' )
+			.text( messages['format'] + ' ' )
+			.append( $select )
+		);
+	},
+
+	/**
+	 * Sets/Gets the id of the formatter the markup code is generated with.
+	 * @see Option.value
+	 *
+	 * @param {string} [value]
+	 * @return {string|undefined}
+	 */
+	value: function( value ) {
+		if( value === undefined ) {
+			return this._formatterId;
+		}
+
+		if( !AttributionGenerator.FORMATTERS[value] ) {
+			return;
+		}
+
+		this._formatterId = value;
+
+		if( this._$underlay ) {
+			this._$underlay.find( '#option-markupCode-format' ).val( this._formatterId );
+			this._updateMarkupCode();
+		}
+	}
+
+} );
+
+return MarkupCode;
+
+} );
@@ -0,0 +1,93 @@
+/**
+ * @licence GNU GPL v3
+ * @author snater.com < wikimedia@snater.com >
+ */
+define(
+	[
+		'jquery',
+		'dojo/_base/config',
+		'app/Option',
+		'app/ATTRIBUTION_LANGUAGES',
+		'app/AttributionGenerator',
+		'dojo/i18n!./nls/OutputLanguage'
+	],
+	function( $, config, Option, ATTRIBUTION_LANGUAGES, AttributionGenerator, messages ) {
+'use strict';
+
+/**
+ * Option allowing to pick the language the attribution is worded in independently of the language
+ * of the user interface. The choice is applied to config.custom.outputLanguage.
+ * @constructor
+ */
+function OutputLanguage() {
+	Option.apply( this, arguments );
+}
+
+$.extend( OutputLanguage.prototype, Option.prototype, {
+	constructor: OutputLanguage,
+
+	/**
+	 * This option's input element.
+	 * @type {jQuery}
+	 */
+	_$select: null,
+
+	/**
+	 * @see Option.render
+	 */
+	render: function() {
+		var self = this,
+			$container = $( '<span/>' ).addClass( 'option button' ),
+			$label = $( '<label/>' )
+				.attr( 'for', 'option-outputLanguage-input' )
+				.text( messages['attribution language:'] + ' ' ),
+			selected = AttributionGenerator.getDefaultLanguage();
+
+		this._$select = $( '<select/>' ).attr( 'id', 'option-outputLanguage-input' );
+
+		$.each( ATTRIBUTION_LANGUAGES, function( languageCode, wording ) {
+			self._$select.append(
+				$( '<option/>' )
+				.attr( 'value', languageCode )
+				.prop( 'selected', languageCode === selected )
+				.text( wording.name )
+			);
+		} );
+
+		this._$select
+		.on( 'change', function() {
+			config.custom.outputLanguage = $( this ).val();
+			$( self ).trigger( 'update' );
+		} );
+
+		$container
+		.append( $label )
+		.append( this._$select );
+
+		return $container;
+	},
+
+	/**
+	 * Returns the output language explicitly chosen or "null" if the attribution is supposed to
+	 * follow the language of the user interface.
+	 * @see Option.value
+	 */
+	value: function( value ) {
+		if( value === undefined ) {
+			return config.custom.outputLanguage || null;
+		} else if( !value || !ATTRIBUTION_LANGUAGES[value] ) {
+			return;
+		}
+
+		config.custom.outputLanguage = value;
+
+		if( this._$select ) {
+			this._$select.val( value );
+		}
+	}
+
+} );
+
+return OutputLanguage;
+
+} );
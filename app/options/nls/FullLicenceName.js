@@ -0,0 +1,6 @@
+define( {
+	root: {
+		'full licence name': 'Full licence name'
+	},
+	'de': true
+} );
@@ -1,7 +1,8 @@
 define( {
 	root: {
-		'html code': 'HTML  code',
-		'use inline styles': 'Use inline styles'
+		'html code': 'HTML code',
+		'use inline styles': 'Use inline styles',
+		'add licensing metadata': 'Add licensing metadata (RDFa, JSON-LD)'
 	},
 	'de': true
 } );
@@ -0,0 +1,11 @@
+define( {
+	root: {
+		'markup code': 'Markup code',
+		'format': 'Format:',
+		'markdown': 'Markdown',
+		'wikitext': 'Wikitext',
+		'bbcode': 'BBCode',
+		'latex': 'LaTeX'
+	},
+	'de': true
+} );
@@ -0,0 +1,6 @@
+define( {
+	root: {
+		'attribution language:': 'Language of the attribution:'
+	},
+	'de': true
+} );
@@ -0,0 +1,3 @@
+define( {
+	'full licence name': 'Vollständiger Lizenzname'
+} );
@@ -1,4 +1,5 @@
 define( {
 	'html code': 'HTML-Quelltext',
-	'use inline styles': 'Inline-Styles verwenden'
+	'use inline styles': 'Inline-Styles verwenden',
+	'add licensing metadata': 'Lizenz-Metadaten einfügen (RDFa, JSON-LD)'
 } );
@@ -0,0 +1,8 @@
+define( {
+	'markup code': 'Markup-Code',
+	'format': 'Format:',
+	'markdown': 'Markdown',
+	'wikitext': 'Wikitext',
+	'bbcode': 'BBCode',
+	'latex': 'LaTeX'
+} );
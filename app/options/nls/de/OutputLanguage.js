@@ -0,0 +1,3 @@
+define( {
+	'attribution language:': 'Sprache des Lizenzhinweises:'
+} );
@@ -20,10 +20,33 @@ this.dojoConfig = {
 			name: 'tests'
 		}
 	],
-	// Force German locale as long as not all content is translated into default (English) language:
-	locale: 'de',
+	// Apply the locale chosen via the language switcher (see app/locale.js). If no locale has been
+	// chosen, the browser's locale is used:
+	locale: ( function() {
+		'use strict';
+		try {
+			return window.localStorage.getItem( 'locale' ) || undefined;
+		} catch( e ) {
+			return undefined;
+		}
+	}() ),
 	custom: {
+		// Requests to the MediaWiki API: Timeout (in milliseconds), number of times a request
+		// failing for a transient reason is repeated, delay (in milliseconds) before repeating a
+		// request, doubled with every further attempt, and the "maxlag" parameter (in seconds):
+		apiTimeout: 10000,
+		apiRetries: 2,
+		apiRetryDelay: 1000,
+		apiMaxLag: 5,
+		// Endpoint of the Flickr REST API and the API key used for accessing it:
+		flickrApiUrl: 'https://api.flickr.com/services/rest/',
+		flickrApiKey: null,
 		licenceStore: null,
-		supportedMediaTypes: ['bitmap', 'drawing']
+		outputLanguage: null,
+		supportedMediaTypes: ['bitmap', 'drawing', 'video', 'audio'],
+		// URL of a proxy endpoint returning the HTML of arbitrary web pages, "{{url}}" being replaced
+		// with the URL-encoded page URL. Licensing information embedded into web pages is evaluated
+		// only if a proxy is configured:
+		webPageProxy: null
 	}
 };
@@ -139,6 +139,264 @@ define(
 		}
 	} );
 
+	QUnit.test( '_request() error handling and retries', function( assert ) {
+		var ajax = $.ajax,
+			retryingApi = new Api( '//commons.wikimedia.org/', {
+				retries: 2,
+				retryDelay: 0,
+				maxLag: 5
+			} ),
+			requests = [];
+
+		/**
+		 * @param {number} status
+		 * @param {string|null} [retryAfter]
+		 * @return {Object}
+		 */
+		function createJqXHR( status, retryAfter ) {
+			return {
+				status: status,
+				getResponseHeader: function( name ) {
+					return name === 'Retry-After' && retryAfter !== undefined ? retryAfter : null;
+				}
+			};
+		}
+
+		var success = [{ query: {} }, 'success', createJqXHR( 200 )],
+			testCases = [
+				{
+					responses: [['error', createJqXHR( 503 )], ['error', createJqXHR( 502 )], success],
+					requests: 3,
+					expected: null
+				}, {
+					responses: [['timeout', createJqXHR( 0 )]],
+					requests: 3,
+					expected: 'timeout'
+				}, {
+					responses: [['error', createJqXHR( 0 )]],
+					requests: 3,
+					expected: 'network-error'
+				}, {
+					responses: [['error', createJqXHR( 429, '0' )]],
+					requests: 3,
+					expected: 'ratelimited'
+				}, {
+					responses: [
+						[{ error: { code: 'maxlag' } }, 'success', createJqXHR( 200, '0' )],
+						success
+					],
+					requests: 2,
+					expected: null
+				}, {
+					responses: [[{ error: { code: 'badvalue' } }, 'success', createJqXHR( 200 )]],
+					requests: 1,
+					expected: 'api-error'
+				}, {
+					responses: [['error', createJqXHR( 404 )]],
+					requests: 1,
+					expected: 'api-error'
+				}
+			];
+
+		/**
+		 * @param {Object[]} responses Arguments of the responses to successive requests, the last
+		 *        one being repeated. Responses of successful requests feature three arguments.
+		 */
+		function mockAjax( responses ) {
+			requests = [];
+
+			$.ajax = function( ajaxOptions ) {
+				var response = responses[Math.min( requests.length, responses.length - 1 )],
+					deferred = $.Deferred();
+
+				requests.push( ajaxOptions );
+
+				return response.length === 3
+					? deferred.resolve.apply( deferred, response ).promise()
+					: deferred.reject( response[1], response[0] ).promise();
+			};
+		}
+
+		/**
+		 * @param {number} i
+		 */
+		function assertTestCase( i ) {
+			if( i === testCases.length ) {
+				$.ajax = ajax;
+				QUnit.start();
+				return;
+			}
+
+			var testCase = testCases[i];
+
+			mockAjax( testCase.responses );
+
+			retryingApi._request( { action: 'query' } )
+			.done( function() {
+				assert.strictEqual( testCase.expected, null, 'Test case #' + i + ': Resolved.' );
+			} )
+			.fail( function( error ) {
+				assert.equal(
+					error.getCode(),
+					testCase.expected,
+					'Test case #' + i + ': Rejected with error "' + error.getCode() + '".'
+				);
+			} )
+			.always( function() {
+				assert.equal(
+					requests.length,
+					testCase.requests,
+					'Test case #' + i + ': Issued ' + testCase.requests + ' request(s).'
+				);
+
+				assertTestCase( i + 1 );
+			} );
+		}
+
+		mockAjax( [success] );
+
+		retryingApi._request( { action: 'query' } );
+
+		assert.deepEqual(
+			[requests[0].dataType, requests[0].data.origin, requests[0].data.maxlag],
+			['json', '*', 5],
+			'Issuing CORS requests featuring the "maxlag" parameter.'
+		);
+
+		QUnit.stop();
+		assertTestCase( 0 );
+	} );
+
+	QUnit.test( '_getMetaData() retrieving extended meta data', function( assert ) {
+		var ajax = $.ajax,
+			singleAttemptApi = new Api( '//commons.wikimedia.org/', { retries: 0 } ),
+			requests = [],
+			imageInfo = { mediatype: 'BITMAP', url: 'https://upload.wikimedia.org/Test.jpg' },
+			jqXHR = {
+				status: 200,
+				getResponseHeader: function() {
+					return null;
+				}
+			};
+
+		/**
+		 * @param {Object[]} responses Responses to successive requests, "null" for a failing
+		 *        request.
+		 */
+		function mockAjax( responses ) {
+			requests = [];
+
+			$.ajax = function( ajaxOptions ) {
+				var response = responses[requests.length],
+					deferred = $.Deferred();
+
+				requests.push( ajaxOptions );
+
+				return response
+					? deferred.resolve( response, 'success', jqXHR ).promise()
+					: deferred.reject( { status: 0, getResponseHeader: jqXHR.getResponseHeader } )
+						.promise();
+			};
+		}
+
+		/**
+		 * @param {Object} info
+		 * @return {Object}
+		 */
+		function createResponse( info ) {
+			return { query: { pages: { '1': { imageinfo: [$.extend( {}, info )] } } } };
+		}
+
+		mockAjax( [createResponse( $.extend( {
+			extmetadata: { Artist: { value: 'Jane Doe', source: 'commons-desc-page' } }
+		}, imageInfo ) )] );
+
+		singleAttemptApi._getMetaData( 'File:Test.jpg', undefined, true )
+		.done( function( metaData ) {
+			assert.equal( requests.length, 1, 'Retrieved extended meta data along.' );
+			assert.equal( metaData.mediatype, 'bitmap', 'Resolved media type.' );
+
+			assert.deepEqual(
+				metaData.extmetadata,
+				{ Artist: 'Jane Doe' },
+				'Resolved plain extended meta data values.'
+			);
+		} );
+
+		mockAjax( [{ error: { code: 'badvalue' } }, createResponse( imageInfo )] );
+
+		singleAttemptApi._getMetaData( 'File:Test.jpg', undefined, true )
+		.done( function( metaData ) {
+			assert.equal(
+				requests[1].data.iiprop,
+				'mediatype|url',
+				'Retried without extended meta data.'
+			);
+
+			assert.equal(
+				metaData.mediatype,
+				'bitmap',
+				'Resolved meta data although retrieving extended meta data failed.'
+			);
+		} );
+
+		mockAjax( [null, createResponse( imageInfo )] );
+
+		singleAttemptApi._getMetaData( 'File:Test.jpg', undefined, true )
+		.fail( function( error ) {
+			assert.equal( requests.length, 1, 'Not retrying on a network error.' );
+			assert.equal( error.getCode(), 'network-error', 'Rejected with network error.' );
+		} );
+
+		$.ajax = ajax;
+	} );
+
+	QUnit.test( 'getWikipediaPageImageInfo()', function( assert ) {
+		QUnit.stop();
+
+		api.getWikipediaPageImageInfo( 'Berlin', '//en.wikipedia.org/' )
+		.done( function( imageInfos ) {
+			assert.ok( imageInfos.length > 0, 'Retrieved image suggestions.' );
+
+			$.each( imageInfos, function( i, imageInfo ) {
+				assert.ok(
+					imageInfo.getLicence() !== null,
+					'Assigned licence to "' + imageInfo.getPrefixedFilename() + '".'
+				);
+			} );
+		} )
+		.fail( function( error ) {
+			assert.ok( false, 'Retrieving images failed: ' + error.getMessage() );
+		} )
+		.always( function() {
+			QUnit.start();
+		} );
+	} );
+
+	QUnit.test( 'search()', function( assert ) {
+		QUnit.stop();
+
+		api.search( 'Sunset', 0, 10 )
+		.done( function( imageInfos, nextOffset ) {
+			assert.ok( imageInfos.length <= 10, 'Returned no more results than requested.' );
+
+			assert.equal( nextOffset, 10, 'Returned offset of next page.' );
+
+			$.each( imageInfos, function( i, imageInfo ) {
+				assert.ok(
+					/^File:/.test( imageInfo.getPrefixedFilename() ),
+					'Search result "' + imageInfo.getPrefixedFilename() + '" is a file.'
+				);
+			} );
+		} )
+		.fail( function( error ) {
+			assert.ok( false, 'Search failed: ' + error.getMessage() );
+		} )
+		.always( function() {
+			QUnit.start();
+		} );
+	} );
+
 } );
 
 }( QUnit ) );
\ No newline at end of file
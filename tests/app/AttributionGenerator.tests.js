@@ -6,8 +6,8 @@
 'use strict';
 
 define(
-	['jquery', 'app/AttributionGenerator', 'tests/assets'],
-	function( $, AttributionGenerator, testAssets ) {
+	['jquery', 'app/AttributionGenerator', 'app/Licence', 'dojo/_base/config', 'tests/assets'],
+	function( $, AttributionGenerator, Licence, config, testAssets ) {
 
 QUnit.module( 'AttributionGenerator' );
 
@@ -23,21 +23,21 @@ var testCasesDefinitions = {
 		expected: {
 			raw: $( document.createTextNode( 'Fleyx24 (http://commons.wikimedia.org/wiki/File:Helene Fischer 2010.jpg), „Helene Fischer 2010“, http://creativecommons.org/licenses/by-sa/3.0/legalcode/' ) ),
 			text: $( '<div class="attribution"><span class="attribution-author">Fleyx24</span> <span class="attribution-url">(http://commons.wikimedia.org/wiki/File:Helene Fischer 2010.jpg)</span>, <span class="attribution-title">„Helene Fischer 2010“</span>, <span class="attribution-licence">http://creativecommons.org/licenses/by-sa/3.0/legalcode/</span></div>' ),
-			html: $( '<div class="attribution"><span class="attribution-author"><a href="http://commons.wikimedia.org/wiki/User:Fleyx24">Fleyx24</a></span>, <span class="attribution-title"><a href="http://commons.wikimedia.org/wiki/File:Helene Fischer 2010.jpg">„Helene Fischer 2010“</a></span>, <span class="attribution-licence"><a href="http://creativecommons.org/licenses/by-sa/3.0/legalcode/">CC BY-SA 3.0</a></span></div>' )
+			html: $( '<div class="attribution"><span class="attribution-author"><a href="http://commons.wikimedia.org/wiki/User:Fleyx24">Fleyx24</a></span>, <span class="attribution-title"><a href="http://commons.wikimedia.org/wiki/File:Helene Fischer 2010.jpg">„Helene Fischer 2010“</a></span>, <span class="attribution-licence"><a href="http://creativecommons.org/licenses/by-sa/3.0/legalcode/" title="Creative Commons Namensnennung – Weitergabe unter gleichen Bedingungen 3.0 Unported">CC BY-SA 3.0</a></span></div>' )
 		}
 	}, {
 		options: { editor: 'edited by Editor' },
 		expected: {
 			raw: $( document.createTextNode( 'Fleyx24 (http://commons.wikimedia.org/wiki/File:Helene Fischer 2010.jpg), „Helene Fischer 2010“, edited by Editor, http://creativecommons.org/licenses/by-sa/3.0/legalcode/' ) ),
 			text: $( '<div class="attribution"><span class="attribution-author">Fleyx24</span> <span class="attribution-url">(http://commons.wikimedia.org/wiki/File:Helene Fischer 2010.jpg)</span>, <span class="attribution-title">„Helene Fischer 2010“</span>, <span class="attribution-editor">edited by Editor</span>, <span class="attribution-licence">http://creativecommons.org/licenses/by-sa/3.0/legalcode/</span></div>' ),
-			html: $( '<div class="attribution"><span class="attribution-author"><a href="http://commons.wikimedia.org/wiki/User:Fleyx24">Fleyx24</a></span>, <span class="attribution-title"><a href="http://commons.wikimedia.org/wiki/File:Helene Fischer 2010.jpg">„Helene Fischer 2010“</a></span>, <span class="attribution-editor">edited by Editor</span>, <span class="attribution-licence"><a href="http://creativecommons.org/licenses/by-sa/3.0/legalcode/">CC BY-SA 3.0</a></span></div>' )
+			html: $( '<div class="attribution"><span class="attribution-author"><a href="http://commons.wikimedia.org/wiki/User:Fleyx24">Fleyx24</a></span>, <span class="attribution-title"><a href="http://commons.wikimedia.org/wiki/File:Helene Fischer 2010.jpg">„Helene Fischer 2010“</a></span>, <span class="attribution-editor">edited by Editor</span>, <span class="attribution-licence"><a href="http://creativecommons.org/licenses/by-sa/3.0/legalcode/" title="Creative Commons Namensnennung – Weitergabe unter gleichen Bedingungen 3.0 Unported">CC BY-SA 3.0</a></span></div>' )
 		}
 	}, {
 		options: { licenceOnly: true },
 		expected: {
 			raw: $( document.createTextNode( 'http://creativecommons.org/licenses/by-sa/3.0/legalcode/' ) ),
 			text: $( '<div class="attribution"><span class="attribution-licence">http://creativecommons.org/licenses/by-sa/3.0/legalcode/</span></div>' ),
-			html: $( '<div class="attribution"><span class="attribution-licence"><a href="http://creativecommons.org/licenses/by-sa/3.0/legalcode/">CC BY-SA 3.0</a></span></div>' )
+			html: $( '<div class="attribution"><span class="attribution-licence"><a href="http://creativecommons.org/licenses/by-sa/3.0/legalcode/" title="Creative Commons Namensnennung – Weitergabe unter gleichen Bedingungen 3.0 Unported">CC BY-SA 3.0</a></span></div>' )
 		}
 	}, {
 		options: { licenceLink: false },
@@ -51,7 +51,7 @@ var testCasesDefinitions = {
 		expected: {
 			raw: $( document.createTextNode( 'http://creativecommons.org/licenses/by-sa/3.0/legalcode/' ) ),
 			text: $( '<div class="attribution"><span class="attribution-licence">http://creativecommons.org/licenses/by-sa/3.0/legalcode/</span></div>' ),
-			html: $( '<div class="attribution"><span class="attribution-licence"><a href="http://creativecommons.org/licenses/by-sa/3.0/legalcode/">CC BY-SA 3.0</a></span></div>' )
+			html: $( '<div class="attribution"><span class="attribution-licence"><a href="http://creativecommons.org/licenses/by-sa/3.0/legalcode/" title="Creative Commons Namensnennung – Weitergabe unter gleichen Bedingungen 3.0 Unported">CC BY-SA 3.0</a></span></div>' )
 		}
 	}, {
 		options: { editor: 'edited by Editor', licenceLink: false },
@@ -72,7 +72,7 @@ var testCasesDefinitions = {
 		expected: {
 			raw: $( document.createTextNode( 'Chris 73 / Wikimedia Commons (http://commons.wikimedia.org/wiki/File:JapaneseToiletControlPanel.jpg), „JapaneseToiletControlPanel“, http://creativecommons.org/licenses/by-sa/3.0/legalcode/' ) ),
 			text: $( '<div class="attribution">Chris 73 / Wikimedia Commons <span class="attribution-url">(http://commons.wikimedia.org/wiki/File:JapaneseToiletControlPanel.jpg)</span>, <span class="attribution-title">„JapaneseToiletControlPanel“</span>, <span class="attribution-licence">http://creativecommons.org/licenses/by-sa/3.0/legalcode/</span></div>' ),
-			html: $( '<div class="attribution"><a href="http://commons.wikimedia.org/wiki/User:Chris_73">Chris 73</a> / <a href="http://commons.wikimedia.org/">Wikimedia Commons</a>, <span class="attribution-title"><a href="http://commons.wikimedia.org/wiki/File:JapaneseToiletControlPanel.jpg">„JapaneseToiletControlPanel“</a></span>, <span class="attribution-licence"><a href="http://creativecommons.org/licenses/by-sa/3.0/legalcode/">CC BY-SA 3.0</a></span></div>' )
+			html: $( '<div class="attribution"><a href="http://commons.wikimedia.org/wiki/User:Chris_73">Chris 73</a> / <a href="http://commons.wikimedia.org/">Wikimedia Commons</a>, <span class="attribution-title"><a href="http://commons.wikimedia.org/wiki/File:JapaneseToiletControlPanel.jpg">„JapaneseToiletControlPanel“</a></span>, <span class="attribution-licence"><a href="http://creativecommons.org/licenses/by-sa/3.0/legalcode/" title="Creative Commons Namensnennung – Weitergabe unter gleichen Bedingungen 3.0 Unported">CC BY-SA 3.0</a></span></div>' )
 		}
 	}],
 	'1871_Proclamation_of_the_German_Empire.jpg': [{
@@ -123,6 +123,343 @@ QUnit.test( 'equals()', function( assert ) {
 
 } );
 
+QUnit.test( 'generate() applying the licence output template', function( assert ) {
+	var asset = testAssets['Helene Fischer 2010.jpg'].clone();
+
+	asset.setLicence( config.custom.licenceStore.getLicence( 'OGL3' ) );
+
+	assert.equal(
+		new AttributionGenerator( asset, { licenceOnly: true, format: 'html' } ).generate().html(),
+		'<span class="attribution-licence">Contains public sector information licensed under the '
+			+ '<a href="http://www.nationalarchives.gov.uk/doc/open-government-licence/version/3/">'
+			+ 'Open Government Licence v3.0</a></span>',
+		'Embedded licence link into the attribution statement.'
+	);
+
+	assert.equal(
+		new AttributionGenerator( asset, { licenceOnly: true, licenceLink: false } ).generate( true ),
+		'Contains public sector information licensed under the Open Government Licence v3.0',
+		'Embedded licence name into the attribution statement.'
+	);
+} );
+
+QUnit.test( 'generate() showing the full licence name', function( assert ) {
+	var asset = testAssets['Helene Fischer 2010.jpg'],
+		fullName = 'Creative Commons Namensnennung – Weitergabe unter gleichen Bedingungen 3.0 '
+			+ 'Unported',
+		licenceUrl = 'http://creativecommons.org/licenses/by-sa/3.0/legalcode/';
+
+	var $licence = new AttributionGenerator( asset, { format: 'html', fullLicenceName: true } )
+		.generate().find( '.attribution-licence a' );
+
+	assert.equal( $licence.text(), fullName, 'Linked full licence name.' );
+	assert.strictEqual( $licence.attr( 'title' ), undefined, 'No tooltip repeating the name.' );
+
+	assert.ok(
+		new AttributionGenerator( asset, { fullLicenceName: true } ).generate( true )
+			.indexOf( fullName + ' (' + licenceUrl + ')' ) !== -1,
+		'Featured full licence name in front of the link in plain text.'
+	);
+
+	assert.ok(
+		new AttributionGenerator( asset, { fullLicenceName: true } ).format( 'markdown' )
+			.indexOf( '[' + fullName + '](' + licenceUrl + ')' ) !== -1,
+		'Featured full licence name in markup.'
+	);
+
+	assert.ok(
+		new AttributionGenerator( asset, { fullLicenceName: true, language: 'en' } )
+			.generate( true )
+			.indexOf( 'Creative Commons Attribution-ShareAlike 3.0 Unported' ) !== -1,
+		'Worded full licence name in the output language.'
+	);
+
+	var gfdlAsset = asset.clone();
+	gfdlAsset.setLicence( config.custom.licenceStore.getLicence( 'GFDL' ) );
+
+	assert.equal(
+		new AttributionGenerator( gfdlAsset, { format: 'html', fullLicenceName: true } )
+			.generate().find( '.attribution-licence a' ).text(),
+		'GFDL 1.2',
+		'Showing the short name of a licence no full name is known for.'
+	);
+} );
+
+QUnit.test( 'generate() applying the output language', function( assert ) {
+	var asset = testAssets['Helene Fischer 2010.jpg'];
+
+	assert.equal(
+		new AttributionGenerator( asset, {
+			editor: '(modified)',
+			licenceLink: false,
+			language: 'en'
+		} ).generate( true ),
+		'“Helene Fischer 2010” by Fleyx24 (http://commons.wikimedia.org/wiki/File:Helene Fischer '
+			+ '2010.jpg), (modified), licensed under CC BY-SA 3.0',
+		'Generated English attribution.'
+	);
+
+	assert.equal(
+		new AttributionGenerator( asset, { format: 'html', language: 'en' } )
+			.generate().find( '.attribution-licence a' ).attr( 'title' ),
+		'Creative Commons Attribution-ShareAlike 3.0 Unported',
+		'Localised full licence name.'
+	);
+
+	assert.equal(
+		new AttributionGenerator( asset, { licenceOnly: true, language: 'en' } ).generate( true ),
+		'http://creativecommons.org/licenses/by-sa/3.0/legalcode/',
+		'Omitting the licence wording when only generating the licence.'
+	);
+
+	var unknownAsset = asset.clone();
+	unknownAsset.setLicence( config.custom.licenceStore.getLicence( 'unknown' ) );
+
+	assert.equal(
+		new AttributionGenerator( unknownAsset, { licenceOnly: true, language: 'de' } )
+			.generate( true ),
+		'Unbekannt',
+		'Localised licence name.'
+	);
+
+	assert.throws(
+		function() {
+			return new AttributionGenerator( asset, { language: 'xx' } );
+		},
+		'Throwing an error when specifying an unsupported language.'
+	);
+} );
+
+QUnit.test( 'generate() applying an adaptation licence', function( assert ) {
+	var asset = testAssets['Helene Fischer 2010.jpg'],
+		licenceStore = config.custom.licenceStore;
+
+	assert.equal(
+		new AttributionGenerator( asset, {
+			editor: '(modified)',
+			licenceLink: false,
+			language: 'en',
+			adaptationLicence: licenceStore.getLicence( 'cc-by-sa-4.0' )
+		} ).generate( true ),
+		'“Helene Fischer 2010” by Fleyx24 (http://commons.wikimedia.org/wiki/File:Helene Fischer '
+			+ '2010.jpg), (modified), licensed under CC BY-SA 3.0, adaptation licensed under '
+			+ 'CC BY-SA 4.0',
+		'Appended the adaptation licence.'
+	);
+
+	assert.equal(
+		new AttributionGenerator( asset, {
+			format: 'html',
+			adaptationLicence: licenceStore.getLicence( 'cc-by-sa-4.0' )
+		} ).generate().find( '.attribution-adaptation a' ).attr( 'href' ),
+		'http://creativecommons.org/licenses/by-sa/4.0/legalcode/',
+		'Linked the adaptation licence.'
+	);
+
+	assert.equal(
+		new AttributionGenerator( asset, {
+			licenceLink: false,
+			adaptationLicence: asset.getLicence()
+		} ).generate( true ),
+		new AttributionGenerator( asset, { licenceLink: false } ).generate( true ),
+		'Omitting the adaptation licence when matching the original licence.'
+	);
+} );
+
+QUnit.test( 'generate() applying a modification statement', function( assert ) {
+	var asset = testAssets['Helene Fischer 2010.jpg'],
+		modification = {
+			types: ['cropped', 'colourAdjusted', 'retouched'],
+			editor: 'Editor',
+			url: 'http://example.com/'
+		};
+
+	assert.equal(
+		new AttributionGenerator( asset, {
+			modification: modification,
+			licenceLink: false,
+			language: 'en'
+		} ).generate( true ),
+		'“Helene Fischer 2010” by Fleyx24 (http://commons.wikimedia.org/wiki/File:Helene Fischer '
+			+ '2010.jpg), cropped, colour-adjusted and retouched by Editor (http://example.com/), '
+			+ 'licensed under CC BY-SA 3.0',
+		'Generated English modification clause.'
+	);
+
+	assert.equal(
+		new AttributionGenerator( asset, {
+			modification: { types: ['translated'], combinedWith: '„Text“' },
+			licenceLink: false,
+			language: 'de'
+		} ).generate( true ),
+		'Fleyx24 (http://commons.wikimedia.org/wiki/File:Helene Fischer 2010.jpg), „Helene '
+			+ 'Fischer 2010“, übersetzt und kombiniert mit „Text“, CC BY-SA 3.0',
+		'Generated German modification clause without editor.'
+	);
+
+	assert.equal(
+		new AttributionGenerator( asset, {
+			modification: { editor: 'Editor' },
+			licenceLink: false,
+			language: 'en'
+		} ).generate( true ).indexOf( ', modified by Editor, ' ) !== -1,
+		true,
+		'Applied generic modification wording when no type is specified.'
+	);
+
+	var $attribution = new AttributionGenerator( asset, {
+		modification: modification,
+		format: 'html',
+		language: 'en'
+	} ).generate();
+
+	assert.equal(
+		$attribution.find( '.attribution-editor a' ).attr( 'href' ),
+		'http://example.com/',
+		'Linked the editor.'
+	);
+
+	assert.ok(
+		new AttributionGenerator( asset, { modification: modification, language: 'en' } )
+			.format( 'markdown' )
+			.indexOf( 'cropped, colour-adjusted and retouched by [Editor](http://example.com/)' )
+			!== -1,
+		'Generated Markdown modification clause.'
+	);
+
+	assert.ok(
+		new AttributionGenerator( asset, { modification: { editor: 'Editor' } } ).equals(
+			new AttributionGenerator( asset, { modification: { editor: 'Editor' } } )
+		),
+		'Comparing modification statements by value.'
+	);
+} );
+
+QUnit.test( 'generate() applying the licence\'s attribution rules', function( assert ) {
+	var asset = testAssets['Helene Fischer 2010.jpg'].clone();
+
+	asset.setLicence( config.custom.licenceStore.getLicence( 'cc-by-4.0' ) );
+	asset.setTitle( '' );
+
+	assert.equal(
+		new AttributionGenerator( asset, { licenceLink: false, language: 'en' } ).generate( true ),
+		'Fleyx24 (http://commons.wikimedia.org/wiki/File:Helene Fischer 2010.jpg), licensed under '
+			+ 'CC BY 4.0',
+		'Omitted missing title not required by the licence.'
+	);
+
+	assert.equal(
+		new AttributionGenerator( asset, { format: 'html' } ).generate()
+			.find( '.attribution-title a' ).text(),
+		'http://commons.wikimedia.org/wiki/File:Helene Fischer 2010.jpg',
+		'Linked to the work in place of the missing title.'
+	);
+
+	asset.setLicence( new Licence( 'test', ['cc'], 'Test', /^Test$/, {
+		attributionRules: {
+			elements: {
+				author: 'required',
+				title: 'required',
+				url: 'omitted',
+				editor: 'omitted',
+				licence: 'required'
+			}
+		}
+	} ) );
+	asset.setTitle( 'Helene Fischer 2010' );
+
+	assert.equal(
+		new AttributionGenerator( asset, {
+			editor: '(modified)',
+			licenceLink: false,
+			language: 'en'
+		} ).generate( true ),
+		'“Helene Fischer 2010” by Fleyx24, licensed under Test',
+		'Omitted elements flagged "omitted".'
+	);
+
+	assert.equal(
+		new AttributionGenerator( asset, { format: 'html' } ).generate()
+			.find( '.attribution-title a' ).length,
+		0,
+		'Not linking the title when the link to the work is to be omitted.'
+	);
+
+	asset.setLicence( config.custom.licenceStore.getLicence( 'OGL3' ) );
+
+	assert.equal(
+		new AttributionGenerator( asset, { licenceLink: false, language: 'en' } ).generate( true ),
+		'Fleyx24 (http://commons.wikimedia.org/wiki/File:Helene Fischer 2010.jpg), Contains public '
+			+ 'sector information licensed under the Open Government Licence v3.0',
+		'Omitted title the licence\'s attribution statement does not feature.'
+	);
+
+	assert.equal(
+		new AttributionGenerator( asset, { format: 'html' } ).generate()
+			.find( '.attribution-title a' ).text(),
+		'http://commons.wikimedia.org/wiki/File:Helene Fischer 2010.jpg',
+		'Linked to the work in place of the omitted title.'
+	);
+} );
+
+QUnit.test( 'format()', function( assert ) {
+	var asset = testAssets['Helene Fischer 2010.jpg'],
+		testSets = {
+			markdown: '[Fleyx24](http://commons.wikimedia.org/wiki/User:Fleyx24), '
+				+ '[„Helene Fischer 2010“](http://commons.wikimedia.org/wiki/File:Helene%20Fischer%202010.jpg), '
+				+ '[CC BY-SA 3.0](http://creativecommons.org/licenses/by-sa/3.0/legalcode/)',
+			wikitext: '[http://commons.wikimedia.org/wiki/User:Fleyx24 Fleyx24], '
+				+ '[http://commons.wikimedia.org/wiki/File:Helene%20Fischer%202010.jpg „Helene Fischer 2010“], '
+				+ '[http://creativecommons.org/licenses/by-sa/3.0/legalcode/ CC BY-SA 3.0]',
+			bbcode: '[url=http://commons.wikimedia.org/wiki/User:Fleyx24]Fleyx24[/url], '
+				+ '[url=http://commons.wikimedia.org/wiki/File:Helene%20Fischer%202010.jpg]„Helene Fischer 2010“[/url], '
+				+ '[url=http://creativecommons.org/licenses/by-sa/3.0/legalcode/]CC BY-SA 3.0[/url]',
+			latex: '\\href{http://commons.wikimedia.org/wiki/User:Fleyx24}{Fleyx24}, '
+				+ '\\href{http://commons.wikimedia.org/wiki/File:Helene\\%20Fischer\\%202010.jpg}{„Helene Fischer 2010“}, '
+				+ '\\href{http://creativecommons.org/licenses/by-sa/3.0/legalcode/}{CC BY-SA 3.0}'
+		};
+
+	$.each( testSets, function( formatterId, expected ) {
+		assert.equal(
+			new AttributionGenerator( asset ).format( formatterId ),
+			expected,
+			'Generated ' + formatterId + ' attribution.'
+		);
+	} );
+
+	var escapeTestSets = {
+		markdown: 'Editor \\[1\\] \\*\\_x\\_\\*',
+		wikitext: 'Editor &#91;1&#93; *&#95;x&#95;*',
+		bbcode: '[noparse]Editor [1] *_x_*[/noparse]',
+		latex: 'Editor [1] *\\_x\\_*'
+	};
+
+	$.each( escapeTestSets, function( formatterId, expected ) {
+		var attributionGenerator = new AttributionGenerator( asset, {
+			editor: 'Editor [1] *_x_*',
+			licenceLink: false
+		} );
+
+		assert.ok(
+			attributionGenerator.format( formatterId ).indexOf( ', ' + expected + ', ' ) !== -1,
+			'Escaped ' + formatterId + ' special characters.'
+		);
+	} );
+
+	assert.strictEqual(
+		new AttributionGenerator( testAssets['LRO_Tycho_Central_Peak.jpg'] ).format( 'markdown' ),
+		null,
+		'Returning "null" for a licence not requiring attribution.'
+	);
+
+	assert.throws(
+		function() {
+			new AttributionGenerator( asset ).format( 'unknown' );
+		},
+		'Throwing an error when requesting an unknown format.'
+	);
+} );
+
 QUnit.test( 'generate()', function( assert ) {
 
 	$.each( testCasesDefinitions, function( filename, testCases ) {
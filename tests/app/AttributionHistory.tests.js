@@ -0,0 +1,136 @@
+/**
+ * @licence GNU GPL v3
+ * @author snater.com < wikimedia@snater.com >
+ */
+( function( QUnit ) {
+'use strict';
+
+define( ['jquery', 'app/AttributionHistory'], function( $, AttributionHistory ) {
+
+QUnit.module( 'AttributionHistory' );
+
+/**
+ * Creates an in-memory object implementing the parts of the Web Storage interface used.
+ *
+ * @return {Object}
+ */
+function createStorage() {
+	var items = {};
+
+	return {
+		getItem: function( key ) {
+			return items.hasOwnProperty( key ) ? items[key] : null;
+		},
+		setItem: function( key, value ) {
+			items[key] = String( value );
+		}
+	};
+}
+
+/**
+ * @param {string} title
+ * @return {Object}
+ */
+function createEntry( title ) {
+	return {
+		url: 'http://commons.wikimedia.org/wiki/File:' + title + '.jpg',
+		title: title,
+		licence: 'cc-by-sa-3.0',
+		licenceName: 'CC BY-SA 3.0',
+		text: 'Author, „' + title + '“, CC BY-SA 3.0',
+		html: '<span class="attribution-title">„' + title + '“</span>',
+		path: ['3', 'result-success'],
+		answers: { '3': { 1: true } },
+		session: 'url=' + title
+	};
+}
+
+QUnit.test( 'add(), getEntries(), getEntry() and remove()', function( assert ) {
+	var storage = createStorage(),
+		history = new AttributionHistory( storage );
+
+	assert.deepEqual( history.getEntries(), [], 'History is empty initially.' );
+
+	var first = history.add( createEntry( 'First' ) ),
+		second = history.add( createEntry( 'Second' ) );
+
+	assert.ok( first.id !== second.id, 'Assigned unique ids.' );
+	assert.equal( typeof first.timestamp, 'number', 'Assigned timestamp.' );
+
+	assert.deepEqual(
+		$.map( history.getEntries(), function( entry ) {
+			return entry.title;
+		} ),
+		['Second', 'First'],
+		'Listing latest entry first.'
+	);
+
+	assert.deepEqual(
+		new AttributionHistory( storage ).getEntry( first.id ),
+		first,
+		'Persisted entry in the storage.'
+	);
+
+	history.add( createEntry( 'First' ) );
+
+	assert.equal( history.getEntries().length, 2, 'Replaced entry referring to the same session.' );
+	assert.equal( history.getEntries()[0].title, 'First', 'Moved replaced entry to the top.' );
+
+	history.remove( history.getEntries()[0].id );
+
+	assert.deepEqual(
+		$.map( history.getEntries(), function( entry ) {
+			return entry.title;
+		} ),
+		['Second'],
+		'Removed entry.'
+	);
+
+	storage.setItem( AttributionHistory.STORAGE_KEY, '{invalid' );
+
+	assert.deepEqual( history.getEntries(), [], 'Ignoring corrupted storage entry.' );
+} );
+
+QUnit.test( 'search()', function( assert ) {
+	var history = new AttributionHistory( createStorage() );
+
+	history.add( createEntry( 'Helene Fischer 2010' ) );
+	history.add( createEntry( 'JapaneseToiletControlPanel' ) );
+
+	assert.equal( history.search( '' ).length, 2, 'Returning all entries for an empty query.' );
+
+	assert.deepEqual(
+		$.map( history.search( 'helene' ), function( entry ) {
+			return entry.title;
+		} ),
+		['Helene Fischer 2010'],
+		'Found entry case-insensitively.'
+	);
+
+	assert.equal( history.search( 'by-sa 3.0' ).length, 2, 'Searched licence names.' );
+	assert.equal( history.search( 'unknown' ).length, 0, 'No entry matching.' );
+} );
+
+QUnit.test( 'toJson() and toCsv()', function( assert ) {
+	var history = new AttributionHistory( createStorage() ),
+		entry = history.add( createEntry( 'Say "cheese"' ) );
+
+	assert.deepEqual( JSON.parse( history.toJson() ), [entry], 'Exported JSON.' );
+
+	var rows = history.toCsv().split( '\r\n' );
+
+	assert.equal( rows[0], '"date","url","title","licence","text","html"', 'Exported CSV header.' );
+
+	assert.equal(
+		rows[1],
+		'"' + new Date( entry.timestamp ).toISOString() + '",'
+			+ '"http://commons.wikimedia.org/wiki/File:Say ""cheese"".jpg",'
+			+ '"Say ""cheese""","CC BY-SA 3.0","Author, „Say ""cheese""“, CC BY-SA 3.0",'
+			+ '"<span class=""attribution-title"">„Say ""cheese""“</span>"',
+		'Exported CSV row escaping quotation marks.'
+	);
+} );
+
+} );
+
+}( QUnit ) );
@@ -0,0 +1,265 @@
+/**
+ * @licence GNU GPL v3
+ * @author snater.com < wikimedia@snater.com >
+ */
+( function( QUnit ) {
+'use strict';
+
+define( [
+	'jquery',
+	'app/BatchList',
+	'app/QuestionnaireState',
+	'app/ApplicationError',
+	'dojo/_base/config',
+	'tests/assets'
+], function( $, BatchList, QuestionnaireState, ApplicationError, config, testAssets ) {
+
+QUnit.module( 'BatchList' );
+
+var wikiAsset = testAssets['Helene Fischer 2010.jpg'],
+	plainAsset = testAssets['https://www.wikimedia.de/w/images.homepage/d/d6/Pavel_Richter_WMDE.JPG'];
+
+/**
+ * @param {BatchList} batchList
+ * @return {string[]}
+ */
+function getTextLines( batchList ) {
+	return batchList._$node.find( '#batchlist-text' ).val().split( '\n' );
+}
+
+QUnit.test( 'Instantiation', function( assert ) {
+	var batchList = new BatchList(
+		$( '<div/>' ),
+		[wikiAsset.clone(), plainAsset.clone()],
+		[{ input: 'invalid input', error: new ApplicationError( 'url-invalid' ) }]
+	);
+
+	assert.equal(
+		batchList._$node.find( '.batchlist-entry' ).length,
+		2,
+		'Rendered an entry per asset.'
+	);
+
+	assert.equal(
+		batchList._$node.find( '.batchlist-failures li' ).length,
+		1,
+		'Rendered failed input.'
+	);
+
+	assert.equal(
+		batchList._$node.find( '.batchlist-entry' ).eq( 0 ).find( 'input, select' ).length,
+		0,
+		'No input elements for an asset with complete information.'
+	);
+
+	assert.equal(
+		batchList._$node.find( '.batchlist-entry' ).eq( 1 ).find( 'input, select' ).length,
+		4,
+		'Rendered input elements for licence, author, title and URL of an asset without '
+			+ 'information.'
+	);
+
+	assert.deepEqual(
+		batchList.getInputs(),
+		[wikiAsset.getUrl(), plainAsset.getFilename()],
+		'Returning inputs to retrieve the assets with.'
+	);
+
+	assert.throws(
+		function() {
+			return new BatchList( $( '<div/>' ) );
+		},
+		'Throwing an error when omitting the assets.'
+	);
+} );
+
+QUnit.test( 'update()', function( assert ) {
+	var batchList = new BatchList( $( '<div/>' ), [wikiAsset.clone(), plainAsset.clone()] ),
+		sharedState = new QuestionnaireState( '3', wikiAsset );
+
+	sharedState.setValue( '3', 1 );
+	sharedState.setValue( '12a', 2 );
+	sharedState.setValue( '13', 1, 'Editor' );
+	// Asset specific answer that must not be applied to other assets:
+	sharedState.setValue( 'form-author', 1, 'Shared Author' );
+
+	batchList.update( sharedState );
+
+	var lines = getTextLines( batchList );
+
+	assert.equal(
+		lines[0],
+		'Helene Fischer 2010.jpg: Fleyx24 (http://commons.wikimedia.org/wiki/File:Helene Fischer '
+			+ '2010.jpg), „Helene Fischer 2010“, bearbeitet von Editor, '
+			+ 'http://creativecommons.org/licenses/by-sa/3.0/legalcode/',
+		'Applied shared answers to the first asset.'
+	);
+
+	assert.equal(
+		batchList._$node.find( '.batchlist-entry-attribution' ).eq( 0 ).find( 'a' ).length,
+		3,
+		'Rendered HTML attribution according to the shared answers.'
+	);
+
+	assert.ok(
+		lines[1].indexOf( 'Shared Author' ) === -1,
+		'Did not apply asset specific answers to other assets.'
+	);
+
+	var $entry = batchList._$node.find( '.batchlist-entry' ).eq( 1 );
+
+	$entry.find( '.batchlist-entry-input-licence' ).val( 'cc-by-4.0' ).trigger( 'change' );
+	$entry.find( '.batchlist-entry-input-form-author' ).val( 'Test Author' ).trigger( 'change' );
+
+	lines = getTextLines( batchList );
+
+	assert.ok(
+		lines[1].indexOf( 'Test Author' ) !== -1
+			&& lines[1].indexOf( 'http://creativecommons.org/licenses/by/4.0/legalcode/' ) !== -1,
+		'Applied asset specific answers.'
+	);
+} );
+
+QUnit.test( 'Choosing among multiple licences', function( assert ) {
+	var multiLicensedAsset = wikiAsset.clone(),
+		licenceStore = config.custom.licenceStore;
+
+	multiLicensedAsset.setCandidateLicences( [
+		licenceStore.getLicence( 'cc-by-sa-3.0' ),
+		licenceStore.getLicence( 'cc-by-3.0' )
+	] );
+
+	var batchList = new BatchList( $( '<div/>' ), [multiLicensedAsset] ),
+		$select = batchList._$node.find( '.batchlist-entry-input-licence' );
+
+	assert.equal( $select.find( 'option' ).length, 2, 'Rendered candidate licences.' );
+
+	assert.ok(
+		getTextLines( batchList )[0].indexOf( 'http://creativecommons.org/licenses/by/3.0/' ) !== -1,
+		'Applied recommended licence by default.'
+	);
+
+	$select.val( 'cc-by-sa-3.0' ).trigger( 'change' );
+
+	assert.ok(
+		getTextLines( batchList )[0].indexOf( 'http://creativecommons.org/licenses/by-sa/3.0/' )
+			!== -1,
+		'Applied chosen licence.'
+	);
+} );
+
+QUnit.test( 'Evaluating the questionnaire flow per licence', function( assert ) {
+	var ncAsset = wikiAsset.clone();
+
+	ncAsset.setLicence( config.custom.licenceStore.getLicence( 'cc-by-nc-3.0' ) );
+
+	var batchList = new BatchList( $( '<div/>' ), [wikiAsset.clone(), ncAsset] ),
+		sharedState = new QuestionnaireState( '12a', wikiAsset );
+
+	sharedState.setValue( '3', 1 );
+	sharedState.setValue( '7', 2 );
+	sharedState.setValue( '12a', 1 );
+
+	batchList.update( sharedState, ['3', '7', '12a'] );
+
+	var lines = getTextLines( batchList );
+
+	assert.ok(
+		lines[0].indexOf( 'http://creativecommons.org/licenses/by-sa/3.0/' ) !== -1,
+		'Generated attribution for the asset the questionnaire has been answered for.'
+	);
+
+	assert.equal(
+		lines[1],
+		'Helene Fischer 2010.jpg: Die Lizenz dieser Datei erfordert die Beantwortung anderer '
+			+ 'Fragen. Bitte erstellen Sie den Lizenzverweis für diese Datei separat.',
+		'Flagged asset whose licence requires answering the question about commercial use.'
+	);
+
+	batchList = new BatchList( $( '<div/>' ), [ncAsset, wikiAsset.clone()] );
+	sharedState = new QuestionnaireState( '12a', ncAsset );
+
+	sharedState.setValue( '3', 1 );
+	sharedState.setValue( '3a', 2 );
+	sharedState.setValue( '7', 2 );
+	sharedState.setValue( '12a', 1 );
+
+	batchList.update( sharedState, ['3', '3a', '7', '12a'] );
+
+	lines = getTextLines( batchList );
+
+	assert.ok(
+		lines[0].indexOf( 'http://creativecommons.org/licenses/by-nc/3.0/' ) !== -1
+			&& lines[1].indexOf( 'http://creativecommons.org/licenses/by-sa/3.0/' ) !== -1,
+		'Generated attributions when the shared answers cover all licences.'
+	);
+
+	sharedState = new QuestionnaireState( 'result-nc', ncAsset );
+
+	sharedState.setValue( '3', 1 );
+	sharedState.setValue( '3a', 1 );
+
+	batchList.update( sharedState, ['3', '3a', 'result-nc'] );
+
+	lines = getTextLines( batchList );
+
+	assert.equal(
+		lines[0],
+		'Helene Fischer 2010.jpg: Die Lizenz dieser Datei erlaubt die beabsichtigte Nutzung nicht.',
+		'Reported licence conflict instead of generating an attribution.'
+	);
+
+	assert.ok(
+		lines[1].indexOf( 'anderer Fragen' ) !== -1,
+		'Flagged asset whose licence requires answering questions not asked.'
+	);
+} );
+
+QUnit.test( 'Checking the adaptation licence per licence', function( assert ) {
+	var byAsset = wikiAsset.clone(),
+		bySaAsset = wikiAsset.clone(),
+		licenceStore = config.custom.licenceStore;
+
+	byAsset.setLicence( licenceStore.getLicence( 'cc-by-4.0' ) );
+	bySaAsset.setLicence( licenceStore.getLicence( 'cc-by-sa-4.0' ) );
+
+	var batchList = new BatchList( $( '<div/>' ), [byAsset, bySaAsset] ),
+		sharedState = new QuestionnaireState( '13', byAsset );
+
+	sharedState.setValue( '3', 1 );
+	sharedState.setValue( '7', 2 );
+	sharedState.setValue( '12a', 2 );
+	sharedState.setValue( '12b', 2 );
+	sharedState.setValue( '12c', 1, 'cc-by-nc-4.0' );
+	sharedState.setValue( '13', 1, 'Editor' );
+
+	batchList.update( sharedState, ['3', '7', '12a', '12b', '12c', '13'] );
+
+	var lines = getTextLines( batchList );
+
+	assert.ok(
+		lines[0].indexOf( 'Editor' ) !== -1,
+		'Generated attribution for the asset whose licence permits the adaptation licence.'
+	);
+
+	assert.equal(
+		lines[1],
+		'Helene Fischer 2010.jpg: Die Lizenz dieser Datei erlaubt die beabsichtigte Nutzung nicht.',
+		'Reported licence conflict for the asset whose licence forbids the adaptation licence.'
+	);
+
+	sharedState.setValue( '12c', 1, 'cc-by-sa-4.0' );
+
+	batchList.update( sharedState, ['3', '7', '12a', '12b', '12c', '13'] );
+
+	lines = getTextLines( batchList );
+
+	assert.ok(
+		lines[0].indexOf( 'Editor' ) !== -1 && lines[1].indexOf( 'Editor' ) !== -1,
+		'Generated attributions when all licences permit the adaptation licence.'
+	);
+} );
+
+} );
+
+}( QUnit ) );
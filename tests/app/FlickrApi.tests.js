@@ -0,0 +1,96 @@
+/**
+ * @licence GNU GPL v3
+ * @author snater.com < wikimedia@snater.com >
+ */
+( function( QUnit ) {
+'use strict';
+
+define( ['jquery', 'app/FlickrApi', 'tests/assets'], function( $, FlickrApi ) {
+
+QUnit.module( 'FlickrApi' );
+
+// The fixture stands in for the Flickr API, featuring the responses to all methods called:
+var api = new FlickrApi( 'fixtures/flickr.json' );
+
+QUnit.test( 'getPhotoId()', function( assert ) {
+	var testCases = {
+		'https://www.flickr.com/photos/jane/5249874390/': '5249874390',
+		'http://flickr.com/photos/12345678@N00/5249874390/in/photostream': '5249874390',
+		'https://flic.kr/p/8ZUYKG': '5249874390',
+		'https://www.flickr.com/photos/jane/': null,
+		'https://example.com/photos/jane/5249874390/': null
+	};
+
+	$.each( testCases, function( url, expected ) {
+		assert.strictEqual(
+			FlickrApi.getPhotoId( url ),
+			expected,
+			'Extracted photo id of "' + url + '".'
+		);
+	} );
+
+	assert.ok( FlickrApi.isFlickrUrl( 'https://flic.kr/p/8ZUYKG' ), 'Detected short link.' );
+	assert.ok( !FlickrApi.isFlickrUrl( 'https://example.com/flickr' ), 'Detected other URL.' );
+} );
+
+QUnit.test( 'LICENCES', function( assert ) {
+	assert.equal( FlickrApi.LICENCES['10'], 'PD', 'Mapped Public Domain Mark.' );
+
+	assert.strictEqual(
+		FlickrApi.LICENCES['7'],
+		undefined,
+		'Not mapping "No known copyright restrictions" to a licence.'
+	);
+} );
+
+QUnit.test( 'getAsset()', function( assert ) {
+	QUnit.stop();
+
+	api.getAsset( 'https://flic.kr/p/8ZUYKG' )
+	.done( function( asset ) {
+		assert.equal(
+			asset.getUrl(),
+			'https://www.flickr.com/photos/jane/5249874390/',
+			'Applied photo page URL.'
+		);
+
+		assert.equal( asset.getLicence().getId(), 'cc-by-sa-2.0', 'Mapped Flickr licence id.' );
+		assert.equal( asset.getTitle(), 'Sunset at the beach', 'Applied title.' );
+		assert.equal( asset.getAuthors()[0].getText(), 'Jane Doe', 'Applied owner name.' );
+
+		assert.equal(
+			asset.getAuthors()[0].getHtml().attr( 'href' ),
+			'https://www.flickr.com/people/jane/',
+			'Linked owner profile.'
+		);
+
+		asset.getImageInfo( 500 )
+		.done( function( imageInfo ) {
+			assert.equal(
+				imageInfo.getUrl(),
+				'https://farm6.staticflickr.com/5249874390_o.jpg',
+				'Image URL refers to the largest size.'
+			);
+
+			assert.equal(
+				imageInfo.getThumbnail().url,
+				'https://farm6.staticflickr.com/5249874390_z.jpg',
+				'Thumbnail is the smallest size covering the requested size.'
+			);
+		} )
+		.fail( function( error ) {
+			assert.ok( false, 'Failed retrieving image info: ' + error.getMessage() );
+		} )
+		.always( function() {
+			QUnit.start();
+		} );
+	} )
+	.fail( function( error ) {
+		assert.ok( false, 'Failed retrieving asset: ' + error.getMessage() );
+		QUnit.start();
+	} );
+} );
+
+} );
+
+}( QUnit ) );
@@ -0,0 +1,260 @@
+/**
+ * @licence GNU GPL v3
+ * @author snater.com < wikimedia@snater.com >
+ */
+/* global unescape */
+( function( QUnit ) {
+'use strict';
+
+define( [
+	'jquery',
+	'app/ImageMetadata',
+	'app/LocalFileApi',
+	'tests/assets'
+], function( $, ImageMetadata, LocalFileApi ) {
+
+QUnit.module( 'ImageMetadata' );
+
+/**
+ * @param {string} string
+ * @return {number[]} UTF-8 encoded bytes
+ */
+function toBytes( string ) {
+	var binary = unescape( encodeURIComponent( string ) ),
+		bytes = [];
+
+	for( var i = 0; i < binary.length; i++ ) {
+		bytes.push( binary.charCodeAt( i ) );
+	}
+
+	return bytes;
+}
+
+/**
+ * @param {number} value
+ * @param {number} length
+ * @return {number[]} Big-endian bytes
+ */
+function toInt( value, length ) {
+	var bytes = [];
+
+	for( var i = length - 1; i >= 0; i-- ) {
+		bytes.push( Math.floor( value / Math.pow( 256, i ) ) % 256 );
+	}
+
+	return bytes;
+}
+
+/**
+ * @param {number} marker
+ * @param {number[]} bytes
+ * @return {number[]}
+ */
+function createSegment( marker, bytes ) {
+	return [0xFF, marker].concat( toInt( bytes.length + 2, 2 ), bytes );
+}
+
+/**
+ * @param {Object} tags ASCII values indexed by tag number.
+ * @return {number[]}
+ */
+function createExifSegment( tags ) {
+	var numbers = $.map( tags, function( value, tag ) {
+			return parseInt( tag, 10 );
+		} ),
+		valueOffset = 8 + 2 + numbers.length * 12 + 4,
+		entries = [],
+		values = [];
+
+	for( var i = 0; i < numbers.length; i++ ) {
+		var value = toBytes( tags[numbers[i]] ).concat( [0] );
+
+		entries = entries.concat(
+			toInt( numbers[i], 2 ),
+			toInt( 2, 2 ),
+			toInt( value.length, 4 ),
+			toInt( valueOffset + values.length, 4 )
+		);
+
+		values = values.concat( value );
+	}
+
+	return createSegment( 0xE1, toBytes( 'Exif\u0000\u0000MM' ).concat(
+		[0, 42],
+		toInt( 8, 4 ),
+		toInt( numbers.length, 2 ),
+		entries,
+		toInt( 0, 4 ),
+		values
+	) );
+}
+
+/**
+ * @param {Array[]} datasets List of [dataset number, value].
+ * @return {number[]}
+ */
+function createIptcSegment( datasets ) {
+	var data = [];
+
+	for( var i = 0; i < datasets.length; i++ ) {
+		var value = toBytes( datasets[i][1] );
+		data = data.concat( [0x1C, 2, datasets[i][0]], toInt( value.length, 2 ), value );
+	}
+
+	if( data.length % 2 ) {
+		data.push( 0 );
+	}
+
+	return createSegment( 0xED, toBytes( 'Photoshop 3.0\u0000' ).concat(
+		toBytes( '8BIM' ),
+		[0x04, 0x04, 0, 0],
+		toInt( data.length, 4 ),
+		data
+	) );
+}
+
+/**
+ * @param {string} description Content of the rdf:Description node.
+ * @param {string} [attributes] Attributes of the rdf:Description node.
+ * @return {string}
+ */
+function createXmp( description, attributes ) {
+	return '<?xpacket begin="﻿" id="W5M0MpCehiHzreSzNTczkc9d"?>'
+		+ '<x:xmpmeta xmlns:x="adobe:ns:meta/">'
+		+ '<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">'
+		+ '<rdf:Description rdf:about="" xmlns:dc="http://purl.org/dc/elements/1.1/"'
+		+ ' xmlns:cc="http://creativecommons.org/ns#"'
+		+ ' xmlns:xmpRights="http://ns.adobe.com/xap/1.0/rights/" ' + ( attributes || '' ) + '>'
+		+ description
+		+ '</rdf:Description></rdf:RDF></x:xmpmeta><?xpacket end="w"?>';
+}
+
+/**
+ * @param {number[][]} segments
+ * @return {ArrayBuffer}
+ */
+function createJpeg( segments ) {
+	var bytes = [0xFF, 0xD8];
+
+	for( var i = 0; i < segments.length; i++ ) {
+		bytes = bytes.concat( segments[i] );
+	}
+
+	bytes = bytes.concat( [0xFF, 0xDA, 0, 2, 0xFF, 0xD9] );
+
+	return new Uint8Array( bytes ).buffer;
+}
+
+var xmp = createXmp(
+		'<cc:license rdf:resource="http://creativecommons.org/licenses/by-sa/4.0/"/>'
+			+ '<cc:attributionName>Jane Doe</cc:attributionName>'
+			+ '<dc:creator><rdf:Seq><rdf:li>Jane Doe</rdf:li><rdf:li>John Doe</rdf:li></rdf:Seq>'
+			+ '</dc:creator>'
+			+ '<dc:title><rdf:Alt><rdf:li xml:lang="x-default">Sunset</rdf:li></rdf:Alt></dc:title>',
+		'xmpRights:WebStatement="http://example.com/sunset"'
+	),
+	exifSegment = createExifSegment( { 0x013B: 'Exif Artist', 0x8298: 'Exif Copyright' } ),
+	iptcSegment = createIptcSegment( [
+		[5, 'IPTC Title'],
+		[80, 'IPTC Author 1'],
+		[80, 'IPTC Author 2'],
+		[110, 'IPTC Credit'],
+		[116, '© IPTC Copyright']
+	] ),
+	xmpJpeg = createJpeg( [
+		exifSegment,
+		iptcSegment,
+		createSegment( 0xE1, toBytes( ImageMetadata.XMP_HEADER + xmp ) )
+	] );
+
+QUnit.test( 'Parsing XMP, IPTC and EXIF', function( assert ) {
+	var metadata = new ImageMetadata( xmpJpeg );
+
+	assert.deepEqual( metadata.getAuthors(), ['Jane Doe'], 'Preferring ccREL attribution name.' );
+	assert.equal( metadata.getTitle(), 'Sunset', 'Parsed XMP title.' );
+
+	assert.equal(
+		metadata.getLicenceUrl(),
+		'http://creativecommons.org/licenses/by-sa/4.0/',
+		'Parsed licence resource.'
+	);
+
+	assert.equal( metadata.getUrl(), 'http://example.com/sunset', 'Parsed web statement.' );
+	assert.equal( metadata.getCopyright(), '© IPTC Copyright', 'Parsed IPTC copyright notice.' );
+	assert.equal( metadata.getCredit(), 'IPTC Credit', 'Parsed IPTC credit.' );
+
+	metadata = new ImageMetadata( createJpeg( [exifSegment, iptcSegment] ) );
+
+	assert.deepEqual(
+		metadata.getAuthors(),
+		['IPTC Author 1', 'IPTC Author 2'],
+		'Parsed repeated IPTC by-lines.'
+	);
+
+	assert.equal( metadata.getTitle(), 'IPTC Title', 'Parsed IPTC object name.' );
+	assert.strictEqual( metadata.getLicenceUrl(), null, 'No licence without XMP.' );
+
+	metadata = new ImageMetadata( createJpeg( [exifSegment] ) );
+
+	assert.deepEqual( metadata.getAuthors(), ['Exif Artist'], 'Parsed EXIF artist.' );
+	assert.equal( metadata.getCopyright(), 'Exif Copyright', 'Parsed EXIF copyright.' );
+
+	metadata = new ImageMetadata( new Uint8Array(
+		[0x89, 0x50, 0x4E, 0x47].concat( toBytes( createXmp(
+			'<dc:creator><rdf:Seq><rdf:li>Jörg</rdf:li></rdf:Seq></dc:creator>',
+			'xmpRights:WebStatement="https://creativecommons.org/licenses/by/3.0/de/"'
+		) ) )
+	).buffer );
+
+	assert.deepEqual( metadata.getAuthors(), ['Jörg'], 'Parsed XMP packet of a non-JPEG file.' );
+
+	assert.equal(
+		metadata.getLicenceUrl(),
+		'https://creativecommons.org/licenses/by/3.0/de/',
+		'Interpreted web statement referring to a licence as licence URL.'
+	);
+
+	assert.strictEqual( metadata.getUrl(), null, 'No URL when the web statement is a licence.' );
+
+	metadata = new ImageMetadata( new Uint8Array( [0xFF, 0xD8, 0xFF] ).buffer );
+
+	assert.deepEqual( metadata.getAuthors(), [], 'No authors in a truncated file.' );
+} );
+
+QUnit.test( 'LocalFileApi.getAsset()', function( assert ) {
+	var api = new LocalFileApi( new File( [xmpJpeg], 'sunset.jpg', { type: 'image/jpeg' } ) );
+
+	QUnit.stop();
+
+	api.getAsset()
+	.done( function( asset ) {
+		assert.equal( asset.getFilename(), 'sunset.jpg', 'Applied filename.' );
+		assert.equal( asset.getMediaType(), 'bitmap', 'Determined media type.' );
+		assert.equal( asset.getLicence().getId(), 'cc-by-sa-4.0', 'Detected licence by URL.' );
+		assert.equal( asset.getTitle(), 'Sunset', 'Applied title.' );
+		assert.equal( asset.getAuthors()[0].getText(), 'Jane Doe', 'Applied author.' );
+		assert.equal( asset.getUrl(), 'http://example.com/sunset', 'Applied URL.' );
+		assert.equal( asset.getCredit(), 'IPTC Credit', 'Applied credit.' );
+	} )
+	.fail( function( error ) {
+		assert.ok( false, 'Failed retrieving asset: ' + error.getMessage() );
+	} )
+	.always( function() {
+		api = new LocalFileApi( new File( ['text'], 'notes.txt', { type: 'text/plain' } ) );
+
+		api.getAsset()
+		.done( function() {
+			assert.ok( false, 'Accepted a file not being an image.' );
+		} )
+		.fail( function() {
+			assert.ok( true, 'Rejected a file not being an image.' );
+		} )
+		.always( function() {
+			QUnit.start();
+		} );
+	} );
+} );
+
+} );
+
+}( QUnit ) );
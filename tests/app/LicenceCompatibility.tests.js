@@ -0,0 +1,132 @@
+/**
+ * @licence GNU GPL v3
+ * @author snater.com < wikimedia@snater.com >
+ */
+( function( QUnit ) {
+'use strict';
+
+define( ['jquery', 'app/LicenceCompatibility', 'app/LicenceStore', 'app/LICENCES'],
+	function( $, LicenceCompatibility, LicenceStore, LICENCES ) {
+
+QUnit.module( 'LicenceCompatibility' );
+
+var licenceStore = new LicenceStore( LICENCES ),
+	compatibility = new LicenceCompatibility( licenceStore );
+
+/**
+ * @param {string[]} licenceIds
+ * @return {Licence[]}
+ */
+function getLicences( licenceIds ) {
+	return $.map( licenceIds, function( licenceId ) {
+		return licenceStore.getLicence( licenceId );
+	} );
+}
+
+/**
+ * @param {Licence[]} licences
+ * @return {string[]}
+ */
+function getIds( licences ) {
+	return $.map( licences, function( licence ) {
+		return licence.getId();
+	} );
+}
+
+QUnit.test( 'getReasons()', function( assert ) {
+	var testCases = {
+		'PD': ['free'],
+		'cc-zero': ['free'],
+		'unknown': ['unknown'],
+		'cc-by-2.0-de': ['attribution'],
+		'cc-by-sa-3.0-de': ['sa'],
+		'cc-by-nc-sa-4.0': ['nc', 'sa'],
+		'cc-by-nc-nd-4.0': ['nd'],
+		'GFDL': ['copyleft'],
+		'FAL': ['copyleft']
+	};
+
+	$.each( testCases, function( licenceId, expected ) {
+		assert.deepEqual(
+			compatibility.getReasons( licenceStore.getLicence( licenceId ) ),
+			expected,
+			'Verified reasons for "' + licenceId + '".'
+		);
+	} );
+} );
+
+QUnit.test( 'getAdaptationLicences()', function( assert ) {
+	assert.deepEqual(
+		getIds( compatibility.getAdaptationLicences( getLicences( ['cc-by-sa-3.0-de'] ) ) ),
+		['cc-by-sa-3.0-de', 'cc-by-sa-4.0'],
+		'CC BY-SA 3.0 DE work may be adapted under the same licence or CC BY-SA 4.0.'
+	);
+
+	assert.deepEqual(
+		getIds( compatibility.getAdaptationLicences( getLicences( ['cc-by-sa-4.0'] ) ) ),
+		['cc-by-sa-4.0', 'FAL'],
+		'CC BY-SA 4.0 work may be adapted under the Free Art License.'
+	);
+
+	assert.deepEqual(
+		getIds( compatibility.getAdaptationLicences( getLicences( ['cc-by-nd-4.0'] ) ) ),
+		[],
+		'No licence for adapting a "no derivatives" work.'
+	);
+} );
+
+QUnit.test( 'combine()', function( assert ) {
+	var combination = compatibility.combine( getLicences( ['cc-by-2.0-de', 'cc-by-sa-4.0'] ) );
+
+	assert.deepEqual(
+		getIds( combination.licences ),
+		['cc-by-sa-4.0', 'FAL'],
+		'Combining CC BY 2.0 DE and CC BY-SA 4.0 works.'
+	);
+
+	assert.ok( !combination.ownTerms, 'Not permitting licence terms of one\'s own.' );
+
+	assert.deepEqual(
+		$.map( combination.reasons, function( reasons ) {
+			return reasons.reasons.join( ',' );
+		} ),
+		['attribution', 'sa'],
+		'Listing reasons per licence.'
+	);
+
+	combination = compatibility.combine( getLicences( ['cc-by-2.0', 'cc-by-4.0'] ) );
+
+	assert.ok(
+		combination.ownTerms,
+		'Permitting licence terms of one\'s own when combining attribution licences.'
+	);
+
+	assert.ok(
+		$.inArray( 'cc-by-nc-sa-4.0', getIds( combination.licences ) ) !== -1,
+		'Permitting more restrictive licences when combining attribution licences.'
+	);
+
+	assert.deepEqual(
+		getIds( compatibility.combine(
+			getLicences( ['cc-by-nc-sa-4.0', 'cc-by-sa-4.0'] )
+		).licences ),
+		[],
+		'Unable to combine CC BY-NC-SA 4.0 and CC BY-SA 4.0 works.'
+	);
+
+	assert.deepEqual(
+		getIds( compatibility.combine( getLicences( ['GFDL', 'cc-by-sa-3.0'] ) ).licences ),
+		[],
+		'Unable to combine GFDL and CC BY-SA 3.0 works.'
+	);
+
+	assert.deepEqual(
+		getIds( compatibility.combine( getLicences( ['PD', 'cc-by-nc-4.0'] ) ).licences ),
+		['cc-by-nc-4.0', 'cc-by-nc-sa-4.0', 'cc-by-nc-nd-4.0'],
+		'Public domain work does not impose any restrictions.'
+	);
+} );
+
+} );
+
+}( QUnit ) );
@@ -5,7 +5,8 @@
 ( function( QUnit ) {
 'use strict';
 
-define( ['app/LicenceStore', 'app/Licence'], function( LicenceStore, Licence ) {
+define( ['jquery', 'app/LicenceStore', 'app/Licence', 'app/LICENCES'],
+	function( $, LicenceStore, Licence, LICENCES ) {
 
 	QUnit.module( 'LicenceStore' );
 
@@ -141,6 +142,245 @@ define( ['app/LicenceStore', 'app/Licence'], function( LicenceStore, Licence ) {
 		);
 	} );
 
+	QUnit.test( 'detectLicences()', function( assert ) {
+		var licenceStore = new LicenceStore( LICENCES ),
+			ids = function( licences ) {
+				return $.map( licences, function( licence ) {
+					return licence.getId();
+				} );
+			};
+
+		assert.deepEqual(
+			ids( licenceStore.detectLicences( ['GFDL', 'Cc-by-sa-3.0', 'Cc-by-2.0'] ) ),
+			['cc-by-2.0', 'cc-by-sa-3.0', 'GFDL'],
+			'Detected all licences in store order.'
+		);
+
+		assert.deepEqual(
+			ids( licenceStore.detectLicences( ['Cc-by-sa-3.0', 'Cc-by-sa-3.0-migrated'] ) ),
+			['cc-by-sa-3.0'],
+			'Listing each licence only once.'
+		);
+
+		$.each( {
+			'GFDL-1.3': 'GFDL-1.3',
+			'GFDL-1.2': 'GFDL',
+			'GFDL-self': 'GFDL',
+			'OGL-3': 'OGL3',
+			'OGL v3': 'OGL3',
+			'OGL-v2': 'OGL2',
+			'OGL-1.0': 'OGL',
+			'OGL': 'OGL'
+		}, function( string, id ) {
+			assert.deepEqual(
+				ids( licenceStore.detectLicences( string ) ),
+				[id],
+				'Detected only "' + id + '" on "' + string + '".'
+			);
+		} );
+
+		assert.deepEqual(
+			ids( licenceStore.detectLicences( 'Cc-by-sa-3.0-xx' ) ),
+			['cc'],
+			'Returning unsupported licence if no other licence is detected.'
+		);
+
+		assert.deepEqual( licenceStore.detectLicences( 'nothing' ), [], 'Detected no licence.' );
+
+		assert.equal(
+			licenceStore.getLicence( 'cc-by-sa-3.0' ).getRestrictiveness(),
+			licenceStore.getLicence( 'FAL' ).getRestrictiveness(),
+			'Copyleft licences are equally restrictive.'
+		);
+
+		assert.ok(
+			licenceStore.getLicence( 'cc-by-4.0' ).getRestrictiveness()
+				< licenceStore.getLicence( 'cc-by-nc-sa-4.0' ).getRestrictiveness(),
+			'CC BY is less restrictive than CC BY-NC-SA.'
+		);
+	} );
+
+	QUnit.test( 'detectLicenceByUrl()', function( assert ) {
+		var licenceStore = new LicenceStore( LICENCES ),
+			testCases = {
+				'https://creativecommons.org/licenses/by-sa/4.0/deed.de': 'cc-by-sa-4.0',
+				'http://creativecommons.org/licenses/by-sa/4.0/': 'cc-by-sa-4.0',
+				'https://creativecommons.org/licenses/by-sa/4.0': 'cc-by-sa-4.0',
+				'https://creativecommons.org/licenses/by/4.0/legalcode.de': 'cc-by-4.0',
+				'//creativecommons.org/licenses/by-nc/3.0/legalcode': 'cc-by-nc-3.0',
+				'http://www.creativecommons.org/licenses/by/2.0/deed': 'cc-by-2.0',
+				'https://creativecommons.org/licenses/by-sa/3.0/de/deed.en_US': 'cc-by-sa-3.0-de',
+				'https://creativecommons.org/licenses/by/3.0/at/': 'cc-by-3.0-at',
+				'https://creativecommons.org/licenses/by-nd/2.5/scotland/deed.en': 'cc-by-nd-2.5-scotland',
+				'https://creativecommons.org/publicdomain/zero/1.0/deed.de': 'cc-zero',
+				'https://www.gnu.org/licenses/fdl-1.3.html': 'GFDL-1.3',
+				'http://artlibre.org/licence/lal/en': 'FAL'
+			};
+
+		$.each( testCases, function( url, id ) {
+			var licence = licenceStore.detectLicenceByUrl( url );
+
+			assert.equal(
+				licence && licence.getId(),
+				id,
+				'Detected licence "' + id + '" on "' + url + '".'
+			);
+		} );
+
+		assert.strictEqual(
+			licenceStore.detectLicenceByUrl( 'https://creativecommons.org/licenses/by/4.0/de/' ),
+			null,
+			'Not detecting a jurisdiction port that does not exist.'
+		);
+
+		assert.strictEqual(
+			licenceStore.detectLicenceByUrl( 'https://example.com/' ),
+			null,
+			'Returning "null" for an unknown URL.'
+		);
+
+		assert.strictEqual( licenceStore.detectLicenceByUrl( '' ), null, 'Returning "null" for no URL.' );
+	} );
+
+	QUnit.test( 'Detecting licences by Commons template names', function( assert ) {
+		var licenceStore = new LicenceStore( LICENCES ),
+			testCases = {
+				'Cc-by-1.0': { id: 'cc-by-1.0', groups: ['cc1', 'ccby'] },
+				'Cc-by-2.0': { id: 'cc-by-2.0', groups: ['cc2', 'ccby'] },
+				'Cc-by-2.5': { id: 'cc-by-2.5', groups: ['cc2', 'ccby'] },
+				'Cc-by-sa-1.0': { id: 'cc-by-sa-1.0', groups: ['cc1'] },
+				'Cc-by-sa-2.0': { id: 'cc-by-sa-2.0', groups: ['cc2'] },
+				'Cc-by-sa-2.5': { id: 'cc-by-sa-2.5', groups: ['cc2'] },
+				'Cc-by-sa-2.5,2.0,1.0': { id: 'cc-by-sa-2.5', groups: ['cc2'] },
+				'Cc-by-nc-sa-1.0': { id: 'cc-by-nc-sa-1.0', groups: ['cc1', 'nc'] },
+				'Cc-by-2.0-fr': { id: 'cc-by-2.0-fr', groups: ['cc2', 'ccby'] },
+				'Cc-by-2.1-jp': { id: 'cc-by-2.1-jp', groups: ['cc2', 'ccby'] },
+				'Cc-by-sa-2.5-nl': { id: 'cc-by-sa-2.5-nl', groups: ['cc2'] },
+				'Cc-by-sa-2.5-scotland': { id: 'cc-by-sa-2.5-scotland', groups: ['cc2'] },
+				'Cc-by-3.0-ch': { id: 'cc-by-3.0-ch', groups: ['cc3', 'ccby'] },
+				'Cc-by-sa-3.0-at': { id: 'cc-by-sa-3.0-at', groups: ['cc3'] },
+				'Cc-by-nd-3.0-igo': { id: 'cc-by-nd-3.0-igo', groups: ['cc3', 'nd'] },
+				'Cc-by-sa-2.0-de': { id: 'cc-by-sa-2.0-de', groups: ['cc2', 'cc2de'] },
+				'Cc-by-sa-3.0-de': { id: 'cc-by-sa-3.0-de', groups: ['cc3'] },
+				'Cc-by-sa-3.0': { id: 'cc-by-sa-3.0', groups: ['cc3'] },
+				'GFDL': { id: 'GFDL', groups: ['gfdl'] },
+				'GFDL-self': { id: 'GFDL', groups: ['gfdl'] },
+				'GFDL-1.3': { id: 'GFDL-1.3', groups: ['gfdl'] },
+				'FAL': { id: 'FAL', groups: ['fal'] },
+				'OGL': { id: 'OGL', groups: ['ogl'] },
+				'OGL2': { id: 'OGL2', groups: ['ogl'] },
+				'OGL-3': { id: 'OGL3', groups: ['ogl'] },
+				'ODbL': { id: 'ODbL', groups: ['odbl'] }
+			};
+
+		$.each( testCases, function( template, expected ) {
+			var licence = licenceStore.detectLicence( template );
+
+			assert.equal(
+				licence && licence.getId(),
+				expected.id,
+				'Detected licence "' + expected.id + '" on "' + template + '".'
+			);
+
+			for( var i = 0; licence && i < expected.groups.length; i++ ) {
+				assert.ok(
+					licence.isInGroup( expected.groups[i] ),
+					'Licence "' + expected.id + '" is in group "' + expected.groups[i] + '".'
+				);
+			}
+		} );
+
+		assert.equal(
+			licenceStore.detectLicence( ['GFDL', 'Cc-by-sa-3.0'] ).getId(),
+			'cc-by-sa-3.0',
+			'Preferring the CC licence on files dual-licensed under GFDL and CC.'
+		);
+
+		assert.equal(
+			licenceStore.detectLicence( 'Cc-by-sa-3.0-xx' ).getId(),
+			'cc',
+			'Falling back to unsupported licence for an unknown jurisdiction.'
+		);
+	} );
+
+	QUnit.test( 'Licence.permitsAdaptationUnder()', function( assert ) {
+		var licenceStore = new LicenceStore( LICENCES ),
+			testCases = [
+				['cc-by-3.0', null, true],
+				['cc-by-3.0', 'cc-by-sa-4.0', true],
+				['cc-by-3.0', 'cc-zero', false],
+				['cc-by-sa-3.0', null, false],
+				['cc-by-sa-3.0', 'cc-by-sa-4.0', true],
+				['cc-by-sa-3.0', 'cc-by-sa-2.0', false],
+				['cc-by-sa-3.0', 'cc-by-nc-sa-4.0', false],
+				['cc-by-sa-1.0', 'cc-by-sa-2.0', false],
+				['cc-by-sa-4.0', 'FAL', true],
+				['cc-by-nc-4.0', 'cc-by-4.0', false],
+				['cc-by-nc-4.0', 'cc-by-nc-sa-4.0', true],
+				['cc-by-nd-4.0', 'cc-by-nd-4.0', false],
+				['GFDL', 'cc-by-sa-4.0', false],
+				['FAL', 'cc-by-sa-4.0', true],
+				['cc-zero', null, true]
+			];
+
+		$.each( testCases, function( i, testCase ) {
+			var licence = licenceStore.getLicence( testCase[0] ),
+				adaptationLicence = testCase[1] && licenceStore.getLicence( testCase[1] );
+
+			assert.strictEqual(
+				licence.permitsAdaptationUnder( adaptationLicence ),
+				testCase[2],
+				'Test case #' + i + ': Verified adapting "' + testCase[0] + '" under "'
+					+ ( testCase[1] || 'own terms' ) + '".'
+			);
+		} );
+	} );
+
+	QUnit.test( 'Licence.getAttributionRules()', function( assert ) {
+		var licenceStore = new LicenceStore( LICENCES ),
+			testCases = [
+				['cc-by-4.0', 'title', 'recommended'],
+				['cc-by-sa-3.0', 'title', 'required'],
+				['cc-by-2.0-de', 'title', 'required'],
+				['cc-by-sa-1.0', 'url', 'recommended'],
+				['GFDL', 'editor', 'required'],
+				['OGL3', 'title', 'omitted'],
+				['unknown', 'url', 'required']
+			];
+
+		$.each( testCases, function( i, testCase ) {
+			assert.equal(
+				licenceStore.getLicence( testCase[0] ).getAttributionRules().elements[testCase[1]],
+				testCase[2],
+				'Test case #' + i + ': "' + testCase[1] + '" is ' + testCase[2] + ' for "'
+					+ testCase[0] + '".'
+			);
+		} );
+
+		assert.equal(
+			licenceStore.getLicence( 'cc-by-2.0-de' ).getAttributionRules().note,
+			'attribution-rules-note-cc2de',
+			'Applied the rules specific to the German 2.0 licences.'
+		);
+
+		var rules = {
+			elements: {
+				author: 'required',
+				title: 'omitted',
+				url: 'omitted',
+				editor: 'omitted',
+				licence: 'required'
+			}
+		};
+
+		assert.deepEqual(
+			new Licence( 'test', ['cc4'], 'Test', /^Test$/, { attributionRules: rules } )
+				.getAttributionRules(),
+			{ elements: rules.elements, note: null },
+			'Licence specific rules take precedence over the rules of the licence\'s groups.'
+		);
+	} );
+
 } );
 
 }( QUnit ) );
@@ -7,19 +7,19 @@
 
 define( [
 	'jquery',
+	'app/ATTRIBUTION_LANGUAGES',
 	'app/AttributionGenerator',
 	'app/Author',
 	'app/Questionnaire',
 	'dojo/_base/config',
-	'dojo/i18n!app/nls/Questionnaire',
 	'tests/assets'
 ], function(
 	$,
+	ATTRIBUTION_LANGUAGES,
 	AttributionGenerator,
 	Author,
 	Questionnaire,
 	config,
-	messages,
 	testAssets
 ) {
 
@@ -127,12 +127,12 @@ var testSets = {
 		templates: ['result-note-html', 'result-restrictions'],
 		attrGenOpt: { editor: '(bearbeitet)', format: 'html' }
 	}, {
-		la: { '3': { 1: true }, '7': { 1: true }, '12a': { 2: true }, '12b': { 3: true } }, // exit (unsupported)
-		templates: ['result-note-html', 'result-restrictions', 'result-note-collection'],
+		la: { '3': { 1: true }, '7': { 1: true }, '12a': { 2: true }, '12b': { 3: true } }, // exit (licence conflict)
+		templates: ['result-adaptation'],
 		attrGenOpt: { editor: '(bearbeitet)', format: 'html' }
 	}, {
-		la: { '3': { 1: true }, '7': { 2: true }, '12a': { 2: true }, '12b': { 3: true } }, // exit (unsupported)
-		templates: ['result-note-html', 'result-restrictions'],
+		la: { '3': { 1: true }, '7': { 2: true }, '12a': { 2: true }, '12b': { 3: true } }, // exit (licence conflict)
+		templates: ['result-adaptation'],
 		attrGenOpt: { editor: '(bearbeitet)', format: 'html' }
 	}, {
 		la: { '3': { 2: true }, '7': { 1: true }, '8': { 1: true }, '12a': { 1: true } }, // exit
@@ -169,11 +169,11 @@ var testSets = {
 	{
 		la: { '3': { 1: true }, '7': { 1: true }, '12a': { 2: true }, '12b': { 1: true }, '13': { 1: 'Editor' } }, // exit
 		templates: ['result-note-html', 'result-restrictions', 'result-note-collection'],
-		attrGenOpt: { editor: 'Editor', format: 'html' }
+		attrGenOpt: { modification: { editor: 'Editor' }, format: 'html' }
 	}, {
 		la: { '3': { 1: true }, '7': { 2: true }, '12a': { 2: true }, '12b': { 1: true }, '13': { 1: 'Editor' } }, // exit
 		templates: ['result-note-html', 'result-restrictions'],
-		attrGenOpt: { editor: 'Editor', format: 'html' }
+		attrGenOpt: { modification: { editor: 'Editor' }, format: 'html' }
 	}, {
 		la: { '3': { 2: true }, '7': { 1: true }, '8': { 1: true }, '12a': { 2: true }, '12b': { 1: true } },
 		templates: ['result-note-text', 'result-restrictions', 'result-note-collection', 'result-note-fullLicence'],
@@ -207,39 +207,55 @@ var testSets = {
 		templates: ['result-note-text', 'result-restrictions'],
 		attrGenOpt: { editor: '(bearbeitet)' }
 	}, {
-		la: { '3': { 2: true }, '7': { 1: true }, '8': { 1: true }, '12a': { 2: true }, '12b': { 3: true } }, // exit & unsupported
-		templates: ['result-note-text', 'result-restrictions', 'result-note-collection', 'result-note-fullLicence'],
+		la: { '3': { 2: true }, '7': { 1: true }, '8': { 1: true }, '12a': { 2: true }, '12b': { 3: true } }, // exit (licence conflict)
+		templates: ['result-adaptation'],
 		attrGenOpt: { editor: '(bearbeitet)', licenceLink: false }
 	}, {
-		la: { '3': { 2: true }, '7': { 2: true }, '8': { 1: true }, '12a': { 2: true }, '12b': { 3: true } }, // exit & unsupported
-		templates: ['result-note-text', 'result-restrictions', 'result-note-fullLicence'],
+		la: { '3': { 2: true }, '7': { 2: true }, '8': { 1: true }, '12a': { 2: true }, '12b': { 3: true } }, // exit (licence conflict)
+		templates: ['result-adaptation'],
 		attrGenOpt: { editor: '(bearbeitet)', licenceLink: false }
 	}, {
-		la: { '3': { 2: true }, '7': { 1: true }, '8': { 2: true }, '12a': { 2: true }, '12b': { 3: true } }, // exit & unsupported
-		templates: ['result-note-text', 'result-restrictions', 'result-note-collection'],
+		la: { '3': { 2: true }, '7': { 1: true }, '8': { 2: true }, '12a': { 2: true }, '12b': { 3: true } }, // exit (licence conflict)
+		templates: ['result-adaptation'],
 		attrGenOpt: { editor: '(bearbeitet)' }
 	}, {
-		la: { '3': { 2: true }, '7': { 2: true }, '8': { 2: true }, '12a': { 2: true }, '12b': { 3: true } }, // exit & unsupported
-		templates: ['result-note-text', 'result-restrictions'],
+		la: { '3': { 2: true }, '7': { 2: true }, '8': { 2: true }, '12a': { 2: true }, '12b': { 3: true } }, // exit (licence conflict)
+		templates: ['result-adaptation'],
 		attrGenOpt: { editor: '(bearbeitet)' }
 	},
 	// 6th level:
 	{
 		la: { '3': { 2: true }, '7': { 1: true }, '8': { 1: true }, '12a': { 2: true }, '12b': { 1: true }, '13': { 1: 'Editor' } }, // exit
 		templates: ['result-note-text', 'result-restrictions', 'result-note-collection', 'result-note-fullLicence'],
-		attrGenOpt: { editor: 'Editor', licenceLink: false }
+		attrGenOpt: { modification: { editor: 'Editor' }, licenceLink: false }
 	}, { // #50
 		la: { '3': { 2: true }, '7': { 2: true }, '8': { 1: true }, '12a': { 2: true }, '12b': { 1: true }, '13': { 1: 'Editor' } }, // exit
 		templates: ['result-note-text', 'result-restrictions', 'result-note-fullLicence'],
-		attrGenOpt: { editor: 'Editor', licenceLink: false }
+		attrGenOpt: { modification: { editor: 'Editor' }, licenceLink: false }
 	}, {
 		la: { '3': { 2: true }, '7': { 1: true }, '8': { 2: true }, '12a': { 2: true }, '12b': { 1: true }, '13': { 1: 'Editor' } }, // exit
 		templates: ['result-note-text', 'result-restrictions', 'result-note-collection'],
-		attrGenOpt: { editor: 'Editor' }
+		attrGenOpt: { modification: { editor: 'Editor' } }
 	}, {
 		la: { '3': { 2: true }, '7': { 2: true }, '8': { 2: true }, '12a': { 2: true }, '12b': { 1: true }, '13': { 1: 'Editor' } }, // exit
 		templates: ['result-note-text', 'result-restrictions'],
-		attrGenOpt: { editor: 'Editor' }
+		attrGenOpt: { modification: { editor: 'Editor' } }
+	}, {
+		la: { '3': { 1: true }, '7': { 2: true }, '12a': { 2: true }, '12b': { 1: true }, '13': { 1: 'Editor', 2: 'http://example.com', 3: true, 6: true, 7: 'Text' } }, // exit
+		templates: ['result-note-html', 'result-restrictions'],
+		attrGenOpt: {
+			modification: {
+				types: ['cropped', 'retouched'],
+				combinedWith: 'Text',
+				editor: 'Editor',
+				url: 'http://example.com'
+			},
+			format: 'html'
+		}
+	}, {
+		la: { '3': { 1: true }, '7': { 2: true }, '12a': { 2: true }, '12b': { 1: true }, '13': { 4: true } },
+		templates: ['result-note-html', 'result-restrictions'],
+		attrGenOpt: { modification: { types: ['colourAdjusted'] }, format: 'html' }
 	} ],
 	'Wien Karlsplatz3.jpg': [ {
 		la: {},
@@ -266,6 +282,88 @@ var testSets = {
 			licence: licenceStore.getLicence( 'cc-by-3.0-de' ),
 			authors: [new Author( $( document.createTextNode( 'Test Author' ) ) )]
 		}
+	}, {
+		la: { '2': { 1: 'cc-by-1.0' } },
+		templates: ['result-note-text', 'result-restrictions-cc2'],
+		assetMixin: {
+			licence: licenceStore.getLicence( 'cc-by-1.0' )
+		}
+	}, {
+		la: { '2': { 1: 'cc-by-sa-3.0-at' } },
+		templates: ['result-note-text', 'result-restrictions'],
+		assetMixin: {
+			licence: licenceStore.getLicence( 'cc-by-sa-3.0-at' )
+		}
+	}, {
+		la: { '2': { 1: 'GFDL' }, '3': { 2: true }, '8': { 1: true } },
+		templates: ['result-note-text', 'result-note-gfdl', 'result-note-fullLicence'],
+		attrGenOpt: { licenceLink: false },
+		assetMixin: {
+			licence: licenceStore.getLicence( 'GFDL' )
+		}
+	}, {
+		la: { '2': { 1: 'OGL3' }, '3': { 1: true } },
+		templates: ['result-note-html', 'result-note-ogl'],
+		attrGenOpt: { format: 'html' },
+		assetMixin: {
+			licence: licenceStore.getLicence( 'OGL3' )
+		}
+	}, {
+		la: { '2': { 1: 'cc-by-nc-4.0' }, '3': { 1: true }, '3a': { 1: true } },
+		templates: ['result-nc'],
+		attrGenOpt: { format: 'html' },
+		assetMixin: {
+			licence: licenceStore.getLicence( 'cc-by-nc-4.0' )
+		}
+	}, {
+		la: { '2': { 1: 'cc-by-nc-4.0' }, '3': { 1: true }, '3a': { 2: true } },
+		templates: ['result-note-html', 'result-restrictions', 'result-restrictions-nc'],
+		attrGenOpt: { format: 'html' },
+		assetMixin: {
+			licence: licenceStore.getLicence( 'cc-by-nc-4.0' )
+		}
+	}, {
+		la: { '2': { 1: 'cc-by-nd-4.0' }, '3': { 2: true }, '7': { 1: true }, '8': { 2: true }, '12a': { 2: true } },
+		templates: ['result-nd'],
+		attrGenOpt: { editor: '(bearbeitet)' },
+		assetMixin: {
+			licence: licenceStore.getLicence( 'cc-by-nd-4.0' )
+		}
+	}, {
+		la: { '2': { 1: 'cc-by-nc-nd-2.0' }, '3': { 2: true }, '3a': { 2: true }, '7': { 2: true }, '8': { 2: true }, '12a': { 1: true } },
+		templates: ['result-note-text', 'result-restrictions-cc2', 'result-restrictions-nc', 'result-restrictions-nd'],
+		assetMixin: {
+			licence: licenceStore.getLicence( 'cc-by-nc-nd-2.0' )
+		}
+	}, {
+		la: { '2': { 1: 'cc-by-sa-4.0' }, '3': { 1: true } },
+		templates: ['result-note-html', 'result-note-video', 'result-restrictions'],
+		attrGenOpt: { format: 'html' },
+		assetMixin: {
+			licence: licenceStore.getLicence( 'cc-by-sa-4.0' ),
+			mediaType: 'video'
+		}
+	}, {
+		la: { '2': { 1: 'cc-by-sa-4.0' }, '3': { 2: true } },
+		templates: ['result-note-text', 'result-note-audio', 'result-restrictions'],
+		assetMixin: {
+			licence: licenceStore.getLicence( 'cc-by-sa-4.0' ),
+			mediaType: 'audio'
+		}
+	}, {
+		la: { '2': { 1: 'cc-by-4.0' }, '3': { 2: true }, '7': { 2: true }, '8': { 2: true }, '12a': { 2: true }, '12b': { 3: true } },
+		templates: ['result-note-text', 'result-restrictions'],
+		attrGenOpt: { editor: '(bearbeitet)' },
+		assetMixin: {
+			licence: licenceStore.getLicence( 'cc-by-4.0' )
+		}
+	}, {
+		la: { '2': { 1: 'cc-by-sa-3.0' }, '3': { 2: true }, '7': { 2: true }, '8': { 2: true }, '12a': { 2: true }, '12b': { 2: true }, '12c': { 1: 'cc-by-sa-4.0' } },
+		templates: ['result-note-text', 'result-restrictions'],
+		attrGenOpt: { editor: '(bearbeitet)', adaptationLicence: licenceStore.getLicence( 'cc-by-sa-4.0' ) },
+		assetMixin: {
+			licence: licenceStore.getLicence( 'cc-by-sa-3.0' )
+		}
 	} ]
 };
 
@@ -284,6 +382,9 @@ function assetMixin( asset, mixin ) {
 	if( mixin.authors ) {
 		asset.setAuthors( mixin.authors );
 	}
+	if( mixin.mediaType ) {
+		asset._mediaType = mixin.mediaType;
+	}
 	return asset;
 }
 
@@ -368,6 +469,12 @@ QUnit.test( 'generateSupplement()', function( assert ) {
 						+ testCase.templates.toString() + ').'
 				);
 
+				assert.equal(
+					$node.filter( '.attribution-rules' ).length,
+					/^result-note-(text|html)$/.test( testCase.templates[0] ) ? 1 : 0,
+					'(' + title + ') Listing attribution rules only when advising on attributing.'
+				);
+
 			} )
 			.fail( function( message ) {
 				assert.ok(
@@ -435,9 +542,13 @@ QUnit.test( 'getAttributionGenerator()', function( assert ) {
 	$.each( testSets, function( filename ) {
 		var defaultOptions = {
 			editor: null,
+			modification: null,
 			format: 'text',
 			licenceOnly: false,
-			licenceLink: true
+			licenceLink: true,
+			language: 'de',
+			fullLicenceName: false,
+			adaptationLicence: null
 		};
 
 		var attributionGenerator = new AttributionGenerator( testAssets[filename] ),
@@ -480,12 +591,12 @@ QUnit.test( 'getAttributionGenerator()', function( assert ) {
 
 			if( !testAsset.getAuthors().length ) {
 				testAsset.setAuthors(
-					[new Author( $( document.createTextNode( messages['author-undefined'] ) ) )]
+					[new Author( $( document.createTextNode( ATTRIBUTION_LANGUAGES.de.anonymous ) ) )]
 				);
 			}
 
 			if( testAsset.getTitle() === '' ) {
-				testAsset.setTitle( messages['file-untitled'] );
+				testAsset.setTitle( ATTRIBUTION_LANGUAGES.de.untitled );
 			}
 
 			assert.ok(
@@ -546,6 +657,91 @@ QUnit.test( 'getAttributionGenerator()', function( assert ) {
 	resolveStack( testStack );
 } );
 
+QUnit.test( 'generateSupplement() linking a licence text not shipped', function( assert ) {
+	var asset = testAssets['Helene Fischer 2010.jpg'].clone();
+
+	asset.setLicence( licenceStore.getLicence( 'cc-by-sa-3.0-es' ) );
+
+	var questionnaire = new Questionnaire( $( '<div/>' ), asset );
+
+	questionnaire._applyFunctionality = function( $page ) {
+		return $page;
+	};
+
+	QUnit.stop();
+
+	questionnaire.start().done( function() {
+		questionnaire._questionnaireState._answers = {
+			'3': { 2: true },
+			'7': { 2: true },
+			'8': { 1: true }
+		};
+
+		questionnaire.generateSupplement()
+		.done( function( $node ) {
+			assert.equal(
+				$node.filter( '.page-result-note-fullLicence' ).find( '.licence-text-link a' )
+					.attr( 'href' ),
+				'http://creativecommons.org/licenses/by-sa/3.0/es/legalcode/',
+				'Linked the licence text.'
+			);
+		} )
+		.fail( function( error ) {
+			assert.ok( false, 'Failed generating supplement with error "' + error + '".' );
+		} )
+		.always( function() {
+			QUnit.start();
+		} );
+	} );
+} );
+
+QUnit.test( 'restore() and getPath()', function( assert ) {
+	var questionnaire = new Questionnaire( $( '<div/>' ), testAssets['Helene Fischer 2010.jpg'] ),
+		path = ['3', '7', '12a', '12b', '13'],
+		answers = {
+			'3': { 1: true },
+			'7': { 2: true },
+			'12a': { 2: true },
+			'12b': { 1: true },
+			'13': { 1: 'Editor' }
+		};
+
+	QUnit.stop();
+
+	questionnaire.restore( path, answers )
+	.done( function() {
+		assert.deepEqual( questionnaire.getPath(), path, 'Restored navigation path.' );
+
+		assert.deepEqual(
+			questionnaire.getQuestionnaireState().getAnswers(),
+			answers,
+			'Restored answers.'
+		);
+
+		assert.deepEqual(
+			questionnaire._navigationCache[2].getAnswers(),
+			{ '3': { 1: true }, '7': { 2: true } },
+			'Navigation cache features the answers given up to the cached page.'
+		);
+
+		assert.ok(
+			questionnaire.getAttributionGenerator().equals(
+				new AttributionGenerator( testAssets['Helene Fischer 2010.jpg'], {
+					modification: { editor: 'Editor' },
+					format: 'html'
+				} )
+			),
+			'Restored attribution.'
+		);
+	} )
+	.fail( function( error ) {
+		assert.ok( false, 'Failed restoring questionnaire with error "' + error + '".' );
+	} )
+	.always( function() {
+		QUnit.start();
+	} );
+} );
+
 } );
 
 }( QUnit ) );
@@ -0,0 +1,278 @@
+/**
+ * @licence GNU GPL v3
+ * @author snater.com < wikimedia@snater.com >
+ */
+( function( QUnit ) {
+'use strict';
+
+define( [
+	'jquery',
+	'app/QuestionnaireFlow',
+	'app/QuestionnairePage',
+	'app/QuestionnaireState',
+	'app/QUESTIONNAIRE',
+	'dojo/_base/config',
+	'tests/assets'
+], function(
+	$,
+	QuestionnaireFlow,
+	QuestionnairePage,
+	QuestionnaireState,
+	QUESTIONNAIRE,
+	config,
+	testAssets
+) {
+
+QUnit.module( 'QuestionnaireFlow' );
+
+var flow = new QuestionnaireFlow( QUESTIONNAIRE );
+
+QUnit.test( 'validate()', function( assert ) {
+	assert.deepEqual(
+		flow.validate(),
+		[],
+		'Questionnaire definition is valid.'
+	);
+
+	var invalidFlow = new QuestionnaireFlow( {
+		start: [{ condition: { missing: 'authors' }, page: 'a' }, { page: 'b' }],
+		pages: {
+			a: { answers: { 1: { goTo: 'c' }, 2: { goTo: 'undefined-page' } } },
+			b: { answers: { 1: {} } },
+			c: { final: true },
+			d: { answers: { 1: { goTo: 'a' } } }
+		}
+	} );
+
+	assert.deepEqual(
+		invalidFlow.validate(),
+		[
+			{ type: 'undefined', page: 'undefined-page', source: 'a' },
+			{ type: 'dead-end', page: 'b' },
+			{ type: 'unreachable', page: 'd' }
+		],
+		'Detected undefined targets, dead ends and unreachable pages.'
+	);
+
+	assert.throws(
+		function() {
+			return new QuestionnaireFlow( { pages: {} } );
+		},
+		'Throwing an error when omitting the start definition.'
+	);
+} );
+
+QUnit.test( 'getStartPage()', function( assert ) {
+	var testSets = {
+		'Helene Fischer 2010.jpg': '3',
+		'LRO_Tycho_Central_Peak.jpg': null,
+		'https://www.wikimedia.de/w/images.homepage/d/d6/Pavel_Richter_WMDE.JPG': '2'
+	};
+
+	$.each( testSets, function( filename, expected ) {
+		assert.strictEqual(
+			flow.getStartPage( testAssets[filename] ),
+			expected,
+			'(' + filename + ') Determined start page.'
+		);
+	} );
+
+	var untitledAsset = testAssets['Helene Fischer 2010.jpg'].clone();
+	untitledAsset.setTitle( '' );
+
+	assert.strictEqual(
+		flow.getStartPage( untitledAsset ),
+		'10',
+		'Asking for the title required by the licence.'
+	);
+
+	untitledAsset.setLicence( config.custom.licenceStore.getLicence( 'cc-by-4.0' ) );
+
+	assert.strictEqual(
+		flow.getStartPage( untitledAsset ),
+		'3',
+		'Skipping the title not required by the licence.'
+	);
+} );
+
+QUnit.test( 'getTarget() and isDisabled()', function( assert ) {
+	var state = new QuestionnaireState( '3', testAssets['Helene Fischer 2010.jpg'] );
+
+	assert.equal( flow.getTarget( '7', 1, state ), '12a', 'Online use skipping page 8.' );
+
+	state.setValue( '3', 2 );
+
+	assert.equal( flow.getTarget( '7', 1, state ), '8', 'Print use leading to page 8.' );
+
+	assert.equal(
+		flow.getTarget( '3', 3, state ),
+		'result-note-privateUse',
+		'Private use exiting for a licence not in group "cc2de".'
+	);
+
+	var gfdlAsset = testAssets['Helene Fischer 2010.jpg'].clone();
+	gfdlAsset.setLicence( config.custom.licenceStore.getLicence( 'GFDL' ) );
+
+	assert.equal(
+		flow.getTarget( '3', 2, new QuestionnaireState( '3', gfdlAsset ) ),
+		'8',
+		'Skipping collection use question for a licence other than CC.'
+	);
+
+	assert.ok( !flow.isDisabled( '3', 4, state ), 'Answer is enabled.' );
+
+	state.setValue( '5', 1 );
+
+	assert.ok( flow.isDisabled( '3', 4, state ), 'Answer is disabled after answering page 5.' );
+
+	assert.throws(
+		function() {
+			flow.getTarget( '3', 99, state );
+		},
+		'Throwing an error when requesting the target of an undefined answer.'
+	);
+} );
+
+QUnit.test( 'getResult()', function( assert ) {
+	var state = new QuestionnaireState( '3', testAssets['Helene Fischer 2010.jpg'] );
+
+	state.setValue( '3', 1 );
+	state.setValue( '12a', 2 );
+	state.setValue( '13', 1, 'Editor' );
+	state.setValue( '13', 3 );
+
+	var result = flow.getResult( state );
+
+	assert.equal( result.useCase, 'online', 'Mapped use case.' );
+	assert.equal( result.format, 'html', 'Mapped format.' );
+	assert.strictEqual( result.edited, true, 'Mapped boolean answer.' );
+	assert.equal( result.editor, 'Editor', 'Mapped string answer.' );
+	assert.strictEqual( result.cropped, true, 'Mapped toggled answer.' );
+	assert.strictEqual( result.fullLicence, false, 'Defaulting to "false".' );
+} );
+
+QUnit.test( 'Choosing among multiple licences', function( assert ) {
+	var licenceStore = config.custom.licenceStore,
+		asset = testAssets['Helene Fischer 2010.jpg'].clone();
+
+	asset.setCandidateLicences( [
+		licenceStore.getLicence( 'cc-by-sa-3.0' ),
+		licenceStore.getLicence( 'GFDL' ),
+		licenceStore.getLicence( 'cc-by-3.0' )
+	] );
+
+	assert.equal( flow.getStartPage( asset ), 'choose-licence', 'Starting with licence choice.' );
+
+	assert.equal(
+		asset.getRecommendedLicence().getId(),
+		'cc-by-3.0',
+		'Recommending least restrictive licence.'
+	);
+
+	var state = new QuestionnaireState( 'choose-licence', asset ),
+		$page = $( '<div/>' )
+			.data( 'questionnaire-page', 'choose-licence' )
+			.html( '<ul class="answers licence-candidates"></ul>' ),
+		questionnairePage = new QuestionnairePage( 'choose-licence', $page, asset, state ),
+		targets = [];
+
+	assert.equal( $page.find( 'li.a1' ).length, 3, 'Rendered candidate licences.' );
+
+	assert.equal(
+		$page.find( 'li.recommended' ).data( 'licence-id' ),
+		'cc-by-3.0',
+		'Highlighted recommended licence.'
+	);
+
+	$( questionnairePage ).on( 'goto', function( event, toPage ) {
+		targets.push( toPage );
+	} );
+
+	$page.find( 'li.a1' ).eq( 1 ).trigger( 'click' );
+
+	assert.equal( state.getResult().asset.getLicence().getId(), 'GFDL', 'Applied chosen licence.' );
+
+	assert.equal(
+		state.getAttributionGenerator().getAsset().getLicence().getId(),
+		'GFDL',
+		'Attribution generator uses the chosen licence.'
+	);
+
+	assert.deepEqual( targets, ['3'], 'Continuing questionnaire.' );
+} );
+
+QUnit.test( 'Licence conflicts', function( assert ) {
+	var asset = testAssets['Helene Fischer 2010.jpg'].clone(),
+		state = new QuestionnaireState( '3', asset );
+
+	state.setValue( '3', 1 );
+
+	assert.equal( flow.getTarget( '3', 1, state ), '7', 'Skipping page 3a for a commercial licence.' );
+	assert.equal( flow.getTarget( '12a', 2, state ), '12b', 'Allowing to modify the work.' );
+
+	asset.setLicence( config.custom.licenceStore.getLicence( 'cc-by-nc-nd-3.0' ) );
+	state = new QuestionnaireState( '3', asset );
+	state.setValue( '3', 1 );
+
+	assert.equal( flow.getTarget( '3', 1, state ), '3a', 'Asking for commercial use.' );
+	assert.equal( flow.getTarget( '3a', 1, state ), 'result-nc', 'Blocking commercial use.' );
+	assert.equal( flow.getTarget( '3a', 2, state ), '7', 'Continuing on non-commercial use.' );
+	assert.equal( flow.getTarget( '12a', 2, state ), 'result-nd', 'Blocking modifications.' );
+
+	assert.strictEqual( state.getResult().licenceConflict, false, 'No conflict without answers.' );
+
+	state.setValue( '3a', 1 );
+
+	assert.equal( state.getResult().licenceConflict, 'nc', 'Detected commercial use conflict.' );
+
+	state.deleteValue( '3a', 1 );
+	state.setValue( '3a', 2 );
+	state.setValue( '12a', 2 );
+
+	assert.equal( state.getResult().licenceConflict, 'nd', 'Detected modification conflict.' );
+
+	state = new QuestionnaireState( '2', testAssets[
+		'https://www.wikimedia.de/w/images.homepage/d/d6/Pavel_Richter_WMDE.JPG'
+	] );
+	state.setValue( '2', 1, 'cc-by-nc-4.0' );
+	state.setValue( '3a', 1 );
+
+	assert.equal(
+		state.getResult().licenceConflict,
+		'nc',
+		'Detected conflict with a licence selected in the questionnaire.'
+	);
+} );
+
+QUnit.test( 'Applying flow to QuestionnairePage', function( assert ) {
+	var asset = testAssets['https://www.wikimedia.de/w/images.homepage/d/d6/Pavel_Richter_WMDE.JPG'],
+		state = new QuestionnaireState( 'form-author', asset ),
+		$page = $( '<div/>' )
+			.data( 'questionnaire-page', 'form-author' )
+			.html( '<input type="text" class="a1" /><a class="a1"></a>'
+				+ '<ul class="answers"><li class="a2"></li></ul>' ),
+		questionnairePage = new QuestionnairePage( 'form-author', $page, asset, state ),
+		targets = [];
+
+	$( questionnairePage ).on( 'goto', function( event, toPage ) {
+		targets.push( toPage );
+	} );
+
+	$page.find( 'input.a1' ).val( 'Test Author' );
+	$page.find( 'a.a1' ).trigger( 'click' );
+
+	assert.equal( state.getAnswer( 'form-author', 1 ), 'Test Author', 'Logged input value.' );
+
+	$page.find( 'li.a2' ).trigger( 'click' );
+
+	assert.ok(
+		!state.getAnswer( 'form-author', 1 ) && state.getAnswer( 'form-author', 2 ),
+		'Cleared input value when selecting the alternative answer.'
+	);
+
+	assert.deepEqual( targets, ['form-title', 'form-title'], 'Triggered going to target page.' );
+} );
+
+} );
+
+}( QUnit ) );
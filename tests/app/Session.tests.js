@@ -0,0 +1,78 @@
+/**
+ * @licence GNU GPL v3
+ * @author snater.com < wikimedia@snater.com >
+ */
+( function( QUnit ) {
+'use strict';
+
+define( ['app/Session'], function( Session ) {
+
+	QUnit.module( 'Session' );
+
+	var session = new Session(
+		'http://commons.wikimedia.org/wiki/File:Helene Fischer 2010.jpg',
+		['3', '7', '12a', '12b', '13'],
+		{
+			'3': { 1: true },
+			'7': { 2: true },
+			'12a': { 2: true },
+			'12b': { 1: true },
+			'13': { 1: 'Editor & Co.' }
+		},
+		{ imageSize: 300, htmlCode: false, outputLanguage: 'en', fullLicenceName: true }
+	);
+
+	QUnit.test( 'toString() and Session.parse()', function( assert ) {
+		var parsed = Session.parse( '#' + session.toString() );
+
+		assert.equal( parsed.getInput(), session.getInput(), 'Restored input.' );
+		assert.deepEqual( parsed.getPath(), session.getPath(), 'Restored path.' );
+		assert.deepEqual( parsed.getAnswers(), session.getAnswers(), 'Restored answers.' );
+		assert.deepEqual( parsed.getOptions(), session.getOptions(), 'Restored options.' );
+		assert.ok( parsed.equals( session ), 'Restored session equals original session.' );
+
+		assert.deepEqual(
+			Session.parse( 'url=Test.jpg' ).getAnswers(),
+			{},
+			'Parsed session featuring an input only.'
+		);
+
+		assert.strictEqual( Session.parse( '' ), null, 'Returning "null" for an empty string.' );
+
+		assert.strictEqual(
+			Session.parse( '#path=3,7' ),
+			null,
+			'Returning "null" when the input is missing.'
+		);
+
+		assert.strictEqual(
+			Session.parse( 'url=Test.jpg&answers=%7Binvalid' ),
+			null,
+			'Returning "null" for malformed answers.'
+		);
+	} );
+
+	QUnit.test( 'equals()', function( assert ) {
+		assert.ok(
+			session.equals( new Session( session.getInput(), session.getPath() ) ),
+			'Sessions on the same page equal regardless of answers and options.'
+		);
+
+		assert.ok(
+			!session.equals( new Session( session.getInput(), ['3', '7'] ) ),
+			'Sessions on different pages do not equal.'
+		);
+
+		assert.ok( !session.equals( null ), 'Session does not equal "null".' );
+
+		assert.throws(
+			function() {
+				return new Session( '' );
+			},
+			'Throwing an error when omitting the input.'
+		);
+	} );
+
+} );
+
+}( QUnit ) );
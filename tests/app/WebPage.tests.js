@@ -0,0 +1,144 @@
+/**
+ * @licence GNU GPL v3
+ * @author snater.com < wikimedia@snater.com >
+ */
+( function( QUnit ) {
+'use strict';
+
+define( ['jquery', 'app/NoApi', 'app/WebPage', 'tests/assets'], function( $, NoApi, WebPage ) {
+
+QUnit.module( 'WebPage' );
+
+var api = new NoApi(),
+	html = '<!DOCTYPE html><html><head>'
+		+ '<title>Holiday pictures</title>'
+		+ '<meta name="DC.creator" content="Page Author"/>'
+		+ '<meta property="og:image" content="/images/teaser.jpg"/>'
+		+ '<link rel="license" href="https://creativecommons.org/licenses/by/4.0/"/>'
+		+ '<script type="application/ld+json">{'
+		+ '"@context": "https://schema.org",'
+		+ '"@type": "ImageObject",'
+		+ '"contentUrl": "http://example.com/photos/beach.png",'
+		+ '"name": "Beach",'
+		+ '"license": "https://creativecommons.org/publicdomain/zero/1.0/",'
+		+ '"creator": [{"@type": "Person", "name": "JSON-LD Author"}]'
+		+ '}</script>'
+		+ '</head><body>'
+		+ '<div xmlns:cc="http://creativecommons.org/ns#" xmlns:dct="http://purl.org/dc/terms/">'
+		+ '<img src="sunset.jpg"/>'
+		+ '<span property="dct:title">Sunset</span> by '
+		+ '<a rel="cc:attributionURL" href="/users/jane" property="cc:attributionName">Jane Doe</a>, '
+		+ '<a rel="license" href="http://creativecommons.org/licenses/by-sa/3.0/de/deed.de">'
+		+ 'CC BY-SA 3.0 DE</a>'
+		+ '</div>'
+		+ '<img src="beach.png"/>'
+		+ '<img src="data:image/gif;base64,R0lGODlhAQABAAAAACw="/>'
+		+ '<img src="//cdn.example.com/logo.svg"/>'
+		+ '</body></html>';
+
+QUnit.test( 'getImageUrls()', function( assert ) {
+	var page = new WebPage( 'http://example.com/photos/index.html?page=1', html );
+
+	assert.deepEqual(
+		page.getImageUrls(),
+		[
+			'http://example.com/images/teaser.jpg',
+			'http://example.com/photos/sunset.jpg',
+			'http://example.com/photos/beach.png',
+			'http://cdn.example.com/logo.svg'
+		],
+		'Listed absolute image URLs, Open Graph image first.'
+	);
+
+	page = new WebPage(
+		'http://example.com/photos/',
+		'<html><head><base href="/static/"/></head><body><img src="a.jpg"/></body></html>'
+	);
+
+	assert.deepEqual(
+		page.getImageUrls(),
+		['http://example.com/static/a.jpg'],
+		'Resolved image URL against base URL.'
+	);
+} );
+
+QUnit.test( 'getAsset()', function( assert ) {
+	var page = new WebPage( 'http://example.com/photos/index.html', html ),
+		asset = page.getAsset( 'http://example.com/photos/sunset.jpg', api );
+
+	assert.equal( asset.getFilename(), 'http://example.com/photos/sunset.jpg', 'Applied filename.' );
+	assert.equal( asset.getMediaType(), 'bitmap', 'Applied media type.' );
+	assert.equal( asset.getUrl(), 'http://example.com/photos/index.html', 'Applied page URL.' );
+
+	assert.equal(
+		asset.getLicence().getId(),
+		'cc-by-sa-3.0-de',
+		'Detected licence annotated on the image.'
+	);
+
+	assert.equal( asset.getTitle(), 'Sunset', 'Detected title annotated on the image.' );
+	assert.equal( asset.getAuthors()[0].getText(), 'Jane Doe', 'Detected ccREL author.' );
+
+	assert.equal(
+		asset.getAuthors()[0].getHtml().attr( 'href' ),
+		'http://example.com/users/jane',
+		'Linked author to attribution URL.'
+	);
+
+	assert.equal( asset.getSource( 'licence' ), 'webpage', 'Registered source of licence.' );
+
+	asset = new WebPage(
+		'http://example.com/',
+		'<html><body><div>'
+			+ '<img src="a.jpg"/>'
+			+ '<a rel="cc:attributionURL" href=" JavaScript:alert(1)" property="cc:attributionName">'
+			+ 'Jane Doe</a>'
+			+ '</div></body></html>'
+	).getAsset( 'http://example.com/a.jpg', api );
+
+	assert.equal(
+		asset.getAuthors()[0].getText(),
+		'Jane Doe',
+		'Detected author featuring an attribution URL of an unsupported scheme.'
+	);
+
+	assert.equal(
+		asset.getAuthors()[0].getHtml().find( 'a' ).addBack( 'a' ).length,
+		0,
+		'Not linking the author to an attribution URL of a scheme other than HTTP(S).'
+	);
+
+	asset = page.getAsset( 'http://example.com/photos/beach.png', api );
+
+	assert.equal( asset.getLicence().getId(), 'cc-zero', 'Detected licence via JSON-LD.' );
+	assert.equal( asset.getTitle(), 'Beach', 'Detected title via JSON-LD.' );
+	assert.equal( asset.getAuthors()[0].getText(), 'JSON-LD Author', 'Detected author via JSON-LD.' );
+
+	asset = page.getAsset( 'http://cdn.example.com/logo.svg', api );
+
+	assert.equal( asset.getMediaType(), 'drawing', 'Detected SVG drawing.' );
+
+	page = new WebPage(
+		'http://example.com/',
+		'<html><head><title> Gallery </title>'
+			+ '<meta name="author" content="Page Author"/>'
+			+ '<link rel="license" href="https://creativecommons.org/licenses/by-nc/4.0/legalcode"/>'
+			+ '</head><body><img src="a.jpg"/></body></html>'
+	);
+
+	asset = page.getAsset( 'http://example.com/a.jpg', api );
+
+	assert.equal( asset.getLicence().getId(), 'cc-by-nc-4.0', 'Detected licence of the page.' );
+	assert.equal( asset.getTitle(), 'Gallery', 'Falling back to page title.' );
+	assert.equal( asset.getAuthors()[0].getText(), 'Page Author', 'Detected author meta tag.' );
+
+	page = new WebPage( 'http://example.com/', '<html><body><img src="a.jpg"/></body></html>' );
+	asset = page.getAsset( 'http://example.com/a.jpg', api );
+
+	assert.strictEqual( asset.getLicence(), null, 'No licence detected on a page without markers.' );
+	assert.deepEqual( asset.getAuthors(), [], 'No authors detected.' );
+} );
+
+} );
+
+}( QUnit ) );
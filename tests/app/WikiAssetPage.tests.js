@@ -0,0 +1,173 @@
+/**
+ * @licence GNU GPL v3
+ * @author snater.com < wikimedia@snater.com >
+ */
+( function( QUnit ) {
+'use strict';
+
+define(
+	['jquery', 'app/Api', 'app/WikiAssetPage'],
+	function( $, Api, WikiAssetPage ) {
+
+	QUnit.module( 'WikiAssetPage' );
+
+	var api = new Api( '//commons.wikimedia.org/' ),
+		$dom = $( '<div/>' ).html(
+			'<table><tr>'
+			+ '<td id="fileinfotpl_aut">Author</td>'
+			+ '<td><a href="//commons.wikimedia.org/wiki/User:Scraped">Scraped</a></td>'
+			+ '</tr></table>'
+		);
+
+	/**
+	 * Returns a nodes HTML as plain text.
+	 *
+	 * @param {jQuery|null} $node
+	 * @return {string|null}
+	 */
+	function getHtmlText( $node ) {
+		return $node ? $( '<div/>' ).append( $node ).html() : null;
+	}
+
+	QUnit.test( 'getAsset() preferring extended meta data', function( assert ) {
+		var page = new WikiAssetPage(
+			'File:Test_file.jpg',
+			'bitmap',
+			$dom.clone(),
+			['Information'],
+			api,
+			undefined,
+			{
+				Artist: '<a href="//commons.wikimedia.org/wiki/User:Artist">Artist</a>',
+				Credit: '<span class="int-own-work">Own work</span>',
+				LicenseShortName: 'CC BY-SA 3.0',
+				ObjectName: 'Test title',
+				AttributionRequired: 'true'
+			}
+		);
+
+		var asset = page.getAsset();
+
+		assert.equal(
+			getHtmlText( asset.getAuthors()[0].getHtml() ),
+			'<a href="http://commons.wikimedia.org/wiki/User:Artist">Artist</a>',
+			'Retrieved author from extended meta data.'
+		);
+
+		assert.equal( asset.getTitle(), 'Test title', 'Retrieved title from extended meta data.' );
+
+		assert.equal(
+			asset.getLicence().getId(),
+			'cc-by-sa-3.0',
+			'Detected licence by licence short name.'
+		);
+
+		assert.equal( asset.getCredit(), 'Own work', 'Retrieved credit.' );
+
+		assert.ok( asset.isAttributionRequired(), 'Retrieved attribution requirement.' );
+
+		assert.deepEqual(
+			asset.getSources(),
+			{
+				authors: 'extmetadata',
+				title: 'extmetadata',
+				licence: 'extmetadata',
+				credit: 'extmetadata'
+			},
+			'Registered sources.'
+		);
+
+		assert.deepEqual(
+			asset.clone().getSources(),
+			asset.getSources(),
+			'Cloned asset features the same sources.'
+		);
+	} );
+
+	QUnit.test( 'getAsset() falling back to page content', function( assert ) {
+		var page = new WikiAssetPage(
+			'File:Test_file.jpg',
+			'bitmap',
+			$dom.clone(),
+			['Cc-by-3.0'],
+			api
+		);
+
+		var asset = page.getAsset();
+
+		assert.equal(
+			getHtmlText( asset.getAuthors()[0].getHtml() ),
+			'<a href="http://commons.wikimedia.org/wiki/User:Scraped">Scraped</a>',
+			'Scraped author from page content.'
+		);
+
+		assert.equal( asset.getTitle(), 'Test file', 'Generated title from file name.' );
+
+		assert.equal( asset.getLicence().getId(), 'cc-by-3.0', 'Detected licence by templates.' );
+
+		assert.strictEqual( asset.getCredit(), null, 'No credit.' );
+
+		assert.deepEqual(
+			asset.getSources(),
+			{
+				authors: 'scraping',
+				title: 'filename',
+				licence: 'templates'
+			},
+			'Registered sources.'
+		);
+	} );
+
+	QUnit.test( 'getAsset() detecting multiple licences', function( assert ) {
+		var page = new WikiAssetPage(
+			'File:Test_file.jpg',
+			'bitmap',
+			$dom.clone(),
+			['GFDL', 'Cc-by-sa-4.0', 'Cc-by-4.0'],
+			api
+		);
+
+		var asset = page.getAsset(),
+			ids = $.map( asset.getCandidateLicences(), function( licence ) {
+				return licence.getId();
+			} );
+
+		assert.deepEqual(
+			ids,
+			['cc-by-4.0', 'cc-by-sa-4.0', 'GFDL'],
+			'Registered candidate licences in store order.'
+		);
+
+		assert.equal( asset.getLicence().getId(), 'cc-by-4.0', 'Preset preferred licence.' );
+
+		assert.equal(
+			asset.clone().getCandidateLicences().length,
+			3,
+			'Cloned asset features the candidate licences.'
+		);
+	} );
+
+	QUnit.test( 'getAsset() detecting licence by licence URL', function( assert ) {
+		var page = new WikiAssetPage(
+			'File:Test_file.jpg',
+			'bitmap',
+			$dom.clone(),
+			[],
+			api,
+			undefined,
+			{
+				LicenseShortName: 'Some licence',
+				LicenseUrl: 'https://creativecommons.org/licenses/by/4.0/deed.de'
+			}
+		);
+
+		assert.equal(
+			page.getAsset().getLicence().getId(),
+			'cc-by-4.0',
+			'Detected licence.'
+		);
+	} );
+
+} );
+
+}( QUnit ) );
@@ -0,0 +1,70 @@
+/**
+ * @licence GNU GPL v3
+ * @author snater.com < wikimedia@snater.com >
+ */
+( function( QUnit ) {
+'use strict';
+
+define( [
+	'app/locale',
+	'templates/registry',
+	'dojo/i18n!app/nls/Navigation',
+	'dojo/_base/config'
+], function( locale, templateRegistry, messages, config ) {
+
+QUnit.module( 'locale' );
+
+QUnit.test( 'getLanguage()', function( assert ) {
+	var initialLocale = config.locale;
+
+	config.locale = 'de-at';
+	assert.equal( locale.getLanguage(), 'de', 'Stripped region from locale.' );
+
+	config.locale = 'fr';
+	assert.equal( locale.getLanguage(), 'en', 'Falling back to default language.' );
+
+	config.locale = initialLocale;
+} );
+
+QUnit.test( 'setLanguage()', function( assert ) {
+	var initialLanguage = locale.getLanguage();
+
+	QUnit.stop();
+
+	locale.setLanguage( 'en' )
+	.done( function() {
+		assert.equal( messages['About'], 'About', 'Updated loaded messages to English.' );
+
+		assert.equal(
+			templateRegistry.getDir( 'questionnaire' ),
+			config.baseUrl + 'templates/questionnaire/',
+			'Using default templates.'
+		);
+
+		locale.setLanguage( 'de' )
+		.done( function() {
+			assert.equal( messages['About'], 'Über', 'Updated loaded messages to German.' );
+
+			assert.equal(
+				templateRegistry.getDir( 'questionnaire' ),
+				config.baseUrl + 'templates/questionnaire/de/',
+				'Using German templates.'
+			);
+
+			locale.setLanguage( initialLanguage ).done( function() {
+				QUnit.start();
+			} );
+		} );
+	} );
+
+	assert.throws(
+		function() {
+			locale.setLanguage( 'xx' );
+		},
+		'Throwing an error when trying to set an unsupported language.'
+	);
+} );
+
+} );
+
+}( QUnit ) );
@@ -0,0 +1,242 @@
+/**
+ * @licence GNU GPL v3
+ * @author snater.com < wikimedia@snater.com >
+ */
+( function( QUnit ) {
+'use strict';
+
+define(
+	[
+		'jquery',
+		'app/options/HtmlCode',
+		'app/AttributionGenerator',
+		'app/ImageInfo',
+		'app/Preview',
+		'dojo/_base/config',
+		'tests/assets'
+	],
+	function( $, HtmlCode, AttributionGenerator, ImageInfo, Preview, config, testAssets ) {
+
+QUnit.module( 'HtmlCode' );
+
+/**
+ * @param {Asset} asset
+ * @param {jQuery} [$imageHtml] Default: DOM of an attributed image
+ * @return {HtmlCode}
+ */
+function createHtmlCode( asset, $imageHtml ) {
+	var htmlCode = new HtmlCode( asset );
+
+	htmlCode.setAttributionGenerator( new AttributionGenerator( asset, { format: 'html' } ) );
+	htmlCode.setImageHtml( $imageHtml || $(
+		'<div class="attributed-image-frame"><div class="attributed-image">'
+		+ '<a href="' + asset.getUrl() + '">'
+		+ '<img border="0" src="https://upload.wikimedia.org/Helene_Fischer_2010.jpg"/>'
+		+ '</a></div></div>'
+	) );
+
+	// Do not convert to inline styles as that depends on the style sheets loaded:
+	htmlCode.value( false );
+
+	return htmlCode;
+}
+
+/**
+ * @param {string} htmlCode
+ * @return {jQuery}
+ */
+function parse( htmlCode ) {
+	return $( '<div/>' ).html( htmlCode );
+}
+
+QUnit.test( '_addMetadata()', function( assert ) {
+	var asset = testAssets['Helene Fischer 2010.jpg'],
+		$html = parse( createHtmlCode( asset )._generateHtmlCode( false ) );
+
+	assert.equal(
+		$html.children().first().attr( 'about' ),
+		asset.getUrl(),
+		'Annotated the file\'s web address.'
+	);
+
+	assert.equal(
+		$html.find( '.attribution-author' ).attr( 'property' ),
+		'cc:attributionName',
+		'Annotated attribution name.'
+	);
+
+	assert.equal(
+		$html.find( '.attribution-author a' ).attr( 'rel' ),
+		'cc:attributionURL',
+		'Annotated attribution URL.'
+	);
+
+	assert.equal(
+		$html.find( '.attribution-title' ).attr( 'property' ),
+		'dct:title',
+		'Annotated title.'
+	);
+
+	assert.equal(
+		$html.find( '.attribution-title' ).attr( 'content' ),
+		'Helene Fischer 2010',
+		'Specified the plain title.'
+	);
+
+	assert.equal(
+		$html.find( '[rel="license"]' ).attr( 'href' ),
+		asset.getLicence().getUrl(),
+		'Annotated licence link.'
+	);
+
+	$html = parse(
+		createHtmlCode( testAssets['JapaneseToiletControlPanel.jpg'] )._generateHtmlCode( false )
+	);
+
+	assert.equal(
+		$html.find( '[property="cc:attributionName"]' ).attr( 'content' ),
+		'Chris 73 / Wikimedia Commons',
+		'Annotated attribution name when crediting the asset\'s attribution instead of the '
+			+ 'authors.'
+	);
+} );
+
+QUnit.test( '_generateJsonLd()', function( assert ) {
+	var asset = testAssets['Helene Fischer 2010.jpg'].clone();
+
+	asset.setTitle( 'Helene Fischer </script><script>alert( 1 )</script>' );
+
+	var htmlCode = createHtmlCode( asset ),
+		$script = parse( htmlCode._generateHtmlCode( false ) )
+			.find( 'script[type="application/ld+json"]' );
+
+	assert.equal( $script.length, 1, 'Appended JSON-LD block.' );
+
+	assert.equal(
+		$script.text().indexOf( '<' ),
+		-1,
+		'Escaped "<" to not have the title terminate the script block.'
+	);
+
+	assert.deepEqual(
+		JSON.parse( $script.text() ),
+		{
+			'@context': 'https://schema.org',
+			'@type': 'ImageObject',
+			contentUrl: 'https://upload.wikimedia.org/Helene_Fischer_2010.jpg',
+			name: 'Helene Fischer </script><script>alert( 1 )</script>',
+			license: 'http://creativecommons.org/licenses/by-sa/3.0/legalcode/',
+			creator: [{
+				'@type': 'Person',
+				name: 'Fleyx24',
+				url: 'http://commons.wikimedia.org/wiki/User:Fleyx24'
+			}],
+			creditText: htmlCode._attributionGenerator.generate( true ),
+			acquireLicensePage: asset.getUrl()
+		},
+		'Generated schema.org object.'
+	);
+} );
+
+QUnit.test( 'Video and audio files', function( assert ) {
+	var videoAsset = testAssets['The_Little_Princess_(1939)_full.ogv'].clone(),
+		audioAsset = testAssets['05 Air from Suite in C minor.ogg'],
+		videoUrl = 'https://upload.wikimedia.org/The_Little_Princess_(1939)_full.ogv',
+		posterUrl = 'https://upload.wikimedia.org/The_Little_Princess_(1939)_full.ogv.jpg',
+		audioUrl = 'https://upload.wikimedia.org/05_Air_from_Suite_in_C_minor.ogg';
+
+	videoAsset.setLicence( config.custom.licenceStore.getLicence( 'cc-by-sa-3.0' ) );
+
+	/**
+	 * @param {Asset} asset
+	 * @param {ImageInfo} imageInfo
+	 * @return {jQuery}
+	 */
+	function generate( asset, imageInfo ) {
+		var $imageHtml = new Preview( $( '<div/>' ), asset )._attributedImageHtml( imageInfo, 500 );
+		return parse( createHtmlCode( asset, $imageHtml )._generateHtmlCode( false ) );
+	}
+
+	/**
+	 * @param {jQuery} $html
+	 * @return {Array} JSON-LD type, content URL and thumbnail URL
+	 */
+	function getJsonLd( $html ) {
+		var jsonLd = JSON.parse( $html.find( 'script[type="application/ld+json"]' ).text() );
+		return [jsonLd['@type'], jsonLd.contentUrl, jsonLd.thumbnailUrl];
+	}
+
+	var $html = generate( videoAsset, new ImageInfo(
+			videoUrl,
+			videoAsset.getUrl(),
+			{ url: posterUrl, width: 320, height: 240 }
+		) ),
+		$video = $html.find( 'video' );
+
+	assert.equal( $html.find( 'img' ).length, 0, 'Embedded no image for a video.' );
+
+	assert.deepEqual(
+		[$video.attr( 'src' ), $video.attr( 'poster' ), $video.attr( 'preload' )],
+		[videoUrl, posterUrl, 'none'],
+		'Embedded video featuring the thumbnail as poster without preloading the video.'
+	);
+
+	assert.deepEqual(
+		getJsonLd( $html ),
+		['VideoObject', videoUrl, posterUrl],
+		'Described video as VideoObject.'
+	);
+
+	$html = generate( audioAsset, new ImageInfo( audioUrl, audioAsset.getUrl() ) );
+
+	assert.deepEqual(
+		[$html.find( 'audio' ).attr( 'src' ), $html.find( 'audio' ).attr( 'preload' )],
+		[audioUrl, 'none'],
+		'Embedded audio file without preloading it.'
+	);
+
+	assert.deepEqual(
+		getJsonLd( $html ),
+		['AudioObject', audioUrl, undefined],
+		'Described audio file as AudioObject.'
+	);
+} );
+
+QUnit.test( 'Toggling metadata', function( assert ) {
+	var htmlCode = createHtmlCode( testAssets['Helene Fischer 2010.jpg'] );
+
+	htmlCode.render().trigger( 'click' );
+
+	var $textarea = htmlCode._$underlay.find( 'textarea' ),
+		$useMetadata = htmlCode._$underlay.find( '#option-htmlCode-metadata' );
+
+	assert.ok( $useMetadata.prop( 'checked' ), 'Adding metadata by default.' );
+
+	assert.equal(
+		parse( $textarea.val() ).find( '[property], script' ).length,
+		3,
+		'Output features metadata.'
+	);
+
+	$useMetadata.trigger( 'click' );
+
+	assert.equal(
+		parse( $textarea.val() ).find( '[property], [rel], script' ).length,
+		0,
+		'Removed metadata from output.'
+	);
+
+	$useMetadata.trigger( 'click' );
+
+	assert.equal(
+		parse( $textarea.val() ).find( 'script' ).length,
+		1,
+		'Re-added metadata to output.'
+	);
+
+	htmlCode._destroyUnderlay();
+} );
+
+} );
+
+}( QUnit ) );